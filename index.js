@@ -3,6 +3,7 @@ const cors = require('cors');
 require('dotenv').config();
 
 // Import routes
+const authRoutes = require('./src/routes/authRoutes');
 const captureRoutes = require('./src/routes/captureRoutes');
 
 const app = express();
@@ -15,6 +16,7 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static('public'));
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/capture', captureRoutes);
 
 // Main routes
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const ImageStorageService = require('../src/services/imageStorage');
+
+const removeLegacyFiles = process.argv.includes('--remove-json');
+
+console.log('🗂️  Seren Capture Metadata Migration');
+console.log('='.repeat(40));
+
+const imageStorage = new ImageStorageService();
+console.log(`📁 Storage directory: ${imageStorage.storageDir}`);
+
+imageStorage.importLegacyMetadata({ removeLegacyFiles })
+  .then(async result => {
+    console.log(`   ✓ Found: ${result.found} JSON files`);
+    console.log(`   ✓ Imported: ${result.imported}`);
+    console.log(`   ✓ Already indexed: ${result.skipped}`);
+    if (result.failed > 0) {
+      console.log(`   ⚠️  Failed: ${result.failed}`);
+    }
+    if (removeLegacyFiles) {
+      console.log('   ✓ Imported JSON files removed');
+    }
+    console.log(`✅ Index now holds ${await imageStorage.metadataIndex.count()} images`);
+    process.exit(result.failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(2);
+  });
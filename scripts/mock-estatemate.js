@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const MockEstateMateServer = require('../src/api/mockEstateMateServer');
+
+// --scenario <name> and --port <port> override MOCK_ESTATEMATE_SCENARIO / MOCK_ESTATEMATE_PORT
+const argument = name => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+console.log('🧪 Mock EstateMate API');
+console.log('='.repeat(40));
+
+let server;
+try {
+  server = new MockEstateMateServer({ scenario: argument('scenario') });
+} catch (error) {
+  console.error('❌ Mock EstateMate failed to start:', error.message);
+  process.exit(2);
+}
+
+server.start(argument('port') !== undefined ? parseInt(argument('port')) : undefined)
+  .then(url => {
+    console.log(`   Fixture OTPs: ${Object.keys(server.residents).join(', ')}`);
+    console.log(`   Scenarios: ${Object.keys(server.scenarios).join(', ')}`);
+    console.log(`✅ Point the backend at it with ESTATE_MATE_API_URL=${url}`);
+    console.log(`   Switch scenario: curl -X PUT ${url}/__mock/scenario -H 'Content-Type: application/json' -d '{"name":"flaky"}'`);
+  })
+  .catch(error => {
+    console.error('❌ Mock EstateMate failed to start:', error.message);
+    process.exit(2);
+  });
+
+process.on('SIGINT', () => {
+  server.stop().then(() => process.exit(0));
+});
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const CaptureService = require('../src/services/captureService');
+const RetentionService = require('../src/services/retentionService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+console.log(`🧹 Seren Capture Retention Purge${dryRun ? ' (dry run)' : ''}`);
+console.log('='.repeat(40));
+
+// Purging never reads plates, so it runs without the OCR language data
+const captureService = new CaptureService({ plateRecognizer: null });
+const retentionService = new RetentionService(captureService);
+
+retentionService.getPolicy().rules.forEach(rule => {
+  console.log(`   ${rule.captureType}: ${rule.retentionDays > 0 ? `${rule.retentionDays} days` : 'keep forever'}`);
+});
+
+retentionService.runPurge({ dryRun, actor: 'system:retention-cli' })
+  .then(summary => {
+    Object.entries(summary.byCaptureType).forEach(([captureType, counts]) => {
+      console.log(`   ✓ ${captureType}: ${counts.expired} expired, ${counts.purged} purged, ${counts.failed} failed`);
+    });
+    console.log(`📄 Run summary: ${summary.runId}`);
+    process.exit(summary.errors.length > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('❌ Retention purge failed:', error.message);
+    process.exit(2);
+  });
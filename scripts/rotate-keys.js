@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const ImageStorageService = require('../src/services/imageStorage');
+const KeyRotationService = require('../src/services/keyRotationService');
+
+console.log('🔑 Seren Capture Key Rotation');
+console.log('='.repeat(40));
+
+const imageStorage = new ImageStorageService();
+const keyRotationService = new KeyRotationService(imageStorage);
+
+console.log(`   Active key: ${imageStorage.keyStore.activeKeyId}`);
+console.log(`   Available keys: ${imageStorage.keyStore.listKeyIds().join(', ')}`);
+
+// Ctrl+C stops after the current batch; run again to resume
+process.on('SIGINT', () => {
+  console.log('⏸️  Stopping after current batch...');
+  keyRotationService.stop();
+});
+
+keyRotationService.start()
+  .then(() => keyRotationService.waitForCompletion())
+  .then(() => keyRotationService.loadState())
+  .then(state => {
+    console.log(`   ✓ Processed: ${state.processed}/${state.total}`);
+    console.log(`   ✓ Re-encrypted: ${state.rotated}`);
+    if (state.failed > 0) {
+      console.log(`   ⚠️  Failed: ${state.failed}`);
+    }
+    console.log(`${state.status === 'completed' ? '✅' : '⚠️ '} Rotation ${state.status}`);
+    process.exit(state.status === 'completed' ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exit(2);
+  });
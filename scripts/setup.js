@@ -9,12 +9,15 @@ console.log('='.repeat(40));
 
 // Create storage directories
 const storageDir = path.join(__dirname, '..', 'storage', 'images');
-const metadataDir = path.join(storageDir, 'metadata');
-const personDir = path.join(storageDir, 'person');
-const vehicleDir = path.join(storageDir, 'vehicle');
+const indexDir = path.join(storageDir, 'index');
+const originalsDir = path.join(storageDir, 'originals');
+const tessdataDir = path.join(__dirname, '..', 'storage', 'tessdata');
+// One directory per capture type in the capture registry
+const registry = require('../src/config/capture-registry.json');
+const captureTypeDirs = Object.keys(registry.captureTypes).map(captureType => path.join(storageDir, captureType));
 
 console.log('📁 Creating storage directories...');
-[storageDir, metadataDir, personDir, vehicleDir].forEach(dir => {
+[storageDir, indexDir, originalsDir, tessdataDir, ...captureTypeDirs].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
     console.log(`   ✓ Created: ${dir}`);
@@ -25,9 +28,13 @@ console.log('📁 Creating storage directories...');
 
 // Generate encryption key if .env doesn't exist
 const envPath = path.join(__dirname, '..', '.env');
+let adminPassword = null;
 if (!fs.existsSync(envPath)) {
   console.log('🔑 Generating encryption key...');
   const encryptionKey = crypto.randomBytes(32).toString('base64');
+  const tokenSecret = crypto.randomBytes(32).toString('base64');
+  const otpHashSecret = crypto.randomBytes(32).toString('base64');
+  adminPassword = crypto.randomBytes(18).toString('base64url');
   
   const envContent = `# Seren Capture Environment Configuration
 
@@ -38,12 +45,137 @@ NODE_ENV=development
 # EstateMate API Configuration
 ESTATE_MATE_API_URL=https://api.estatemate.com
 ESTATE_MATE_API_KEY=your_estatemate_api_key_here
+# api (default), demo or local - demo serves built-in test residents and is never chosen automatically;
+# local serves the resident directory and visitor invites managed in this backend
+ESTATE_MATE_PROVIDER=api
+ESTATE_MATE_TIMEOUT_MS=10000
+ESTATE_MATE_MAX_RETRIES=2
+ESTATE_MATE_RETRY_BASE_MS=300
+ESTATE_MATE_BREAKER_THRESHOLD=5
+ESTATE_MATE_BREAKER_RESET_MS=30000
+ESTATE_MATE_HEALTH_INTERVAL_MS=30000
 
 # Image Storage Configuration
 IMAGE_STORAGE_DIR=./storage/images
 IMAGE_ENCRYPTION_KEY=${encryptionKey}
 IMAGE_COMPRESSION_QUALITY=80
 MAX_IMAGE_SIZE=5242880
+# Versioned keys (<keyId>:<base64 key>, comma separated); IMAGE_ENCRYPTION_KEY is key ID "default"
+# IMAGE_ENCRYPTION_KEYS=2025-01:base64key,2026-01:base64key
+# IMAGE_ENCRYPTION_ACTIVE_KEY=2026-01
+KEY_ROTATION_BATCH_SIZE=50
+# Keystore for per-image data keys: env (master keys above), file or passphrase
+KEYSTORE_TYPE=env
+KEYSTORE_DATA_KEY_DIR=./storage/keys/data-keys
+# KEYSTORE_MASTER_KEY_FILE=./storage/keys/master-keys.json
+# KEYSTORE_PASSPHRASE=
+# KEYSTORE_PREVIOUS_PASSPHRASES=
+# KEYSTORE_SALT_FILE=./storage/keys/passphrase.salt
+
+# Session Store Configuration
+SESSION_STORE=file
+SESSION_STORE_DIR=./storage/sessions
+
+# Operator Authentication
+# First admin is created from these when no operators exist yet
+ADMIN_USERNAME=admin
+ADMIN_PASSWORD=${adminPassword}
+AUTH_TOKEN_SECRET=${tokenSecret}
+AUTH_TOKEN_TTL=43200000
+AUTH_OPERATORS_FILE=./storage/auth/operators.json
+
+# Audit Log
+AUDIT_LOG_FILE=./storage/audit/audit.log
+
+# Visit History
+VISIT_STORE_FILE=./storage/visits/visits.log
+
+# Plate Recognition (tesseract or none)
+PLATE_RECOGNIZER=tesseract
+PLATE_RECOGNITION_TIMEOUT=15000
+PLATE_OCR_LANG_PATH=./storage/tessdata
+
+# Document Barcodes (zxing or none)
+BARCODE_READER=zxing
+BARCODE_DECODE_TIMEOUT=10000
+
+# Image Quality Gate (enforce, warn or off)
+QUALITY_GATE=enforce
+QUALITY_MIN_SHARPNESS=60
+QUALITY_MIN_BRIGHTNESS=60
+QUALITY_MAX_BRIGHTNESS=200
+QUALITY_MAX_GLARE=0.08
+QUALITY_MIN_WIDTH=640
+QUALITY_MIN_HEIGHT=480
+QUALITY_MIN_DOCUMENT_COVERAGE=0.2
+
+# Document Normalization (capture types to flatten, e.g. person,vehicle; empty = off)
+DOCUMENT_NORMALIZATION=
+DOCUMENT_MIN_AREA=0.15
+
+# Modes and Capture Types
+CAPTURE_REGISTRY_FILE=./src/config/capture-registry.json
+
+# Session Lifecycle (images of cancelled/expired sessions: delete or retain)
+SESSION_SWEEP_INTERVAL_MS=60000
+CANCELLED_SESSION_IMAGES=delete
+EXPIRED_SESSION_IMAGES=retain
+
+# Live Session Events
+EVENT_BUFFER_SIZE=500
+EVENT_HEARTBEAT_MS=25000
+
+# OTP Brute-force Protection
+OTP_LOCKOUT_THRESHOLDS=terminal:5,ip:10,prefix:20
+OTP_FAILURE_WINDOW_MS=900000
+OTP_LOCKOUT_BASE_MS=60000
+OTP_LOCKOUT_MAX_MS=3600000
+OTP_LOCKOUT_DECAY_MS=86400000
+OTP_PREFIX_LENGTH=3
+OTP_GUARD_FILE=./storage/security/otp-guard.json
+
+# OTP Use Policy
+OTP_USE_POLICY=single
+OTP_USE_WINDOW_MS=43200000
+OTP_MAX_ENTRIES=5
+OTP_ACTIVE_STATUSES=active
+OTP_USAGE_FILE=./storage/otp/usage.log
+
+# OTP Hashing (stored OTP hashes are keyed with this secret)
+OTP_HASH_SECRET=${otpHashSecret}
+OTP_HASH_SECRET_FILE=./storage/keys/otp-hash.secret
+
+# Gate Terminals
+TERMINALS_FILE=./storage/terminals/terminals.json
+TERMINAL_REQUIRED=false
+TERMINAL_LAST_SEEN_INTERVAL_MS=60000
+
+# Visitor Exit
+VISIT_STAY_LIMIT_MS=43200000
+VISIT_STAY_LIMITS=delivery:3600000,taxi:1800000
+
+# Resident Directory (ESTATE_MATE_PROVIDER=local)
+RESIDENTS_FILE=./storage/residents/residents.log
+INVITES_FILE=./storage/residents/invites.log
+INVITE_OTP_LENGTH=6
+INVITE_VALIDITY_MS=86400000
+INVITE_MAX_VALIDITY_MS=2592000000
+
+# API Validation (warn about responses that do not match the OpenAPI document)
+OPENAPI_VALIDATE_RESPONSES=false
+
+# EstateMate Outbox
+OUTBOX_FILE=./storage/outbox/estatemate.log
+OUTBOX_INTERVAL_MS=60000
+OUTBOX_RETRY_BASE_MS=30000
+OUTBOX_RETRY_MAX_MS=3600000
+OUTBOX_MAX_ATTEMPTS=20
+
+# Retention Policy (days per capture type, 0 = keep forever)
+RETENTION_RULES=person:30,vehicle:90,trailer:90,parcel:30,permit:90,exit:30
+RETENTION_ENABLED=true
+RETENTION_INTERVAL_MS=21600000
+RETENTION_REPORT_DIR=./storage/retention/runs
 
 # Security Configuration
 SESSION_TIMEOUT=1800000
@@ -74,6 +206,13 @@ console.log('');
 console.log('Next steps:');
 console.log('1. Update your .env file with the correct EstateMate API credentials');
 console.log('2. Run: npm install');
-console.log('3. Run: npm start');
+console.log(`3. Copy eng.traineddata into ${tessdataDir} (see README), or set PLATE_RECOGNIZER=none`);
+console.log('4. Run: npm start');
 console.log('');
 console.log('🌐 Access the application at: http://localhost:3000');
+if (adminPassword) {
+  // Shown once - the first start creates the admin operator from it
+  console.log('');
+  console.log(`🔐 First admin login: admin / ${adminPassword}`);
+  console.log('   Store it safely; once the server has started you can remove ADMIN_PASSWORD from .env');
+}
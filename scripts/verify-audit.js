@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const AuditLog = require('../src/services/auditLog');
+
+const logFile = process.argv[2];
+const auditLog = new AuditLog(logFile ? { logFile } : {});
+
+console.log('🔏 Seren Capture Audit Log Verification');
+console.log('='.repeat(40));
+console.log(`📄 Log file: ${auditLog.logFile}`);
+
+auditLog.verify()
+  .then(result => {
+    if (result.valid) {
+      console.log(`✅ Chain intact: ${result.entries} entries`);
+      console.log(`   Head hash: ${result.headHash}`);
+      process.exit(0);
+    }
+
+    console.log(`❌ Chain broken at line ${result.brokenAt.line} (seq ${result.brokenAt.seq})`);
+    console.log(`   Reason: ${result.reason}`);
+    process.exit(1);
+  })
+  .catch(error => {
+    console.error('❌ Verification failed:', error.message);
+    process.exit(2);
+  });
@@ -8,6 +8,9 @@ class DemoEstateMateClient {
   constructor() {
     console.log('[Demo Mode] Using Demo EstateMate Client - no real API connection required');
     
+    // Visitor entries recorded in this process, by idempotency key
+    this.visitorEntries = new Map();
+
     // Demo residents database
     this.demoResidents = {
       '123456': {
@@ -62,7 +65,10 @@ class DemoEstateMateClient {
       const residentData = this.demoResidents[otp.trim()];
       
       if (!residentData) {
-        throw new Error('OTP not found or expired');
+        // Same as the API's 404
+        const error = new Error('OTP not found or expired');
+        error.status = 404;
+        throw error;
       }
 
       const response = {
@@ -78,6 +84,20 @@ class DemoEstateMateClient {
     }
   }
 
+  /**
+   * Record a visitor entry (Demo Mode)
+   * @param {Object} entry - Visitor entry
+   * @param {string} idempotencyKey - Entries are kept once per key
+   * @returns {Promise<Object>} { entryId }
+   */
+  async recordVisitorEntry(entry, idempotencyKey) {
+    if (!this.visitorEntries.has(idempotencyKey)) {
+      this.visitorEntries.set(idempotencyKey, { ...entry, entryId: `demo_entry_${uuidv4()}` });
+      console.log(`[Demo Mode] Recorded visitor entry for unit ${entry.unit_number}`);
+    }
+    return { entryId: this.visitorEntries.get(idempotencyKey).entryId };
+  }
+
   /**
    * Format resident information from API response
    * @param {Object} apiResponse - Raw API response
@@ -93,6 +113,7 @@ class DemoEstateMateClient {
       phone: data.phone || data.contact_number,
       email: data.email,
       visitorType: data.visitor_type || 'pedestrian',
+      validFrom: data.valid_from || data.starts_at,
       validUntil: data.valid_until || data.expires_at,
       status: data.status || 'active',
       createdAt: data.created_at || new Date().toISOString(),
@@ -1,19 +1,41 @@
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const CircuitBreaker = require('../utils/circuitBreaker');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a non-negative integer setting (0 is a valid value)
+ * @param {string} value - Setting value
+ * @param {number} fallback - Default
+ * @returns {number} Parsed value
+ */
+const parseSetting = (value, fallback) => {
+  const parsed = parseInt(value);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
 
 class EstateMateClient {
   constructor() {
     this.baseURL = process.env.ESTATE_MATE_API_URL || 'https://api.estatemate.com';
     this.apiKey = process.env.ESTATE_MATE_API_KEY;
-    this.timeout = 10000; // 10 seconds
+    this.timeout = parseSetting(process.env.ESTATE_MATE_TIMEOUT_MS, 10000); // Per attempt
+    this.maxRetries = parseSetting(process.env.ESTATE_MATE_MAX_RETRIES, 2);
+    this.retryBaseMs = parseSetting(process.env.ESTATE_MATE_RETRY_BASE_MS, 300);
+    this.healthInterval = parseSetting(process.env.ESTATE_MATE_HEALTH_INTERVAL_MS, 30000);
+    this.breaker = new CircuitBreaker({
+      failureThreshold: parseSetting(process.env.ESTATE_MATE_BREAKER_THRESHOLD, 5),
+      resetTimeout: parseSetting(process.env.ESTATE_MATE_BREAKER_RESET_MS, 30000)
+    });
+    this.health = { status: 'unknown', lastCheckedAt: null, lastError: null };
+    this.healthTimer = null;
     
     this.client = axios.create({
       baseURL: this.baseURL,
       timeout: this.timeout,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`,
-        'X-Request-ID': uuidv4()
+        'Authorization': `Bearer ${this.apiKey}`
       }
     });
 
@@ -52,10 +74,11 @@ class EstateMateClient {
         throw new Error('OTP is required and must be a non-empty string');
       }
 
-      const response = await this.client.post('/visitor/otp-search', {
+      // A lookup changes nothing in EstateMate, so it is safe to retry
+      const response = await this.request(config => this.client.post('/visitor/otp-search', {
         otp: otp.trim(),
         timestamp: new Date().toISOString()
-      });
+      }, config));
 
       return this.formatResidentInfo(response.data);
     } catch (error) {
@@ -64,14 +87,81 @@ class EstateMateClient {
     }
   }
 
+  /**
+   * Record a visitor entry (a completed capture session) in EstateMate
+   * @param {Object} entry - Visitor entry with mode, timestamps and image references
+   * @param {string} idempotencyKey - Same key on every retry, so EstateMate records the entry once
+   * @returns {Promise<Object>} { entryId } assigned by EstateMate
+   */
+  async recordVisitorEntry(entry, idempotencyKey) {
+    try {
+      const response = await this.request(config => this.client.post('/visitor/entries', entry, {
+        ...config,
+        headers: { ...config.headers, 'Idempotency-Key': idempotencyKey }
+      }));
+
+      const data = (response.data && response.data.data) || response.data || {};
+      return { entryId: data.entry_id || data.id || null };
+    } catch (error) {
+      console.error('Error recording visitor entry:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Make an API call through the circuit breaker, retrying transient failures with backoff
+   * @param {Function} send - Called with axios config ({ headers }) for each attempt
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(send) {
+    // Every attempt of one call carries the same request ID
+    const config = { headers: { 'X-Request-ID': uuidv4() } };
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.breaker.allowRequest()) {
+        const error = new Error('EstateMate API unavailable - too many recent failures, try again shortly');
+        error.code = 'CIRCUIT_OPEN';
+        error.status = 503;
+        throw error;
+      }
+
+      try {
+        const response = await send(config);
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (!error.retryable) {
+          // EstateMate answered; an unknown OTP says nothing about its health
+          this.breaker.recordSuccess();
+          throw error;
+        }
+
+        this.breaker.recordFailure();
+        if (attempt >= this.maxRetries) {
+          throw error;
+        }
+        // Exponential backoff with jitter so terminals don't retry in lockstep
+        const delay = this.retryBaseMs * 2 ** attempt;
+        await sleep(delay / 2 + Math.random() * delay / 2);
+      }
+    }
+  }
+
   /**
    * Format resident information from API response
    * @param {Object} apiResponse - Raw API response
    * @returns {Object} Formatted resident information
    */
   formatResidentInfo(apiResponse) {
-    const { data } = apiResponse;
-    
+    const data = apiResponse && typeof apiResponse === 'object' ? apiResponse.data : null;
+    if (!data || typeof data !== 'object' || !(data.resident_id || data.id)) {
+      // A cut-off or unexpected body - EstateMate answered, so this is not retried
+      const error = new Error('Malformed response from EstateMate API');
+      error.code = 'MALFORMED_RESPONSE';
+      error.status = 502;
+      throw error;
+    }
+
     return {
       id: data.resident_id || data.id,
       name: data.resident_name || data.name,
@@ -79,6 +169,7 @@ class EstateMateClient {
       phone: data.phone || data.contact_number,
       email: data.email,
       visitorType: data.visitor_type || 'pedestrian',
+      validFrom: data.valid_from || data.starts_at,
       validUntil: data.valid_until || data.expires_at,
       status: data.status || 'active',
       createdAt: data.created_at || new Date().toISOString(),
@@ -97,24 +188,41 @@ class EstateMateClient {
     if (error.response) {
       // Server responded with error status
       const { status, data } = error.response;
+      let formatted;
       
       switch (status) {
         case 400:
-          return new Error('Invalid OTP format or missing required data');
+          formatted = new Error('Invalid OTP format or missing required data');
+          break;
         case 401:
-          return new Error('Unauthorized access - check API credentials');
+          formatted = new Error('Unauthorized access - check API credentials');
+          break;
         case 404:
-          return new Error('OTP not found or expired');
+          formatted = new Error('OTP not found or expired');
+          break;
+        case 409:
+          formatted = new Error('Already recorded');
+          break;
         case 429:
-          return new Error('Too many requests - please try again later');
+          formatted = new Error('Too many requests - please try again later');
+          break;
         case 500:
-          return new Error('Server error - please try again later');
+          formatted = new Error('Server error - please try again later');
+          break;
         default:
-          return new Error(data?.message || `API error: ${status}`);
+          formatted = new Error(data?.message || `API error: ${status}`);
       }
+      // Callers such as the outbox decide on retries by status
+      formatted.status = status;
+      formatted.retryable = status >= 500 || status === 408 || status === 429;
+      return formatted;
     } else if (error.request) {
-      // Network error
-      return new Error('Network error - unable to connect to EstateMate API');
+      // Network error or timeout
+      const formatted = error.code === 'ECONNABORTED'
+        ? new Error(`EstateMate API timed out after ${this.timeout}ms`)
+        : new Error('Network error - unable to connect to EstateMate API');
+      formatted.retryable = true;
+      return formatted;
     } else {
       // Other error
       return new Error(error.message || 'Unknown error occurred');
@@ -151,12 +259,69 @@ class EstateMateClient {
   async testConnection() {
     try {
       await this.client.get('/health');
+      if (this.health.status === 'down') {
+        console.log('EstateMate API is reachable again');
+      }
+      this.health = { status: 'up', lastCheckedAt: new Date().toISOString(), lastError: null };
       return true;
     } catch (error) {
       console.error('EstateMate API connection test failed:', error.message);
+      this.health = { status: 'down', lastCheckedAt: new Date().toISOString(), lastError: error.message };
       return false;
     }
   }
+
+  /**
+   * Check EstateMate health and feed the result into the circuit breaker
+   * A successful probe closes an open circuit, so lookups recover without waiting for a trial call.
+   * @returns {Promise<Object>} Health
+   */
+  async probeHealth() {
+    if (await this.testConnection()) {
+      this.breaker.recordSuccess();
+    } else if (this.breaker.state !== 'open') {
+      this.breaker.recordFailure();
+    }
+    return this.getHealth();
+  }
+
+  /**
+   * Start probing EstateMate health in the background
+   */
+  startHealthProbe() {
+    if (this.healthTimer || this.healthInterval === 0) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => {
+      this.probeHealth().catch(error => {
+        console.error('EstateMate health probe failed:', error);
+      });
+    }, this.healthInterval);
+    // Don't keep the process alive just for the probe
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Stop probing EstateMate health
+   */
+  stopHealthProbe() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Get last known health and circuit state
+   * @returns {Object} { status, lastCheckedAt, lastError, circuit }
+   */
+  getHealth() {
+    return {
+      ...this.health,
+      circuit: this.breaker.getState()
+    };
+  }
 }
 
 module.exports = EstateMateClient;
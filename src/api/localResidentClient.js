@@ -0,0 +1,102 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Resident lookups served from the local resident directory
+ * Same interface as EstateMateClient, for estates that do not use EstateMate.
+ */
+class LocalResidentClient {
+  /**
+   * @param {ResidentDirectory} directory - Local residents and visitor invites
+   */
+  constructor(directory) {
+    this.directory = directory;
+    // Visitor entries recorded in this process, by idempotency key
+    this.visitorEntries = new Map();
+  }
+
+  /**
+   * Search for resident information using an invite OTP
+   * @param {string} otp - One-Time-PIN from a visitor invite
+   * @returns {Promise<Object>} Resident information
+   */
+  async searchByOTP(otp) {
+    if (!otp || typeof otp !== 'string' || otp.trim().length === 0) {
+      throw new Error('OTP is required and must be a non-empty string');
+    }
+
+    const match = await this.directory.findByOtp(otp);
+    if (!match) {
+      // Same as the API's 404
+      const error = new Error('OTP not found or expired');
+      error.status = 404;
+      throw error;
+    }
+
+    return this.formatResidentInfo(match);
+  }
+
+  /**
+   * Record a visitor entry
+   * Completed visits are already in the visit store, so there is nothing else to update.
+   * @param {Object} entry - Visitor entry
+   * @param {string} idempotencyKey - Entries are kept once per key
+   * @returns {Promise<Object>} { entryId }
+   */
+  async recordVisitorEntry(entry, idempotencyKey) {
+    if (!this.visitorEntries.has(idempotencyKey)) {
+      this.visitorEntries.set(idempotencyKey, `local_entry_${uuidv4()}`);
+    }
+    return { entryId: this.visitorEntries.get(idempotencyKey) };
+  }
+
+  /**
+   * Format a directory match like an EstateMate lookup
+   * A revoked invite reports its status, so the OTP policy refuses it as inactive.
+   * @param {Object} match - { invite, resident }
+   * @returns {Object} Formatted resident information
+   */
+  formatResidentInfo({ invite, resident }) {
+    return {
+      id: resident.id,
+      name: resident.name,
+      unitNumber: resident.unitNumber,
+      phone: resident.phone,
+      email: resident.email,
+      visitorType: invite.mode || 'pedestrian',
+      validFrom: invite.validFrom,
+      validUntil: invite.validUntil,
+      status: invite.status === 'active' ? resident.status : invite.status,
+      createdAt: invite.createdAt,
+      inviteId: invite.id,
+      visitorName: invite.visitorName,
+      allowedMode: invite.mode,
+      // Additional metadata
+      searchTimestamp: new Date().toISOString(),
+      otp: 'hidden'
+    };
+  }
+
+  /**
+   * Validate configuration
+   * @returns {boolean} Always true - the directory needs no configuration
+   */
+  validateConfig() {
+    return true;
+  }
+
+  /**
+   * Test connection
+   * @returns {Promise<boolean>} True if the directory can be read
+   */
+  async testConnection() {
+    try {
+      await this.directory.listResidents();
+      return true;
+    } catch (error) {
+      console.error('Local resident directory cannot be read:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = LocalResidentClient;
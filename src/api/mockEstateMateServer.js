@@ -0,0 +1,313 @@
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, '../config/estatemate-fixtures.json');
+const ROUTE_RULES = ['otpSearch', 'health', 'entries'];
+
+const STATUS_MESSAGES = {
+  400: 'Bad request',
+  401: 'Invalid API key',
+  404: 'OTP not found',
+  408: 'Request timeout',
+  409: 'Already recorded',
+  429: 'Rate limit exceeded',
+  500: 'Internal server error',
+  502: 'Bad gateway',
+  503: 'Service unavailable'
+};
+
+/**
+ * Local stand-in for the EstateMate API, for development and tests without the real service
+ *
+ * Serves POST /visitor/otp-search, POST /visitor/entries and GET /health from fixture
+ * residents. A scenario scripts how it misbehaves: added latency, error statuses, requests
+ * that never get an answer and malformed payloads, for all routes or per route
+ * (otpSearch, health, entries), optionally only for the first `times` requests. Unlike
+ * DemoEstateMateClient the real EstateMateClient talks to it over HTTP, so its retries,
+ * timeouts, circuit breaker and error mapping all run.
+ *
+ * Scenarios are switched at runtime through PUT /__mock/scenario, and the requests the
+ * server received are listed at GET /__mock/requests.
+ */
+class MockEstateMateServer {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {Object} [options.fixtures] - { residents, scenarios } (defaults to the file below)
+   * @param {string} [options.fixturesFile] - Fixtures JSON (defaults to MOCK_ESTATEMATE_FIXTURES or the bundled fixtures)
+   * @param {string|Object} [options.scenario] - Scenario name or rules (defaults to MOCK_ESTATEMATE_SCENARIO or 'ok')
+   * @param {string|null} [options.apiKey] - Bearer key callers must send, null to accept any (defaults to MOCK_ESTATEMATE_API_KEY)
+   */
+  constructor(options = {}) {
+    const fixtures = options.fixtures ||
+      fs.readJsonSync(options.fixturesFile || process.env.MOCK_ESTATEMATE_FIXTURES || DEFAULT_FIXTURES_FILE);
+
+    this.residents = fixtures.residents || {};
+    this.scenarios = { ok: {}, ...fixtures.scenarios };
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.MOCK_ESTATEMATE_API_KEY || null;
+    this.requests = [];
+    this.entries = new Map(); // Idempotency key => entry ID
+    this.timers = new Set();
+    this.server = null;
+
+    this.setScenario(options.scenario || process.env.MOCK_ESTATEMATE_SCENARIO || 'ok');
+    this.app = this.createApp();
+  }
+
+  /**
+   * Switch scenario - request counts for `times` start again from zero
+   * @param {string|Object} scenario - Scenario name from the fixtures, or inline rules
+   * @returns {Object} { name, rules }
+   */
+  setScenario(scenario) {
+    if (typeof scenario === 'string') {
+      if (!this.scenarios[scenario]) {
+        throw new Error(`Unknown scenario "${scenario}". Must be one of: ${Object.keys(this.scenarios).join(', ')}`);
+      }
+      this.scenario = { name: scenario, rules: this.scenarios[scenario] };
+    } else if (scenario && typeof scenario === 'object') {
+      this.scenario = { name: 'custom', rules: scenario };
+    } else {
+      throw new Error('Scenario must be a name or an object of rules');
+    }
+
+    this.hits = {};
+    console.log(`[Mock EstateMate] Scenario: ${this.scenario.name}`);
+    return this.scenario;
+  }
+
+  /**
+   * Get the rule for one request to a route
+   * Route rules override the scenario-wide ones; a rule with `times` stops applying once used up.
+   * @param {string} route - 'otpSearch', 'health' or 'entries'
+   * @returns {Object} { latencyMs, status, retryAfter, message, hang, malformed, times }
+   */
+  nextRule(route) {
+    const shared = { ...this.scenario.rules };
+    ROUTE_RULES.forEach(name => delete shared[name]);
+    const rule = { ...shared, ...this.scenario.rules[route] };
+
+    this.hits[route] = (this.hits[route] || 0) + 1;
+    return rule.times && this.hits[route] > rule.times ? {} : rule;
+  }
+
+  /**
+   * Wait without keeping the server from stopping
+   * @param {number} ms - Delay
+   */
+  delay(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, ms);
+      this.timers.add(timer);
+    });
+  }
+
+  /**
+   * Apply a scenario rule before the route answers
+   * @param {Object} rule - Rule from nextRule
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<boolean>} True if the rule already answered (or will never answer)
+   */
+  async applyRule(rule, req, res) {
+    if (rule.latencyMs) {
+      await this.delay(rule.latencyMs);
+    }
+    if (rule.hang) {
+      // Never answer; the caller's timeout or stop() ends the request
+      return true;
+    }
+    if (rule.status) {
+      this.sendError(res, rule.status, rule.message, rule.retryAfter);
+      return true;
+    }
+    if (this.apiKey && req.get('Authorization') !== `Bearer ${this.apiKey}`) {
+      this.sendError(res, 401);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Send an EstateMate-style error
+   * @param {Object} res - Express response
+   * @param {number} status - HTTP status
+   * @param {string} [message] - Error message
+   * @param {number} [retryAfter] - Seconds, sent as Retry-After on 429s
+   */
+  sendError(res, status, message, retryAfter) {
+    if (status === 429) {
+      res.set('Retry-After', String(retryAfter || 1));
+    }
+    res.status(status).json({
+      success: false,
+      message: message || STATUS_MESSAGES[status] || `Mock error ${status}`
+    });
+  }
+
+  /**
+   * Send a successful answer, garbled if the rule says so
+   * @param {Object} res - Express response
+   * @param {Object} rule - Rule from nextRule
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  send(res, rule, status, body) {
+    if (rule.malformed === 'empty') {
+      return res.status(status).json({});
+    }
+    if (rule.malformed) {
+      // Cut off mid-object, as a dropped connection behind a proxy would
+      const json = JSON.stringify(body);
+      return res.status(status).type('application/json').send(json.slice(0, Math.floor(json.length / 2)));
+    }
+    res.status(status).json(body);
+  }
+
+  /**
+   * Build the EstateMate lookup answer for a fixture resident
+   * `valid_from_in_ms` / `valid_until_in_ms` are relative to now, so fixtures never go stale.
+   * @param {string} otp - OTP
+   * @param {Object} fixture - Fixture resident
+   * @returns {Object} API resident data
+   */
+  toApiResident(otp, fixture) {
+    const { valid_from_in_ms: validFromIn, valid_until_in_ms: validUntilIn, ...data } = fixture;
+    const now = Date.now();
+
+    return {
+      created_at: new Date(now).toISOString(),
+      ...data,
+      ...(validFromIn !== undefined ? { valid_from: new Date(now + validFromIn).toISOString() } : {}),
+      ...(validUntilIn !== undefined ? { valid_until: new Date(now + validUntilIn).toISOString() } : {}),
+      otp
+    };
+  }
+
+  /**
+   * Build the express app
+   * @returns {Object} Express app
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    // Control routes - not recorded and not affected by the scenario
+    app.get('/__mock/scenario', (req, res) => {
+      res.json({ ...this.scenario, available: Object.keys(this.scenarios) });
+    });
+    app.put('/__mock/scenario', (req, res) => {
+      try {
+        const { name, rules } = req.body || {};
+        res.json(this.setScenario(name || rules));
+      } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+      }
+    });
+    app.get('/__mock/requests', (req, res) => {
+      res.json(this.requests);
+    });
+    app.delete('/__mock/requests', (req, res) => {
+      this.requests = [];
+      res.status(204).end();
+    });
+
+    app.use((req, res, next) => {
+      this.requests.push({
+        method: req.method,
+        path: req.path,
+        requestId: req.get('X-Request-ID') || null,
+        idempotencyKey: req.get('Idempotency-Key') || null,
+        body: req.body || null,
+        receivedAt: new Date().toISOString()
+      });
+      next();
+    });
+
+    app.get('/health', async (req, res) => {
+      const rule = this.nextRule('health');
+      if (await this.applyRule(rule, req, res)) {
+        return;
+      }
+      this.send(res, rule, 200, { status: 'ok', scenario: this.scenario.name });
+    });
+
+    app.post('/visitor/otp-search', async (req, res) => {
+      const rule = this.nextRule('otpSearch');
+      if (await this.applyRule(rule, req, res)) {
+        return;
+      }
+
+      const otp = String((req.body && req.body.otp) || '').trim();
+      if (!otp) {
+        return this.sendError(res, 400, 'otp is required');
+      }
+      const fixture = this.residents[otp];
+      if (!fixture) {
+        return this.sendError(res, 404);
+      }
+      this.send(res, rule, 200, { success: true, data: this.toApiResident(otp, fixture) });
+    });
+
+    app.post('/visitor/entries', async (req, res) => {
+      const rule = this.nextRule('entries');
+      if (await this.applyRule(rule, req, res)) {
+        return;
+      }
+
+      // Replays of a recorded entry get the same ID back
+      const key = req.get('Idempotency-Key') || uuidv4();
+      const replay = this.entries.has(key);
+      if (!replay) {
+        this.entries.set(key, `em_entry_${uuidv4()}`);
+      }
+      this.send(res, rule, replay ? 200 : 201, { success: true, data: { entry_id: this.entries.get(key) } });
+    });
+
+    app.use((req, res) => {
+      this.sendError(res, 404, `No mock for ${req.method} ${req.path}`);
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port] - Port, 0 for any free one (defaults to MOCK_ESTATEMATE_PORT or 4010)
+   * @returns {Promise<string>} Base URL, to use as ESTATE_MATE_API_URL
+   */
+  start(port = parseInt(process.env.MOCK_ESTATEMATE_PORT) || 4010) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        console.log(`[Mock EstateMate] Listening on ${this.url}`);
+        resolve(this.url);
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening and drop requests that are still waiting for an answer
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+}
+
+module.exports = MockEstateMateServer;
@@ -0,0 +1,56 @@
+const AuthService = require('../services/authService');
+
+// Shared by every router so tokens issued by /api/auth verify everywhere
+const authService = new AuthService();
+
+/**
+ * Require a valid operator token (Authorization: Bearer <token>)
+ * Event streams may pass it as ?access_token= instead, since EventSource cannot set headers.
+ * Sets req.operator to the authenticated operator
+ */
+const authenticate = (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  let [scheme, token] = header.split(' ');
+
+  if (!header && req.method === 'GET' && req.accepts('text/event-stream') === 'text/event-stream' && req.query.access_token) {
+    scheme = 'Bearer';
+    token = req.query.access_token;
+  }
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    req.operator = authService.verifyToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Require operator to hold at least the given role
+ * @param {string} minimumRole - 'resident', 'guard', 'supervisor' or 'admin'
+ */
+const requireRole = (minimumRole) => (req, res, next) => {
+  if (!req.operator || !authService.hasRole(req.operator.role, minimumRole)) {
+    return res.status(403).json({
+      success: false,
+      error: `Forbidden - ${minimumRole} role required`
+    });
+  }
+  next();
+};
+
+module.exports = {
+  authService,
+  authenticate,
+  requireRole
+};
@@ -0,0 +1,192 @@
+const { validateSchema, coerceValue } = require('../utils/schemaValidator');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Find an operation in an OpenAPI document
+ * @param {Object} spec - OpenAPI document
+ * @param {string} operationId - Operation ID
+ * @returns {Object|null} { path, method, operation } or null if unknown
+ */
+function findOperation(spec, operationId) {
+  for (const [path, pathItem] of Object.entries(spec.paths)) {
+    for (const method of METHODS) {
+      if (pathItem[method] && pathItem[method].operationId === operationId) {
+        return { path, method, operation: pathItem[method] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check path and query parameters
+ * @param {Object} spec - OpenAPI document
+ * @param {Array} parameters - Operation parameters
+ * @param {Object} req - Express request
+ * @returns {Array} Errors, each { in, field, message }
+ */
+function checkParameters(spec, parameters, req) {
+  const errors = [];
+  for (const parameter of parameters) {
+    const source = { path: req.params, query: req.query }[parameter.in];
+    if (!source) {
+      continue; // Headers are checked by the middleware that reads them
+    }
+
+    const raw = source[parameter.name];
+    if (raw === undefined) {
+      if (parameter.required) {
+        errors.push({ in: parameter.in, field: parameter.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const value = coerceValue(parameter.schema, raw, spec);
+    validateSchema(parameter.schema, value, { root: spec, path: parameter.name })
+      .forEach(error => errors.push({ in: parameter.in, ...error }));
+  }
+  return errors;
+}
+
+/**
+ * Check the request body against the media type it was sent as
+ * Multipart bodies are checked with the uploaded file (from multer) in its field.
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} requestBody - Operation requestBody
+ * @param {Object} req - Express request
+ * @returns {Array} Errors, each { in, field, message }
+ */
+function checkBody(spec, requestBody, req) {
+  const mediaTypes = Object.keys(requestBody.content);
+  // Clients often send a content type with an empty body on bodiless POSTs
+  const hasBody = Boolean(req.file) || (Boolean(req.is('*/*')) && req.get('Content-Length') !== '0');
+
+  if (!hasBody && !requestBody.required) {
+    return [];
+  }
+
+  const mediaType = hasBody ? mediaTypes.find(type => req.is(type)) : mediaTypes.find(type => type === 'application/json') || mediaTypes[0];
+  if (!mediaType) {
+    return [{ in: 'body', field: '', message: `must be sent as ${mediaTypes.join(' or ')}` }];
+  }
+
+  let value = req.body === undefined ? {} : req.body;
+  if (mediaType === 'multipart/form-data') {
+    value = { ...req.body, ...(req.file ? { [req.file.fieldname]: req.file } : {}) };
+  }
+
+  return validateSchema(requestBody.content[mediaType].schema, value, { root: spec })
+    .map(error => ({ in: 'body', ...error }));
+}
+
+/**
+ * Warn when a JSON response does not match what the spec documents for its status
+ * @param {Object} spec - OpenAPI document
+ * @param {string} operationId - Operation ID
+ * @param {Object} operation - Operation
+ * @param {Object} res - Express response
+ */
+function watchResponses(spec, operationId, operation, res) {
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    const response = operation.responses[res.statusCode];
+    if (!response) {
+      console.warn(`[OpenAPI] ${operationId} answered with undocumented status ${res.statusCode}`);
+    } else if (response.content && response.content['application/json']) {
+      const errors = validateSchema(response.content['application/json'].schema, body, { root: spec });
+      if (errors.length > 0) {
+        console.warn(`[OpenAPI] ${operationId} ${res.statusCode} response does not match the spec:`, errors);
+      }
+    }
+    return json(body);
+  };
+}
+
+/**
+ * Create request validation middleware for an OpenAPI document
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.validateResponses] - Warn about responses that do not match the spec
+ *   (defaults to OPENAPI_VALIDATE_RESPONSES=true)
+ * @returns {Function} validate(operationId) => middleware answering 422 VALIDATION_FAILED
+ */
+function createValidator(spec, options = {}) {
+  const validateResponses = options.validateResponses !== undefined
+    ? options.validateResponses
+    : process.env.OPENAPI_VALIDATE_RESPONSES === 'true';
+
+  return operationId => {
+    const found = findOperation(spec, operationId);
+    if (!found) {
+      throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+    }
+    const { operation } = found;
+
+    const middleware = (req, res, next) => {
+      const errors = [
+        ...checkParameters(spec, operation.parameters || [], req),
+        ...(operation.requestBody ? checkBody(spec, operation.requestBody, req) : [])
+      ];
+
+      if (errors.length > 0) {
+        return res.status(422).json({
+          success: false,
+          error: 'Request validation failed',
+          code: 'VALIDATION_FAILED',
+          details: errors
+        });
+      }
+
+      if (validateResponses) {
+        watchResponses(spec, operationId, operation, res);
+      }
+      next();
+    };
+    middleware.operationId = operationId;
+    return middleware;
+  };
+}
+
+/**
+ * Check that every route of a router is documented, and validated when it takes input
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} router - Express router
+ * @throws {Error} Listing the routes that are missing from the spec or not validated
+ */
+function assertRoutesDocumented(spec, router) {
+  const problems = [];
+
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      continue;
+    }
+    const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+
+    for (const method of Object.keys(layer.route.methods)) {
+      const operation = spec.paths[path] && spec.paths[path][method];
+      if (!operation) {
+        problems.push(`${method.toUpperCase()} ${path} is not documented`);
+        continue;
+      }
+
+      const takesInput = operation.requestBody ||
+        (operation.parameters || []).some(parameter => ['path', 'query'].includes(parameter.in));
+      const validated = layer.route.stack.some(handler => handler.handle.operationId === operation.operationId);
+      if (takesInput && !validated) {
+        problems.push(`${method.toUpperCase()} ${path} is not validated as ${operation.operationId}`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Routes do not match the OpenAPI spec:\n${problems.join('\n')}`);
+  }
+}
+
+module.exports = {
+  createValidator,
+  assertRoutesDocumented,
+  findOperation
+};
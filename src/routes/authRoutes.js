@@ -0,0 +1,82 @@
+const express = require('express');
+const { authService, authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Middleware for error handling
+const handleAsync = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Operator login
+router.post('/login', handleAsync(async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const result = await authService.login(username, password);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Current operator
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.operator
+  });
+});
+
+// List operators
+router.get('/operators', authenticate, requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: authService.listOperators()
+  });
+});
+
+// Create operator
+router.post('/operators', authenticate, requireRole('admin'), handleAsync(async (req, res) => {
+  try {
+    const operator = await authService.createOperator(req.body);
+    res.status(201).json({
+      success: true,
+      data: operator
+    });
+  } catch (error) {
+    console.error('Error creating operator:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Update operator (role, name, password, disabled)
+router.patch('/operators/:operatorId', authenticate, requireRole('admin'), handleAsync(async (req, res) => {
+  const { operatorId } = req.params;
+
+  try {
+    const operator = await authService.updateOperator(operatorId, req.body);
+    res.json({
+      success: true,
+      data: operator
+    });
+  } catch (error) {
+    console.error('Error updating operator:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+module.exports = router;
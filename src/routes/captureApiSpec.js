@@ -0,0 +1,1237 @@
+const { SESSION_STATES } = require('../services/sessionStateMachine');
+
+/**
+ * OpenAPI 3.1 description of the /api/capture routes
+ *
+ * The document is built from the capture registry, so the mode enum and the
+ * /session/{sessionId}/capture/{captureType} routes match what the server offers. Route
+ * handlers validate their requests against it (see middleware/validate.js) and it is
+ * served at GET /api/capture/openapi.json for generating terminal clients.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+const nonEmpty = { type: 'string', minLength: 1 };
+
+const envelope = data => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    data
+  }
+});
+
+const ok = (description, data) => ({
+  description,
+  content: { 'application/json': { schema: envelope(data) } }
+});
+
+const failure = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: nonEmpty
+});
+
+const queryParam = (name, schema, description) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema
+});
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+/**
+ * Operation ID of a capture type's upload route, e.g. capturePerson
+ * @param {string} captureType - Capture type ID
+ * @returns {string} Operation ID
+ */
+const captureOperationId = captureType => `capture${captureType.charAt(0).toUpperCase()}${captureType.slice(1)}`;
+
+// Roles a capture slot accepts; a registry without the slot leaves the role unchecked
+const roleSchema = (registry, captureType) => {
+  const roles = registry.getRoles(captureType);
+  return roles.length > 0
+    ? { type: 'string', enum: roles, description: 'Defaults to the slot\'s first role' }
+    : { type: 'string' };
+};
+
+const TERMINAL_HEADERS = [
+  {
+    name: 'X-Terminal-Key',
+    in: 'header',
+    required: false,
+    description: 'Registered terminal key (<terminalId>.<secret>); required when TERMINAL_REQUIRED=true',
+    schema: { type: 'string' }
+  },
+  {
+    name: 'X-Gate-Id',
+    in: 'header',
+    required: false,
+    description: 'Gate of a request without a terminal key',
+    schema: { type: 'string' }
+  }
+];
+
+// Time filters take a date-time or a bare date
+const timeFilter = { type: 'string', anyOf: [{ format: 'date-time' }, { format: 'date' }] };
+
+const VISIT_FILTERS = [
+  queryParam('from', timeFilter, 'Visits created at or after this time'),
+  queryParam('to', timeFilter, 'Visits created before this time'),
+  queryParam('unitNumber', { type: 'string' }, 'Resident unit number'),
+  queryParam('residentId', { type: 'string' }, 'Resident ID'),
+  queryParam('mode', { type: 'string' }, 'Capture mode'),
+  queryParam('captureType', { type: 'string' }, 'Visits that include this capture type'),
+  queryParam('status', { type: 'string', enum: ['completed', 'cancelled', 'expired', 'failed'] }, 'Session status'),
+  queryParam('gateId', { type: 'string' }, 'Gate the session ran at'),
+  queryParam('terminalId', { type: 'string' }, 'Terminal the session was started from'),
+  queryParam('sort', { type: 'string', enum: ['createdAt', 'completedAt'] }, 'Sort field (default createdAt)'),
+  queryParam('order', { type: 'string', enum: ['asc', 'desc'] }, 'Sort order (default desc)'),
+  queryParam('limit', { type: 'integer', minimum: 1 }, 'Page size (default 50, at most 200)'),
+  queryParam('cursor', { type: 'string' }, 'nextCursor of the previous page')
+];
+
+/**
+ * Shared schemas
+ * @param {CaptureRegistry} registry - Modes and capture types
+ * @returns {Object} Schema name => schema
+ */
+function buildSchemas(registry) {
+  return {
+    Error: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        code: { type: 'string' }
+      }
+    },
+    ValidationError: {
+      type: 'object',
+      required: ['success', 'error', 'code', 'details'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        code: { type: 'string', enum: ['VALIDATION_FAILED'] },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['in', 'field', 'message'],
+            properties: {
+              in: { type: 'string', enum: ['path', 'query', 'body'] },
+              field: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    ResidentInfo: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: ['string', 'number'] },
+        name: nullable('string'),
+        unitNumber: nullable('string'),
+        phone: nullable('string'),
+        email: nullable('string'),
+        visitorType: { type: 'string' },
+        validFrom: nullable('string'),
+        validUntil: nullable('string'),
+        status: { type: 'string' },
+        allowedMode: nullable('string')
+      }
+    },
+    SessionStatus: { type: 'string', enum: SESSION_STATES },
+    CapturedImage: {
+      type: 'object',
+      required: ['imageId'],
+      properties: {
+        imageId: { type: 'string' },
+        role: { type: 'string' },
+        filename: { type: 'string' },
+        timestamp: { type: 'string' },
+        fileSize: { type: 'integer' },
+        operatorId: nullable('string'),
+        plate: { type: 'object' },
+        document: { type: 'object' },
+        supersededAt: { type: 'string' },
+        supersededBy: { type: 'string' }
+      }
+    },
+    Captures: {
+      type: 'object',
+      description: 'Capture type => images in its slot',
+      additionalProperties: { type: 'array', items: ref('CapturedImage') }
+    },
+    MissingRoles: {
+      type: 'array',
+      description: 'Required roles still to capture, in capture order',
+      items: {
+        type: 'object',
+        required: ['captureType', 'role'],
+        properties: { captureType: { type: 'string' }, role: { type: 'string' } }
+      }
+    },
+    SessionStart: {
+      type: 'object',
+      required: ['sessionId', 'residentInfo', 'status', 'sessionStatus'],
+      properties: {
+        sessionId: { type: 'string' },
+        residentInfo: ref('ResidentInfo'),
+        otpUse: {
+          type: 'object',
+          properties: {
+            policy: { type: 'string', enum: ['single', 'window', 'max'] },
+            entries: { type: 'integer' },
+            remaining: nullable('integer')
+          }
+        },
+        status: { type: 'string', enum: ['ready_for_mode_selection'] },
+        sessionStatus: ref('SessionStatus')
+      }
+    },
+    ModeSelection: {
+      type: 'object',
+      required: ['sessionId', 'mode', 'availableCaptures', 'captureRoles', 'missingRoles'],
+      properties: {
+        sessionId: { type: 'string' },
+        mode: { type: 'string', enum: registry.listModes() },
+        status: { type: 'string', enum: ['ready_for_capture'] },
+        sessionStatus: ref('SessionStatus'),
+        availableCaptures: { type: 'array', items: { type: 'string' } },
+        captureRoles: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+        missingRoles: ref('MissingRoles')
+      }
+    },
+    CaptureResult: {
+      type: 'object',
+      required: ['captureType', 'imageId', 'role', 'sessionComplete', 'missingRoles'],
+      properties: {
+        captureType: { type: 'string' },
+        imageId: { type: 'string' },
+        role: { type: 'string' },
+        supersedes: nullable('string'),
+        plateRecognition: nullable('object'),
+        documentBarcode: nullable('object'),
+        quality: nullable('object'),
+        documentNormalization: nullable('object'),
+        sessionComplete: { type: 'boolean' },
+        sessionStatus: ref('SessionStatus'),
+        missingRoles: ref('MissingRoles'),
+        nextAction: { type: 'string' }
+      }
+    },
+    SessionSummary: {
+      type: 'object',
+      required: ['sessionId', 'mode', 'completedAt', 'totalCaptures'],
+      properties: {
+        sessionId: { type: 'string' },
+        residentInfo: ref('ResidentInfo'),
+        mode: { type: 'string' },
+        captures: ref('Captures'),
+        operatorId: nullable('string'),
+        completedBy: nullable('string'),
+        createdAt: { type: 'string' },
+        completedAt: { type: 'string' },
+        totalCaptures: { type: 'integer' }
+      }
+    },
+    SessionCancellation: {
+      type: 'object',
+      required: ['sessionId', 'status', 'cancelledAt'],
+      properties: {
+        sessionId: { type: 'string' },
+        status: ref('SessionStatus'),
+        cancelledAt: { type: 'string' },
+        reason: nullable('string'),
+        images: { type: 'object' },
+        otpReleased: { type: 'boolean' }
+      }
+    },
+    SessionDetails: {
+      type: 'object',
+      required: ['sessionId', 'status', 'captures'],
+      properties: {
+        sessionId: { type: 'string' },
+        status: ref('SessionStatus'),
+        statusChangedAt: nullable('string'),
+        history: { type: 'array', items: { type: 'object' } },
+        mode: nullable('string'),
+        residentInfo: ref('ResidentInfo'),
+        captures: ref('Captures'),
+        missingRoles: ref('MissingRoles'),
+        operatorId: nullable('string'),
+        terminalId: nullable('string'),
+        gateId: nullable('string'),
+        lane: nullable('string'),
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' }
+      }
+    },
+    OnSiteVisit: {
+      type: 'object',
+      required: ['visitId', 'enteredAt', 'durationMs', 'overstayed'],
+      properties: {
+        visitId: { type: 'string' },
+        residentInfo: { type: 'object' },
+        mode: { type: 'string' },
+        gateId: nullable('string'),
+        terminalId: nullable('string'),
+        plates: { type: 'array', items: { type: 'string' } },
+        enteredAt: { type: 'string' },
+        durationMs: { type: 'integer' },
+        stayLimitMs: { type: 'integer' },
+        overstayed: { type: 'boolean' },
+        overstayedByMs: { type: 'integer' }
+      }
+    },
+    CheckOut: {
+      type: 'object',
+      required: ['visitId', 'exitedAt', 'durationMs', 'overstayed'],
+      properties: {
+        visitId: { type: 'string' },
+        residentInfo: { type: 'object' },
+        enteredAt: { type: 'string' },
+        exitedAt: { type: 'string' },
+        durationMs: { type: 'integer' },
+        stayLimitMs: { type: 'integer' },
+        overstayed: { type: 'boolean' },
+        exitImage: nullable('object')
+      }
+    },
+    Visit: {
+      type: 'object',
+      required: ['id', 'status'],
+      properties: {
+        id: { type: 'string' },
+        sessionId: { type: 'string' },
+        status: ref('SessionStatus'),
+        mode: nullable('string'),
+        residentInfo: { type: 'object' },
+        gateId: nullable('string'),
+        terminalId: nullable('string'),
+        createdAt: { type: 'string' },
+        completedAt: nullable('string'),
+        exitedAt: nullable('string'),
+        plates: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    VisitPage: {
+      type: 'object',
+      required: ['visits', 'nextCursor', 'hasMore'],
+      properties: {
+        visits: { type: 'array', items: ref('Visit') },
+        nextCursor: nullable('string'),
+        hasMore: { type: 'boolean' }
+      }
+    },
+    Terminal: {
+      type: 'object',
+      required: ['id', 'name', 'gateId', 'disabled'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        gateId: { type: 'string' },
+        gateType: nullable('string'),
+        lane: nullable('string'),
+        disabled: { type: 'boolean' },
+        registeredAt: { type: 'string' },
+        lastSeenAt: nullable('string')
+      }
+    },
+    Resident: {
+      type: 'object',
+      required: ['id', 'name', 'unitNumber', 'status'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        unitNumber: { type: 'string' },
+        phone: nullable('string'),
+        email: nullable('string'),
+        status: { type: 'string', enum: ['active', 'inactive'] },
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' }
+      }
+    },
+    ResidentChanges: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        name: nonEmpty,
+        unitNumber: nonEmpty,
+        phone: nullable('string'),
+        email: nullable('string'),
+        status: { type: 'string', enum: ['active', 'inactive'] }
+      }
+    },
+    Invite: {
+      type: 'object',
+      required: ['id', 'residentId', 'validFrom', 'validUntil', 'status'],
+      properties: {
+        id: { type: 'string' },
+        residentId: { type: 'string' },
+        visitorName: nullable('string'),
+        mode: nullable('string'),
+        validFrom: { type: 'string' },
+        validUntil: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'revoked'] },
+        createdBy: nullable('string'),
+        createdAt: { type: 'string' },
+        revokedAt: nullable('string')
+      }
+    },
+    ImageSummary: {
+      type: 'object',
+      required: ['id', 'captureType'],
+      properties: {
+        id: { type: 'string' },
+        captureType: { type: 'string' },
+        timestamp: { type: 'string' },
+        fileSize: { type: 'integer' },
+        filename: { type: 'string' },
+        operatorId: nullable('string')
+      }
+    }
+  };
+}
+
+/**
+ * Paths of the capture session routes, one capture route per capture type
+ * @param {CaptureRegistry} registry - Modes and capture types
+ * @returns {Object} Paths
+ */
+function buildSessionPaths(registry) {
+  const paths = {
+    '/session/start': {
+      post: {
+        operationId: 'startSession',
+        summary: 'Look up an OTP and start a capture session',
+        tags: ['Sessions'],
+        'x-required-role': 'guard',
+        parameters: TERMINAL_HEADERS,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['otp'],
+          properties: { otp: { ...nonEmpty, description: 'One-Time-PIN from the visitor' } }
+        }),
+        responses: {
+          200: ok('Session started', ref('SessionStart')),
+          400: failure('OTP not found or EstateMate error'),
+          403: failure('OTP expired, not yet valid, inactive or used up (code OTP_*)'),
+          429: failure('Too many failed lookups from this terminal, IP or OTP prefix (code OTP_LOCKED_OUT)')
+        }
+      }
+    },
+    '/session/{sessionId}/mode': {
+      post: {
+        operationId: 'setCaptureMode',
+        summary: 'Select the capture mode',
+        tags: ['Sessions'],
+        'x-required-role': 'guard',
+        parameters: [pathParam('sessionId', 'Capture session ID'), ...TERMINAL_HEADERS],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['mode'],
+          properties: { mode: { type: 'string', enum: registry.listModes() } }
+        }),
+        responses: {
+          200: ok('Mode selected', ref('ModeSelection')),
+          400: failure('Unknown session or a mode the OTP does not allow'),
+          409: failure('The session can no longer change mode (code INVALID_SESSION_TRANSITION) or was changed by another request (code SESSION_CONFLICT)')
+        }
+      }
+    },
+    '/registry': {
+      get: {
+        operationId: 'getRegistry',
+        summary: 'Modes and capture types the terminal can offer',
+        tags: ['Sessions'],
+        'x-required-role': 'guard',
+        responses: {
+          200: ok('Capture registry', { type: 'object', required: ['modes', 'captureTypes'] })
+        }
+      }
+    }
+  };
+
+  for (const captureType of registry.listSessionCaptureTypes()) {
+    paths[`/session/{sessionId}/capture/${captureType}`] = {
+      post: {
+        operationId: captureOperationId(captureType),
+        summary: `Upload a ${captureType} image`,
+        tags: ['Sessions'],
+        'x-required-role': 'guard',
+        parameters: [pathParam('sessionId', 'Capture session ID'), ...TERMINAL_HEADERS],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['image'],
+                properties: {
+                  image: { type: 'string', format: 'binary', contentMediaType: 'image/*' },
+                  role: roleSchema(registry, captureType)
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Image stored', ref('CaptureResult')),
+          400: failure('Unknown session or a capture type the mode does not offer'),
+          409: failure('The session no longer takes captures (code INVALID_SESSION_TRANSITION) or was changed by another request (code SESSION_CONFLICT)'),
+          422: failure('Request validation failed (code VALIDATION_FAILED) or poor image quality (code IMAGE_QUALITY_REJECTED, with retakeReasons)')
+        }
+      }
+    };
+  }
+
+  Object.assign(paths, {
+    '/session/{sessionId}/complete': {
+      post: {
+        operationId: 'completeSession',
+        summary: 'Complete a session and record the visit',
+        tags: ['Sessions'],
+        'x-required-role': 'guard',
+        parameters: [pathParam('sessionId', 'Capture session ID'), ...TERMINAL_HEADERS],
+        responses: {
+          200: ok('Visit recorded', ref('SessionSummary')),
+          400: failure('Unknown session or required roles still missing'),
+          409: failure('The session was changed by another request (code SESSION_CONFLICT)')
+        }
+      }
+    },
+    '/session/{sessionId}/cancel': {
+      post: {
+        operationId: 'cancelSession',
+        summary: 'Cancel a session, e.g. after a mistaken OTP entry',
+        tags: ['Sessions'],
+        'x-required-role': 'guard',
+        parameters: [pathParam('sessionId', 'Capture session ID'), ...TERMINAL_HEADERS],
+        requestBody: jsonBody({ type: 'object', properties: { reason: { type: 'string' } } }, false),
+        responses: {
+          200: ok('Session cancelled', ref('SessionCancellation')),
+          400: failure('Unknown session'),
+          409: failure('The session has already ended (code INVALID_SESSION_TRANSITION) or was changed by another request (code SESSION_CONFLICT)')
+        }
+      }
+    },
+    '/session/{sessionId}/status': {
+      get: {
+        operationId: 'getSessionStatus',
+        summary: 'Get an open session',
+        tags: ['Sessions'],
+        'x-required-role': 'guard',
+        parameters: [pathParam('sessionId', 'Capture session ID'), ...TERMINAL_HEADERS],
+        responses: {
+          200: ok('Session', ref('SessionDetails')),
+          404: failure('Session not found')
+        }
+      }
+    }
+  });
+
+  return paths;
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {CaptureRegistry} registry - Modes and capture types
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildCaptureApiSpec(registry) {
+  const spec = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Seren Capture API',
+      version: '1.0.0',
+      description: 'Visitor image capture for residential access control. Requests that do not match this document are rejected with 422 and code VALIDATION_FAILED.'
+    },
+    servers: [{ url: '/api/capture' }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Operator token from POST /api/auth/login' }
+      },
+      schemas: buildSchemas(registry)
+    },
+    security: [{ bearerAuth: [] }],
+    paths: {
+      '/health': {
+        get: {
+          operationId: 'getHealth',
+          summary: 'Service status, EstateMate health and per-gate activity',
+          tags: ['Monitoring'],
+          security: [],
+          responses: {
+            200: {
+              description: 'Service status',
+              content: { 'application/json': { schema: { type: 'object', required: ['status', 'service'] } } }
+            }
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          operationId: 'getApiSpec',
+          summary: 'This document',
+          tags: ['Monitoring'],
+          security: [],
+          responses: {
+            200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object', required: ['openapi', 'paths'] } } } }
+          }
+        }
+      },
+      ...buildSessionPaths(registry),
+      '/exit/lookup': {
+        post: {
+          operationId: 'lookupExit',
+          summary: 'Find the on-site visit a leaving visitor belongs to',
+          tags: ['Exit'],
+          'x-required-role': 'guard',
+          parameters: TERMINAL_HEADERS,
+          requestBody: jsonBody({
+            type: 'object',
+            description: 'Exactly one of otp, plate or reference',
+            minProperties: 1,
+            maxProperties: 1,
+            additionalProperties: false,
+            properties: {
+              otp: nonEmpty,
+              plate: nonEmpty,
+              reference: { ...nonEmpty, description: 'Visit (entry session) ID' }
+            }
+          }),
+          responses: {
+            200: ok('Matching visits, most recent entry first', { type: 'array', items: ref('OnSiteVisit') }),
+            404: failure('No visit on site matches'),
+            429: failure('Too many failed OTP lookups (code OTP_LOCKED_OUT)')
+          }
+        }
+      },
+      '/visits/{visitId}/checkout': {
+        post: {
+          operationId: 'checkOutVisit',
+          summary: 'Check a visit out at an exit gate',
+          tags: ['Exit'],
+          'x-required-role': 'guard',
+          parameters: [pathParam('visitId', 'Visit (entry session) ID'), ...TERMINAL_HEADERS],
+          requestBody: {
+            required: false,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    image: { type: 'string', format: 'binary', contentMediaType: 'image/*' },
+                    role: registry.exitCaptureType ? roleSchema(registry, registry.exitCaptureType) : { type: 'string' }
+                  }
+                }
+              },
+              'application/json': { schema: { type: 'object' } }
+            }
+          },
+          responses: {
+            200: ok('Visit checked out', ref('CheckOut')),
+            400: failure('Unknown visit or already checked out')
+          }
+        }
+      },
+      '/onsite': {
+        get: {
+          operationId: 'listOnSite',
+          summary: 'Everyone on site now, longest stay first',
+          tags: ['Exit'],
+          'x-required-role': 'guard',
+          parameters: [
+            queryParam('gateId', { type: 'string' }, 'Visits that entered at this gate'),
+            queryParam('overstayed', { type: 'boolean' }, 'Only visits past their stay limit')
+          ],
+          responses: {
+            200: ok('On-site register', {
+              type: 'object',
+              required: ['count', 'overstayed', 'visits'],
+              properties: {
+                count: { type: 'integer' },
+                overstayed: { type: 'integer' },
+                visits: { type: 'array', items: ref('OnSiteVisit') }
+              }
+            })
+          }
+        }
+      },
+      '/events': {
+        get: {
+          operationId: 'streamEvents',
+          summary: 'Live session events (Server-Sent Events)',
+          tags: ['Monitoring'],
+          'x-required-role': 'supervisor',
+          parameters: [
+            queryParam('gateId', { type: 'string' }, 'Only events at this gate'),
+            queryParam('sessionId', { type: 'string' }, 'Only events of this session'),
+            queryParam('types', { type: 'string' }, 'Comma-separated event types'),
+            queryParam('access_token', { type: 'string' }, 'Operator token, for EventSource clients that cannot set headers'),
+            { name: 'Last-Event-ID', in: 'header', required: false, description: 'Replay events after this ID', schema: { type: 'string' } }
+          ],
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+          }
+        }
+      },
+      '/visits': {
+        get: {
+          operationId: 'queryVisits',
+          summary: 'Query visit history',
+          tags: ['Visits'],
+          'x-required-role': 'supervisor',
+          parameters: [...VISIT_FILTERS, queryParam('plate', { type: 'string' }, 'Recognized number plate')],
+          responses: {
+            200: ok('Page of visits', ref('VisitPage')),
+            400: failure('Invalid cursor')
+          }
+        }
+      },
+      '/visits/plate/{plate}': {
+        get: {
+          operationId: 'findVisitsByPlate',
+          summary: 'Find visits by recognized number plate',
+          tags: ['Visits'],
+          'x-required-role': 'supervisor',
+          parameters: [pathParam('plate', 'Number plate (spacing and case are ignored)'), ...VISIT_FILTERS],
+          responses: {
+            200: ok('Page of visits', ref('VisitPage')),
+            400: failure('Invalid cursor')
+          }
+        }
+      },
+      '/visits/{visitId}': {
+        get: {
+          operationId: 'getVisit',
+          summary: 'Get a visit',
+          tags: ['Visits'],
+          'x-required-role': 'supervisor',
+          parameters: [pathParam('visitId', 'Visit (session) ID')],
+          responses: {
+            200: ok('Visit', ref('Visit')),
+            404: failure('Visit not found')
+          }
+        }
+      },
+      '/image/{imageId}': {
+        get: {
+          operationId: 'getImage',
+          summary: 'Retrieve a captured image',
+          tags: ['Images'],
+          'x-required-role': 'supervisor',
+          parameters: [pathParam('imageId', 'Image ID')],
+          responses: {
+            200: { description: 'Decrypted image', content: { 'image/jpeg': { schema: { type: 'string', format: 'binary' } } } },
+            404: failure('Image not found or shredded')
+          }
+        }
+      },
+      '/image/{imageId}/original': {
+        get: {
+          operationId: 'getOriginalImage',
+          summary: 'Retrieve the untouched upload of a normalized document',
+          tags: ['Images'],
+          'x-required-role': 'supervisor',
+          parameters: [pathParam('imageId', 'Image ID')],
+          responses: {
+            200: { description: 'Original upload', content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } },
+            404: failure('Image or original not found')
+          }
+        }
+      },
+      '/image/{imageId}/shred': {
+        post: {
+          operationId: 'shredImage',
+          summary: 'Crypto-shred an image',
+          tags: ['Images'],
+          'x-required-role': 'admin',
+          parameters: [pathParam('imageId', 'Image ID')],
+          requestBody: jsonBody({ type: 'object', properties: { reason: { type: 'string' } } }, false),
+          responses: {
+            200: ok('Image shredded', {
+              type: 'object',
+              required: ['imageId', 'shreddedAt'],
+              properties: { imageId: { type: 'string' }, shreddedAt: { type: 'string' } }
+            }),
+            400: failure('Image not found')
+          }
+        }
+      },
+      '/resident/{residentId}/images': {
+        get: {
+          operationId: 'listResidentImages',
+          summary: 'Images captured for a resident\'s visitors',
+          tags: ['Images'],
+          'x-required-role': 'supervisor',
+          parameters: [pathParam('residentId', 'Resident ID')],
+          responses: {
+            200: ok('Images', {
+              type: 'object',
+              required: ['residentId', 'images'],
+              properties: { residentId: { type: 'string' }, images: { type: 'array', items: ref('ImageSummary') } }
+            })
+          }
+        }
+      },
+      '/storage/stats': {
+        get: {
+          operationId: 'getStorageStats',
+          summary: 'Image storage statistics',
+          tags: ['Images'],
+          'x-required-role': 'supervisor',
+          responses: {
+            200: ok('Storage statistics', { type: 'object' })
+          }
+        }
+      },
+      '/cleanup': {
+        post: {
+          operationId: 'cleanupSessions',
+          summary: 'Expire open sessions older than SESSION_TIMEOUT',
+          tags: ['Sessions'],
+          'x-required-role': 'admin',
+          responses: {
+            200: ok('Sessions expired', {
+              type: 'object',
+              required: ['cleanedSessions', 'timestamp'],
+              properties: { cleanedSessions: { type: 'integer' }, timestamp: { type: 'string' } }
+            })
+          }
+        }
+      },
+      '/audit': {
+        get: {
+          operationId: 'queryAudit',
+          summary: 'Query the audit log, newest first',
+          tags: ['Audit'],
+          'x-required-role': 'admin',
+          parameters: [
+            queryParam('action', { type: 'string' }, 'e.g. image.retrieved'),
+            queryParam('actor', { type: 'string' }, 'Operator ID'),
+            queryParam('sessionId', { type: 'string' }, 'Session ID'),
+            queryParam('imageId', { type: 'string' }, 'Image ID'),
+            queryParam('from', timeFilter, 'Entries at or after this time'),
+            queryParam('to', timeFilter, 'Entries at or before this time'),
+            queryParam('limit', { type: 'integer', minimum: 1 }, 'Page size (default 100, at most 1000)'),
+            queryParam('offset', { type: 'integer', minimum: 0 }, 'Entries to skip')
+          ],
+          responses: {
+            200: ok('Audit entries', {
+              type: 'object',
+              required: ['total', 'entries'],
+              properties: { total: { type: 'integer' }, entries: { type: 'array', items: { type: 'object' } } }
+            })
+          }
+        }
+      },
+      '/audit/verify': {
+        get: {
+          operationId: 'verifyAuditLog',
+          summary: 'Verify the audit log hash chain',
+          tags: ['Audit'],
+          'x-required-role': 'admin',
+          responses: {
+            200: ok('Verification result', { type: 'object', required: ['valid'], properties: { valid: { type: 'boolean' } } })
+          }
+        }
+      },
+      '/retention/policy': {
+        get: {
+          operationId: 'getRetentionPolicy',
+          summary: 'Retention rules per capture type',
+          tags: ['Retention'],
+          'x-required-role': 'admin',
+          responses: {
+            200: ok('Retention policy', { type: 'object' })
+          }
+        }
+      },
+      '/retention/run': {
+        post: {
+          operationId: 'runRetentionPurge',
+          summary: 'Purge expired images now',
+          tags: ['Retention'],
+          'x-required-role': 'admin',
+          requestBody: jsonBody({
+            type: 'object',
+            properties: { dryRun: { type: ['boolean', 'string'], enum: [true, false, 'true', 'false'] } }
+          }, false),
+          responses: {
+            200: ok('Run summary', { type: 'object' }),
+            409: failure('A purge is already running')
+          }
+        }
+      },
+      '/retention/runs': {
+        get: {
+          operationId: 'listRetentionRuns',
+          summary: 'Recent retention purge runs',
+          tags: ['Retention'],
+          'x-required-role': 'admin',
+          parameters: [queryParam('limit', { type: 'integer', minimum: 1 }, 'Runs to return (default 20)')],
+          responses: {
+            200: ok('Runs, newest first', { type: 'array', items: { type: 'object' } })
+          }
+        }
+      },
+      '/security/lockouts': {
+        get: {
+          operationId: 'listLockouts',
+          summary: 'Terminals, IPs and OTP prefixes locked out after failed lookups',
+          tags: ['Security'],
+          'x-required-role': 'admin',
+          responses: {
+            200: ok('Active lockouts', {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['key', 'lockedUntil'],
+                properties: { key: { type: 'string' }, lockedUntil: { type: 'string' }, lockouts: { type: 'integer' } }
+              }
+            })
+          }
+        }
+      },
+      '/security/lockouts/{key}': {
+        delete: {
+          operationId: 'clearLockout',
+          summary: 'Lift a lockout',
+          tags: ['Security'],
+          'x-required-role': 'admin',
+          parameters: [pathParam('key', 'Source key, e.g. ip:10.0.0.5')],
+          responses: {
+            200: ok('Lockout lifted', { type: 'object', required: ['key', 'cleared'] }),
+            404: failure('Unknown lockout source')
+          }
+        }
+      },
+      '/terminals': {
+        get: {
+          operationId: 'listTerminals',
+          summary: 'Registered gate terminals',
+          tags: ['Terminals'],
+          'x-required-role': 'supervisor',
+          parameters: [queryParam('gateId', { type: 'string' }, 'Only terminals at this gate')],
+          responses: {
+            200: ok('Terminals', { type: 'array', items: ref('Terminal') })
+          }
+        },
+        post: {
+          operationId: 'registerTerminal',
+          summary: 'Register a terminal - its key is returned only once',
+          tags: ['Terminals'],
+          'x-required-role': 'admin',
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['name', 'gateId'],
+            properties: {
+              name: nonEmpty,
+              gateId: nonEmpty,
+              gateType: nullable('string'),
+              lane: nullable('string')
+            }
+          }),
+          responses: {
+            201: ok('Terminal registered', {
+              type: 'object',
+              required: ['terminal', 'key'],
+              properties: { terminal: ref('Terminal'), key: { type: 'string' } }
+            }),
+            400: failure('Invalid terminal details')
+          }
+        }
+      },
+      '/terminals/{terminalId}': {
+        patch: {
+          operationId: 'updateTerminal',
+          summary: 'Update or disable a terminal',
+          tags: ['Terminals'],
+          'x-required-role': 'admin',
+          parameters: [pathParam('terminalId', 'Terminal ID')],
+          requestBody: jsonBody({
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              name: nonEmpty,
+              gateId: nonEmpty,
+              gateType: nullable('string'),
+              lane: nullable('string'),
+              disabled: { type: 'boolean' }
+            }
+          }),
+          responses: {
+            200: ok('Terminal', ref('Terminal')),
+            400: failure('Unknown terminal')
+          }
+        }
+      },
+      '/residents': {
+        get: {
+          operationId: 'listResidents',
+          summary: 'Residents of the local directory, by unit',
+          tags: ['Residents'],
+          'x-required-role': 'supervisor',
+          parameters: [
+            queryParam('unitNumber', { type: 'string' }, 'Unit number'),
+            queryParam('status', { type: 'string', enum: ['active', 'inactive'] }, 'Resident status')
+          ],
+          responses: {
+            200: ok('Residents', { type: 'array', items: ref('Resident') })
+          }
+        },
+        post: {
+          operationId: 'createResident',
+          summary: 'Create a resident',
+          tags: ['Residents'],
+          'x-required-role': 'admin',
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['name', 'unitNumber'],
+            properties: {
+              name: nonEmpty,
+              unitNumber: nonEmpty,
+              phone: nullable('string'),
+              email: nullable('string'),
+              status: { type: 'string', enum: ['active', 'inactive'] }
+            }
+          }),
+          responses: {
+            201: ok('Resident', ref('Resident')),
+            400: failure('Name and unit number are required')
+          }
+        }
+      },
+      '/residents/import': {
+        post: {
+          operationId: 'importResidents',
+          summary: 'Create or update residents from CSV',
+          tags: ['Residents'],
+          'x-required-role': 'admin',
+          requestBody: {
+            required: true,
+            content: {
+              'text/csv': { schema: { ...nonEmpty, description: 'Header line naming name, unit_number and optionally phone, email, status, id' } },
+              'text/plain': { schema: nonEmpty },
+              'application/json': { schema: { type: 'object', required: ['csv'], properties: { csv: nonEmpty } } }
+            }
+          },
+          responses: {
+            200: ok('Import result', {
+              type: 'object',
+              required: ['created', 'updated', 'failed'],
+              properties: {
+                created: { type: 'integer' },
+                updated: { type: 'integer' },
+                failed: {
+                  type: 'array',
+                  items: { type: 'object', properties: { line: { type: 'integer' }, error: { type: 'string' } } }
+                }
+              }
+            }),
+            400: failure('CSV is empty or lacks the name and unit_number columns')
+          }
+        }
+      },
+      '/residents/{residentId}': {
+        get: {
+          operationId: 'getResident',
+          summary: 'Get a resident',
+          tags: ['Residents'],
+          'x-required-role': 'supervisor',
+          parameters: [pathParam('residentId', 'Resident ID')],
+          responses: {
+            200: ok('Resident', ref('Resident')),
+            404: failure('Resident not found')
+          }
+        },
+        patch: {
+          operationId: 'updateResident',
+          summary: 'Update a resident',
+          tags: ['Residents'],
+          'x-required-role': 'admin',
+          parameters: [pathParam('residentId', 'Resident ID')],
+          requestBody: jsonBody(ref('ResidentChanges')),
+          responses: {
+            200: ok('Resident', ref('Resident')),
+            400: failure('Resident not found')
+          }
+        },
+        delete: {
+          operationId: 'deleteResident',
+          summary: 'Delete a resident and revoke their invites',
+          tags: ['Residents'],
+          'x-required-role': 'admin',
+          parameters: [pathParam('residentId', 'Resident ID')],
+          responses: {
+            200: ok('Resident deleted', {
+              type: 'object',
+              required: ['residentId', 'revokedInvites'],
+              properties: { residentId: { type: 'string' }, revokedInvites: { type: 'integer' } }
+            }),
+            400: failure('Resident not found')
+          }
+        }
+      },
+      '/invites': {
+        get: {
+          operationId: 'listInvites',
+          summary: 'Visitor invites, newest first - resident accounts see their own',
+          tags: ['Invites'],
+          'x-required-role': 'resident',
+          parameters: [
+            queryParam('residentId', { type: 'string' }, 'Invites of one resident (admins)'),
+            queryParam('status', { type: 'string', enum: ['active', 'revoked'] }, 'Invite status')
+          ],
+          responses: {
+            200: ok('Invites', { type: 'array', items: ref('Invite') })
+          }
+        },
+        post: {
+          operationId: 'createInvite',
+          summary: 'Invite a visitor - the OTP is returned only once',
+          tags: ['Invites'],
+          'x-required-role': 'resident',
+          requestBody: jsonBody({
+            type: 'object',
+            properties: {
+              residentId: { ...nonEmpty, description: 'Defaults to the resident account\'s own resident' },
+              visitorName: { type: 'string' },
+              mode: { type: 'string', enum: registry.listModes(), description: 'The only mode the visitor may enter in' },
+              validFrom: { type: 'string', format: 'date-time' },
+              validUntil: { type: 'string', format: 'date-time' }
+            }
+          }),
+          responses: {
+            201: ok('Invite created', {
+              type: 'object',
+              required: ['invite', 'otp'],
+              properties: { invite: ref('Invite'), otp: { type: 'string' } }
+            }),
+            400: failure('Unknown or inactive resident, or an invalid validity window')
+          }
+        }
+      },
+      '/invites/{inviteId}': {
+        delete: {
+          operationId: 'revokeInvite',
+          summary: 'Revoke an invite',
+          tags: ['Invites'],
+          'x-required-role': 'resident',
+          parameters: [pathParam('inviteId', 'Invite ID')],
+          responses: {
+            200: ok('Invite revoked', ref('Invite')),
+            404: failure('Invite not found')
+          }
+        }
+      },
+      '/outbox': {
+        get: {
+          operationId: 'listOutbox',
+          summary: 'Visitor entries queued for EstateMate',
+          tags: ['EstateMate'],
+          'x-required-role': 'admin',
+          parameters: [queryParam('status', { type: 'string', enum: ['pending', 'delivered', 'dead'] }, 'Entry status')],
+          responses: {
+            200: ok('Outbox entries', { type: 'object', required: ['counts'] })
+          }
+        }
+      },
+      '/outbox/{entryId}/retry': {
+        post: {
+          operationId: 'retryOutboxEntry',
+          summary: 'Put a dead entry back in the queue',
+          tags: ['EstateMate'],
+          'x-required-role': 'admin',
+          parameters: [pathParam('entryId', 'Outbox entry ID')],
+          responses: {
+            200: ok('Entry queued', { type: 'object' }),
+            400: failure('Unknown or already delivered entry')
+          }
+        }
+      },
+      '/keys/rotation': {
+        get: {
+          operationId: 'getKeyRotation',
+          summary: 'Key rotation progress',
+          tags: ['Keys'],
+          'x-required-role': 'admin',
+          responses: {
+            200: ok('Rotation status', { type: 'object' })
+          }
+        },
+        post: {
+          operationId: 'startKeyRotation',
+          summary: 'Start re-encrypting stored images under the active key',
+          tags: ['Keys'],
+          'x-required-role': 'admin',
+          responses: {
+            202: ok('Rotation started', { type: 'object' }),
+            409: failure('A rotation is already running')
+          }
+        }
+      },
+      '/keys/rotation/stop': {
+        post: {
+          operationId: 'stopKeyRotation',
+          summary: 'Stop key rotation after the current batch',
+          tags: ['Keys'],
+          'x-required-role': 'admin',
+          responses: {
+            200: ok('Stop requested', { type: 'object', required: ['stopRequested'] })
+          }
+        }
+      }
+    }
+  };
+
+  addCommonResponses(spec);
+  return spec;
+}
+
+/**
+ * Add the responses every authenticated or validated operation can give
+ * @param {Object} spec - OpenAPI document
+ */
+function addCommonResponses(spec) {
+  for (const pathItem of Object.values(spec.paths)) {
+    for (const operation of Object.values(pathItem)) {
+      const validated = operation.requestBody || (operation.parameters || []).some(param => ['path', 'query'].includes(param.in));
+      if (validated && !operation.responses[422]) {
+        operation.responses[422] = {
+          description: 'Request validation failed',
+          content: { 'application/json': { schema: ref('ValidationError') } }
+        };
+      }
+      if (operation.security && operation.security.length === 0) {
+        continue;
+      }
+      operation.responses[401] = operation.responses[401] || failure('Missing or invalid operator token, or unknown terminal key');
+      operation.responses[403] = operation.responses[403] || failure('Role too low, or terminal disabled');
+    }
+  }
+}
+
+module.exports = {
+  buildCaptureApiSpec,
+  captureOperationId
+};
@@ -1,9 +1,21 @@
 const express = require('express');
 const multer = require('multer');
 const CaptureService = require('../services/captureService');
+const RetentionService = require('../services/retentionService');
+const KeyRotationService = require('../services/keyRotationService');
+const { TerminalError } = require('../services/terminalRegistry');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { createValidator, assertRoutesDocumented } = require('../middleware/validate');
+const { buildCaptureApiSpec, captureOperationId } = require('./captureApiSpec');
 
 const router = express.Router();
 const captureService = new CaptureService();
+const retentionService = new RetentionService(captureService);
+const keyRotationService = new KeyRotationService(captureService.imageStorage);
+
+// Requests are validated against the OpenAPI document served at /openapi.json
+const apiSpec = buildCaptureApiSpec(captureService.registry);
+const validate = createValidator(apiSpec);
 
 // Configure multer for image uploads
 const upload = multer({
@@ -11,15 +23,8 @@ const upload = multer({
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
     files: 1
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept only image files
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
   }
+  // The media type is checked against the spec's contentMediaType, so non-images get a 422
 });
 
 // Initialize capture service
@@ -27,149 +32,292 @@ captureService.initialize().catch(error => {
   console.error('Failed to initialize capture service:', error);
 });
 
+// Start scheduled retention purging
+retentionService.start();
+
+// Expire abandoned sessions without waiting for POST /cleanup
+captureService.startExpirySweep();
+
+// Deliver visitor entries queued while EstateMate was unreachable
+captureService.outbox.start();
+
+// Pick up a key rotation that was interrupted by a restart
+keyRotationService.resumeIfInterrupted().catch(error => {
+  console.error('Failed to resume key rotation:', error);
+});
+
 // Middleware for error handling
 const handleAsync = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Who is acting on a request, and from which terminal and gate - recorded on sessions and image metadata.
+// Without a registered terminal the gate comes from the X-Gate-Id header.
+const getRequestContext = (req) => ({
+  operatorId: req.operator.id,
+  terminalId: req.terminal ? req.terminal.id : null,
+  gateId: req.terminal ? req.terminal.gateId : req.get('X-Gate-Id') || null,
+  lane: req.terminal ? req.terminal.lane : null,
+  ip: req.ip
+});
+
+/**
+ * Identify the terminal behind a session request from its X-Terminal-Key header
+ * Sets req.terminal; requests without a key pass unless TERMINAL_REQUIRED is set.
+ */
+const identifyTerminal = (req, res, next) => {
+  const key = req.get('X-Terminal-Key');
+
+  try {
+    if (!key) {
+      if (captureService.terminals.required) {
+        throw new TerminalError('TERMINAL_REQUIRED', 'A registered terminal is required (X-Terminal-Key)');
+      }
+      return next();
+    }
+    req.terminal = captureService.terminals.authenticate(key, req.ip);
+    next();
+  } catch (error) {
+    res.status(error.code === 'TERMINAL_DISABLED' ? 403 : 401).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+};
+
+// Keeps idle event streams open through proxies
+const EVENT_HEARTBEAT_MS = parseInt(process.env.EVENT_HEARTBEAT_MS) || 25000;
+
+const OTP_POLICY_CODES = ['OTP_EXPIRED', 'OTP_NOT_YET_VALID', 'OTP_INACTIVE', 'OTP_CONSUMED'];
+
+// Capture failures - quality rejections tell the terminal what to fix on the retake,
+// OTP lockouts say when to try again, genuine OTPs that may not be used (expired, inactive, used up)
+// are forbidden, and requests the session's state does not allow (or that lost a race) are conflicts
+const sendCaptureError = (res, error) => {
+  if (error.code === 'OTP_LOCKED_OUT') {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      lockedUntil: error.lockedUntil,
+      retryAfter: error.retryAfter
+    });
+  }
+  if (error.code === 'INVALID_SESSION_TRANSITION') {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      status: error.from
+    });
+  }
+  if (error.code === 'SESSION_CONFLICT') {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  if (OTP_POLICY_CODES.includes(error.code)) {
+    return res.status(403).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...error.details
+    });
+  }
+
+  if (error.code === 'IMAGE_QUALITY_REJECTED') {
+    return res.status(422).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      retakeReasons: error.quality.reasons,
+      quality: error.quality.scores
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    error: error.message
+  });
+};
+
 // Health check endpoint
-router.get('/health', (req, res) => {
+router.get('/health', handleAsync(async (req, res) => {
   res.json({
     status: 'healthy',
     service: 'capture',
     timestamp: new Date().toISOString(),
-    ...captureService.getStatus()
+    ...(await captureService.getStatus())
   });
+}));
+
+// OpenAPI document, for generating terminal clients
+router.get('/openapi.json', (req, res) => {
+  res.json(apiSpec);
 });
 
+// Everything below requires an authenticated operator
+router.use(authenticate);
+
 // Start new capture session with OTP
-router.post('/session/start', handleAsync(async (req, res) => {
+router.post('/session/start', requireRole('guard'), identifyTerminal, validate('startSession'), handleAsync(async (req, res) => {
   const { otp } = req.body;
 
-  if (!otp) {
-    return res.status(400).json({
-      success: false,
-      error: 'OTP is required'
-    });
-  }
-
   try {
-    const result = await captureService.startCaptureSession(otp);
+    const result = await captureService.startCaptureSession(otp, getRequestContext(req));
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error starting capture session:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+    sendCaptureError(res, error);
   }
 }));
 
 // Set capture mode for session
-router.post('/session/:sessionId/mode', handleAsync(async (req, res) => {
+router.post('/session/:sessionId/mode', requireRole('guard'), identifyTerminal, validate('setCaptureMode'), handleAsync(async (req, res) => {
   const { sessionId } = req.params;
   const { mode } = req.body;
 
-  if (!mode) {
-    return res.status(400).json({
-      success: false,
-      error: 'Mode is required'
-    });
-  }
-
   try {
-    const result = await captureService.setCaptureMode(sessionId, mode);
+    const result = await captureService.setCaptureMode(sessionId, mode, getRequestContext(req));
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error setting capture mode:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+    sendCaptureError(res, error);
   }
 }));
 
-// Capture person image (ID/Passport/Driver License)
-router.post('/session/:sessionId/capture/person', upload.single('image'), handleAsync(async (req, res) => {
+// Modes and capture types the terminal can offer
+router.get('/registry', requireRole('guard'), validate('getRegistry'), handleAsync(async (req, res) => {
+  res.json({
+    success: true,
+    data: captureService.registry.describe()
+  });
+}));
+
+// One capture route per registered capture type, e.g. /capture/person (ID/Passport/Driver License)
+// and /capture/vehicle (License disc/plate)
+for (const captureType of captureService.registry.listSessionCaptureTypes()) {
+  router.post(`/session/:sessionId/capture/${captureType}`, requireRole('guard'), identifyTerminal, upload.single('image'), validate(captureOperationId(captureType)), handleAsync(async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+      const result = await captureService.processCapture(
+        sessionId,
+        captureType,
+        req.file.buffer,
+        getRequestContext(req),
+        req.body.role
+      );
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error(`Error processing ${captureType} capture:`, error);
+      sendCaptureError(res, error);
+    }
+  }));
+}
+
+// Complete capture session
+router.post('/session/:sessionId/complete', requireRole('guard'), identifyTerminal, validate('completeSession'), handleAsync(async (req, res) => {
   const { sessionId } = req.params;
 
-  if (!req.file) {
-    return res.status(400).json({
-      success: false,
-      error: 'Image file is required'
+  try {
+    const result = await captureService.completeSession(sessionId, getRequestContext(req));
+    res.json({
+      success: true,
+      data: result
     });
+  } catch (error) {
+    console.error('Error completing session:', error);
+    sendCaptureError(res, error);
   }
+}));
 
-  try {
-    const result = await captureService.processCapture(
-      sessionId,
-      'person',
-      req.file.buffer
-    );
+// Cancel capture session, e.g. after a mistaken OTP entry
+router.post('/session/:sessionId/cancel', requireRole('guard'), identifyTerminal, validate('cancelSession'), handleAsync(async (req, res) => {
+  const { sessionId } = req.params;
 
+  try {
+    const result = await captureService.cancelSession(sessionId, getRequestContext(req), req.body.reason || null);
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    console.error('Error processing person capture:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+    console.error('Error cancelling session:', error);
+    sendCaptureError(res, error);
   }
 }));
 
-// Capture vehicle image (License disc/plate)
-router.post('/session/:sessionId/capture/vehicle', upload.single('image'), handleAsync(async (req, res) => {
-  const { sessionId } = req.params;
+// Exit gate: find the visit a leaving visitor belongs to by OTP, plate or session reference
+router.post('/exit/lookup', requireRole('guard'), identifyTerminal, validate('lookupExit'), handleAsync(async (req, res) => {
+  const { otp, plate, reference } = req.body;
 
-  if (!req.file) {
-    return res.status(400).json({
-      success: false,
-      error: 'Image file is required'
+  try {
+    const matches = await captureService.findOnSiteVisits({ otp, plate, reference }, getRequestContext(req));
+    if (matches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No visit on site matches'
+      });
+    }
+    res.json({
+      success: true,
+      data: matches
     });
+  } catch (error) {
+    console.error('Error looking up visit at exit:', error);
+    sendCaptureError(res, error);
   }
+}));
 
+// Exit gate: close a visit, optionally with an exit image
+router.post('/visits/:visitId/checkout', requireRole('guard'), identifyTerminal, upload.single('image'), validate('checkOutVisit'), handleAsync(async (req, res) => {
   try {
-    const result = await captureService.processCapture(
-      sessionId,
-      'vehicle',
-      req.file.buffer
+    const result = await captureService.checkOutVisit(
+      req.params.visitId,
+      getRequestContext(req),
+      req.file ? req.file.buffer : null,
+      req.body.role
     );
-
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    console.error('Error processing vehicle capture:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+    console.error('Error checking out visit:', error);
+    sendCaptureError(res, error);
   }
 }));
 
-// Complete capture session
-router.post('/session/:sessionId/complete', handleAsync(async (req, res) => {
-  const { sessionId } = req.params;
-
+// Everyone on site now, e.g. for an evacuation roll call
+router.get('/onsite', requireRole('guard'), validate('listOnSite'), handleAsync(async (req, res) => {
   try {
-    const result = await captureService.completeSession(sessionId);
+    const result = await captureService.onSite.list({
+      gateId: req.query.gateId,
+      overstayed: req.query.overstayed === 'true'
+    });
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    console.error('Error completing session:', error);
-    res.status(400).json({
+    console.error('Error listing visitors on site:', error);
+    res.status(500).json({
       success: false,
       error: error.message
     });
@@ -177,19 +325,26 @@ router.post('/session/:sessionId/complete', handleAsync(async (req, res) => {
 }));
 
 // Get session status
-router.get('/session/:sessionId/status', handleAsync(async (req, res) => {
+router.get('/session/:sessionId/status', requireRole('guard'), identifyTerminal, validate('getSessionStatus'), handleAsync(async (req, res) => {
   const { sessionId } = req.params;
 
   try {
-    const session = captureService.getSession(sessionId);
+    const session = await captureService.getSession(sessionId);
     res.json({
       success: true,
       data: {
         sessionId: session.id,
         status: session.status,
+        statusChangedAt: session.statusChangedAt,
+        history: session.history,
         mode: session.mode,
         residentInfo: session.residentInfo,
         captures: session.captures,
+        missingRoles: captureService.getMissingRoles(session),
+        operatorId: session.operatorId,
+        terminalId: session.terminalId || null,
+        gateId: session.gateId,
+        lane: session.lane || null,
         createdAt: session.createdAt,
         updatedAt: session.updatedAt
       }
@@ -203,12 +358,99 @@ router.get('/session/:sessionId/status', handleAsync(async (req, res) => {
   }
 }));
 
+// Live session events (Server-Sent Events), optionally filtered by gate, session or event type
+router.get('/events', requireRole('supervisor'), validate('streamEvents'), (req, res) => {
+  const filter = {
+    gateId: req.query.gateId || null,
+    sessionId: req.query.sessionId || null,
+    types: req.query.types ? req.query.types.split(',').map(type => type.trim()).filter(Boolean) : []
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Replay what a reconnecting client missed
+  const lastEventId = parseInt(req.get('Last-Event-ID'));
+  if (!isNaN(lastEventId)) {
+    captureService.events.since(lastEventId, filter).forEach(send);
+  }
+
+  const unsubscribe = captureService.events.subscribe(filter, send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Query visit history (completed, cancelled, expired and failed sessions)
+router.get('/visits', requireRole('supervisor'), validate('queryVisits'), handleAsync(async (req, res) => {
+  try {
+    const result = await captureService.visitStore.query(req.query);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error querying visits:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Find visits by recognized number plate
+router.get('/visits/plate/:plate', requireRole('supervisor'), validate('findVisitsByPlate'), handleAsync(async (req, res) => {
+  try {
+    const result = await captureService.visitStore.query({ ...req.query, plate: req.params.plate });
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error searching visits by plate:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Get single visit
+router.get('/visits/:visitId', requireRole('supervisor'), validate('getVisit'), handleAsync(async (req, res) => {
+  const { visitId } = req.params;
+
+  const visit = await captureService.visitStore.get(visitId);
+  if (!visit) {
+    return res.status(404).json({
+      success: false,
+      error: `Visit not found: ${visitId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: visit
+  });
+}));
+
 // Retrieve captured image
-router.get('/image/:imageId', handleAsync(async (req, res) => {
+router.get('/image/:imageId', requireRole('supervisor'), validate('getImage'), handleAsync(async (req, res) => {
   const { imageId } = req.params;
 
   try {
-    const imageData = await captureService.imageStorage.retrieveImage(imageId);
+    const imageData = await captureService.retrieveImage(imageId, getRequestContext(req));
     
     res.set({
       'Content-Type': 'image/jpeg',
@@ -228,8 +470,55 @@ router.get('/image/:imageId', handleAsync(async (req, res) => {
   }
 }));
 
+// Retrieve the untouched upload of a normalized document (evidence copy)
+router.get('/image/:imageId/original', requireRole('supervisor'), validate('getOriginalImage'), handleAsync(async (req, res) => {
+  const { imageId } = req.params;
+
+  try {
+    const imageData = await captureService.retrieveImage(imageId, getRequestContext(req), 'original');
+
+    res.set({
+      'Content-Type': imageData.metadata.original.mimeType,
+      'Content-Length': imageData.image.length,
+      'X-Image-ID': imageId,
+      'X-Resident-ID': imageData.metadata.residentInfo.id,
+      'X-Capture-Type': imageData.metadata.captureType
+    });
+
+    res.send(imageData.image);
+  } catch (error) {
+    console.error('Error retrieving original image:', error);
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Crypto-shred captured image (destroys its data key; the image can never be decrypted again)
+router.post('/image/:imageId/shred', requireRole('admin'), validate('shredImage'), handleAsync(async (req, res) => {
+  const { imageId } = req.params;
+
+  try {
+    const metadata = await captureService.shredImage(imageId, getRequestContext(req), req.body.reason);
+    res.json({
+      success: true,
+      data: {
+        imageId,
+        shreddedAt: metadata.shreddedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error shredding image:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
 // Get images by resident
-router.get('/resident/:residentId/images', handleAsync(async (req, res) => {
+router.get('/resident/:residentId/images', requireRole('supervisor'), validate('listResidentImages'), handleAsync(async (req, res) => {
   const { residentId } = req.params;
 
   try {
@@ -243,7 +532,8 @@ router.get('/resident/:residentId/images', handleAsync(async (req, res) => {
           captureType: img.captureType,
           timestamp: img.timestamp,
           fileSize: img.fileSize,
-          filename: img.filename
+          filename: img.filename,
+          operatorId: img.operatorId
         }))
       }
     });
@@ -257,7 +547,7 @@ router.get('/resident/:residentId/images', handleAsync(async (req, res) => {
 }));
 
 // Get storage statistics
-router.get('/storage/stats', handleAsync(async (req, res) => {
+router.get('/storage/stats', requireRole('supervisor'), validate('getStorageStats'), handleAsync(async (req, res) => {
   try {
     const stats = await captureService.imageStorage.getStorageStats();
     res.json({
@@ -274,9 +564,9 @@ router.get('/storage/stats', handleAsync(async (req, res) => {
 }));
 
 // Cleanup expired sessions
-router.post('/cleanup', handleAsync(async (req, res) => {
+router.post('/cleanup', requireRole('admin'), validate('cleanupSessions'), handleAsync(async (req, res) => {
   try {
-    const cleanedCount = captureService.cleanupExpiredSessions();
+    const cleanedCount = await captureService.cleanupExpiredSessions();
     res.json({
       success: true,
       data: {
@@ -293,6 +583,460 @@ router.post('/cleanup', handleAsync(async (req, res) => {
   }
 }));
 
+// Query audit log
+router.get('/audit', requireRole('admin'), validate('queryAudit'), handleAsync(async (req, res) => {
+  try {
+    const result = await captureService.auditLog.query(req.query);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Verify audit log hash chain
+router.get('/audit/verify', requireRole('admin'), validate('verifyAuditLog'), handleAsync(async (req, res) => {
+  try {
+    const result = await captureService.auditLog.verify();
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Get retention policy
+router.get('/retention/policy', requireRole('admin'), validate('getRetentionPolicy'), (req, res) => {
+  res.json({
+    success: true,
+    data: retentionService.getPolicy()
+  });
+});
+
+// Run retention purge now (use dryRun to only report what would be purged)
+router.post('/retention/run', requireRole('admin'), validate('runRetentionPurge'), handleAsync(async (req, res) => {
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  try {
+    const summary = await retentionService.runPurge({ dryRun, actor: req.operator.id });
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error running retention purge:', error);
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// List retention purge runs
+router.get('/retention/runs', requireRole('admin'), validate('listRetentionRuns'), handleAsync(async (req, res) => {
+  try {
+    const runs = await retentionService.listRuns(parseInt(req.query.limit) || 20);
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    console.error('Error listing retention runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// List terminals, IPs and OTP prefixes locked out after failed OTP lookups
+router.get('/security/lockouts', requireRole('admin'), validate('listLockouts'), (req, res) => {
+  res.json({
+    success: true,
+    data: captureService.otpGuard.listLockouts()
+  });
+});
+
+// Lift a lockout, e.g. after a guard mistyped OTPs
+router.delete('/security/lockouts/:key', requireRole('admin'), validate('clearLockout'), handleAsync(async (req, res) => {
+  const cleared = await captureService.otpGuard.clear(req.params.key);
+  if (!cleared) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown lockout source: ${req.params.key}`
+    });
+  }
+
+  await captureService.auditLog.record({
+    action: 'otp.lockout_cleared',
+    actor: req.operator.id,
+    details: { source: req.params.key }
+  });
+  res.json({
+    success: true,
+    data: { key: req.params.key, cleared: true }
+  });
+}));
+
+// List gate terminals, optionally at one gate
+router.get('/terminals', requireRole('supervisor'), validate('listTerminals'), (req, res) => {
+  res.json({
+    success: true,
+    data: captureService.terminals.list({ gateId: req.query.gateId })
+  });
+});
+
+// Register a terminal - the key in the response is shown only once and goes into the device's configuration
+router.post('/terminals', requireRole('admin'), validate('registerTerminal'), handleAsync(async (req, res) => {
+  try {
+    const result = await captureService.terminals.register(req.body, req.operator.id);
+    await captureService.auditLog.record({
+      action: 'terminal.registered',
+      actor: req.operator.id,
+      details: { terminalId: result.terminal.id, gateId: result.terminal.gateId, lane: result.terminal.lane }
+    });
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error registering terminal:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Update a terminal (name, gate, gate type, lane) or disable it
+router.patch('/terminals/:terminalId', requireRole('admin'), validate('updateTerminal'), handleAsync(async (req, res) => {
+  try {
+    const terminal = await captureService.terminals.update(req.params.terminalId, req.body);
+    await captureService.auditLog.record({
+      action: 'terminal.updated',
+      actor: req.operator.id,
+      details: { terminalId: terminal.id, changes: req.body }
+    });
+    res.json({
+      success: true,
+      data: terminal
+    });
+  } catch (error) {
+    console.error('Error updating terminal:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Invites belong to residents - admins manage anyone's, resident accounts only their own
+const canManageInvites = (operator, residentId) => operator.role === 'admin' ||
+  (operator.role === 'resident' && Boolean(operator.residentId) && operator.residentId === residentId);
+
+const sendInviteForbidden = (res) => res.status(403).json({
+  success: false,
+  error: 'Only admins and the resident themselves can manage invites'
+});
+
+// List residents of the local directory, optionally of one unit
+router.get('/residents', requireRole('supervisor'), validate('listResidents'), handleAsync(async (req, res) => {
+  const residents = await captureService.residents.listResidents({
+    unitNumber: req.query.unitNumber,
+    status: req.query.status
+  });
+  res.json({
+    success: true,
+    data: residents
+  });
+}));
+
+// Create a resident
+router.post('/residents', requireRole('admin'), validate('createResident'), handleAsync(async (req, res) => {
+  try {
+    const resident = await captureService.residents.createResident(req.body);
+    await captureService.auditLog.record({
+      action: 'resident.created',
+      actor: req.operator.id,
+      details: { residentId: resident.id, unitNumber: resident.unitNumber }
+    });
+    res.status(201).json({
+      success: true,
+      data: resident
+    });
+  } catch (error) {
+    console.error('Error creating resident:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Create or update residents from a CSV file (name, unit_number, phone, email, status, id)
+router.post('/residents/import', requireRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), validate('importResidents'), handleAsync(async (req, res) => {
+  try {
+    const result = await captureService.residents.importCsv(typeof req.body === 'string' ? req.body : (req.body || {}).csv);
+    await captureService.auditLog.record({
+      action: 'resident.imported',
+      actor: req.operator.id,
+      details: { created: result.created, updated: result.updated, failed: result.failed.length }
+    });
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error importing residents:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Get a resident
+router.get('/residents/:residentId', requireRole('supervisor'), validate('getResident'), handleAsync(async (req, res) => {
+  const { residentId } = req.params;
+
+  const resident = await captureService.residents.getResident(residentId);
+  if (!resident) {
+    return res.status(404).json({
+      success: false,
+      error: `Resident not found: ${residentId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: resident
+  });
+}));
+
+// Update a resident (name, unit number, phone, email, status)
+router.patch('/residents/:residentId', requireRole('admin'), validate('updateResident'), handleAsync(async (req, res) => {
+  try {
+    const resident = await captureService.residents.updateResident(req.params.residentId, req.body);
+    await captureService.auditLog.record({
+      action: 'resident.updated',
+      actor: req.operator.id,
+      details: { residentId: resident.id, changes: req.body }
+    });
+    res.json({
+      success: true,
+      data: resident
+    });
+  } catch (error) {
+    console.error('Error updating resident:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Delete a resident - their active invites are revoked with them
+router.delete('/residents/:residentId', requireRole('admin'), validate('deleteResident'), handleAsync(async (req, res) => {
+  try {
+    const result = await captureService.residents.deleteResident(req.params.residentId);
+    await captureService.auditLog.record({
+      action: 'resident.deleted',
+      actor: req.operator.id,
+      details: result
+    });
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error deleting resident:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// List visitor invites - resident accounts only see their own
+router.get('/invites', requireRole('resident'), validate('listInvites'), handleAsync(async (req, res) => {
+  const residentId = req.operator.role === 'resident' ? req.operator.residentId : req.query.residentId;
+  if (!canManageInvites(req.operator, residentId)) {
+    return sendInviteForbidden(res);
+  }
+
+  const invites = await captureService.residents.listInvites({ residentId, status: req.query.status });
+  res.json({
+    success: true,
+    data: invites
+  });
+}));
+
+// Invite a visitor - the OTP in the response is shown only once and goes to the visitor
+router.post('/invites', requireRole('resident'), validate('createInvite'), handleAsync(async (req, res) => {
+  const data = { ...req.body };
+  if (req.operator.role === 'resident' && !data.residentId) {
+    data.residentId = req.operator.residentId;
+  }
+  if (!canManageInvites(req.operator, data.residentId)) {
+    return sendInviteForbidden(res);
+  }
+
+  let result;
+  try {
+    result = await captureService.residents.createInvite(data, req.operator.id);
+  } catch (error) {
+    console.error('Error creating invite:', error.message);
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    await captureService.auditLog.record({
+      action: 'invite.created',
+      actor: req.operator.id,
+      details: {
+        inviteId: result.invite.id,
+        residentId: result.invite.residentId,
+        mode: result.invite.mode,
+        validFrom: result.invite.validFrom,
+        validUntil: result.invite.validUntil
+      }
+    });
+  } catch (error) {
+    // The OTP is not returned, so revoke the invite rather than leave it active and unaudited
+    await captureService.residents.revokeInvite(result.invite.id).catch(revokeError => {
+      console.error('Error revoking unaudited invite:', revokeError.message);
+    });
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: result
+  });
+}));
+
+// Revoke an invite so its OTP no longer opens the gate
+router.delete('/invites/:inviteId', requireRole('resident'), validate('revokeInvite'), handleAsync(async (req, res) => {
+  const { inviteId } = req.params;
+
+  const invite = await captureService.residents.getInvite(inviteId);
+  if (!invite) {
+    return res.status(404).json({
+      success: false,
+      error: `Invite not found: ${inviteId}`
+    });
+  }
+  if (!canManageInvites(req.operator, invite.residentId)) {
+    return sendInviteForbidden(res);
+  }
+
+  const revoked = await captureService.residents.revokeInvite(inviteId);
+  await captureService.auditLog.record({
+    action: 'invite.revoked',
+    actor: req.operator.id,
+    details: { inviteId, residentId: revoked.residentId }
+  });
+  res.json({
+    success: true,
+    data: revoked
+  });
+}));
+
+// List visitor entries queued for EstateMate
+router.get('/outbox', requireRole('admin'), validate('listOutbox'), handleAsync(async (req, res) => {
+  try {
+    const result = await captureService.outbox.list({ status: req.query.status });
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error listing outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Retry a visitor entry that EstateMate rejected or that ran out of attempts
+router.post('/outbox/:entryId/retry', requireRole('admin'), validate('retryOutboxEntry'), handleAsync(async (req, res) => {
+  try {
+    const entry = await captureService.outbox.retry(req.params.entryId);
+    captureService.outbox.flush().catch(error => {
+      console.error('Error pushing visitor entries to EstateMate:', error);
+    });
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error retrying outbox entry:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Get key rotation status
+router.get('/keys/rotation', requireRole('admin'), validate('getKeyRotation'), handleAsync(async (req, res) => {
+  try {
+    const status = await keyRotationService.getStatus();
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error getting key rotation status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Start re-encrypting stored images under the active key
+router.post('/keys/rotation', requireRole('admin'), validate('startKeyRotation'), handleAsync(async (req, res) => {
+  try {
+    const state = await keyRotationService.start();
+    res.status(202).json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    console.error('Error starting key rotation:', error);
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Stop key rotation after the current batch
+router.post('/keys/rotation/stop', requireRole('admin'), validate('stopKeyRotation'), (req, res) => {
+  keyRotationService.stop();
+  res.json({
+    success: true,
+    data: { stopRequested: true }
+  });
+});
+
 // Error handling middleware
 router.use((error, req, res, next) => {
   console.error('Capture route error:', error);
@@ -304,6 +1048,14 @@ router.use((error, req, res, next) => {
         error: 'File size too large. Maximum size is 10MB.'
       });
     }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(422).json({
+        success: false,
+        error: 'Request validation failed',
+        code: 'VALIDATION_FAILED',
+        details: [{ in: 'body', field: error.field, message: 'is not allowed' }]
+      });
+    }
   }
 
   res.status(500).json({
@@ -312,4 +1064,7 @@ router.use((error, req, res, next) => {
   });
 });
 
+// Fail at startup rather than serve routes the spec does not describe
+assertRoutesDocumented(apiSpec, router);
+
 module.exports = router;
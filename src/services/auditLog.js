@@ -0,0 +1,231 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('node:crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Append-only, hash-chained audit log
+ * Each entry stores the hash of the previous entry, so editing, removing or
+ * reordering any line breaks the chain from that point on. One JSON entry per line.
+ * Only one process should write to a given log file.
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.logFile = options.logFile || process.env.AUDIT_LOG_FILE || './storage/audit/audit.log';
+    this.lastSeq = null;
+    this.lastHash = null;
+    this.writeQueue = Promise.resolve(); // Serializes appends so the chain never forks
+  }
+
+  /**
+   * Load chain head from the end of the log
+   * A partial last line left by a crash mid-append is dropped first, and the chain
+   * resumes from the last entry that parses.
+   */
+  async loadHead() {
+    await fs.ensureDir(path.dirname(this.logFile));
+    await this.repairTail();
+
+    const entries = (await this.readEntries()).filter(entry => !entry.malformed);
+    const last = entries[entries.length - 1];
+
+    this.lastSeq = last ? last.seq : 0;
+    this.lastHash = last ? last.hash : GENESIS_HASH;
+  }
+
+  /**
+   * Drop a partial entry at the end of the log, so the next append starts on a fresh line
+   */
+  async repairTail() {
+    if (!(await fs.pathExists(this.logFile))) {
+      return;
+    }
+
+    const content = await fs.readFile(this.logFile, 'utf8');
+    if (content.length === 0 || content.endsWith('\n')) {
+      return;
+    }
+
+    const complete = content.slice(0, content.lastIndexOf('\n') + 1);
+    const tail = content.slice(complete.length);
+    try {
+      // Written in full but without its newline
+      if (JSON.parse(tail).hash) {
+        await fs.appendFile(this.logFile, '\n');
+        return;
+      }
+    } catch (error) {
+      // Torn - fall through and cut it off
+    }
+
+    await fs.truncate(this.logFile, Buffer.byteLength(complete));
+    console.warn(`Audit log ended in a partial entry (${Buffer.byteLength(tail)} bytes) - dropped it`);
+  }
+
+  /**
+   * Compute entry hash
+   * @param {Object} entry - Entry without its hash
+   * @returns {string} Hex SHA-256 hash
+   */
+  computeHash(entry) {
+    // Fixed field order so the hash does not depend on how the entry object was built
+    const content = JSON.stringify([
+      entry.seq,
+      entry.timestamp,
+      entry.action,
+      entry.actor,
+      entry.outcome,
+      entry.sessionId,
+      entry.imageId,
+      entry.details
+    ]);
+    return crypto.createHash('sha256').update(entry.prevHash).update(content).digest('hex');
+  }
+
+  /**
+   * Append an audit entry
+   * @param {Object} event - Audit event
+   * @param {string} event.action - e.g. 'session.started', 'image.retrieved'
+   * @param {string} [event.actor] - Operator ID or 'system:<job>'
+   * @param {string} [event.outcome] - 'success' or 'failure'
+   * @param {string} [event.sessionId] - Related session
+   * @param {string} [event.imageId] - Related image
+   * @param {Object} [event.details] - Extra context
+   * @returns {Promise<Object>} Stored entry
+   */
+  record(event) {
+    const append = async () => {
+      if (this.lastHash === null) {
+        await this.loadHead();
+      }
+
+      const entry = {
+        seq: this.lastSeq + 1,
+        timestamp: new Date().toISOString(),
+        action: event.action,
+        actor: event.actor || null,
+        outcome: event.outcome || 'success',
+        sessionId: event.sessionId || null,
+        imageId: event.imageId || null,
+        details: event.details || {},
+        prevHash: this.lastHash
+      };
+      entry.hash = this.computeHash(entry);
+
+      await fs.appendFile(this.logFile, `${JSON.stringify(entry)}\n`);
+
+      this.lastSeq = entry.seq;
+      this.lastHash = entry.hash;
+      return entry;
+    };
+
+    const result = this.writeQueue.then(append);
+    this.writeQueue = result.catch(error => {
+      console.error('Error writing audit entry:', error);
+      // Re-read the head next time in case the failed append left a partial line
+      this.lastHash = null;
+    });
+    return result;
+  }
+
+  /**
+   * Read all raw entries
+   * @returns {Promise<Array>} Parsed entries in log order
+   */
+  async readEntries() {
+    if (!(await fs.pathExists(this.logFile))) {
+      return [];
+    }
+
+    const content = await fs.readFile(this.logFile, 'utf8');
+    return content
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return { seq: null, malformed: true, line: index + 1 };
+        }
+      });
+  }
+
+  /**
+   * Query audit entries
+   * @param {Object} [filters] - action, actor, sessionId, imageId, from, to, limit, offset
+   * @returns {Promise<Object>} Matching entries (newest first) and total count
+   */
+  async query(filters = {}) {
+    try {
+      const from = filters.from ? new Date(filters.from) : null;
+      const to = filters.to ? new Date(filters.to) : null;
+      const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+      const offset = parseInt(filters.offset) || 0;
+
+      const matches = (await this.readEntries())
+        .filter(entry => !entry.malformed)
+        .filter(entry => !filters.action || entry.action === filters.action)
+        .filter(entry => !filters.actor || entry.actor === filters.actor)
+        .filter(entry => !filters.sessionId || entry.sessionId === filters.sessionId)
+        .filter(entry => !filters.imageId || entry.imageId === filters.imageId)
+        .filter(entry => !from || new Date(entry.timestamp) >= from)
+        .filter(entry => !to || new Date(entry.timestamp) <= to)
+        .reverse();
+
+      return {
+        total: matches.length,
+        entries: matches.slice(offset, offset + limit)
+      };
+    } catch (error) {
+      console.error('Error querying audit log:', error);
+      throw new Error('Failed to query audit log');
+    }
+  }
+
+  /**
+   * Verify the hash chain
+   * @returns {Promise<Object>} { valid, entries, brokenAt, reason }
+   */
+  async verify() {
+    const entries = await this.readEntries();
+    let prevHash = GENESIS_HASH;
+    let prevSeq = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const failure = (reason) => ({
+        valid: false,
+        entries: entries.length,
+        brokenAt: { line: i + 1, seq: entry.seq },
+        reason
+      });
+
+      if (entry.malformed) {
+        return failure('Entry is not valid JSON');
+      }
+      if (entry.seq !== prevSeq + 1) {
+        return failure(`Sequence gap: expected ${prevSeq + 1}, found ${entry.seq}`);
+      }
+      if (entry.prevHash !== prevHash) {
+        return failure('Previous hash does not match preceding entry');
+      }
+      if (entry.hash !== this.computeHash(entry)) {
+        return failure('Entry hash does not match its contents');
+      }
+
+      prevHash = entry.hash;
+      prevSeq = entry.seq;
+    }
+
+    return {
+      valid: true,
+      entries: entries.length,
+      brokenAt: null,
+      reason: null,
+      headHash: prevHash
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,322 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('node:crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Ordered from least to most privileged - a role inherits everything below it.
+// Residents only manage their own visitor invites.
+const ROLES = ['resident', 'guard', 'supervisor', 'admin'];
+
+// Checked against when no operator has the username, so unknown usernames cost the same scrypt run
+const DUMMY_PASSWORD_HASH = 'f07fa3efe7dcdbcb2ad82ea664923262:eade0b2eafa81936152c891f25e60b6c0812124acbb85e73bb6c22dab6b036adfd95967e048e42689d36e67f09528d71b0bc3859f92b2cecb038b247d69d94f0';
+
+class AuthService {
+  constructor(options = {}) {
+    this.operatorsFile = options.operatorsFile || process.env.AUTH_OPERATORS_FILE || './storage/auth/operators.json';
+    this.tokenSecret = options.tokenSecret || process.env.AUTH_TOKEN_SECRET || this.generateDefaultSecret();
+    this.tokenTTL = parseInt(process.env.AUTH_TOKEN_TTL) || 12 * 60 * 60 * 1000; // 12 hours (one gate shift)
+
+    this.operators = this.loadOperators();
+    this.bootstrapAdmin();
+  }
+
+  /**
+   * Generate a default token signing secret (for development only)
+   * @returns {string} Random secret
+   */
+  generateDefaultSecret() {
+    console.warn('WARNING: Using random token secret. Set AUTH_TOKEN_SECRET in production - tokens will not survive a restart!');
+    return crypto.randomBytes(32).toString('base64');
+  }
+
+  /**
+   * Load operators from disk
+   * @returns {Array} Operator records
+   */
+  loadOperators() {
+    try {
+      if (!fs.existsSync(this.operatorsFile)) {
+        return [];
+      }
+      return fs.readJsonSync(this.operatorsFile);
+    } catch (error) {
+      console.error('Error loading operators:', error);
+      throw new Error('Failed to load operators');
+    }
+  }
+
+  /**
+   * Persist operators to disk
+   */
+  async saveOperators() {
+    try {
+      await fs.ensureDir(path.dirname(this.operatorsFile));
+      const tempPath = `${this.operatorsFile}.${process.pid}.tmp`;
+      await fs.writeJson(tempPath, this.operators, { spaces: 2 });
+      await fs.rename(tempPath, this.operatorsFile);
+    } catch (error) {
+      console.error('Error saving operators:', error);
+      throw new Error('Failed to save operators');
+    }
+  }
+
+  /**
+   * Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when no operators exist
+   */
+  bootstrapAdmin() {
+    if (this.operators.length > 0) {
+      return;
+    }
+
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!username || !password) {
+      console.warn('WARNING: No operators configured. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+      return;
+    }
+
+    this.operators.push(this.buildOperator({ username, password, name: 'Administrator', role: 'admin' }));
+    fs.ensureDirSync(path.dirname(this.operatorsFile));
+    fs.writeJsonSync(this.operatorsFile, this.operators, { spaces: 2 });
+    console.log(`Bootstrap admin operator created: ${username}`);
+  }
+
+  /**
+   * Hash password with scrypt
+   * @param {string} password - Plain text password
+   * @param {string} [salt] - Hex salt (generated if omitted)
+   * @returns {string} salt:hash
+   */
+  hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+  }
+
+  /**
+   * Check password against stored hash
+   * @param {string} password - Plain text password
+   * @param {string} passwordHash - Stored salt:hash
+   * @returns {boolean} True if password matches
+   */
+  verifyPassword(password, passwordHash) {
+    const [salt, hash] = passwordHash.split(':');
+    const candidate = this.hashPassword(password, salt).split(':')[1];
+    return crypto.timingSafeEqual(Buffer.from(candidate, 'hex'), Buffer.from(hash, 'hex'));
+  }
+
+  /**
+   * Build a new operator record
+   * @param {Object} data - Operator details
+   * @returns {Object} Operator record
+   */
+  buildOperator({ username, password, name, role, residentId }) {
+    return {
+      id: `op_${uuidv4()}`,
+      username,
+      name: name || username,
+      role,
+      residentId: residentId || null,
+      passwordHash: this.hashPassword(password),
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Strip secrets from operator record
+   * @param {Object} operator - Operator record
+   * @returns {Object} Public operator info
+   */
+  toPublicOperator(operator) {
+    const { passwordHash, ...publicOperator } = operator;
+    return publicOperator;
+  }
+
+  /**
+   * Check whether a role meets the minimum required role
+   * @param {string} role - Operator role
+   * @param {string} minimumRole - Required role
+   * @returns {boolean} True if role is sufficient
+   */
+  hasRole(role, minimumRole) {
+    const level = ROLES.indexOf(role);
+    return level !== -1 && level >= ROLES.indexOf(minimumRole);
+  }
+
+  /**
+   * Authenticate operator and issue token
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Token and operator info
+   */
+  async login(username, password) {
+    if (!username || !password) {
+      throw new Error('Username and password are required');
+    }
+
+    const operator = this.operators.find(op => op.username === username);
+
+    // Same message and the same password check for unknown user and wrong password so usernames cannot be probed
+    const passwordMatches = this.verifyPassword(password, operator ? operator.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!operator || !passwordMatches) {
+      throw new Error('Invalid username or password');
+    }
+
+    if (operator.disabled) {
+      throw new Error('Operator account is disabled');
+    }
+
+    const { token, expiresAt } = this.issueToken(operator);
+    console.log(`Operator logged in: ${operator.username} (${operator.role})`);
+
+    return {
+      token,
+      expiresAt,
+      operator: this.toPublicOperator(operator)
+    };
+  }
+
+  /**
+   * Issue signed token for operator
+   * @param {Object} operator - Operator record
+   * @returns {Object} Token and expiry
+   */
+  issueToken(operator) {
+    const expiresAt = Date.now() + this.tokenTTL;
+    const payload = Buffer.from(JSON.stringify({
+      sub: operator.id,
+      role: operator.role,
+      exp: expiresAt
+    })).toString('base64url');
+
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Sign token payload
+   * @param {string} payload - Encoded payload
+   * @returns {string} Base64url HMAC signature
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.tokenSecret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Verify token and resolve the operator it belongs to
+   * @param {string} token - Bearer token
+   * @returns {Object} Public operator info
+   */
+  verifyToken(token) {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) {
+      throw new Error('Invalid token');
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid token');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.exp < Date.now()) {
+      throw new Error('Token has expired');
+    }
+
+    // Look the operator up again so disabling an account or changing a role takes effect immediately
+    const operator = this.operators.find(op => op.id === claims.sub);
+    if (!operator || operator.disabled) {
+      throw new Error('Operator account is disabled');
+    }
+
+    return this.toPublicOperator(operator);
+  }
+
+  /**
+   * Create a new operator
+   * @param {Object} data - Username, password, name, role and (for residents) residentId
+   * @returns {Promise<Object>} Public operator info
+   */
+  async createOperator({ username, password, name, role, residentId }) {
+    if (!username || !password) {
+      throw new Error('Username and password are required');
+    }
+
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (role === 'resident' && !residentId) {
+      throw new Error('residentId is required for resident accounts');
+    }
+
+    if (this.operators.some(op => op.username === username)) {
+      throw new Error(`Operator already exists: ${username}`);
+    }
+
+    const operator = this.buildOperator({ username, password, name, role, residentId });
+    this.operators.push(operator);
+    await this.saveOperators();
+
+    console.log(`Operator created: ${username} (${role})`);
+    return this.toPublicOperator(operator);
+  }
+
+  /**
+   * Update operator role, name, password, resident or disabled flag
+   * @param {string} operatorId - Operator ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Public operator info
+   */
+  async updateOperator(operatorId, updates) {
+    const operator = this.operators.find(op => op.id === operatorId);
+    if (!operator) {
+      throw new Error(`Operator not found: ${operatorId}`);
+    }
+
+    const role = updates.role !== undefined ? updates.role : operator.role;
+    const residentId = updates.residentId !== undefined ? updates.residentId : operator.residentId;
+    if (role === 'resident' && !residentId) {
+      throw new Error('residentId is required for resident accounts');
+    }
+
+    if (updates.role !== undefined) {
+      if (!ROLES.includes(updates.role)) {
+        throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+      }
+      operator.role = updates.role;
+    }
+    if (updates.name !== undefined) {
+      operator.name = updates.name;
+    }
+    if (updates.password !== undefined) {
+      operator.passwordHash = this.hashPassword(updates.password);
+    }
+    if (updates.disabled !== undefined) {
+      operator.disabled = Boolean(updates.disabled);
+    }
+    if (updates.residentId !== undefined) {
+      operator.residentId = updates.residentId || null;
+    }
+    operator.updatedAt = new Date().toISOString();
+
+    await this.saveOperators();
+    return this.toPublicOperator(operator);
+  }
+
+  /**
+   * List all operators
+   * @returns {Array} Public operator info
+   */
+  listOperators() {
+    return this.operators.map(op => this.toPublicOperator(op));
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
@@ -0,0 +1,150 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const sharp = require('sharp');
+
+// Large photos are scaled down before decoding; PDF417 modules stay well above one pixel
+const MAX_DECODE_WIDTH = 2000;
+
+/**
+ * PDF417 decoding with ZXing (CPU only, pure JavaScript)
+ *
+ * Decoding runs in a worker thread (see barcodeWorker.js), so a slow image never stalls
+ * other requests or the event stream. A decode that overruns its timeout terminates the
+ * worker, which is started again for the next image.
+ *
+ * Readers implement async decode(imageBuffer) => { format, text } | null.
+ */
+class Pdf417BarcodeReader {
+  /**
+   * @param {Object} [options] - Reader options
+   * @param {number} [options.timeoutMs] - Longest a decode may run (defaults to BARCODE_DECODE_TIMEOUT or 10000)
+   */
+  constructor(options = {}) {
+    this.name = 'zxing';
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.BARCODE_DECODE_TIMEOUT) || 10000;
+    this.worker = null;
+    this.pending = new Map(); // Request ID => { resolve, reject, timer }
+    this.nextId = 1;
+  }
+
+  /**
+   * Start the decoding worker on first use
+   * @returns {Worker} Worker thread
+   */
+  getWorker() {
+    if (!this.worker) {
+      const worker = new Worker(path.join(__dirname, 'barcodeWorker.js'));
+      // Waiting for a barcode should not keep the process alive on shutdown
+      worker.unref();
+
+      worker.on('message', ({ id, text, error }) => {
+        const request = this.pending.get(id);
+        if (request) {
+          this.settle(id);
+          error ? request.reject(new Error(error)) : request.resolve(text);
+        }
+      });
+      worker.on('error', error => this.stopWorker(worker, error));
+      worker.on('exit', () => this.stopWorker(worker, new Error('Barcode worker stopped')));
+      this.worker = worker;
+    }
+    return this.worker;
+  }
+
+  /**
+   * Forget a request and clear its timeout
+   * @param {number} id - Request ID
+   */
+  settle(id) {
+    clearTimeout(this.pending.get(id).timer);
+    this.pending.delete(id);
+  }
+
+  /**
+   * Drop a worker and fail the decodes still waiting on it
+   * @param {Worker} worker - Worker to drop
+   * @param {Error} error - Reason given to the waiting decodes
+   */
+  stopWorker(worker, error) {
+    if (this.worker !== worker) {
+      return;
+    }
+    this.worker = null;
+    for (const [id, request] of this.pending) {
+      this.settle(id);
+      request.reject(error);
+    }
+    worker.terminate();
+  }
+
+  /**
+   * Decode a greyscale plane in the worker
+   * @param {Buffer} data - One byte per pixel
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Promise<string|null>} Barcode text or null if none was found
+   */
+  decodeLuminance(data, width, height) {
+    const worker = this.getWorker();
+    const id = this.nextId++;
+    // Copied into its own buffer so it can be moved to the worker
+    const plane = new Uint8Array(data).buffer;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.stopWorker(worker, new Error(`Barcode decoding timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      worker.postMessage({ id, data: plane, width, height }, [plane]);
+    });
+  }
+
+  /**
+   * Decode the PDF417 barcode in an image
+   * @param {Buffer} imageBuffer - Image data
+   * @returns {Promise<Object|null>} Barcode or null if none was found
+   */
+  async decode(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .rotate()
+      .resize({ width: MAX_DECODE_WIDTH, withoutEnlargement: true })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const text = await this.decodeLuminance(data, info.width, info.height);
+    return text === null ? null : { format: 'pdf417', text };
+  }
+
+  /**
+   * Stop the decoding worker
+   */
+  async close() {
+    if (this.worker) {
+      this.stopWorker(this.worker, new Error('Barcode reader closed'));
+    }
+  }
+}
+
+/**
+ * Create barcode reader from environment configuration
+ * BARCODE_READER=zxing (default) or none
+ * @returns {Object|null} Reader, or null when decoding is disabled
+ */
+function createBarcodeReader() {
+  const type = (process.env.BARCODE_READER || 'zxing').toLowerCase();
+
+  switch (type) {
+    case 'zxing':
+      return new Pdf417BarcodeReader();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown BARCODE_READER: ${type}. Must be "zxing" or "none"`);
+  }
+}
+
+module.exports = {
+  Pdf417BarcodeReader,
+  createBarcodeReader
+};
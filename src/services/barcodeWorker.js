@@ -0,0 +1,34 @@
+const { parentPort } = require('worker_threads');
+const {
+  PDF417Reader,
+  BinaryBitmap,
+  HybridBinarizer,
+  PlanarYUVLuminanceSource,
+  DecodeHintType,
+  NotFoundException
+} = require('@zxing/library');
+
+/**
+ * Worker thread for PDF417 decoding
+ *
+ * ZXing decodes synchronously and TRY_HARDER can take seconds on a large photo, so it runs
+ * here instead of on the server's event loop. Messages are { id, data, width, height } with
+ * data a single-channel greyscale plane; answers are { id, text } (null when no barcode
+ * was found) or { id, error }.
+ */
+const hints = new Map([[DecodeHintType.TRY_HARDER, true]]);
+
+parentPort.on('message', ({ id, data, width, height }) => {
+  try {
+    // Single-channel greyscale is exactly the luminance plane ZXing expects
+    const luminance = new PlanarYUVLuminanceSource(new Uint8ClampedArray(data), width, height, 0, 0, width, height, false);
+    const result = new PDF417Reader().decode(new BinaryBitmap(new HybridBinarizer(luminance)), hints);
+    parentPort.postMessage({ id, text: result.getText() });
+  } catch (error) {
+    if (error instanceof NotFoundException) {
+      parentPort.postMessage({ id, text: null });
+    } else {
+      parentPort.postMessage({ id, error: error.message || String(error) });
+    }
+  }
+});
@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '..', 'config', 'capture-registry.json');
+// IDs end up in URLs and directory names
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Modes (visitor categories) and the capture types each one needs
+ *
+ * Capture types define the image roles a slot accepts and which recognizers run on it.
+ * Modes list the capture types they allow, each with the roles required to complete
+ * (an empty list makes the capture optional). exitCaptureType names the capture type
+ * used for images taken at check-out; it belongs to no mode.
+ */
+class CaptureRegistry {
+  /**
+   * @param {Object} [definition] - { captureTypes, modes, exitCaptureType } (defaults to CAPTURE_REGISTRY_FILE)
+   */
+  constructor(definition) {
+    const registry = definition || fs.readJsonSync(process.env.CAPTURE_REGISTRY_FILE || DEFAULT_REGISTRY_FILE);
+    this.validate(registry);
+    this.captureTypes = registry.captureTypes;
+    this.modes = registry.modes;
+    this.exitCaptureType = registry.exitCaptureType || null;
+  }
+
+  /**
+   * Validate registry definition
+   * @param {Object} registry - Registry definition
+   */
+  validate(registry) {
+    if (!registry || !registry.captureTypes || !registry.modes) {
+      throw new Error('Capture registry must define captureTypes and modes');
+    }
+
+    for (const [id, captureType] of Object.entries(registry.captureTypes)) {
+      if (!ID_PATTERN.test(id)) {
+        throw new Error(`Invalid capture type ID: ${id}`);
+      }
+      if (!Array.isArray(captureType.roles) || captureType.roles.length === 0) {
+        throw new Error(`Capture type "${id}" must list at least one role`);
+      }
+      const invalidRole = captureType.roles.find(role => !ID_PATTERN.test(role));
+      if (invalidRole) {
+        throw new Error(`Invalid role "${invalidRole}" for capture type "${id}"`);
+      }
+      const unknownDocumentRole = (captureType.documentRoles || []).find(role => !captureType.roles.includes(role));
+      if (unknownDocumentRole) {
+        throw new Error(`Capture type "${id}" lists unknown document role "${unknownDocumentRole}"`);
+      }
+    }
+
+    for (const [id, mode] of Object.entries(registry.modes)) {
+      if (!ID_PATTERN.test(id)) {
+        throw new Error(`Invalid mode ID: ${id}`);
+      }
+      if (!mode.captures || Object.keys(mode.captures).length === 0) {
+        throw new Error(`Mode "${id}" must allow at least one capture type`);
+      }
+      for (const [captureType, requiredRoles] of Object.entries(mode.captures)) {
+        const definition = registry.captureTypes[captureType];
+        if (!definition) {
+          throw new Error(`Mode "${id}" uses unknown capture type "${captureType}"`);
+        }
+        const unknownRole = requiredRoles.find(role => !definition.roles.includes(role));
+        if (unknownRole) {
+          throw new Error(`Mode "${id}" requires unknown role "${unknownRole}" for "${captureType}"`);
+        }
+      }
+    }
+
+    const exitCaptureType = registry.exitCaptureType;
+    if (exitCaptureType !== undefined && exitCaptureType !== null) {
+      if (!registry.captureTypes[exitCaptureType]) {
+        throw new Error(`Exit capture type "${exitCaptureType}" is not defined`);
+      }
+      const exitMode = Object.keys(registry.modes).find(id => registry.modes[id].captures[exitCaptureType]);
+      if (exitMode) {
+        throw new Error(`Mode "${exitMode}" uses the exit capture type "${exitCaptureType}"`);
+      }
+    }
+  }
+
+  /**
+   * List capture type IDs
+   * @returns {Array} Capture type IDs
+   */
+  listCaptureTypes() {
+    return Object.keys(this.captureTypes);
+  }
+
+  /**
+   * List capture type IDs a session can capture (all but the exit capture type)
+   * @returns {Array} Capture type IDs
+   */
+  listSessionCaptureTypes() {
+    return this.listCaptureTypes().filter(captureType => captureType !== this.exitCaptureType);
+  }
+
+  /**
+   * List mode IDs
+   * @returns {Array} Mode IDs
+   */
+  listModes() {
+    return Object.keys(this.modes);
+  }
+
+  /**
+   * Get capture type definition
+   * @param {string} captureType - Capture type ID
+   * @returns {Object|null} Definition or null if unknown
+   */
+  getCaptureType(captureType) {
+    return Object.prototype.hasOwnProperty.call(this.captureTypes, captureType) ? this.captureTypes[captureType] : null;
+  }
+
+  /**
+   * Get mode definition
+   * @param {string} mode - Mode ID
+   * @returns {Object|null} Definition or null if unknown
+   */
+  getMode(mode) {
+    return Object.prototype.hasOwnProperty.call(this.modes, mode) ? this.modes[mode] : null;
+  }
+
+  /**
+   * Get the roles a capture slot accepts (the first is the default)
+   * @param {string} captureType - Capture type ID
+   * @returns {Array} Roles
+   */
+  getRoles(captureType) {
+    const definition = this.getCaptureType(captureType);
+    return definition ? definition.roles : [];
+  }
+
+  /**
+   * Get capture types allowed in a mode
+   * @param {string} mode - Mode ID
+   * @returns {Array} Capture type IDs
+   */
+  getAvailableCaptures(mode) {
+    const definition = this.getMode(mode);
+    return definition ? Object.keys(definition.captures) : [];
+  }
+
+  /**
+   * Get the roles each capture type needs before a session in this mode can complete
+   * @param {string} mode - Mode ID
+   * @returns {Object} Capture type ID => required roles
+   */
+  getRequiredRoles(mode) {
+    const definition = this.getMode(mode);
+    return definition ? definition.captures : {};
+  }
+
+  /**
+   * Check whether a capture type runs a recognizer
+   * @param {string} captureType - Capture type ID
+   * @param {string} feature - 'plateRecognition' or 'barcode'
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(captureType, feature) {
+    const definition = this.getCaptureType(captureType);
+    return Boolean(definition && definition[feature]);
+  }
+
+  /**
+   * Check whether a role is a document photo (ID, disc, permit) rather than a scene
+   * Document roles get the document coverage check in the quality gate.
+   * @param {string} captureType - Capture type ID
+   * @param {string} role - Image role
+   * @returns {boolean} True if the role is listed in documentRoles
+   */
+  isDocument(captureType, role) {
+    const definition = this.getCaptureType(captureType);
+    return Boolean(definition && (definition.documentRoles || []).includes(role));
+  }
+
+  /**
+   * Describe the registry for terminals
+   * @returns {Object} { captureTypes, modes }
+   */
+  describe() {
+    return {
+      captureTypes: this.captureTypes,
+      modes: this.modes,
+      exitCaptureType: this.exitCaptureType
+    };
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the registry loaded from CAPTURE_REGISTRY_FILE (loaded once)
+ * @returns {CaptureRegistry} Capture registry
+ */
+CaptureRegistry.getDefault = () => {
+  if (!defaultRegistry) {
+    defaultRegistry = new CaptureRegistry();
+  }
+  return defaultRegistry;
+};
+
+module.exports = CaptureRegistry;
@@ -1,87 +1,263 @@
 const EstateMateClient = require('../api/estateMateClient');
 const DemoEstateMateClient = require('../api/demoEstateMateClient');
+const LocalResidentClient = require('../api/localResidentClient');
 const ImageStorageService = require('./imageStorage');
+const { createSessionStore } = require('./sessionStore');
+const AuditLog = require('./auditLog');
+const VisitStore = require('./visitStore');
+const { createPlateRecognizer, normalizePlate } = require('./plateRecognizer');
+const { createBarcodeReader } = require('./barcodeReader');
+const { ImageQualityAnalyzer, ImageQualityError } = require('./imageQuality');
+const { DocumentNormalizer } = require('./documentNormalizer');
+const CaptureRegistry = require('./captureRegistry');
+const SessionEventBus = require('./eventBus');
+const { EstateMateOutbox } = require('./estateMateOutbox');
+const { OtpGuard } = require('./otpGuard');
+const { OtpPolicy, OtpPolicyError } = require('./otpPolicy');
+const { TerminalRegistry } = require('./terminalRegistry');
+const OnSiteRegister = require('./onSiteRegister');
+const ResidentDirectory = require('./residentDirectory');
+const { TERMINAL_STATES, transition, initialState } = require('./sessionStateMachine');
+const { parseDocumentBarcode } = require('../utils/documentBarcodes');
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Time limit
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} Result of the promise
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const IMAGE_POLICIES = ['retain', 'delete'];
+
+/**
+ * Check whether a lookup failed because the OTP itself was rejected (as opposed to EstateMate being unreachable)
+ * @param {Error} error - Lookup error
+ * @returns {boolean} True if the OTP was rejected
+ */
+const isOtpRejection = error => error.status === 400 || error.status === 404 ||
+  Boolean(error.code && error.code.startsWith('OTP_') && error.code !== 'OTP_LOCKED_OUT');
+const EXPIRY_ACTOR = 'system:session-expiry';
 
 class CaptureService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.sessionStore] - Session store (defaults to SESSION_STORE configuration)
+   * @param {AuditLog} [options.auditLog] - Audit log (defaults to AUDIT_LOG_FILE)
+   * @param {VisitStore} [options.visitStore] - Visit history (defaults to VISIT_STORE_FILE)
+   * @param {Object|null} [options.plateRecognizer] - Plate recognizer, null to disable (defaults to PLATE_RECOGNIZER)
+   * @param {Object|null} [options.barcodeReader] - Document barcode reader, null to disable (defaults to BARCODE_READER)
+   * @param {ImageQualityAnalyzer} [options.imageQuality] - Quality gate (defaults to QUALITY_* configuration)
+   * @param {DocumentNormalizer} [options.documentNormalizer] - Document flattening (defaults to DOCUMENT_NORMALIZATION)
+   * @param {CaptureRegistry} [options.registry] - Modes and capture types (defaults to CAPTURE_REGISTRY_FILE)
+   * @param {SessionEventBus} [options.events] - Live session events for dashboards
+   * @param {OtpGuard} [options.otpGuard] - Brute-force protection for OTP lookups (defaults to OTP_GUARD_FILE)
+   * @param {OtpPolicy} [options.otpPolicy] - OTP validity and use limits (defaults to OTP_USE_POLICY / OTP_USAGE_FILE)
+   * @param {TerminalRegistry} [options.terminals] - Gate terminals (defaults to TERMINALS_FILE)
+   * @param {ResidentDirectory} [options.residents] - Local residents and visitor invites (defaults to RESIDENTS_FILE / INVITES_FILE)
+   * @param {OnSiteRegister} [options.onSite] - Visitors currently on the estate (defaults to VISIT_STAY_LIMIT_MS / VISIT_STAY_LIMITS)
+   * @param {EstateMateOutbox} [options.outbox] - Visitor entries waiting to be pushed to EstateMate (defaults to OUTBOX_FILE)
+   * @param {Object} [options.imagePolicies] - What happens to the images of cancelled and expired sessions:
+   *   { cancelled, expired }, each 'retain' or 'delete' (defaults to CANCELLED_SESSION_IMAGES / EXPIRED_SESSION_IMAGES)
+   */
+  constructor(options = {}) {
     this.estateMateClient = null;
-    this.imageStorage = new ImageStorageService();
-    this.activeSessions = new Map(); // Track active capture sessions
+    this.registry = options.registry || CaptureRegistry.getDefault();
+    this.imageStorage = new ImageStorageService({ registry: this.registry });
+    // Track active capture sessions, encrypted under the image master keys
+    this.sessionStore = options.sessionStore || createSessionStore({ keyWrapper: this.imageStorage.keyStore.wrapper });
+    this.auditLog = options.auditLog || new AuditLog();
+    this.visitStore = options.visitStore || new VisitStore();
+    this.plateRecognizer = options.plateRecognizer !== undefined ? options.plateRecognizer : createPlateRecognizer();
+    this.plateRecognitionTimeout = parseInt(process.env.PLATE_RECOGNITION_TIMEOUT) || 15000;
+    this.barcodeReader = options.barcodeReader !== undefined ? options.barcodeReader : createBarcodeReader();
+    this.barcodeDecodeTimeout = parseInt(process.env.BARCODE_DECODE_TIMEOUT) || 10000;
+    this.imageQuality = options.imageQuality || new ImageQualityAnalyzer();
+    this.documentNormalizer = options.documentNormalizer || new DocumentNormalizer();
+    this.events = options.events || new SessionEventBus();
+    this.otpGuard = options.otpGuard || new OtpGuard();
+    this.otpPolicy = options.otpPolicy || new OtpPolicy();
+    this.terminals = options.terminals || new TerminalRegistry();
+    this.onSite = options.onSite || new OnSiteRegister({ visitStore: this.visitStore });
+    this.residents = options.residents || new ResidentDirectory({ registry: this.registry });
+    this.outbox = options.outbox || new EstateMateOutbox({ deliver: entry => this.deliverVisitorEntry(entry) });
+    this.imagePolicies = {
+      cancelled: process.env.CANCELLED_SESSION_IMAGES || 'delete',
+      expired: process.env.EXPIRED_SESSION_IMAGES || 'retain',
+      ...options.imagePolicies
+    };
+    for (const [state, policy] of Object.entries(this.imagePolicies)) {
+      if (!IMAGE_POLICIES.includes(policy)) {
+        throw new Error(`Invalid image policy "${policy}" for ${state} sessions. Must be one of: ${IMAGE_POLICIES.join(', ')}`);
+      }
+    }
+    this.sessionTimeout = parseInt(process.env.SESSION_TIMEOUT) || 30 * 60 * 1000; // 30 minutes default
+    // 0 turns the sweep off; sessions then only expire through POST /cleanup
+    this.sweepInterval = process.env.SESSION_SWEEP_INTERVAL_MS !== undefined
+      ? parseInt(process.env.SESSION_SWEEP_INTERVAL_MS) || 0
+      : 60 * 1000;
+    this.sweepTimer = null;
+    this.sweeping = false;
+    this.sessionQueues = new Map(); // Session ID => last operation queued on it
     this.demoMode = false;
   }
 
   /**
    * Initialize capture service
+   *
+   * ESTATE_MATE_PROVIDER picks the client: 'api' (default), 'demo' or 'local' for the local
+   * resident directory. There is no automatic fallback to demo residents. If EstateMate cannot be reached at startup the real client is
+   * kept and its health probe closes the circuit once EstateMate answers again.
    * @returns {Promise<boolean>} Initialization success
    */
   async initialize() {
-    try {
-      // Try to initialize real EstateMate client first
-      this.estateMateClient = new EstateMateClient();
-      
-      // Validate API configuration
-      if (!this.estateMateClient.validateConfig()) {
-        console.warn('EstateMate API configuration is invalid, switching to demo mode');
-        this.demoMode = true;
-        this.estateMateClient = new DemoEstateMateClient();
-      } else {
-        // Test API connection
-        const isConnected = await this.estateMateClient.testConnection();
-        if (!isConnected) {
-          console.warn('Unable to connect to EstateMate API, switching to demo mode');
-          this.demoMode = true;
-          this.estateMateClient = new DemoEstateMateClient();
-        }
-      }
+    this.provider = (process.env.ESTATE_MATE_PROVIDER || 'api').toLowerCase();
 
-      console.log(`Capture service initialized successfully${this.demoMode ? ' (Demo Mode)' : ''}`);
-      return true;
-    } catch (error) {
-      console.error('Failed to initialize capture service, trying demo mode:', error.message);
+    if (this.provider === 'demo') {
+      console.warn('ESTATE_MATE_PROVIDER=demo - serving demo residents, not for production use');
       this.demoMode = true;
       this.estateMateClient = new DemoEstateMateClient();
-      console.log('Capture service initialized in demo mode');
+      console.log('Capture service initialized successfully (Demo Mode)');
+      return true;
+    }
+    this.demoMode = false;
+    if (this.provider === 'local') {
+      this.estateMateClient = new LocalResidentClient(this.residents);
+      console.log('Capture service initialized successfully (local resident directory)');
       return true;
     }
+    if (this.provider !== 'api') {
+      throw new Error(`Invalid ESTATE_MATE_PROVIDER "${this.provider}". Must be one of: api, demo, local`);
+    }
+
+    const client = new EstateMateClient();
+    if (!client.validateConfig()) {
+      this.estateMateClient = null;
+      throw new Error('EstateMate API configuration is invalid');
+    }
+
+    this.estateMateClient = client;
+    client.startHealthProbe();
+
+    const isConnected = await client.testConnection();
+    if (!isConnected) {
+      this.events.publish('estatemate.error', { data: { operation: 'testConnection', error: 'Connection test failed' } });
+      throw new Error('Unable to connect to EstateMate API - lookups will resume when the health probe reaches it');
+    }
+
+    console.log('Capture service initialized successfully');
+    return true;
   }
 
   /**
    * Start new capture session with OTP search
    * @param {string} otp - One-Time-PIN
+   * @param {Object} [context] - Request context
+   * @param {string} [context.operatorId] - Authenticated operator starting the session
+   * @param {string} [context.terminalId] - Registered terminal the request comes from
+   * @param {string} [context.gateId] - Gate the terminal is at
+   * @param {string} [context.lane] - Lane at the gate
+   * @param {string} [context.ip] - Client IP, for brute-force protection
    * @returns {Promise<Object>} Session info with resident data
    */
-  async startCaptureSession(otp) {
+  async startCaptureSession(otp, context = {}) {
     try {
       if (!otp || typeof otp !== 'string' || otp.trim().length === 0) {
         throw new Error('OTP is required and must be a non-empty string');
       }
 
-      // Search for resident info using OTP
-      const residentInfo = await this.estateMateClient.searchByOTP(otp.trim());
+      if (!this.estateMateClient) {
+        throw new Error('EstateMate client is not initialized');
+      }
 
-      // Create new session
       const sessionId = this.generateSessionId();
+
+      // Search for resident info using OTP, then check it may still be used
+      let residentInfo;
+      let otpUse;
+      await this.otpGuard.serialize(otp.trim(), context, async () => {
+        try {
+          this.otpGuard.check(otp.trim(), context);
+          residentInfo = await this.estateMateClient.searchByOTP(otp.trim());
+          if (this.demoMode) {
+            // Demo OTPs are shared test codes, so their uses are not counted or stored
+            this.otpPolicy.assertValid(residentInfo);
+          } else {
+            otpUse = await this.otpPolicy.consume(otp.trim(), residentInfo, sessionId);
+          }
+        } catch (error) {
+          await this.auditLog.record({
+            action: 'otp.lookup',
+            actor: context.operatorId,
+            outcome: 'failure',
+            details: { otp: this.maskOTP(otp.trim()), error: error.message, code: error.code, ip: context.ip }
+          });
+          if (error instanceof OtpPolicyError) {
+            // The OTP is genuine, so this is not a guess and does not count towards a lockout
+            this.events.publish('otp.rejected', {
+              gateId: context.gateId || null,
+              data: { code: error.code, residentId: residentInfo.id, operatorId: context.operatorId || null, ...error.details }
+            });
+          } else if (isOtpRejection(error)) {
+            await this.recordOtpFailure(otp.trim(), context);
+          } else if (error.code !== 'OTP_LOCKED_OUT') {
+            this.events.publish('estatemate.error', {
+              gateId: context.gateId || null,
+              data: { operation: 'searchByOTP', operatorId: context.operatorId || null, error: error.message }
+            });
+          }
+          throw error;
+        }
+      });
+
+      // Create new session
       const session = {
         id: sessionId,
         otp: otp.trim(),
         residentInfo,
-        status: 'active',
+        otpUse,
+        ...initialState(context),
+        operatorId: context.operatorId || null,
+        terminalId: context.terminalId || null,
+        gateId: context.gateId || null,
+        lane: context.lane || null,
         createdAt: new Date().toISOString(),
-        captures: {
-          person: null,
-          vehicle: null
-        },
+        captures: {}, // Slots are added for the selected mode's capture types
         mode: null // Will be set when mode is selected
       };
 
       // Store session
-      this.activeSessions.set(sessionId, session);
+      await this.sessionStore.save(session);
+
+      await this.auditLog.record({
+        action: 'otp.lookup',
+        actor: context.operatorId,
+        sessionId,
+        details: { otp: this.maskOTP(session.otp), residentId: residentInfo.id, otpUse }
+      });
+      await this.auditLog.record({
+        action: 'session.started',
+        actor: context.operatorId,
+        sessionId,
+        details: { residentId: residentInfo.id, unitNumber: residentInfo.unitNumber }
+      });
+
+      this.publishEvent('session.started', session, { operatorId: session.operatorId });
 
       console.log(`Capture session started: ${sessionId} for resident ${residentInfo.name}`);
       return {
         sessionId,
         residentInfo,
-        status: 'ready_for_mode_selection'
+        otpUse,
+        status: 'ready_for_mode_selection',
+        sessionStatus: session.status
       };
 
     } catch (error) {
@@ -90,164 +266,880 @@ class CaptureService {
     }
   }
 
+  /**
+   * Count a rejected OTP against its sources and raise an alert for each lockout it starts
+   * @param {string} otp - One-Time-PIN
+   * @param {Object} context - Request context
+   */
+  async recordOtpFailure(otp, context) {
+    const lockouts = await this.otpGuard.recordFailure(otp, context);
+
+    for (const lockout of lockouts) {
+      await this.auditLog.record({
+        action: 'otp.lockout',
+        actor: context.operatorId,
+        outcome: 'failure',
+        details: { source: lockout.key, failures: lockout.failures, lockedUntil: lockout.lockedUntil, ip: context.ip }
+      });
+      this.events.publish('security.alert', {
+        gateId: context.gateId || null,
+        data: {
+          reason: 'otp_lockout',
+          scope: lockout.scope,
+          source: lockout.key,
+          failures: lockout.failures,
+          lockedUntil: lockout.lockedUntil,
+          operatorId: context.operatorId || null
+        }
+      });
+      console.warn(`OTP lookups from ${lockout.key} locked out until ${lockout.lockedUntil}`);
+    }
+  }
+
   /**
    * Set capture mode for session
    * @param {string} sessionId - Session ID
-   * @param {string} mode - 'pedestrian' or 'vehicle'
+   * @param {string} mode - Mode ID from the capture registry, e.g. 'pedestrian' or 'vehicle'
+   * @param {Object} [context] - Request context
    * @returns {Promise<Object>} Updated session info
    */
-  async setCaptureMode(sessionId, mode) {
-    try {
-      const session = this.getSession(sessionId);
+  setCaptureMode(sessionId, mode, context = {}) {
+    return this.withSession(sessionId, async () => {
+      try {
+        const session = await this.getSession(sessionId);
       
-      if (!['pedestrian', 'vehicle'].includes(mode)) {
-        throw new Error('Invalid capture mode. Must be "pedestrian" or "vehicle"');
-      }
+        if (!this.registry.getMode(mode)) {
+          throw new Error(`Invalid capture mode. Must be one of: ${this.registry.listModes().join(', ')}`);
+        }
+        // Invites can limit a visitor to one mode
+        if (session.residentInfo.allowedMode && mode !== session.residentInfo.allowedMode) {
+          throw new Error(`This OTP only allows ${session.residentInfo.allowedMode} mode`);
+        }
 
-      session.mode = mode;
-      session.updatedAt = new Date().toISOString();
+        transition(session, 'mode_selected', context);
+        session.mode = mode;
+        // Images taken under a previous mode stay in their slots
+        for (const captureType of this.getAvailableCaptures(mode)) {
+          session.captures[captureType] = session.captures[captureType] || [];
+        }
+        session.updatedAt = new Date().toISOString();
+        session.updatedBy = context.operatorId || null;
+        await this.sessionStore.save(session);
 
-      console.log(`Capture mode set to ${mode} for session ${sessionId}`);
-      return {
-        sessionId,
-        mode,
-        status: 'ready_for_capture',
-        availableCaptures: this.getAvailableCaptures(mode)
-      };
+        await this.auditLog.record({
+          action: 'session.mode_set',
+          actor: context.operatorId,
+          sessionId,
+          details: { mode }
+        });
 
-    } catch (error) {
-      console.error('Error setting capture mode:', error);
-      throw error;
-    }
+        this.publishEvent('session.mode_set', session, { mode, operatorId: session.updatedBy });
+
+        console.log(`Capture mode set to ${mode} for session ${sessionId}`);
+        return {
+          sessionId,
+          mode,
+          status: 'ready_for_capture',
+          sessionStatus: session.status,
+          availableCaptures: this.getAvailableCaptures(mode),
+          captureRoles: Object.fromEntries(
+            this.getAvailableCaptures(mode).map(captureType => [captureType, this.registry.getRoles(captureType)])
+          ),
+          missingRoles: this.getMissingRoles(session)
+        };
+
+      } catch (error) {
+        console.error('Error setting capture mode:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Process captured image
    * @param {string} sessionId - Session ID
-   * @param {string} captureType - 'person' or 'vehicle'
+   * @param {string} captureType - Capture type ID from the capture registry, e.g. 'person' or 'vehicle'
    * @param {Buffer} imageBuffer - Image data
+   * @param {Object} [context] - Request context
+   * @param {string} [context.operatorId] - Authenticated operator taking the capture
+   * @param {string} [role] - Image role within the slot, e.g. 'id_back' (defaults to the slot's first role)
    * @returns {Promise<Object>} Capture result
    */
-  async processCapture(sessionId, captureType, imageBuffer) {
-    try {
-      const session = this.getSession(sessionId);
+  processCapture(sessionId, captureType, imageBuffer, context = {}, role = null) {
+    return this.withSession(sessionId, async () => {
+      try {
+        const session = await this.getSession(sessionId);
       
-      if (!['person', 'vehicle'].includes(captureType)) {
-        throw new Error('Invalid capture type. Must be "person" or "vehicle"');
-      }
+        if (!this.registry.getCaptureType(captureType)) {
+          throw new Error(`Invalid capture type. Must be one of: ${this.registry.listSessionCaptureTypes().join(', ')}`);
+        }
+
+        // Validate capture is allowed for current mode
+        if (!session.mode) {
+          throw new Error('Capture mode must be set before capturing');
+        }
+        if (session.status !== 'capturing') {
+          transition(session, 'capturing', context);
+        }
+        if (!this.getAvailableCaptures(session.mode).includes(captureType)) {
+          const label = captureType.charAt(0).toUpperCase() + captureType.slice(1);
+          throw new Error(`${label} capture not allowed in ${session.mode} mode`);
+        }
+
+        const roles = this.registry.getRoles(captureType);
+        const imageRole = role || roles[0];
+        if (!roles.includes(imageRole)) {
+          throw new Error(`Invalid role for ${captureType} capture. Must be one of: ${roles.join(', ')}`);
+        }
+        // A capture for a role that already has an image is a retake
+        const previous = session.captures[captureType].find(image => image.role === imageRole && !image.supersededAt);
+
+        // Reject unusable images before anything is stored
+        const quality = await this.imageQuality.analyze(imageBuffer, {
+          document: this.registry.isDocument(captureType, imageRole)
+        });
+        if (quality && !quality.passed && quality.mode === 'enforce') {
+          await this.auditLog.record({
+            action: 'capture.rejected',
+            actor: context.operatorId,
+            sessionId,
+            details: { captureType, reasons: quality.reasons.map(reason => reason.code), scores: quality.scores }
+          });
+          throw new ImageQualityError(quality);
+        }
+
+        // Prepare metadata
+        const metadata = {
+          residentInfo: session.residentInfo,
+          captureType,
+          timestamp: new Date().toISOString(),
+          sessionId,
+          otp: session.otp,
+          operatorId: context.operatorId || null,
+          terminalId: session.terminalId || null,
+          gateId: session.gateId || null,
+          lane: session.lane || null,
+          role: imageRole,
+          supersedes: previous ? previous.imageId : null,
+          quality
+        };
 
-      // Validate capture is allowed for current mode
-      if (session.mode === 'pedestrian' && captureType === 'vehicle') {
-        throw new Error('Vehicle capture not allowed in pedestrian mode');
+        // Flatten the document; the untouched upload is kept alongside it as evidence
+        let storedImage = imageBuffer;
+        let storageOptions = {};
+        if (this.documentNormalizer.isEnabled(captureType)) {
+          const { image, originalMimeType, ...normalization } = await this.documentNormalizer.normalize(imageBuffer);
+          metadata.documentNormalization = normalization;
+          if (image) {
+            storedImage = image;
+            storageOptions = { original: imageBuffer, originalMimeType };
+          }
+        }
+
+        if (this.registry.isEnabled(captureType, 'plateRecognition')) {
+          metadata.plateRecognition = await this.recognizePlate(imageBuffer);
+        }
+        if (this.registry.isEnabled(captureType, 'barcode')) {
+          metadata.documentBarcode = await this.readDocumentBarcode(storedImage);
+        }
+
+        // Store image
+        const storageResult = await this.imageStorage.storeImage(storedImage, metadata, storageOptions);
+
+        // Update session
+        const image = {
+          imageId: storageResult.fileId,
+          role: imageRole,
+          filename: storageResult.filename,
+          timestamp: metadata.timestamp,
+          fileSize: storageResult.metadata.fileSize,
+          operatorId: metadata.operatorId
+        };
+        if (metadata.plateRecognition && metadata.plateRecognition.status === 'recognized') {
+          const { text, normalized, confidence } = metadata.plateRecognition;
+          image.plate = { text, normalized, confidence };
+        }
+        if (metadata.documentBarcode && metadata.documentBarcode.status === 'decoded') {
+          const { documentType, readable, expired, fields } = metadata.documentBarcode;
+          image.document = { documentType, readable, expired, fields };
+        }
+
+        // Retakes keep the earlier image as a superseded version
+        if (previous) {
+          previous.supersededAt = metadata.timestamp;
+          previous.supersededBy = image.imageId;
+          await this.imageStorage.markSuperseded(previous.imageId, image.imageId);
+        }
+        session.captures[captureType].push(image);
+        session.updatedAt = new Date().toISOString();
+        session.updatedBy = metadata.operatorId;
+
+        console.log(`${captureType} capture processed for session ${sessionId}: ${storageResult.fileId}`);
+
+        // The session is closed by completeSession once nothing required is missing
+        const isComplete = this.isSessionComplete(session);
+
+        await this.sessionStore.save(session);
+
+        await this.auditLog.record({
+          action: 'capture.processed',
+          actor: context.operatorId,
+          sessionId,
+          imageId: storageResult.fileId,
+          details: {
+            captureType,
+            role: imageRole,
+            supersedes: metadata.supersedes,
+            checksum: storageResult.metadata.checksum
+          }
+        });
+
+        this.publishEvent('capture.stored', session, {
+          captureType,
+          role: imageRole,
+          imageId: storageResult.fileId,
+          supersedes: metadata.supersedes,
+          plate: image.plate ? image.plate.normalized : null,
+          qualityPassed: quality ? quality.passed : null,
+          operatorId: metadata.operatorId,
+          missingRoles: this.getMissingRoles(session)
+        });
+
+        return {
+          success: true,
+          captureType,
+          imageId: storageResult.fileId,
+          role: imageRole,
+          supersedes: metadata.supersedes,
+          plateRecognition: metadata.plateRecognition || null,
+          documentBarcode: metadata.documentBarcode || null,
+          quality,
+          documentNormalization: metadata.documentNormalization || null,
+          sessionComplete: isComplete,
+          sessionStatus: session.status,
+          missingRoles: this.getMissingRoles(session),
+          nextAction: this.getNextAction(session, captureType)
+        };
+
+      } catch (error) {
+        console.error('Error processing capture:', error);
+        throw error;
       }
+    });
+  }
 
-      // Prepare metadata
-      const metadata = {
-        residentInfo: session.residentInfo,
-        captureType,
-        timestamp: new Date().toISOString(),
-        sessionId,
-        otp: session.otp
-      };
+  /**
+   * Read the number plate on a vehicle image
+   * Recognition never blocks a capture: failures and timeouts are recorded instead of thrown.
+   * @param {Buffer} imageBuffer - Raw image data
+   * @returns {Promise<Object|null>} Recognition result, or null when recognition is disabled
+   */
+  async recognizePlate(imageBuffer) {
+    if (!this.plateRecognizer) {
+      return null;
+    }
+
+    try {
+      const result = await withTimeout(
+        this.plateRecognizer.recognize(imageBuffer),
+        this.plateRecognitionTimeout,
+        'Plate recognition timed out'
+      );
 
-      // Store image
-      const storageResult = await this.imageStorage.storeImage(imageBuffer, metadata);
+      if (!result) {
+        return { status: 'not_found', recognizer: this.plateRecognizer.name };
+      }
 
-      // Update session
-      session.captures[captureType] = {
-        imageId: storageResult.fileId,
-        filename: storageResult.filename,
-        timestamp: metadata.timestamp,
-        fileSize: storageResult.metadata.fileSize
+      return {
+        status: 'recognized',
+        text: result.text,
+        normalized: normalizePlate(result.text),
+        confidence: result.confidence,
+        boundingBox: result.boundingBox,
+        recognizer: this.plateRecognizer.name
       };
-      session.updatedAt = new Date().toISOString();
+    } catch (error) {
+      console.error('Error recognizing plate:', error);
+      return { status: 'failed', error: error.message, recognizer: this.plateRecognizer.name };
+    }
+  }
+
+  /**
+   * Decode and parse the PDF417 barcode on a licence disc or ID document
+   * Like plate recognition, this never blocks a capture.
+   * @param {Buffer} imageBuffer - Raw image data
+   * @returns {Promise<Object|null>} Parsed document, or null when decoding is disabled
+   */
+  async readDocumentBarcode(imageBuffer) {
+    if (!this.barcodeReader) {
+      return null;
+    }
 
-      console.log(`${captureType} capture processed for session ${sessionId}: ${storageResult.fileId}`);
+    try {
+      const barcode = await withTimeout(
+        this.barcodeReader.decode(imageBuffer),
+        this.barcodeDecodeTimeout,
+        'Barcode decoding timed out'
+      );
 
-      // Check if session is complete
-      const isComplete = this.isSessionComplete(session);
-      if (isComplete) {
-        session.status = 'completed';
-        session.completedAt = new Date().toISOString();
+      if (!barcode) {
+        return { status: 'not_found', reader: this.barcodeReader.name };
       }
 
       return {
-        success: true,
-        captureType,
-        imageId: storageResult.fileId,
-        sessionComplete: isComplete,
-        nextAction: this.getNextAction(session, captureType)
+        status: 'decoded',
+        format: barcode.format,
+        ...parseDocumentBarcode(barcode.text),
+        reader: this.barcodeReader.name
       };
-
     } catch (error) {
-      console.error('Error processing capture:', error);
-      throw error;
+      console.error('Error reading document barcode:', error);
+      return { status: 'failed', error: error.message, reader: this.barcodeReader.name };
     }
   }
 
   /**
    * Complete capture session
    * @param {string} sessionId - Session ID
+   * @param {Object} [context] - Request context
    * @returns {Promise<Object>} Session completion summary
    */
-  async completeSession(sessionId) {
-    try {
-      const session = this.getSession(sessionId);
+  completeSession(sessionId, context = {}) {
+    return this.withSession(sessionId, async () => {
+      try {
+        const session = await this.getSession(sessionId);
       
-      if (session.status !== 'completed') {
-        throw new Error('Session is not ready for completion');
+        if (session.status !== 'capturing' || !this.isSessionComplete(session)) {
+          throw new Error('Session is not ready for completion');
+        }
+
+        const currentImages = this.getCurrentImages(session);
+        // The open session stays untouched until its visit is recorded, so it can still be failed
+        const completed = transition({ ...session }, 'completed', context);
+        completed.completedAt = completed.statusChangedAt;
+
+        // Generate session summary
+        const summary = {
+          sessionId,
+          residentInfo: session.residentInfo,
+          mode: session.mode,
+          captures: session.captures,
+          operatorId: session.operatorId,
+          completedBy: context.operatorId || null,
+          createdAt: session.createdAt,
+          completedAt: completed.completedAt,
+          totalCaptures: currentImages.length
+        };
+
+        // Move session into visit history and queue it for EstateMate, then clean it up
+        try {
+          const visit = this.visitStore.buildVisit(completed, { completedBy: summary.completedBy });
+          await this.visitStore.save(visit);
+          await this.outbox.enqueueVisit(visit);
+        } catch (error) {
+          await this.failSession(session, `Visit could not be recorded: ${error.message}`, context);
+          throw error;
+        }
+        await this.sessionStore.delete(sessionId);
+
+        await this.auditLog.record({
+          action: 'session.completed',
+          actor: context.operatorId,
+          sessionId,
+          details: {
+            mode: session.mode,
+            imageIds: currentImages.map(image => image.imageId)
+          }
+        });
+
+        // Delivery happens in the background; the outbox retries until EstateMate has the entry
+        this.outbox.flush().catch(error => {
+          console.error('Error pushing visitor entries to EstateMate:', error);
+        });
+
+        this.publishEvent('session.completed', completed, {
+          mode: session.mode,
+          totalCaptures: summary.totalCaptures,
+          operatorId: summary.completedBy
+        });
+
+        console.log(`Capture session completed: ${sessionId}`);
+        return summary;
+
+      } catch (error) {
+        console.error('Error completing session:', error);
+        throw error;
       }
+    });
+  }
 
-      // Generate session summary
-      const summary = {
-        sessionId,
-        residentInfo: session.residentInfo,
-        mode: session.mode,
-        captures: session.captures,
-        createdAt: session.createdAt,
-        completedAt: session.completedAt,
-        totalCaptures: Object.values(session.captures).filter(c => c !== null).length
+  /**
+   * Send one queued visitor entry to EstateMate
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<Object>} { entryId }
+   */
+  async deliverVisitorEntry(entry) {
+    try {
+      if (!this.estateMateClient) {
+        throw new Error('EstateMate client is not initialized');
+      }
+      return await this.estateMateClient.recordVisitorEntry(entry.payload, entry.id);
+    } catch (error) {
+      this.events.publish('estatemate.error', {
+        sessionId: entry.id,
+        gateId: entry.payload.gate_id,
+        data: { operation: 'recordVisitorEntry', attempt: entry.attempts, error: error.message }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the on-site visits an exit gate lookup refers to
+   * OTP lookups count towards brute-force lockouts like entry lookups do.
+   * @param {Object} query - Exactly one of otp, plate or reference (visit ID)
+   * @param {Object} [context] - Request context
+   * @returns {Promise<Array>} Matching visits with their stay, most recent entry first
+   */
+  async findOnSiteVisits(query, context = {}) {
+    const otp = query.otp ? String(query.otp).trim() : null;
+
+    const lookup = async () => {
+      if (otp) {
+        this.otpGuard.check(otp, context);
+      }
+
+      const matches = await this.onSite.find({ ...query, otp });
+
+      await this.auditLog.record({
+        action: 'exit.lookup',
+        actor: context.operatorId,
+        outcome: matches.length > 0 ? 'success' : 'failure',
+        details: {
+          by: otp ? 'otp' : query.plate ? 'plate' : 'reference',
+          otp: otp ? this.maskOTP(otp) : null,
+          plate: query.plate || null,
+          reference: query.reference || null,
+          visitIds: matches.map(match => match.visitId),
+          ip: context.ip
+        }
+      });
+      if (otp && matches.length === 0) {
+        await this.recordOtpFailure(otp, context);
+      }
+
+      return matches;
+    };
+
+    return otp ? this.otpGuard.serialize(otp, context, lookup) : lookup();
+  }
+
+  /**
+   * Check a visit out at the exit gate, optionally with an exit image
+   * @param {string} visitId - Visit (entry session) ID
+   * @param {Object} [context] - Request context
+   * @param {Buffer} [imageBuffer] - Exit image
+   * @param {string} [role] - Role within the registry's exit capture type, e.g. 'exit_person' (defaults to its first role)
+   * @returns {Promise<Object>} Check-out summary with the stay duration
+   */
+  async checkOutVisit(visitId, context = {}, imageBuffer = null, role = null) {
+    try {
+      const visit = await this.visitStore.get(visitId);
+      if (!visit) {
+        throw new Error(`Visit not found: ${visitId}`);
+      }
+      if (visit.status !== 'completed' || visit.exitedAt !== null) {
+        throw new Error(visit.exitedAt ? `Visit already checked out at ${visit.exitedAt}` : 'Only visits that entered can check out');
+      }
+
+      let exitImage = null;
+      if (imageBuffer) {
+        const exitCaptureType = this.registry.exitCaptureType;
+        if (!exitCaptureType) {
+          throw new Error('Exit images are not enabled - set exitCaptureType in the capture registry');
+        }
+        const roles = this.registry.getRoles(exitCaptureType);
+        const imageRole = role || roles[0];
+        if (!roles.includes(imageRole)) {
+          throw new Error(`Invalid role for exit capture. Must be one of: ${roles.join(', ')}`);
+        }
+
+        const metadata = {
+          residentInfo: visit.residentInfo,
+          captureType: exitCaptureType,
+          timestamp: new Date().toISOString(),
+          sessionId: visit.id,
+          operatorId: context.operatorId || null,
+          terminalId: context.terminalId || null,
+          gateId: context.gateId || null,
+          lane: context.lane || null,
+          role: imageRole
+        };
+        if (this.registry.isEnabled(exitCaptureType, 'plateRecognition')) {
+          metadata.plateRecognition = await this.recognizePlate(imageBuffer);
+        }
+        const storageResult = await this.imageStorage.storeImage(imageBuffer, metadata);
+
+        const plate = metadata.plateRecognition && metadata.plateRecognition.status === 'recognized'
+          ? metadata.plateRecognition.normalized
+          : null;
+        exitImage = {
+          imageId: storageResult.fileId,
+          role: imageRole,
+          timestamp: metadata.timestamp,
+          plate,
+          // A different plate leaving than the one that entered is worth a second look
+          plateMatches: plate && visit.plates.length > 0 ? visit.plates.includes(plate) : null
+        };
+      }
+
+      const exitedAt = new Date();
+      const stay = this.onSite.describeStay(visit, exitedAt);
+      visit.exitedAt = exitedAt.toISOString();
+      visit.exit = {
+        checkedOutBy: context.operatorId || null,
+        terminalId: context.terminalId || null,
+        gateId: context.gateId || null,
+        lane: context.lane || null,
+        durationMs: stay.durationMs,
+        overstayed: stay.overstayed,
+        image: exitImage
       };
+      await this.visitStore.save(visit);
+
+      await this.auditLog.record({
+        action: 'visit.checked_out',
+        actor: context.operatorId,
+        sessionId: visit.id,
+        imageId: exitImage ? exitImage.imageId : null,
+        details: { durationMs: stay.durationMs, overstayed: stay.overstayed, gateId: context.gateId || null }
+      });
+
+      this.events.publish('visit.checked_out', {
+        sessionId: visit.id,
+        gateId: context.gateId || null,
+        data: {
+          terminalId: context.terminalId || null,
+          residentId: visit.residentInfo.id,
+          unitNumber: visit.residentInfo.unitNumber,
+          durationMs: stay.durationMs,
+          overstayed: stay.overstayed,
+          plateMatches: exitImage ? exitImage.plateMatches : null,
+          operatorId: context.operatorId || null
+        }
+      });
+
+      console.log(`Visit checked out: ${visit.id} after ${Math.round(stay.durationMs / 60000)} minutes`);
+      return {
+        visitId: visit.id,
+        residentInfo: visit.residentInfo,
+        enteredAt: stay.enteredAt,
+        exitedAt: visit.exitedAt,
+        durationMs: stay.durationMs,
+        stayLimitMs: stay.stayLimitMs,
+        overstayed: stay.overstayed,
+        exitImage
+      };
+
+    } catch (error) {
+      console.error('Error checking out visit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a session, e.g. after a mistaken OTP entry
+   * @param {string} sessionId - Session ID
+   * @param {Object} [context] - Request context
+   * @param {string} [reason] - Why the session was cancelled
+   * @returns {Promise<Object>} Cancellation summary
+   */
+  cancelSession(sessionId, context = {}, reason = null) {
+    return this.withSession(sessionId, async () => {
+      try {
+        const session = await this.getSession(sessionId);
+        transition(session, 'cancelled', context, reason);
+
+        const images = await this.applyImagePolicy(session, context, reason || 'session_cancelled');
+        // The visitor never went through, so the OTP use is given back
+        const otpReleased = await this.otpPolicy.release(session.otp, session.residentInfo, sessionId);
+        await this.visitStore.save(this.visitStore.buildVisit(session, {
+          cancelledBy: context.operatorId || null,
+          cancelReason: reason,
+          imagePolicy: images.policy,
+          deletedImageIds: images.deletedImageIds
+        }));
+        await this.sessionStore.delete(sessionId);
+
+        await this.auditLog.record({
+          action: 'session.cancelled',
+          actor: context.operatorId,
+          sessionId,
+          details: { reason, imagePolicy: images.policy, deletedImageIds: images.deletedImageIds, otpReleased }
+        });
+
+        this.publishEvent('session.cancelled', session, { reason, operatorId: context.operatorId || null });
+
+        console.log(`Capture session cancelled: ${sessionId}`);
+        return {
+          sessionId,
+          status: session.status,
+          cancelledAt: session.statusChangedAt,
+          reason,
+          images,
+          otpReleased
+        };
+
+      } catch (error) {
+        console.error('Error cancelling session:', error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Mark a session as failed; it stays in the session store for review until it expires
+   * No entry was recorded, so the OTP use is given back for the visitor to try again.
+   * @param {Object} session - Session object
+   * @param {string} error - What went wrong
+   * @param {Object} [context] - Request context
+   * @returns {Promise<Object>} Failed session
+   */
+  async failSession(session, error, context = {}) {
+    transition(session, 'failed', context, error);
+    session.error = error;
+    await this.sessionStore.save(session);
+    const otpReleased = await this.otpPolicy.release(session.otp, session.residentInfo, session.id);
+
+    await this.auditLog.record({
+      action: 'session.failed',
+      actor: context.operatorId,
+      outcome: 'failure',
+      sessionId: session.id,
+      details: { error, otpReleased }
+    });
+    this.publishEvent('session.failed', session, { error });
+    return session;
+  }
+
+  /**
+   * Apply the image policy of a cancelled or expired session
+   * Deletion is best effort: images that cannot be deleted are reported and left to retention.
+   * @param {Object} session - Session in its final state
+   * @param {Object} context - Request context
+   * @param {string} reason - Deletion reason for the audit log
+   * @returns {Promise<Object>} { policy, deletedImageIds, failedImageIds }
+   */
+  async applyImagePolicy(session, context, reason) {
+    const policy = this.imagePolicies[session.status] || 'retain';
+    const result = { policy, deletedImageIds: [], failedImageIds: [] };
+    if (policy !== 'delete') {
+      return result;
+    }
+
+    // Superseded versions belong to the session too
+    const imageIds = Object.values(session.captures).flat().map(image => image.imageId);
+    for (const imageId of imageIds) {
+      try {
+        await this.deleteImage(imageId, context, reason);
+        result.deletedImageIds.push(imageId);
+      } catch (error) {
+        result.failedImageIds.push(imageId);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Retrieve and decrypt stored image, recording who viewed it
+   * @param {string} imageId - Image ID
+   * @param {Object} [context] - Request context
+   * @param {string} [variant] - 'stored' (default) or 'original'
+   * @returns {Promise<Object>} Image data and metadata
+   */
+  async retrieveImage(imageId, context = {}, variant = 'stored') {
+    try {
+      const imageData = await this.imageStorage.retrieveImage(imageId, variant);
+
+      await this.auditLog.record({
+        action: 'image.retrieved',
+        actor: context.operatorId,
+        sessionId: imageData.metadata.sessionId,
+        imageId,
+        details: { captureType: imageData.metadata.captureType, variant, ip: context.ip }
+      });
+
+      return imageData;
+    } catch (error) {
+      // Failed attempts are evidence too
+      await this.auditLog.record({
+        action: 'image.retrieved',
+        actor: context.operatorId,
+        outcome: 'failure',
+        imageId,
+        details: { error: error.message, variant, ip: context.ip }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete stored image and its metadata, recording who deleted it
+   * @param {string} imageId - Image ID
+   * @param {Object} [context] - Request context
+   * @param {string} [reason] - Why the image was deleted
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteImage(imageId, context = {}, reason = null) {
+    try {
+      await this.imageStorage.deleteImage(imageId);
 
-      // Clean up session
-      this.activeSessions.delete(sessionId);
+      await this.auditLog.record({
+        action: 'image.deleted',
+        actor: context.operatorId,
+        imageId,
+        details: { reason }
+      });
 
-      console.log(`Capture session completed: ${sessionId}`);
-      return summary;
+      return true;
+    } catch (error) {
+      await this.auditLog.record({
+        action: 'image.deleted',
+        actor: context.operatorId,
+        outcome: 'failure',
+        imageId,
+        details: { reason, error: error.message }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Crypto-shred stored image by destroying its data key, recording who shredded it
+   * @param {string} imageId - Image ID
+   * @param {Object} [context] - Request context
+   * @param {string} [reason] - Why the image was shredded
+   * @returns {Promise<Object>} Updated image metadata
+   */
+  async shredImage(imageId, context = {}, reason = null) {
+    try {
+      const metadata = await this.imageStorage.shredImage(imageId);
 
+      await this.auditLog.record({
+        action: 'image.shredded',
+        actor: context.operatorId,
+        sessionId: metadata.sessionId,
+        imageId,
+        details: { reason }
+      });
+
+      return metadata;
     } catch (error) {
-      console.error('Error completing session:', error);
+      await this.auditLog.record({
+        action: 'image.shredded',
+        actor: context.operatorId,
+        outcome: 'failure',
+        imageId,
+        details: { reason, error: error.message }
+      });
       throw error;
     }
   }
 
+  /**
+   * Publish a live event about a session
+   * @param {string} type - Event type
+   * @param {Object} session - Session object
+   * @param {Object} [data] - Event details
+   */
+  publishEvent(type, session, data = {}) {
+    this.events.publish(type, {
+      sessionId: session.id,
+      gateId: session.gateId || null,
+      data: {
+        terminalId: session.terminalId || null,
+        status: session.status,
+        residentId: session.residentInfo.id,
+        unitNumber: session.residentInfo.unitNumber,
+        ...data
+      }
+    });
+  }
+
+  /**
+   * Mask OTP for logs and audit entries
+   * @param {string} otp - One-Time-PIN
+   * @returns {string} OTP with all but the first two characters hidden
+   */
+  maskOTP(otp) {
+    return `${otp.slice(0, 2)}${'*'.repeat(Math.max(otp.length - 2, 0))}`;
+  }
+
+  /**
+   * Run an operation once earlier operations on the same session have finished
+   * Operations load the session, wait on storage and recognizers, then save it; side by
+   * side, the last save would drop the other operation's changes.
+   * @param {string} sessionId - Session ID
+   * @param {Function} fn - Async operation
+   * @returns {Promise<*>} Result of fn
+   */
+  withSession(sessionId, fn) {
+    const result = (this.sessionQueues.get(sessionId) || Promise.resolve()).then(() => fn());
+    const done = result.catch(() => {});
+    this.sessionQueues.set(sessionId, done);
+    done.then(() => {
+      if (this.sessionQueues.get(sessionId) === done) {
+        this.sessionQueues.delete(sessionId);
+      }
+    });
+    return result;
+  }
+
   /**
    * Get session by ID
    * @param {string} sessionId - Session ID
-   * @returns {Object} Session object
+   * @returns {Promise<Object>} Session object
    */
-  getSession(sessionId) {
-    const session = this.activeSessions.get(sessionId);
+  async getSession(sessionId) {
+    const session = await this.sessionStore.get(sessionId);
     if (!session) {
       throw new Error(`Session not found: ${sessionId}`);
     }
     return session;
   }
 
+  /**
+   * Get current (not superseded) images of a session
+   * @param {Object} session - Session object
+   * @param {string} [captureType] - Limit to one capture slot
+   * @returns {Array} Images
+   */
+  getCurrentImages(session, captureType) {
+    const slots = captureType ? [session.captures[captureType] || []] : Object.values(session.captures);
+    return slots.flat().filter(image => !image.supersededAt);
+  }
+
+  /**
+   * Get required roles that have no current image yet
+   * @param {Object} session - Session object
+   * @returns {Array} Missing roles as { captureType, role }, in capture order
+   */
+  getMissingRoles(session) {
+    const missing = [];
+    for (const [captureType, roles] of Object.entries(this.registry.getRequiredRoles(session.mode))) {
+      const captured = this.getCurrentImages(session, captureType).map(image => image.role);
+      roles.filter(role => !captured.includes(role)).forEach(role => missing.push({ captureType, role }));
+    }
+    return missing;
+  }
+
   /**
    * Get available captures for mode
    * @param {string} mode - Capture mode
    * @returns {Array} Available capture types
    */
   getAvailableCaptures(mode) {
-    switch (mode) {
-      case 'pedestrian':
-        return ['person'];
-      case 'vehicle':
-        return ['person', 'vehicle'];
-      default:
-        return [];
-    }
+    return this.registry.getAvailableCaptures(mode);
   }
 
   /**
@@ -256,8 +1148,7 @@ class CaptureService {
    * @returns {boolean} True if session is complete
    */
   isSessionComplete(session) {
-    const requiredCaptures = this.getAvailableCaptures(session.mode);
-    return requiredCaptures.every(captureType => session.captures[captureType] !== null);
+    return Boolean(session.mode) && this.getMissingRoles(session).length === 0;
   }
 
   /**
@@ -267,15 +1158,12 @@ class CaptureService {
    * @returns {string} Next action
    */
   getNextAction(session, completedCapture) {
-    const availableCaptures = this.getAvailableCaptures(session.mode);
-    const remainingCaptures = availableCaptures.filter(
-      captureType => session.captures[captureType] === null
-    );
+    const missingRoles = this.getMissingRoles(session);
 
-    if (remainingCaptures.length === 0) {
+    if (missingRoles.length === 0) {
       return 'complete_session';
     } else {
-      return `capture_${remainingCaptures[0]}`;
+      return `capture_${missingRoles[0].captureType}`;
     }
   }
 
@@ -289,44 +1177,147 @@ class CaptureService {
 
   /**
    * Get active sessions count
-   * @returns {number} Number of active sessions
+   * @returns {Promise<number>} Number of active sessions
    */
-  getActiveSessionsCount() {
-    return this.activeSessions.size;
+  async getActiveSessionsCount() {
+    return this.sessionStore.count();
   }
 
   /**
    * Clean up expired sessions
-   * @param {number} maxAge - Maximum session age in milliseconds
+   * Open sessions move to expired; failed sessions kept for review are moved out as they are.
+   * @param {number} [maxAge] - Maximum session age in milliseconds (defaults to SESSION_TIMEOUT)
+   * @returns {Promise<number>} Number of sessions cleaned up
    */
-  cleanupExpiredSessions(maxAge = 30 * 60 * 1000) { // 30 minutes default
+  async cleanupExpiredSessions(maxAge = this.sessionTimeout) {
     const now = new Date();
-    const expiredSessions = [];
+    const expiredIds = (await this.sessionStore.list())
+      .filter(session => now - new Date(session.createdAt) >= maxAge)
+      .map(session => session.id);
+
+    const context = { operatorId: EXPIRY_ACTOR };
+    let cleaned = 0;
+    for (const sessionId of expiredIds) {
+      const expired = await this.withSession(sessionId, async () => {
+        // Completed or cancelled since it was listed
+        const session = await this.sessionStore.get(sessionId);
+        if (!session) {
+          return false;
+        }
+
+        let extra = {};
+        if (!TERMINAL_STATES.includes(session.status)) {
+          transition(session, 'expired', context, 'timeout');
+          const images = await this.applyImagePolicy(session, context, 'session_expired');
+          // An abandoned session never recorded an entry, so like a cancellation it gives its OTP use back
+          const otpReleased = await this.otpPolicy.release(session.otp, session.residentInfo, session.id);
+          extra = { imagePolicy: images.policy, deletedImageIds: images.deletedImageIds, otpReleased };
 
-    for (const [sessionId, session] of this.activeSessions) {
-      const sessionAge = now - new Date(session.createdAt);
-      if (sessionAge > maxAge) {
-        expiredSessions.push(sessionId);
+          await this.auditLog.record({
+            action: 'session.expired',
+            actor: EXPIRY_ACTOR,
+            sessionId: session.id,
+            details: extra
+          });
+          this.publishEvent('session.expired', session, { mode: session.mode, ...extra });
+        }
+
+        // Keep abandoned sessions in visit history so they can be reviewed
+        await this.visitStore.save(this.visitStore.buildVisit(session, extra));
+        await this.sessionStore.delete(session.id);
+        console.log(`Cleaned up ${session.status} session: ${session.id}`);
+        return true;
+      });
+      if (expired) {
+        cleaned++;
       }
     }
 
-    expiredSessions.forEach(sessionId => {
-      this.activeSessions.delete(sessionId);
-      console.log(`Cleaned up expired session: ${sessionId}`);
-    });
+    return cleaned;
+  }
+
+  /**
+   * Start the background sweep that expires sessions older than SESSION_TIMEOUT
+   */
+  startExpirySweep() {
+    if (this.sweepInterval <= 0 || this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      // A slow sweep must not overlap the next one and expire the same session twice
+      if (this.sweeping) {
+        return;
+      }
+      this.sweeping = true;
+      this.cleanupExpiredSessions()
+        .catch(error => {
+          console.error('Scheduled session expiry failed:', error);
+        })
+        .finally(() => {
+          this.sweeping = false;
+        });
+    }, this.sweepInterval);
+    // Don't keep the process alive just for the sweep
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stop the background session expiry sweep
+   */
+  stopExpirySweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Break terminals, open sessions and recorded visits down by gate
+   * Sessions from requests without a terminal or gate are counted under 'unassigned'.
+   * @returns {Promise<Object>} Gate ID => { terminals, disabledTerminals, lanes, activeSessions, visits }
+   */
+  async getGateActivity() {
+    const gates = {};
+    const gate = gateId => {
+      const key = gateId || 'unassigned';
+      gates[key] = gates[key] || { terminals: 0, disabledTerminals: 0, lanes: [], activeSessions: 0, visits: 0 };
+      return gates[key];
+    };
+
+    for (const terminal of this.terminals.list()) {
+      const entry = gate(terminal.gateId);
+      entry.terminals++;
+      if (terminal.disabled) {
+        entry.disabledTerminals++;
+      }
+      if (terminal.lane && !entry.lanes.includes(terminal.lane)) {
+        entry.lanes.push(terminal.lane);
+      }
+    }
+    for (const session of await this.sessionStore.list()) {
+      gate(session.gateId).activeSessions++;
+    }
+    for (const [gateId, count] of Object.entries(await this.visitStore.countByGate())) {
+      gate(gateId).visits = count;
+    }
 
-    return expiredSessions.length;
+    return gates;
   }
 
   /**
    * Get service status
-   * @returns {Object} Service status information
+   * @returns {Promise<Object>} Service status information
    */
-  getStatus() {
+  async getStatus() {
+    const health = this.estateMateClient && this.estateMateClient.getHealth ? this.estateMateClient.getHealth() : null;
     const status = {
-      initialized: true,
-      activeSessions: this.activeSessions.size,
-      apiConnected: !this.demoMode,
+      initialized: Boolean(this.estateMateClient),
+      activeSessions: await this.sessionStore.count(),
+      gates: await this.getGateActivity(),
+      provider: this.provider || null,
+      apiConnected: Boolean(health && health.status === 'up' && health.circuit.state === 'closed'),
+      estateMate: health,
       storageAvailable: true,
       lastCleanup: new Date().toISOString(),
       demoMode: this.demoMode
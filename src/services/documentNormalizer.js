@@ -0,0 +1,223 @@
+const sharp = require('sharp');
+const { distance, polygonArea, isConvex, warpPerspective } = require('../utils/geometry');
+
+// Documents are located on a small copy of the image; corners are scaled back up
+const DETECTION_WIDTH = 400;
+// Longest side of the corrected document
+const MAX_OUTPUT_SIDE = 2000;
+
+/**
+ * Otsu threshold for a greyscale image
+ * @param {Uint8Array|Buffer} data - Greyscale pixels
+ * @returns {number} Threshold (pixels above it are one class)
+ */
+function otsuThreshold(data) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) {
+    histogram[data[i]]++;
+  }
+
+  let total = 0;
+  for (let level = 0; level < 256; level++) {
+    total += level * histogram[level];
+  }
+
+  let background = 0;
+  let backgroundSum = 0;
+  let bestVariance = -1;
+  let threshold = 127;
+  for (let level = 0; level < 256; level++) {
+    background += histogram[level];
+    if (background === 0 || background === data.length) {
+      continue;
+    }
+    backgroundSum += level * histogram[level];
+
+    const foreground = data.length - background;
+    const meanDifference = backgroundSum / background - (total - backgroundSum) / foreground;
+    const variance = background * foreground * meanDifference * meanDifference;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = level;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Locate the document in a greyscale image
+ *
+ * The document is taken to be the largest region that contrasts with the background
+ * (the class of pixels that mostly does not touch the image border). Its corners are
+ * the region's extreme points along the two diagonals.
+ * @param {Uint8Array|Buffer} data - Greyscale pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} [minArea] - Smallest share of the frame accepted as a document
+ * @returns {Array|null} Corners (top-left, top-right, bottom-right, bottom-left) or null
+ */
+function detectDocumentQuad(data, width, height, minArea = 0.15) {
+  const threshold = otsuThreshold(data);
+
+  let borderBright = 0;
+  let borderPixels = 0;
+  for (let x = 0; x < width; x++) {
+    borderBright += (data[x] > threshold) + (data[(height - 1) * width + x] > threshold);
+    borderPixels += 2;
+  }
+  for (let y = 0; y < height; y++) {
+    borderBright += (data[y * width] > threshold) + (data[y * width + width - 1] > threshold);
+    borderPixels += 2;
+  }
+  const documentIsBright = borderBright / borderPixels < 0.5;
+
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    mask[i] = (data[i] > threshold) === documentIsBright ? 1 : 0;
+  }
+
+  // Largest 4-connected region
+  const labels = new Int32Array(width * height);
+  const stack = new Int32Array(width * height);
+  let bestLabel = 0;
+  let bestSize = 0;
+  let label = 0;
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) {
+      continue;
+    }
+    label++;
+    let size = 0;
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+    while (top > 0) {
+      const i = stack[--top];
+      size++;
+      const x = i % width;
+      const neighbours = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+      for (const n of neighbours) {
+        if (n >= 0 && n < mask.length && mask[n] && !labels[n]) {
+          labels[n] = label;
+          stack[top++] = n;
+        }
+      }
+    }
+    if (size > bestSize) {
+      bestSize = size;
+      bestLabel = label;
+    }
+  }
+
+  if (bestSize / (width * height) < minArea) {
+    return null;
+  }
+
+  let topLeft, topRight, bottomRight, bottomLeft;
+  let minSum = Infinity, maxSum = -Infinity, minDiff = Infinity, maxDiff = -Infinity;
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i] !== bestLabel) {
+      continue;
+    }
+    const x = i % width;
+    const y = Math.floor(i / width);
+    if (x + y < minSum) { minSum = x + y; topLeft = [x, y]; }
+    if (x + y > maxSum) { maxSum = x + y; bottomRight = [x, y]; }
+    if (x - y > maxDiff) { maxDiff = x - y; topRight = [x, y]; }
+    if (x - y < minDiff) { minDiff = x - y; bottomLeft = [x, y]; }
+  }
+
+  const corners = [topLeft, topRight, bottomRight, bottomLeft];
+  const area = polygonArea(corners) / (width * height);
+  // A region filling the whole frame means there is no background to crop
+  if (!isConvex(corners) || area < minArea || area > 0.97) {
+    return null;
+  }
+  return corners;
+}
+
+/**
+ * Flattens photographed documents: EXIF orientation, perspective correction, crop and deskew
+ */
+class DocumentNormalizer {
+  /**
+   * @param {Object} [options] - Normalizer options
+   * @param {Array} [options.captureTypes] - Capture types to normalize
+   * @param {number} [options.minArea] - Smallest share of the frame accepted as a document
+   */
+  constructor(options = {}) {
+    this.captureTypes = options.captureTypes ||
+      (process.env.DOCUMENT_NORMALIZATION || '').split(',').map(type => type.trim()).filter(Boolean);
+    this.minArea = options.minArea || parseFloat(process.env.DOCUMENT_MIN_AREA) || 0.15;
+  }
+
+  /**
+   * Check whether a capture type is normalized
+   * @param {string} captureType - Capture type
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(captureType) {
+    return this.captureTypes.includes(captureType);
+  }
+
+  /**
+   * Normalize a document photo
+   * @param {Buffer} imageBuffer - Raw image data
+   * @returns {Promise<Object>} { status, image, corners, width, height, originalMimeType }
+   */
+  async normalize(imageBuffer) {
+    try {
+      const { format } = await sharp(imageBuffer).metadata();
+      const originalMimeType = `image/${format === 'jpg' ? 'jpeg' : format}`;
+
+      // Work on the upright image; everything below uses its coordinates
+      const oriented = await sharp(imageBuffer).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+      const { width, height, channels } = oriented.info;
+
+      const scale = Math.min(DETECTION_WIDTH / width, 1);
+      const { data: grey, info: greyInfo } = await sharp(oriented.data, { raw: { width, height, channels } })
+        .resize({ width: Math.round(width * scale) })
+        .greyscale()
+        .blur(1.5)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const detected = detectDocumentQuad(grey, greyInfo.width, greyInfo.height, this.minArea);
+      if (!detected) {
+        return { status: 'not_detected', image: null, originalMimeType };
+      }
+
+      const corners = detected.map(([x, y]) => [
+        Math.round((x / greyInfo.width) * width),
+        Math.round((y / greyInfo.height) * height)
+      ]);
+      const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+
+      let outWidth = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+      let outHeight = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+      const shrink = Math.min(MAX_OUTPUT_SIDE / Math.max(outWidth, outHeight), 1);
+      outWidth = Math.round(outWidth * shrink);
+      outHeight = Math.round(outHeight * shrink);
+
+      const warped = warpPerspective({ data: oriented.data, width, height, channels }, corners, outWidth, outHeight);
+      const image = await sharp(warped, { raw: { width: outWidth, height: outHeight, channels } }).jpeg({ quality: 95 }).toBuffer();
+
+      return {
+        status: 'normalized',
+        image,
+        corners,
+        width: outWidth,
+        height: outHeight,
+        originalMimeType
+      };
+    } catch (error) {
+      console.error('Error normalizing document:', error);
+      return { status: 'failed', image: null, error: error.message };
+    }
+  }
+}
+
+module.exports = {
+  DocumentNormalizer,
+  detectDocumentQuad
+};
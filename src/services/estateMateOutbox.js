@@ -0,0 +1,234 @@
+const IndexedLogStore = require('../utils/indexedLogStore');
+
+// Client errors that will not succeed on a retry; 408 and 429 are worth retrying
+const isPermanent = error => error.status >= 400 && error.status < 500 && ![408, 429].includes(error.status);
+
+/**
+ * Build the EstateMate visitor entry for a completed visit
+ * @param {Object} visit - Visit record
+ * @returns {Object} Visitor entry in EstateMate's field names
+ */
+function buildVisitorEntry(visit) {
+  const images = Object.entries(visit.captures)
+    .flatMap(([captureType, slot]) => slot.map(image => ({ ...image, captureType })))
+    .filter(image => !image.supersededAt);
+
+  return {
+    entry_id: visit.id,
+    resident_id: visit.residentInfo.id,
+    unit_number: visit.residentInfo.unitNumber,
+    mode: visit.mode,
+    gate_id: visit.gateId || null,
+    terminal_id: visit.terminalId || null,
+    lane: visit.lane || null,
+    operator_id: visit.operatorId || null,
+    completed_by: visit.completedBy || null,
+    started_at: visit.createdAt,
+    completed_at: visit.completedAt,
+    plates: visit.plates || [],
+    images: images.map(image => ({
+      image_id: image.imageId,
+      capture_type: image.captureType,
+      role: image.role,
+      captured_at: image.timestamp
+    }))
+  };
+}
+
+/**
+ * Durable outbox for visitor entries pushed to EstateMate
+ *
+ * Entries are written before delivery is attempted, so entries recorded while the
+ * API is down survive restarts and go out later. Each entry is sent with its visit
+ * ID as the idempotency key, so a delivery that is retried after EstateMate already
+ * accepted it does not create a second entry.
+ */
+class EstateMateOutbox {
+  /**
+   * @param {Object} options - Outbox options
+   * @param {Function} options.deliver - Called with an outbox entry; resolves with { entryId } once EstateMate has it
+   * @param {string} [options.logFile] - Outbox file (defaults to OUTBOX_FILE)
+   */
+  constructor(options) {
+    this.deliver = options.deliver;
+    this.store = new IndexedLogStore({
+      logFile: options.logFile || process.env.OUTBOX_FILE || './storage/outbox/estatemate.log',
+      indexes: {
+        status: entry => entry.status
+      }
+    });
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 20;
+    this.retryBaseMs = parseInt(process.env.OUTBOX_RETRY_BASE_MS) || 30 * 1000; // 30 seconds
+    this.retryMaxMs = parseInt(process.env.OUTBOX_RETRY_MAX_MS) || 60 * 60 * 1000; // 1 hour
+    this.interval = parseInt(process.env.OUTBOX_INTERVAL_MS) || 60 * 1000; // 1 minute
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Queue a completed visit for delivery
+   * Queuing the same visit again is a no-op.
+   * @param {Object} visit - Visit record
+   * @returns {Promise<Object>} Outbox entry
+   */
+  async enqueueVisit(visit) {
+    const existing = await this.store.get(visit.id);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: visit.id,
+      payload: buildVisitorEntry(visit),
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      lastError: null,
+      deliveredAt: null,
+      remoteEntryId: null
+    };
+    await this.store.put(entry);
+    return entry;
+  }
+
+  /**
+   * Start the background delivery scheduler
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => {
+        console.error('EstateMate outbox delivery failed:', error);
+      });
+    }, this.interval);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the background delivery scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Deliver every pending entry that is due, oldest first
+   * Concurrent calls share the run in progress.
+   * @returns {Promise<Object>} { delivered, failed }
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.deliverDue().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Deliver due entries
+   * @returns {Promise<Object>} { delivered, failed }
+   */
+  async deliverDue() {
+    const now = new Date().toISOString();
+    const due = (await this.store.findBy('status', 'pending'))
+      .filter(entry => entry.nextAttemptAt <= now)
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+
+    const result = { delivered: 0, failed: 0 };
+    for (const entry of due) {
+      const updated = await this.attempt(entry);
+      result[updated.status === 'delivered' ? 'delivered' : 'failed']++;
+    }
+    return result;
+  }
+
+  /**
+   * Attempt one delivery and record the outcome
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<Object>} Updated entry
+   */
+  async attempt(entry) {
+    const attemptedAt = Date.now();
+    entry.attempts++;
+    entry.lastAttemptAt = new Date(attemptedAt).toISOString();
+
+    try {
+      const response = await this.deliver(entry);
+      entry.status = 'delivered';
+      entry.deliveredAt = entry.lastAttemptAt;
+      entry.remoteEntryId = (response && response.entryId) || null;
+      entry.lastError = null;
+    } catch (error) {
+      entry.lastError = error.message;
+      if (error.status === 409) {
+        // EstateMate already has this entry from an earlier attempt
+        entry.status = 'delivered';
+        entry.deliveredAt = entry.lastAttemptAt;
+      } else if (isPermanent(error) || entry.attempts >= this.maxAttempts) {
+        entry.status = 'dead';
+        console.error(`EstateMate outbox entry ${entry.id} gave up after ${entry.attempts} attempts: ${error.message}`);
+      } else {
+        // Measured from the failure, so a request that hung until its timeout still waits the full delay
+        const delay = Math.min(this.retryBaseMs * 2 ** (entry.attempts - 1), this.retryMaxMs);
+        entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      }
+    }
+
+    await this.store.put(entry);
+    return entry;
+  }
+
+  /**
+   * Put a dead entry back in the queue
+   * @param {string} entryId - Outbox entry (visit) ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  async retry(entryId) {
+    const entry = await this.store.get(entryId);
+    if (!entry) {
+      throw new Error(`Outbox entry not found: ${entryId}`);
+    }
+    if (entry.status === 'delivered') {
+      throw new Error('Outbox entry was already delivered');
+    }
+
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.nextAttemptAt = new Date().toISOString();
+    await this.store.put(entry);
+    return entry;
+  }
+
+  /**
+   * List outbox entries
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status] - 'pending', 'delivered' or 'dead'
+   * @returns {Promise<Object>} { counts, entries } with entries oldest first
+   */
+  async list(filters = {}) {
+    const entries = filters.status
+      ? await this.store.findBy('status', filters.status)
+      : await this.store.all();
+
+    return {
+      counts: { pending: 0, delivered: 0, dead: 0, ...(await this.store.countBy('status')) },
+      entries: entries.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+    };
+  }
+}
+
+module.exports = {
+  EstateMateOutbox,
+  buildVisitorEntry
+};
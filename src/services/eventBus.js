@@ -0,0 +1,91 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process bus for live session events (session started, capture stored, EstateMate errors, ...)
+ *
+ * Events get increasing IDs and the most recent ones are kept, so a dashboard that
+ * reconnects can ask for everything after the last ID it saw. Events are not persisted;
+ * the audit log remains the record of what happened.
+ */
+class SessionEventBus extends EventEmitter {
+  /**
+   * @param {Object} [options] - Bus options
+   * @param {number} [options.bufferSize] - Recent events kept for replay (defaults to EVENT_BUFFER_SIZE)
+   */
+  constructor(options = {}) {
+    super();
+    // One listener per connected dashboard
+    this.setMaxListeners(0);
+    this.bufferSize = options.bufferSize || parseInt(process.env.EVENT_BUFFER_SIZE) || 500;
+    this.lastId = 0;
+    this.recent = [];
+  }
+
+  /**
+   * Publish an event
+   * @param {string} type - e.g. 'session.started', 'capture.stored', 'estatemate.error'
+   * @param {Object} [fields] - Event fields
+   * @param {string} [fields.sessionId] - Related session
+   * @param {string} [fields.gateId] - Gate the session runs at
+   * @param {Object} [fields.data] - Event details (no OTPs or image data)
+   * @returns {Object} Published event
+   */
+  publish(type, { sessionId = null, gateId = null, data = {} } = {}) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      sessionId,
+      gateId,
+      data
+    };
+
+    this.recent.push(event);
+    if (this.recent.length > this.bufferSize) {
+      this.recent.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Check an event against a subscription filter
+   * @param {Object} event - Event
+   * @param {Object} [filter] - { gateId, sessionId, types }; omitted fields match everything
+   * @returns {boolean} True if the event matches
+   */
+  matches(event, filter = {}) {
+    return (!filter.gateId || event.gateId === filter.gateId) &&
+      (!filter.sessionId || event.sessionId === filter.sessionId) &&
+      (!filter.types || filter.types.length === 0 || filter.types.includes(event.type));
+  }
+
+  /**
+   * Subscribe to events
+   * @param {Object} filter - { gateId, sessionId, types }
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(filter, listener) {
+    const handler = event => {
+      if (this.matches(event, filter)) {
+        listener(event);
+      }
+    };
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+
+  /**
+   * Get buffered events after an ID, for clients that reconnect
+   * @param {number} lastId - Last event ID the client received
+   * @param {Object} [filter] - { gateId, sessionId, types }
+   * @returns {Array} Matching events, oldest first
+   */
+  since(lastId, filter = {}) {
+    return this.recent.filter(event => event.id > lastId && this.matches(event, filter));
+  }
+}
+
+module.exports = SessionEventBus;
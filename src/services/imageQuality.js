@@ -0,0 +1,266 @@
+const sharp = require('sharp');
+
+// Images are measured at this width so thresholds do not depend on camera resolution
+const ANALYSIS_WIDTH = 512;
+// Luminance at or above this counts as blown-out highlight (glare)
+const GLARE_LEVEL = 250;
+// Sobel magnitude above this counts as an edge when locating the document
+const EDGE_LEVEL = 80;
+
+const DEFAULT_THRESHOLDS = {
+  minSharpness: 60,
+  minBrightness: 60,
+  maxBrightness: 200,
+  maxGlare: 0.08,
+  minWidth: 640,
+  minHeight: 480,
+  minDocumentCoverage: 0.2
+};
+
+const ENV_THRESHOLDS = {
+  minSharpness: 'QUALITY_MIN_SHARPNESS',
+  minBrightness: 'QUALITY_MIN_BRIGHTNESS',
+  maxBrightness: 'QUALITY_MAX_BRIGHTNESS',
+  maxGlare: 'QUALITY_MAX_GLARE',
+  minWidth: 'QUALITY_MIN_WIDTH',
+  minHeight: 'QUALITY_MIN_HEIGHT',
+  minDocumentCoverage: 'QUALITY_MIN_DOCUMENT_COVERAGE'
+};
+
+/**
+ * Capture rejected by the quality gate
+ */
+class ImageQualityError extends Error {
+  /**
+   * @param {Object} quality - Quality report with retake reasons
+   */
+  constructor(quality) {
+    super(`Image quality too low: ${quality.reasons.map(reason => reason.code).join(', ')}`);
+    this.name = 'ImageQualityError';
+    this.code = 'IMAGE_QUALITY_REJECTED';
+    this.quality = quality;
+  }
+}
+
+/**
+ * Span covering the middle share of a histogram (drops stray edges at either end)
+ * @param {Array} histogram - Counts per position
+ * @param {number} total - Sum of counts
+ * @param {number} keep - Share to keep (0-1)
+ * @returns {number} Span length in positions
+ */
+function histogramSpan(histogram, total, keep) {
+  const cut = total * (1 - keep) / 2;
+  let start = 0;
+  let end = histogram.length - 1;
+
+  for (let seen = 0; start < end && seen + histogram[start] <= cut; start++) {
+    seen += histogram[start];
+  }
+  for (let seen = 0; end > start && seen + histogram[end] <= cut; end--) {
+    seen += histogram[end];
+  }
+
+  return end - start + 1;
+}
+
+/**
+ * Measure image quality from greyscale pixels
+ * @param {Uint8Array|Buffer} data - Greyscale pixels, row by row
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} { sharpness, brightness, glare, documentCoverage }
+ */
+function measurePixels(data, width, height) {
+  let luminanceSum = 0;
+  let glarePixels = 0;
+  for (let i = 0; i < data.length; i++) {
+    luminanceSum += data[i];
+    if (data[i] >= GLARE_LEVEL) {
+      glarePixels++;
+    }
+  }
+
+  // Sharpness: variance of the Laplacian. Edge pixels locate the document for the coverage estimate.
+  let laplacianSum = 0;
+  let laplacianSquares = 0;
+  let edgePixels = 0;
+  const columnEdges = new Array(width).fill(0);
+  const rowEdges = new Array(height).fill(0);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = 4 * data[i] - data[i - 1] - data[i + 1] - data[i - width] - data[i + width];
+      laplacianSum += laplacian;
+      laplacianSquares += laplacian * laplacian;
+
+      const gx = data[i - width + 1] + 2 * data[i + 1] + data[i + width + 1] -
+        data[i - width - 1] - 2 * data[i - 1] - data[i + width - 1];
+      const gy = data[i + width - 1] + 2 * data[i + width] + data[i + width + 1] -
+        data[i - width - 1] - 2 * data[i - width] - data[i - width + 1];
+      if (Math.abs(gx) + Math.abs(gy) > EDGE_LEVEL) {
+        edgePixels++;
+        columnEdges[x]++;
+        rowEdges[y]++;
+      }
+    }
+  }
+
+  const interior = Math.max((width - 2) * (height - 2), 1);
+  const laplacianMean = laplacianSum / interior;
+  const documentCoverage = edgePixels === 0 ? 0 :
+    (histogramSpan(columnEdges, edgePixels, 0.96) * histogramSpan(rowEdges, edgePixels, 0.96)) / (width * height);
+
+  return {
+    sharpness: Math.round(laplacianSquares / interior - laplacianMean * laplacianMean),
+    brightness: Math.round(luminanceSum / data.length),
+    glare: Math.round((glarePixels / data.length) * 1000) / 1000,
+    documentCoverage: Math.round(documentCoverage * 100) / 100
+  };
+}
+
+/**
+ * Scores captures before they are accepted and explains what to fix on a retake
+ */
+class ImageQualityAnalyzer {
+  /**
+   * @param {Object} [options] - Analyzer options
+   * @param {string} [options.mode] - 'enforce' (reject), 'warn' (record only) or 'off'
+   * @param {Object} [options.thresholds] - Threshold overrides
+   */
+  constructor(options = {}) {
+    this.mode = (options.mode || process.env.QUALITY_GATE || 'enforce').toLowerCase();
+    if (!['enforce', 'warn', 'off'].includes(this.mode)) {
+      throw new Error(`Unknown QUALITY_GATE: ${this.mode}. Must be "enforce", "warn" or "off"`);
+    }
+
+    this.thresholds = { ...DEFAULT_THRESHOLDS };
+    for (const [name, variable] of Object.entries(ENV_THRESHOLDS)) {
+      if (process.env[variable] !== undefined && !isNaN(parseFloat(process.env[variable]))) {
+        this.thresholds[name] = parseFloat(process.env[variable]);
+      }
+    }
+    Object.assign(this.thresholds, options.thresholds);
+  }
+
+  /**
+   * Compare measurements with thresholds
+   * @param {Object} scores - Measurements
+   * @param {Object} [options] - Evaluation options
+   * @param {boolean} [options.document=true] - Image is a document photo; scenes such as faces,
+   *   plates and parcels skip the document coverage check
+   * @returns {Array} Retake reasons ({ code, message, value, threshold })
+   */
+  evaluate(scores, options = {}) {
+    const document = options.document !== false;
+    const t = this.thresholds;
+    const reasons = [];
+    const longSide = Math.max(scores.width, scores.height);
+    const shortSide = Math.min(scores.width, scores.height);
+
+    if (longSide < Math.max(t.minWidth, t.minHeight) || shortSide < Math.min(t.minWidth, t.minHeight)) {
+      reasons.push({
+        code: 'LOW_RESOLUTION',
+        message: 'Image resolution is too low. Use the rear camera at full resolution.',
+        value: `${scores.width}x${scores.height}`,
+        threshold: `${t.minWidth}x${t.minHeight}`
+      });
+    }
+    if (scores.sharpness < t.minSharpness) {
+      reasons.push({
+        code: 'BLURRY',
+        message: 'Image is blurry. Hold the camera steady and tap to focus before capturing.',
+        value: scores.sharpness,
+        threshold: t.minSharpness
+      });
+    }
+    if (scores.brightness < t.minBrightness) {
+      reasons.push({
+        code: 'TOO_DARK',
+        message: 'Image is too dark. Move to better light or turn on the flash.',
+        value: scores.brightness,
+        threshold: t.minBrightness
+      });
+    }
+    if (scores.brightness > t.maxBrightness) {
+      reasons.push({
+        code: 'TOO_BRIGHT',
+        message: 'Image is overexposed. Move out of direct light.',
+        value: scores.brightness,
+        threshold: t.maxBrightness
+      });
+    }
+    if (scores.glare > t.maxGlare) {
+      reasons.push({
+        code: 'GLARE',
+        message: document
+          ? 'Glare is hiding part of the document. Tilt the document or turn off the flash.'
+          : 'Glare is washing out part of the image. Change the angle or turn off the flash.',
+        value: scores.glare,
+        threshold: t.maxGlare
+      });
+    }
+    if (document && scores.documentCoverage < t.minDocumentCoverage) {
+      reasons.push({
+        code: 'DOCUMENT_TOO_SMALL',
+        message: 'Document is too small in the frame. Move the camera closer.',
+        value: scores.documentCoverage,
+        threshold: t.minDocumentCoverage
+      });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Analyze image quality
+   * @param {Buffer} imageBuffer - Raw image data
+   * @param {Object} [options] - Evaluation options (see evaluate)
+   * @returns {Promise<Object|null>} { passed, mode, scores, reasons }, or null when the gate is off
+   */
+  async analyze(imageBuffer, options = {}) {
+    if (this.mode === 'off') {
+      return null;
+    }
+
+    try {
+      const oriented = sharp(imageBuffer).rotate();
+      const { width, height, orientation } = await sharp(imageBuffer).metadata();
+      // EXIF orientations 5-8 swap width and height
+      const swapped = orientation >= 5;
+
+      const { data, info } = await oriented
+        .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const { documentCoverage, ...measurements } = measurePixels(data, info.width, info.height);
+      const scores = {
+        width: swapped ? height : width,
+        height: swapped ? width : height,
+        ...measurements,
+        // Coverage is only meaningful when a document fills the frame
+        ...(options.document !== false ? { documentCoverage } : {})
+      };
+      const reasons = this.evaluate(scores, options);
+
+      return {
+        passed: reasons.length === 0,
+        mode: this.mode,
+        scores,
+        reasons
+      };
+    } catch (error) {
+      console.error('Error analyzing image quality:', error);
+      throw new Error('Failed to analyze image quality');
+    }
+  }
+}
+
+module.exports = {
+  ImageQualityAnalyzer,
+  ImageQualityError,
+  measurePixels
+};
@@ -3,24 +3,74 @@ const path = require('path');
 const crypto = require('node:crypto');
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
+const IndexedLogStore = require('../utils/indexedLogStore');
+const KeyRing = require('./keyRing');
+const { createKeyStore } = require('./keystore');
+const CaptureRegistry = require('./captureRegistry');
+
+const ENCRYPTION_MAGIC = Buffer.from('SRNC', 'ascii');
+const FORMAT_LEGACY = 0; // No header, IMAGE_ENCRYPTION_KEY
+const FORMAT_KEYED = 1; // Header names the key ring key
+const FORMAT_ENVELOPE = 2; // Per-image data key from the keystore
+const ENCRYPTION_AAD = Buffer.from('seren-capture', 'utf8');
+
+/**
+ * Bytes binding a ciphertext to its image (and to the original, for kept originals)
+ * @param {string} imageId - Image ID
+ * @param {string} [variant] - 'original' for the untouched upload
+ * @returns {Buffer} Binding bytes
+ */
+function imageBinding(imageId, variant) {
+  return Buffer.from(variant === 'original' ? `${imageId}:original` : imageId, 'utf8');
+}
 
 class ImageStorageService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Storage options
+   * @param {CaptureRegistry} [options.registry] - Capture types, one subdirectory each (defaults to CAPTURE_REGISTRY_FILE)
+   */
+  constructor(options = {}) {
     this.storageDir = process.env.IMAGE_STORAGE_DIR || './storage/images';
-    this.encryptionKey = process.env.IMAGE_ENCRYPTION_KEY || this.generateDefaultKey();
+    this.registry = options.registry || CaptureRegistry.getDefault();
+    this.keyRing = new KeyRing(); // Decrypts images written before envelope encryption
+    this.keyStore = createKeyStore(this.keyRing);
     this.compressionQuality = parseInt(process.env.IMAGE_COMPRESSION_QUALITY) || 80;
     this.maxFileSize = parseInt(process.env.MAX_IMAGE_SIZE) || 5 * 1024 * 1024; // 5MB
+
+    this.queues = new Map(); // Image ID => last change queued on it
+
+    this.metadataIndex = new IndexedLogStore({
+      logFile: path.join(this.storageDir, 'index', 'metadata.log'),
+      indexes: {
+        residentId: metadata => metadata.residentInfo && metadata.residentInfo.id,
+        captureType: metadata => metadata.captureType,
+        sessionId: metadata => metadata.sessionId,
+        gateId: metadata => metadata.gateId
+      },
+      sortBy: 'timestamp'
+    });
     
     this.ensureStorageDirectory();
   }
 
   /**
-   * Generate a default encryption key (for development only)
-   * @returns {string} Base64 encoded key
+   * Run a change once earlier changes to the same image have finished
+   * Key rotation saves metadata it loaded before re-wrapping; a delete or shred in between
+   * would otherwise be undone.
+   * @param {string} imageId - Image ID
+   * @param {Function} fn - Async change
+   * @returns {Promise<*>} Result of fn
    */
-  generateDefaultKey() {
-    console.warn('WARNING: Using default encryption key. Set IMAGE_ENCRYPTION_KEY in production!');
-    return crypto.randomBytes(32).toString('base64');
+  serialize(imageId, fn) {
+    const result = (this.queues.get(imageId) || Promise.resolve()).then(() => fn());
+    const done = result.catch(() => {});
+    this.queues.set(imageId, done);
+    done.then(() => {
+      if (this.queues.get(imageId) === done) {
+        this.queues.delete(imageId);
+      }
+    });
+    return result;
   }
 
   /**
@@ -29,9 +79,20 @@ class ImageStorageService {
   async ensureStorageDirectory() {
     try {
       await fs.ensureDir(this.storageDir);
-      await fs.ensureDir(path.join(this.storageDir, 'person'));
-      await fs.ensureDir(path.join(this.storageDir, 'vehicle'));
-      await fs.ensureDir(path.join(this.storageDir, 'metadata'));
+      for (const captureType of this.registry.listCaptureTypes()) {
+        await fs.ensureDir(path.join(this.storageDir, captureType));
+      }
+      await fs.ensureDir(path.join(this.storageDir, 'originals'));
+      await fs.ensureDir(path.join(this.storageDir, 'index'));
+
+      // Per-file JSON metadata from earlier versions is not read until it is imported
+      const legacyDir = path.join(this.storageDir, 'metadata');
+      if (await fs.pathExists(legacyDir)) {
+        const legacyFiles = (await fs.readdir(legacyDir)).filter(file => file.endsWith('.json'));
+        if (legacyFiles.length > 0 && (await this.metadataIndex.count()) === 0) {
+          console.warn(`WARNING: ${legacyFiles.length} legacy metadata files found. Run "npm run migrate:metadata" to index them.`);
+        }
+      }
     } catch (error) {
       console.error('Error creating storage directories:', error);
       throw new Error('Failed to initialize image storage');
@@ -42,9 +103,12 @@ class ImageStorageService {
    * Process and store captured image
    * @param {Buffer} imageBuffer - Raw image data
    * @param {Object} metadata - Image metadata
+   * @param {Object} [options] - Storage options
+   * @param {Buffer} [options.original] - Untouched upload to keep as evidence when imageBuffer was normalized
+   * @param {string} [options.originalMimeType] - Content type of the original
    * @returns {Promise<Object>} Storage result with file info
    */
-  async storeImage(imageBuffer, metadata) {
+  async storeImage(imageBuffer, metadata, options = {}) {
     try {
       const { residentInfo, captureType, timestamp } = metadata;
       
@@ -63,18 +127,35 @@ class ImageStorageService {
       const filename = `${fileId}_${timestampStr}.jpg`;
       
       // Determine storage path based on capture type
-      const subDir = captureType === 'vehicle' ? 'vehicle' : 'person';
-      const filePath = path.join(this.storageDir, subDir, filename);
+      if (!this.registry.getCaptureType(captureType)) {
+        throw new Error(`Unknown capture type: ${captureType}`);
+      }
+      const filePath = path.join(this.storageDir, captureType, filename);
 
       // Process image (compress and optimize)
       const processedImage = await this.processImage(imageBuffer);
 
-      // Encrypt image
-      const encryptedImage = this.encryptImage(processedImage);
+      // Encrypt image under a fresh data key
+      const { dataKey, masterKeyId } = await this.keyStore.createDataKey(fileId);
+      const encryptedImage = this.encryptImage(processedImage, dataKey, fileId);
 
       // Save encrypted image
       await fs.writeFile(filePath, encryptedImage);
 
+      // Keep the untouched original under the same data key (shredding covers both)
+      let original = null;
+      if (options.original) {
+        const encryptedOriginal = this.encryptImage(options.original, dataKey, fileId, 'original');
+        const originalPath = path.join(this.storageDir, 'originals', `${fileId}_${timestampStr}.bin`);
+        await fs.writeFile(originalPath, encryptedOriginal);
+        original = {
+          filePath: originalPath,
+          mimeType: options.originalMimeType || 'application/octet-stream',
+          fileSize: encryptedOriginal.length,
+          checksum: crypto.createHash('sha256').update(encryptedOriginal).digest('hex')
+        };
+      }
+
       // Create metadata record
       const imageMetadata = {
         id: fileId,
@@ -87,6 +168,18 @@ class ImageStorageService {
           name: residentInfo.name,
           unitNumber: residentInfo.unitNumber
         },
+        sessionId: metadata.sessionId,
+        operatorId: metadata.operatorId || null,
+        terminalId: metadata.terminalId || null,
+        gateId: metadata.gateId || null,
+        lane: metadata.lane || null,
+        plateRecognition: metadata.plateRecognition || null,
+        documentBarcode: metadata.documentBarcode || null,
+        quality: metadata.quality || null,
+        documentNormalization: metadata.documentNormalization || null,
+        original,
+        encryption: 'envelope',
+        encryptionKeyId: masterKeyId,
         fileSize: encryptedImage.length,
         originalSize: imageBuffer.length,
         compressionRatio: (1 - encryptedImage.length / imageBuffer.length) * 100,
@@ -146,52 +239,100 @@ class ImageStorageService {
   }
 
   /**
-   * Encrypt image data
+   * Encrypt image data with its per-image data key (envelope encryption)
+   * Format: 'SRNC' | format version | key ID length | key ID | IV (12) | auth tag (16) | ciphertext
+   * Envelope files leave the key ID empty - the wrapped data key is looked up by image ID
    * @param {Buffer} imageBuffer - Image data to encrypt
+   * @param {Buffer} dataKey - Image data key
+   * @param {string} imageId - Image ID (bound into the ciphertext)
+   * @param {string} [variant] - 'original' when encrypting a kept original
    * @returns {Buffer} Encrypted image data
    */
-  encryptImage(imageBuffer) {
+  encryptImage(imageBuffer, dataKey, imageId, variant) {
     try {
-      const algorithm = 'aes-256-gcm';
-      const key = Buffer.from(this.encryptionKey, 'base64');
-      const iv = crypto.randomBytes(16);
+      const header = Buffer.concat([ENCRYPTION_MAGIC, Buffer.from([FORMAT_ENVELOPE, 0])]);
+      const iv = crypto.randomBytes(12);
       
-      const cipher = crypto.createCipherGCM(algorithm, key, iv);
-      cipher.setAAD(Buffer.from('seren-capture', 'utf8'));
+      const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+      // Header and image ID are authenticated so ciphertexts cannot be swapped between images
+      cipher.setAAD(Buffer.concat([ENCRYPTION_AAD, header, imageBinding(imageId, variant)]));
       
       let encrypted = cipher.update(imageBuffer);
       encrypted = Buffer.concat([encrypted, cipher.final()]);
       
       const authTag = cipher.getAuthTag();
       
-      // Combine IV, auth tag, and encrypted data
-      return Buffer.concat([iv, authTag, encrypted]);
+      return Buffer.concat([header, iv, authTag, encrypted]);
     } catch (error) {
       console.error('Error encrypting image:', error);
       throw new Error('Failed to encrypt image');
     }
   }
 
+  /**
+   * Split encrypted image into header fields and ciphertext
+   * Files without the 'SRNC' header use the original IV (16) | auth tag (16) | ciphertext layout
+   * @param {Buffer} encryptedBuffer - Encrypted image data
+   * @returns {Object} { formatVersion, keyId, header, iv, authTag, ciphertext }
+   */
+  parseEncryptedImage(encryptedBuffer) {
+    if (!encryptedBuffer.slice(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+      return {
+        formatVersion: FORMAT_LEGACY,
+        keyId: KeyRing.LEGACY_KEY_ID,
+        header: Buffer.alloc(0),
+        iv: encryptedBuffer.slice(0, 16),
+        authTag: encryptedBuffer.slice(16, 32),
+        ciphertext: encryptedBuffer.slice(32)
+      };
+    }
+
+    const formatVersion = encryptedBuffer[ENCRYPTION_MAGIC.length];
+    if (![FORMAT_KEYED, FORMAT_ENVELOPE].includes(formatVersion)) {
+      throw new Error(`Unsupported encrypted image format version: ${formatVersion}`);
+    }
+
+    const keyIdLength = encryptedBuffer[ENCRYPTION_MAGIC.length + 1];
+    const headerLength = ENCRYPTION_MAGIC.length + 2 + keyIdLength;
+    const header = encryptedBuffer.slice(0, headerLength);
+
+    return {
+      formatVersion,
+      keyId: keyIdLength > 0 ? header.slice(ENCRYPTION_MAGIC.length + 2).toString('ascii') : null,
+      header,
+      iv: encryptedBuffer.slice(headerLength, headerLength + 12),
+      authTag: encryptedBuffer.slice(headerLength + 12, headerLength + 28),
+      ciphertext: encryptedBuffer.slice(headerLength + 28)
+    };
+  }
+
   /**
    * Decrypt image data
+   * Envelope files use the image's data key; older files use the key ring key named in their header
    * @param {Buffer} encryptedBuffer - Encrypted image data
-   * @returns {Buffer} Decrypted image data
+   * @param {string} imageId - Image ID
+   * @param {string} [variant] - 'original' when decrypting a kept original
+   * @returns {Promise<Buffer>} Decrypted image data
    */
-  decryptImage(encryptedBuffer) {
+  async decryptImage(encryptedBuffer, imageId, variant) {
     try {
-      const algorithm = 'aes-256-gcm';
-      const key = Buffer.from(this.encryptionKey, 'base64');
-      
-      // Extract IV, auth tag, and encrypted data
-      const iv = encryptedBuffer.slice(0, 16);
-      const authTag = encryptedBuffer.slice(16, 32);
-      const encrypted = encryptedBuffer.slice(32);
+      const { formatVersion, keyId, header, iv, authTag, ciphertext } = this.parseEncryptedImage(encryptedBuffer);
+
+      let key;
+      let aad;
+      if (formatVersion === FORMAT_ENVELOPE) {
+        key = await this.keyStore.getDataKey(imageId);
+        aad = Buffer.concat([ENCRYPTION_AAD, header, imageBinding(imageId, variant)]);
+      } else {
+        key = this.keyRing.getKey(keyId);
+        aad = Buffer.concat([ENCRYPTION_AAD, header]);
+      }
       
-      const decipher = crypto.createDecipherGCM(algorithm, key, iv);
-      decipher.setAAD(Buffer.from('seren-capture', 'utf8'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(aad);
       decipher.setAuthTag(authTag);
       
-      let decrypted = decipher.update(encrypted);
+      let decrypted = decipher.update(ciphertext);
       decrypted = Buffer.concat([decrypted, decipher.final()]);
       
       return decrypted;
@@ -201,34 +342,145 @@ class ImageStorageService {
     }
   }
 
+  /**
+   * Move a stored image onto the active master key
+   * Envelope images only have their data key re-wrapped; older images are re-encrypted
+   * into the envelope format (temporary file renamed over the original) and their checksum updated
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} { rotated, fromKeyId, toKeyId }
+   */
+  reencryptImage(imageId) {
+    return this.serialize(imageId, async () => {
+      const metadata = await this.getMetadata(imageId);
+      if (metadata.shreddedAt) {
+        return { rotated: false, fromKeyId: null, toKeyId: null };
+      }
+
+      const encryptedImage = await fs.readFile(metadata.filePath);
+      const { formatVersion, keyId } = this.parseEncryptedImage(encryptedImage);
+
+      let stored = encryptedImage;
+      let result;
+      if (formatVersion === FORMAT_ENVELOPE) {
+        result = await this.keyStore.rewrapDataKey(imageId);
+      } else {
+        const decrypted = await this.decryptImage(encryptedImage, imageId);
+        const { dataKey, masterKeyId } = await this.keyStore.createDataKey(imageId);
+        stored = this.encryptImage(decrypted, dataKey, imageId);
+
+        const tempPath = `${metadata.filePath}.${process.pid}.rotate`;
+        await fs.writeFile(tempPath, stored);
+        await fs.rename(tempPath, metadata.filePath);
+        result = { rotated: true, fromKeyId: keyId, toKeyId: masterKeyId };
+      }
+
+      // Also repairs metadata when a previous run crashed between the rename and this update
+      const checksum = crypto.createHash('sha256').update(stored).digest('hex');
+      if (metadata.checksum !== checksum || metadata.encryptionKeyId !== result.toKeyId || metadata.encryption !== 'envelope') {
+        await this.saveMetadata({
+          ...metadata,
+          encryption: 'envelope',
+          encryptionKeyId: result.toKeyId,
+          fileSize: stored.length,
+          checksum,
+          reencryptedAt: new Date().toISOString()
+        });
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Crypto-shred an image by destroying its data key
+   * The encrypted file and metadata stay as a record that the image existed, but it can never be decrypted again
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} Updated metadata
+   */
+  shredImage(imageId) {
+    return this.serialize(imageId, async () => {
+      const metadata = await this.getMetadata(imageId);
+
+      if (metadata.shreddedAt) {
+        return metadata;
+      }
+      if (metadata.encryption !== 'envelope') {
+        throw new Error('Image has no per-image data key - run key rotation before shredding it');
+      }
+
+      await this.keyStore.destroyDataKey(imageId);
+
+      const shredded = { ...metadata, shreddedAt: new Date().toISOString() };
+      await this.saveMetadata(shredded);
+
+      console.log(`Image crypto-shredded: ${imageId}`);
+      return shredded;
+    });
+  }
+
   /**
    * Save image metadata
    * @param {Object} metadata - Image metadata
    */
   async saveMetadata(metadata) {
     try {
-      const metadataPath = path.join(this.storageDir, 'metadata', `${metadata.id}.json`);
-      await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+      await this.metadataIndex.put(metadata);
     } catch (error) {
       console.error('Error saving metadata:', error);
       throw new Error('Failed to save image metadata');
     }
   }
 
+  /**
+   * Get image metadata by ID
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} Image metadata
+   */
+  async getMetadata(imageId) {
+    const metadata = await this.metadataIndex.get(imageId);
+    if (!metadata) {
+      throw new Error(`Image not found: ${imageId}`);
+    }
+    return metadata;
+  }
+
+  /**
+   * Record that an image was replaced by a retake (the image itself is kept)
+   * @param {string} imageId - Superseded image ID
+   * @param {string} supersededBy - ID of the retake
+   * @returns {Promise<Object>} Updated metadata
+   */
+  markSuperseded(imageId, supersededBy) {
+    return this.serialize(imageId, async () => {
+      const metadata = await this.getMetadata(imageId);
+      const updated = { ...metadata, supersededBy, supersededAt: new Date().toISOString() };
+      await this.saveMetadata(updated);
+      return updated;
+    });
+  }
+
   /**
    * Retrieve image by ID
    * @param {string} imageId - Image ID
+   * @param {string} [variant] - 'stored' (default) or 'original' for the untouched upload of a normalized document
    * @returns {Promise<Object>} Image data and metadata
    */
-  async retrieveImage(imageId) {
+  async retrieveImage(imageId, variant = 'stored') {
     try {
       // Load metadata
-      const metadataPath = path.join(this.storageDir, 'metadata', `${imageId}.json`);
-      const metadata = await fs.readJson(metadataPath);
+      const metadata = await this.getMetadata(imageId);
+      if (metadata.shreddedAt) {
+        throw new Error(`Image was crypto-shredded at ${metadata.shreddedAt}`);
+      }
+
+      if (variant === 'original' && !metadata.original) {
+        throw new Error(`No original kept for image ${imageId}`);
+      }
 
       // Load and decrypt image
-      const encryptedImage = await fs.readFile(metadata.filePath);
-      const decryptedImage = this.decryptImage(encryptedImage);
+      const filePath = variant === 'original' ? metadata.original.filePath : metadata.filePath;
+      const encryptedImage = await fs.readFile(filePath);
+      const decryptedImage = await this.decryptImage(encryptedImage, imageId, variant);
 
       return {
         image: decryptedImage,
@@ -247,19 +499,7 @@ class ImageStorageService {
    */
   async getImagesByResident(residentId) {
     try {
-      const metadataDir = path.join(this.storageDir, 'metadata');
-      const files = await fs.readdir(metadataDir);
-      
-      const images = [];
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const metadata = await fs.readJson(path.join(metadataDir, file));
-          if (metadata.residentInfo.id === residentId) {
-            images.push(metadata);
-          }
-        }
-      }
-      
+      const images = await this.metadataIndex.findBy('residentId', residentId);
       return images.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     } catch (error) {
       console.error('Error getting images by resident:', error);
@@ -267,28 +507,69 @@ class ImageStorageService {
     }
   }
 
+  /**
+   * Get all images captured in a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} List of image metadata (oldest first)
+   */
+  async getImagesBySession(sessionId) {
+    try {
+      const images = await this.metadataIndex.findBy('sessionId', sessionId);
+      return images.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    } catch (error) {
+      console.error('Error getting images by session:', error);
+      throw new Error('Failed to retrieve session images');
+    }
+  }
+
+  /**
+   * List image metadata with optional filters
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.captureType] - Only this capture type
+   * @param {Date|string} [filters.before] - Only images captured before this time
+   * @returns {Promise<Array>} List of image metadata (oldest first)
+   */
+  async listImages(filters = {}) {
+    try {
+      const before = filters.before ? new Date(filters.before).toISOString() : undefined;
+      const images = await this.metadataIndex.range({ to: before });
+
+      return filters.captureType
+        ? images.filter(metadata => metadata.captureType === filters.captureType)
+        : images;
+    } catch (error) {
+      console.error('Error listing images:', error);
+      throw new Error('Failed to list images');
+    }
+  }
+
   /**
    * Delete image and its metadata
    * @param {string} imageId - Image ID
    * @returns {Promise<boolean>} Success status
    */
-  async deleteImage(imageId) {
-    try {
-      const metadataPath = path.join(this.storageDir, 'metadata', `${imageId}.json`);
-      const metadata = await fs.readJson(metadataPath);
+  deleteImage(imageId) {
+    return this.serialize(imageId, async () => {
+      try {
+        const metadata = await this.getMetadata(imageId);
       
-      // Delete image file
-      await fs.remove(metadata.filePath);
+        // Delete image file and its data key (so copies in backups are unreadable too)
+        await fs.remove(metadata.filePath);
+        if (metadata.original) {
+          await fs.remove(metadata.original.filePath);
+        }
+        await this.keyStore.destroyDataKey(imageId);
       
-      // Delete metadata file
-      await fs.remove(metadataPath);
+        // Delete metadata record
+        await this.metadataIndex.delete(imageId);
       
-      console.log(`Image deleted successfully: ${imageId}`);
-      return true;
-    } catch (error) {
-      console.error('Error deleting image:', error);
-      throw new Error('Failed to delete image');
-    }
+        console.log(`Image deleted successfully: ${imageId}`);
+        return true;
+      } catch (error) {
+        console.error('Error deleting image:', error);
+        throw new Error('Failed to delete image');
+      }
+    });
   }
 
   /**
@@ -297,50 +578,84 @@ class ImageStorageService {
    */
   async getStorageStats() {
     try {
-      const stats = {
-        totalImages: 0,
-        totalSize: 0,
-        personImages: 0,
-        vehicleImages: 0,
-        oldestImage: null,
-        newestImage: null
+      const countsByType = await this.metadataIndex.countBy('captureType');
+      const countsByGate = await this.metadataIndex.countBy('gateId');
+      // One pass over the index, without copying every record
+      const totals = await this.metadataIndex.reduce((result, metadata) => {
+        result.totalImages++;
+        result.totalSize += (metadata.fileSize || 0) + (metadata.original ? metadata.original.fileSize : 0);
+        if (!result.oldestImage || metadata.timestamp < result.oldestImage) {
+          result.oldestImage = metadata.timestamp;
+        }
+        if (!result.newestImage || metadata.timestamp > result.newestImage) {
+          result.newestImage = metadata.timestamp;
+        }
+        return result;
+      }, { totalImages: 0, totalSize: 0, oldestImage: null, newestImage: null });
+
+      return {
+        totalImages: totals.totalImages,
+        totalSize: totals.totalSize,
+        personImages: countsByType.person || 0,
+        vehicleImages: countsByType.vehicle || 0,
+        imagesByType: countsByType,
+        // Images stored before terminals were registered have no gate
+        imagesByGate: countsByGate,
+        oldestImage: totals.oldestImage,
+        newestImage: totals.newestImage
       };
+    } catch (error) {
+      console.error('Error getting storage stats:', error);
+      throw new Error('Failed to get storage statistics');
+    }
+  }
 
-      const metadataDir = path.join(this.storageDir, 'metadata');
-      const files = await fs.readdir(metadataDir);
-      
-      let oldestDate = null;
-      let newestDate = null;
+  /**
+   * Import per-file JSON metadata written by earlier versions into the index
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.removeLegacyFiles] - Delete each JSON file once imported
+   * @returns {Promise<Object>} Import counts
+   */
+  async importLegacyMetadata({ removeLegacyFiles = false } = {}) {
+    const legacyDir = path.join(this.storageDir, 'metadata');
+    const result = { found: 0, imported: 0, skipped: 0, failed: 0 };
 
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const metadata = await fs.readJson(path.join(metadataDir, file));
-          stats.totalImages++;
-          stats.totalSize += metadata.fileSize;
-          
-          if (metadata.captureType === 'person') {
-            stats.personImages++;
-          } else if (metadata.captureType === 'vehicle') {
-            stats.vehicleImages++;
-          }
-
-          const imageDate = new Date(metadata.timestamp);
-          if (!oldestDate || imageDate < oldestDate) {
-            oldestDate = imageDate;
-            stats.oldestImage = metadata.timestamp;
-          }
-          if (!newestDate || imageDate > newestDate) {
-            newestDate = imageDate;
-            stats.newestImage = metadata.timestamp;
-          }
+    if (!(await fs.pathExists(legacyDir))) {
+      return result;
+    }
+
+    const files = (await fs.readdir(legacyDir)).filter(file => file.endsWith('.json'));
+    result.found = files.length;
+
+    const batch = [];
+    for (const file of files) {
+      try {
+        const metadata = await fs.readJson(path.join(legacyDir, file));
+        if (await this.metadataIndex.get(metadata.id)) {
+          result.skipped++;
+        } else {
+          batch.push(metadata);
         }
+      } catch (error) {
+        console.error(`Error reading legacy metadata ${file}:`, error.message);
+        result.failed++;
       }
+    }
 
-      return stats;
-    } catch (error) {
-      console.error('Error getting storage stats:', error);
-      throw new Error('Failed to get storage statistics');
+    await this.metadataIndex.putMany(batch);
+    result.imported = batch.length;
+
+    if (removeLegacyFiles) {
+      for (const file of files) {
+        const id = path.basename(file, '.json');
+        if (await this.metadataIndex.get(id)) {
+          await fs.remove(path.join(legacyDir, file));
+        }
+      }
     }
+
+    console.log(`Legacy metadata import: ${result.imported} imported, ${result.skipped} already indexed, ${result.failed} failed`);
+    return result;
   }
 }
 
@@ -0,0 +1,119 @@
+const crypto = require('node:crypto');
+
+// Key ID given to IMAGE_ENCRYPTION_KEY, and the key used for images written before key IDs existed
+const LEGACY_KEY_ID = 'default';
+
+/**
+ * Versioned image encryption keys
+ * One key encrypts new images; every configured key can decrypt.
+ */
+class KeyRing {
+  /**
+   * @param {Object} [options] - Key ring options
+   * @param {Object} [options.keys] - Key ID => base64 key
+   * @param {string} [options.activeKeyId] - Key used for new images
+   */
+  constructor(options = {}) {
+    this.keys = new Map();
+
+    const configuredKeys = options.keys || this.parseKeys(process.env.IMAGE_ENCRYPTION_KEYS || '');
+    const legacyKey = process.env.IMAGE_ENCRYPTION_KEY;
+
+    if (legacyKey && !configuredKeys[LEGACY_KEY_ID]) {
+      configuredKeys[LEGACY_KEY_ID] = legacyKey;
+    }
+    if (Object.keys(configuredKeys).length === 0) {
+      configuredKeys[LEGACY_KEY_ID] = this.generateDefaultKey();
+    }
+
+    for (const [keyId, key] of Object.entries(configuredKeys)) {
+      this.addKey(keyId, key);
+    }
+
+    this.activeKeyId = options.activeKeyId || process.env.IMAGE_ENCRYPTION_ACTIVE_KEY ||
+      (this.keys.size === 1 ? this.keys.keys().next().value : LEGACY_KEY_ID);
+
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active encryption key "${this.activeKeyId}" is not configured`);
+    }
+  }
+
+  /**
+   * Generate a default encryption key (for development only)
+   * @returns {string} Base64 encoded key
+   */
+  generateDefaultKey() {
+    console.warn('WARNING: Using default encryption key. Set IMAGE_ENCRYPTION_KEYS in production!');
+    return crypto.randomBytes(32).toString('base64');
+  }
+
+  /**
+   * Parse key list
+   * @param {string} value - e.g. '2024-01:<base64>,2025-01:<base64>'
+   * @returns {Object} Key ID => base64 key
+   */
+  parseKeys(value) {
+    const keys = {};
+
+    value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('Invalid IMAGE_ENCRYPTION_KEYS entry. Expected <keyId>:<base64 key>');
+      }
+      keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+    });
+
+    return keys;
+  }
+
+  /**
+   * Add a key
+   * @param {string} keyId - Key ID (1-255 ASCII characters, stored in each file header)
+   * @param {string} base64Key - Base64 encoded 256-bit key
+   */
+  addKey(keyId, base64Key) {
+    if (!/^[\x21-\x7e]{1,255}$/.test(keyId)) {
+      throw new Error(`Invalid encryption key ID: ${keyId}`);
+    }
+
+    const key = Buffer.from(base64Key, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${keyId}" must be 32 bytes (base64 encoded)`);
+    }
+
+    this.keys.set(keyId, key);
+  }
+
+  /**
+   * Get key by ID
+   * @param {string} keyId - Key ID
+   * @returns {Buffer} Key
+   */
+  getKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key: ${keyId}`);
+    }
+    return key;
+  }
+
+  /**
+   * Get the key used for new images
+   * @returns {Object} { keyId, key }
+   */
+  getActiveKey() {
+    return { keyId: this.activeKeyId, key: this.keys.get(this.activeKeyId) };
+  }
+
+  /**
+   * List configured key IDs
+   * @returns {Array} Key IDs
+   */
+  listKeyIds() {
+    return Array.from(this.keys.keys());
+  }
+}
+
+KeyRing.LEGACY_KEY_ID = LEGACY_KEY_ID;
+
+module.exports = KeyRing;
@@ -0,0 +1,193 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Background move of stored images onto the active master key
+ * (data keys are re-wrapped; pre-envelope images are re-encrypted)
+ *
+ * Progress is checkpointed to disk after every batch. Each image is re-checked
+ * against its file header and data key, so an interrupted run can simply be
+ * started again and only images still under an old key are touched.
+ */
+class KeyRotationService {
+  /**
+   * @param {ImageStorageService} imageStorage - Image storage
+   * @param {Object} [options] - Service options
+   */
+  constructor(imageStorage, options = {}) {
+    this.imageStorage = imageStorage;
+    this.stateFile = options.stateFile || process.env.KEY_ROTATION_STATE_FILE || './storage/keys/rotation-state.json';
+    this.batchSize = parseInt(process.env.KEY_ROTATION_BATCH_SIZE) || 50;
+    this.currentRun = null;
+    this.stopRequested = false;
+  }
+
+  /**
+   * Load checkpoint state
+   * @returns {Promise<Object|null>} Last saved state
+   */
+  async loadState() {
+    try {
+      if (!(await fs.pathExists(this.stateFile))) {
+        return null;
+      }
+      return await fs.readJson(this.stateFile);
+    } catch (error) {
+      console.error('Error loading key rotation state:', error);
+      throw new Error('Failed to load key rotation state');
+    }
+  }
+
+  /**
+   * Save checkpoint state
+   * @param {Object} state - Rotation state
+   */
+  async saveState(state) {
+    await fs.ensureDir(path.dirname(this.stateFile));
+    const tempPath = `${this.stateFile}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, state, { spaces: 2 });
+    await fs.rename(tempPath, this.stateFile);
+  }
+
+  /**
+   * Get rotation status
+   * @returns {Promise<Object>} Current or last run state
+   */
+  async getStatus() {
+    const state = await this.loadState();
+    return {
+      activeKeyId: this.imageStorage.keyStore.activeKeyId,
+      availableKeyIds: this.imageStorage.keyStore.listKeyIds(),
+      running: this.currentRun !== null,
+      lastRun: state
+    };
+  }
+
+  /**
+   * Start rotation in the background
+   * @returns {Promise<Object>} Initial run state
+   */
+  async start() {
+    if (this.currentRun) {
+      throw new Error('Key rotation is already running');
+    }
+
+    const previous = await this.loadState();
+    const targetKeyId = this.imageStorage.keyStore.activeKeyId;
+    // Carry on counting from an interrupted run towards the same key
+    const resuming = previous && previous.status === 'running' && previous.targetKeyId === targetKeyId;
+
+    const state = resuming ? { ...previous, resumedAt: new Date().toISOString() } : {
+      runId: uuidv4(),
+      targetKeyId,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      total: 0,
+      processed: 0,
+      rotated: 0,
+      failed: 0,
+      lastImageId: null,
+      errors: []
+    };
+    state.status = 'running';
+    await this.saveState(state);
+
+    this.stopRequested = false;
+    this.currentRun = this.run(state)
+      .catch(error => {
+        console.error('Key rotation failed:', error);
+      })
+      .finally(() => {
+        this.currentRun = null;
+      });
+
+    console.log(`Key rotation ${resuming ? 'resumed' : 'started'}: ${state.runId} -> ${targetKeyId}`);
+    return state;
+  }
+
+  /**
+   * Ask a running rotation to stop after the current batch
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Wait for the running rotation to finish
+   */
+  async waitForCompletion() {
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+  }
+
+  /**
+   * Resume a rotation that was interrupted by a restart
+   * @returns {Promise<boolean>} True if a rotation was resumed
+   */
+  async resumeIfInterrupted() {
+    const state = await this.loadState();
+    if (state && state.status === 'running' && !this.currentRun) {
+      await this.start();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Rotate all images in batches
+   * @param {Object} state - Run state (updated and checkpointed in place)
+   */
+  async run(state) {
+    try {
+      // Image IDs in a stable order so lastImageId marks how far the run got
+      const images = (await this.imageStorage.metadataIndex.all())
+        .map(metadata => metadata.id)
+        .sort();
+      state.total = images.length;
+
+      const remaining = state.lastImageId ? images.filter(id => id > state.lastImageId) : images;
+
+      for (let i = 0; i < remaining.length; i += this.batchSize) {
+        if (this.stopRequested) {
+          state.status = 'stopped';
+          break;
+        }
+
+        for (const imageId of remaining.slice(i, i + this.batchSize)) {
+          try {
+            const result = await this.imageStorage.reencryptImage(imageId);
+            if (result.rotated) {
+              state.rotated++;
+            }
+          } catch (error) {
+            state.failed++;
+            state.errors.push({ imageId, error: error.message });
+          }
+          state.processed++;
+          state.lastImageId = imageId;
+        }
+
+        await this.saveState(state);
+        // Yield between batches so capture requests are not starved
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      if (state.status === 'running') {
+        state.status = state.failed > 0 ? 'completed_with_errors' : 'completed';
+      }
+    } catch (error) {
+      state.status = 'failed';
+      state.errors.push({ error: error.message });
+      throw error;
+    } finally {
+      state.finishedAt = new Date().toISOString();
+      await this.saveState(state);
+      console.log(`Key rotation ${state.runId} ${state.status}: ${state.rotated} rotated, ${state.failed} failed`);
+    }
+  }
+}
+
+module.exports = KeyRotationService;
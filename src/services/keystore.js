@@ -0,0 +1,323 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('node:crypto');
+const KeyRing = require('./keyRing');
+
+const WRAP_AAD = Buffer.from('seren-capture-data-key', 'utf8');
+
+/**
+ * Wraps data keys with local master keys (AES-256-GCM)
+ *
+ * This is the piece a KMS would replace: anything with async
+ * wrapKey(dataKey) => { masterKeyId, wrappedKey } and unwrapKey(record) => Buffer,
+ * plus activeKeyId and listKeyIds(), can be passed to DataKeyStore.
+ */
+class LocalKeyWrapper {
+  /**
+   * @param {KeyRing} keyRing - Master keys
+   */
+  constructor(keyRing) {
+    this.keyRing = keyRing;
+  }
+
+  get activeKeyId() {
+    return this.keyRing.activeKeyId;
+  }
+
+  listKeyIds() {
+    return this.keyRing.listKeyIds();
+  }
+
+  /**
+   * Wrap data key with the active master key
+   * @param {Buffer} dataKey - Plaintext data key
+   * @param {string} imageId - Image the key belongs to (bound into the wrapping)
+   * @returns {Promise<Object>} { masterKeyId, wrappedKey } with wrappedKey as base64 iv|tag|ciphertext
+   */
+  async wrapKey(dataKey, imageId) {
+    const { keyId, key } = this.keyRing.getActiveKey();
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.concat([WRAP_AAD, Buffer.from(imageId, 'utf8')]));
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      masterKeyId: keyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+  }
+
+  /**
+   * Unwrap data key
+   * @param {Object} record - { masterKeyId, wrappedKey }
+   * @param {string} imageId - Image the key belongs to
+   * @returns {Promise<Buffer>} Plaintext data key
+   */
+  async unwrapKey({ masterKeyId, wrappedKey }, imageId) {
+    const wrapped = Buffer.from(wrappedKey, 'base64');
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.keyRing.getKey(masterKeyId), wrapped.slice(0, 12));
+    decipher.setAAD(Buffer.concat([WRAP_AAD, Buffer.from(imageId, 'utf8')]));
+    decipher.setAuthTag(wrapped.slice(12, 28));
+
+    return Buffer.concat([decipher.update(wrapped.slice(28)), decipher.final()]);
+  }
+}
+
+/**
+ * Per-image data keys, stored wrapped under a master key
+ *
+ * Each wrapped key lives in its own file so destroying it really removes it
+ * (an append-only log would keep old copies). Once an image's wrapped key is
+ * destroyed the image can never be decrypted again - that is crypto-shredding.
+ */
+class DataKeyStore {
+  /**
+   * @param {Object} wrapper - Key wrapper (LocalKeyWrapper or a KMS implementation)
+   * @param {Object} [options] - Store options
+   */
+  constructor(wrapper, options = {}) {
+    this.wrapper = wrapper;
+    this.dataKeyDir = options.dataKeyDir || process.env.KEYSTORE_DATA_KEY_DIR || './storage/keys/data-keys';
+    this.queues = new Map(); // Image ID => last key operation queued on it
+    fs.ensureDirSync(this.dataKeyDir);
+  }
+
+  get activeKeyId() {
+    return this.wrapper.activeKeyId;
+  }
+
+  listKeyIds() {
+    return this.wrapper.listKeyIds();
+  }
+
+  /**
+   * Run a key operation once earlier operations on the same image have finished
+   * A re-wrap that loaded the record before a destroy would otherwise write the key back.
+   * @param {string} imageId - Image ID
+   * @param {Function} fn - Async operation
+   * @returns {Promise<*>} Result of fn
+   */
+  serialize(imageId, fn) {
+    const result = (this.queues.get(imageId) || Promise.resolve()).then(() => fn());
+    const done = result.catch(() => {});
+    this.queues.set(imageId, done);
+    done.then(() => {
+      if (this.queues.get(imageId) === done) {
+        this.queues.delete(imageId);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Get path of wrapped key record
+   * @param {string} imageId - Image ID
+   * @returns {string} Record path
+   */
+  getRecordPath(imageId) {
+    if (!/^[\w-]+$/.test(imageId)) {
+      throw new Error(`Invalid image ID: ${imageId}`);
+    }
+    return path.join(this.dataKeyDir, `${imageId}.json`);
+  }
+
+  /**
+   * Load wrapped key record
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object|null>} Record or null if none exists
+   */
+  async loadRecord(imageId) {
+    try {
+      return await fs.readJson(this.getRecordPath(imageId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save wrapped key record
+   * @param {Object} record - Wrapped key record
+   */
+  async saveRecord(record) {
+    const recordPath = this.getRecordPath(record.imageId);
+    const tempPath = `${recordPath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, record, { spaces: 2, mode: 0o600 });
+    await fs.rename(tempPath, recordPath);
+  }
+
+  /**
+   * Create a new data key for an image
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} { dataKey, masterKeyId }
+   */
+  async createDataKey(imageId) {
+    const dataKey = crypto.randomBytes(32);
+    const { masterKeyId, wrappedKey } = await this.wrapper.wrapKey(dataKey, imageId);
+
+    await this.saveRecord({
+      imageId,
+      masterKeyId,
+      wrappedKey,
+      createdAt: new Date().toISOString()
+    });
+
+    return { dataKey, masterKeyId };
+  }
+
+  /**
+   * Get the plaintext data key for an image
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Buffer>} Data key
+   */
+  async getDataKey(imageId) {
+    const record = await this.loadRecord(imageId);
+    if (!record) {
+      throw new Error(`Data key not found for image ${imageId} (destroyed or never created)`);
+    }
+    return this.wrapper.unwrapKey(record, imageId);
+  }
+
+  /**
+   * Re-wrap an image's data key under the active master key
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} { rotated, fromKeyId, toKeyId }
+   */
+  rewrapDataKey(imageId) {
+    return this.serialize(imageId, async () => {
+      const record = await this.loadRecord(imageId);
+      if (!record) {
+        throw new Error(`Data key not found for image ${imageId} (destroyed or never created)`);
+      }
+
+      const toKeyId = this.wrapper.activeKeyId;
+      if (record.masterKeyId === toKeyId) {
+        return { rotated: false, fromKeyId: record.masterKeyId, toKeyId };
+      }
+
+      const dataKey = await this.wrapper.unwrapKey(record, imageId);
+      const { masterKeyId, wrappedKey } = await this.wrapper.wrapKey(dataKey, imageId);
+      // Another process may have destroyed the key while it was being wrapped
+      if (!(await fs.pathExists(this.getRecordPath(imageId)))) {
+        throw new Error(`Data key not found for image ${imageId} (destroyed or never created)`);
+      }
+      await this.saveRecord({ ...record, masterKeyId, wrappedKey, rewrappedAt: new Date().toISOString() });
+
+      return { rotated: true, fromKeyId: record.masterKeyId, toKeyId: masterKeyId };
+    });
+  }
+
+  /**
+   * Destroy an image's data key (crypto-shred)
+   * @param {string} imageId - Image ID
+   * @returns {Promise<boolean>} True if a key was destroyed
+   */
+  destroyDataKey(imageId) {
+    return this.serialize(imageId, async () => {
+      const recordPath = this.getRecordPath(imageId);
+      if (!(await fs.pathExists(recordPath))) {
+        return false;
+      }
+
+      // Overwrite before unlinking so the wrapped key does not linger in freed blocks
+      const { size } = await fs.stat(recordPath);
+      await fs.writeFile(recordPath, crypto.randomBytes(size));
+      await fs.remove(recordPath);
+      return true;
+    });
+  }
+}
+
+/**
+ * Load or create master keys in a local key file
+ * @param {string} keyFile - Key file path
+ * @returns {KeyRing} Master keys
+ */
+function loadFileMasterKeys(keyFile) {
+  if (!fs.existsSync(keyFile)) {
+    const keyId = new Date().toISOString().slice(0, 7); // e.g. '2026-10'
+    fs.ensureDirSync(path.dirname(keyFile));
+    fs.writeJsonSync(keyFile, {
+      activeKeyId: keyId,
+      keys: { [keyId]: crypto.randomBytes(32).toString('base64') }
+    }, { spaces: 2, mode: 0o600 });
+    console.warn(`WARNING: Created new master key file ${keyFile}. Back it up - images cannot be decrypted without it!`);
+  }
+
+  const { activeKeyId, keys } = fs.readJsonSync(keyFile);
+  return new KeyRing({ keys, activeKeyId });
+}
+
+/**
+ * Derive master keys from passphrases
+ * The newest passphrase is active; previous ones stay available to unwrap older keys
+ * @param {string} passphrase - Current passphrase
+ * @param {Array} previousPassphrases - Older passphrases still needed for decryption
+ * @param {string} saltFile - Salt file path (created on first use)
+ * @returns {KeyRing} Master keys
+ */
+function derivePassphraseMasterKeys(passphrase, previousPassphrases, saltFile) {
+  if (!fs.existsSync(saltFile)) {
+    fs.ensureDirSync(path.dirname(saltFile));
+    fs.writeFileSync(saltFile, crypto.randomBytes(16).toString('hex'), { mode: 0o600 });
+  }
+  const salt = fs.readFileSync(saltFile, 'utf8').trim();
+
+  const keys = {};
+  let activeKeyId = null;
+  [passphrase, ...previousPassphrases].forEach((phrase, index) => {
+    const key = crypto.scryptSync(phrase, salt, 32, { N: 2 ** 15, maxmem: 64 * 1024 * 1024 });
+    // Key ID is a fingerprint, so it changes with the passphrase and never reveals it
+    const keyId = `pp-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+    keys[keyId] = key.toString('base64');
+    if (index === 0) {
+      activeKeyId = keyId;
+    }
+  });
+
+  return new KeyRing({ keys, activeKeyId });
+}
+
+/**
+ * Create data key store from environment configuration
+ * KEYSTORE_TYPE=env (default, master keys from IMAGE_ENCRYPTION_KEYS), file or passphrase
+ * @param {KeyRing} envKeyRing - Key ring built from IMAGE_ENCRYPTION_KEY(S)
+ * @returns {DataKeyStore} Data key store
+ */
+function createKeyStore(envKeyRing) {
+  const type = (process.env.KEYSTORE_TYPE || 'env').toLowerCase();
+  let masterKeys;
+
+  switch (type) {
+    case 'env':
+      masterKeys = envKeyRing;
+      break;
+    case 'file':
+      masterKeys = loadFileMasterKeys(process.env.KEYSTORE_MASTER_KEY_FILE || './storage/keys/master-keys.json');
+      break;
+    case 'passphrase':
+      if (!process.env.KEYSTORE_PASSPHRASE) {
+        throw new Error('KEYSTORE_PASSPHRASE is required when KEYSTORE_TYPE=passphrase');
+      }
+      masterKeys = derivePassphraseMasterKeys(
+        process.env.KEYSTORE_PASSPHRASE,
+        (process.env.KEYSTORE_PREVIOUS_PASSPHRASES || '').split(',').filter(Boolean),
+        process.env.KEYSTORE_SALT_FILE || './storage/keys/passphrase.salt'
+      );
+      break;
+    default:
+      throw new Error(`Unknown KEYSTORE_TYPE: ${type}. Must be "env", "file" or "passphrase"`);
+  }
+
+  return new DataKeyStore(new LocalKeyWrapper(masterKeys));
+}
+
+module.exports = {
+  LocalKeyWrapper,
+  DataKeyStore,
+  createKeyStore
+};
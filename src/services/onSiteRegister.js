@@ -0,0 +1,137 @@
+/**
+ * Register of visitors currently on the estate
+ *
+ * A visit is on site from the moment its entry session completes until it is checked
+ * out at an exit gate. Visits that stay longer than their mode's limit are flagged, and
+ * the register doubles as the roll call list for an evacuation.
+ */
+class OnSiteRegister {
+  /**
+   * @param {Object} options - Register options
+   * @param {VisitStore} options.visitStore - Visit history
+   * @param {Object} [options.stayLimits] - Mode => stay limit in ms (defaults to VISIT_STAY_LIMITS)
+   */
+  constructor(options) {
+    this.visitStore = options.visitStore;
+    this.defaultStayLimit = parseInt(process.env.VISIT_STAY_LIMIT_MS) || 12 * 60 * 60 * 1000; // 12 hours
+    this.stayLimits = options.stayLimits || this.parseStayLimits(process.env.VISIT_STAY_LIMITS || '');
+  }
+
+  /**
+   * Parse per-mode stay limits
+   * @param {string} value - e.g. 'delivery:3600000,taxi:1800000'
+   * @returns {Object} Mode => stay limit in ms
+   */
+  parseStayLimits(value) {
+    const limits = {};
+
+    value.split(',').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+      const [mode, ms] = rule.split(':').map(part => part.trim());
+      const parsedMs = parseInt(ms);
+
+      if (!mode || isNaN(parsedMs) || parsedMs < 1) {
+        throw new Error(`Invalid visit stay limit "${rule}". Expected <mode>:<milliseconds>`);
+      }
+      limits[mode] = parsedMs;
+    });
+
+    return limits;
+  }
+
+  /**
+   * Get how long a visit in a mode may stay
+   * @param {string} mode - Capture mode
+   * @returns {number} Stay limit in ms
+   */
+  stayLimitFor(mode) {
+    return this.stayLimits[mode] || this.defaultStayLimit;
+  }
+
+  /**
+   * Describe a visit's stay
+   * @param {Object} visit - Visit record
+   * @param {Date} [now] - End of the stay (the current time for visits still on site)
+   * @returns {Object} { enteredAt, durationMs, stayLimitMs, overstayed, overstayedByMs }
+   */
+  describeStay(visit, now = new Date()) {
+    const durationMs = Math.max(now - new Date(visit.completedAt), 0);
+    const stayLimitMs = this.stayLimitFor(visit.mode);
+
+    return {
+      enteredAt: visit.completedAt,
+      durationMs,
+      stayLimitMs,
+      overstayed: durationMs > stayLimitMs,
+      overstayedByMs: Math.max(durationMs - stayLimitMs, 0)
+    };
+  }
+
+  /**
+   * Summarize an on-site visit for guards and roll calls
+   * @param {Object} visit - Visit record
+   * @param {Date} [now] - Current time
+   * @returns {Object} Visit summary with its stay
+   */
+  toEntry(visit, now = new Date()) {
+    return {
+      visitId: visit.id,
+      residentInfo: visit.residentInfo,
+      mode: visit.mode,
+      gateId: visit.gateId || null,
+      terminalId: visit.terminalId || null,
+      plates: visit.plates || [],
+      ...this.describeStay(visit, now)
+    };
+  }
+
+  /**
+   * List everyone on site, longest stay first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.gateId] - Visits that entered at this gate
+   * @param {boolean} [filters.overstayed] - Only visits past their stay limit
+   * @returns {Promise<Object>} { count, overstayed, visits }
+   */
+  async list(filters = {}) {
+    const now = new Date();
+    const entries = (await this.visitStore.listOnSite({ gateId: filters.gateId }))
+      .map(visit => this.toEntry(visit, now))
+      .sort((a, b) => b.durationMs - a.durationMs);
+
+    const visits = filters.overstayed ? entries.filter(entry => entry.overstayed) : entries;
+    return {
+      count: entries.length,
+      overstayed: entries.filter(entry => entry.overstayed).length,
+      visits
+    };
+  }
+
+  /**
+   * Find the on-site visits an exit lookup refers to, most recent entry first
+   * @param {Object} query - Exactly one of otp, plate or reference
+   * @param {string} [query.otp] - OTP used at the entry gate
+   * @param {string} [query.plate] - Number plate recorded at entry
+   * @param {string} [query.reference] - Visit (entry session) ID
+   * @returns {Promise<Array>} Visit summaries
+   */
+  async find(query = {}) {
+    const given = ['otp', 'plate', 'reference'].filter(field => query[field]);
+    if (given.length !== 1) {
+      throw new Error('Look up a visit by exactly one of otp, plate or reference');
+    }
+
+    let visits;
+    if (query.reference) {
+      const visit = await this.visitStore.get(query.reference);
+      visits = visit && visit.status === 'completed' && visit.exitedAt === null ? [visit] : [];
+    } else {
+      visits = await this.visitStore.listOnSite({ otp: query.otp, plate: query.plate });
+    }
+
+    const now = new Date();
+    return visits
+      .map(visit => this.toEntry(visit, now))
+      .sort((a, b) => (a.enteredAt < b.enteredAt ? 1 : -1));
+  }
+}
+
+module.exports = OnSiteRegister;
@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const SCOPES = ['terminal', 'ip', 'prefix'];
+
+/**
+ * Error thrown when OTP lookups from a source are locked out
+ */
+class OtpLockoutError extends Error {
+  /**
+   * @param {Object} lockout - { scope, lockedUntil }
+   */
+  constructor(lockout) {
+    super(`Too many failed OTP attempts. Try again after ${lockout.lockedUntil}`);
+    this.name = 'OtpLockoutError';
+    this.code = 'OTP_LOCKED_OUT';
+    this.scope = lockout.scope;
+    this.lockedUntil = lockout.lockedUntil;
+    this.retryAfter = Math.max(Math.ceil((new Date(lockout.lockedUntil) - Date.now()) / 1000), 1);
+  }
+}
+
+/**
+ * Brute-force protection for OTP lookups
+ *
+ * Failed lookups are counted per terminal (or operator), per IP and per OTP prefix within a sliding
+ * window. A source that reaches its threshold is locked out, and each further lockout
+ * within the decay period lasts twice as long as the previous one. Counters and
+ * lockouts are written to OTP_GUARD_FILE so a restart does not reset them.
+ */
+class OtpGuard {
+  /**
+   * @param {Object} [options] - Guard options
+   * @param {string} [options.stateFile] - State file (defaults to OTP_GUARD_FILE)
+   * @param {Object} [options.thresholds] - Failures per scope that trigger a lockout (defaults to OTP_LOCKOUT_THRESHOLDS)
+   */
+  constructor(options = {}) {
+    this.stateFile = options.stateFile || process.env.OTP_GUARD_FILE || './storage/security/otp-guard.json';
+    this.thresholds = options.thresholds || this.parseThresholds(process.env.OTP_LOCKOUT_THRESHOLDS || 'terminal:5,ip:10,prefix:20');
+    this.window = parseInt(process.env.OTP_FAILURE_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
+    this.lockoutBase = parseInt(process.env.OTP_LOCKOUT_BASE_MS) || 60 * 1000; // 1 minute
+    this.lockoutMax = parseInt(process.env.OTP_LOCKOUT_MAX_MS) || 60 * 60 * 1000; // 1 hour
+    this.lockoutDecay = parseInt(process.env.OTP_LOCKOUT_DECAY_MS) || 24 * 60 * 60 * 1000; // 24 hours
+    this.prefixLength = parseInt(process.env.OTP_PREFIX_LENGTH) || 3;
+
+    this.sources = this.loadState();
+    this.writeQueue = Promise.resolve();
+    this.lookups = new Map(); // Source key => last lookup queued for it
+  }
+
+  /**
+   * Parse lockout thresholds
+   * @param {string} value - e.g. 'terminal:5,ip:10,prefix:20'
+   * @returns {Object} Failures per scope
+   */
+  parseThresholds(value) {
+    const thresholds = {};
+
+    value.split(',').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+      const [scope, count] = rule.split(':').map(part => part.trim());
+      const parsedCount = parseInt(count);
+
+      if (!SCOPES.includes(scope) || isNaN(parsedCount) || parsedCount < 1) {
+        throw new Error(`Invalid OTP lockout threshold "${rule}". Expected <${SCOPES.join('|')}>:<failures>`);
+      }
+      thresholds[scope] = parsedCount;
+    });
+
+    return thresholds;
+  }
+
+  /**
+   * Load counters and lockouts from disk
+   * @returns {Object} Source key => { failures, lockedUntil, lockouts, lastLockoutAt }
+   */
+  loadState() {
+    try {
+      if (!fs.existsSync(this.stateFile)) {
+        return {};
+      }
+      return fs.readJsonSync(this.stateFile);
+    } catch (error) {
+      console.error('Error loading OTP guard state:', error);
+      throw new Error('Failed to load OTP guard state');
+    }
+  }
+
+  /**
+   * Persist counters and lockouts (serialized, dropping sources with nothing left to remember)
+   */
+  saveState() {
+    const write = async () => {
+      const now = Date.now();
+      for (const [key, source] of Object.entries(this.sources)) {
+        source.failures = source.failures.filter(at => now - at < this.window);
+        const locked = source.lockedUntil && new Date(source.lockedUntil) > now;
+        const remembered = source.lastLockoutAt && now - new Date(source.lastLockoutAt) < this.lockoutDecay;
+        if (source.failures.length === 0 && !locked && !remembered) {
+          delete this.sources[key];
+        }
+      }
+
+      await fs.ensureDir(path.dirname(this.stateFile));
+      const tempPath = `${this.stateFile}.${process.pid}.tmp`;
+      await fs.writeJson(tempPath, this.sources, { spaces: 2 });
+      await fs.rename(tempPath, this.stateFile);
+    };
+
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get the sources an OTP lookup comes from
+   * @param {string} otp - One-Time-PIN
+   * @param {Object} context - Request context
+   * @returns {Array} [{ scope, key }]
+   */
+  sourcesFor(otp, context) {
+    // X-Gate-Id is sent by the client, so an unregistered device is counted under its operator instead
+    const terminal = context.terminalId ? `terminal:${context.terminalId}`
+      : context.operatorId ? `operator:${context.operatorId}` : null;
+    return [
+      terminal && { scope: 'terminal', key: terminal },
+      context.ip && { scope: 'ip', key: `ip:${context.ip}` },
+      otp.length >= this.prefixLength && { scope: 'prefix', key: `prefix:${otp.slice(0, this.prefixLength)}` }
+    ].filter(source => source && this.thresholds[source.scope]);
+  }
+
+  /**
+   * Throw if any source of a lookup is locked out
+   * @param {string} otp - One-Time-PIN
+   * @param {Object} context - Request context
+   */
+  check(otp, context) {
+    const now = new Date();
+    for (const { scope, key } of this.sourcesFor(otp, context)) {
+      const source = this.sources[key];
+      if (source && source.lockedUntil && new Date(source.lockedUntil) > now) {
+        throw new OtpLockoutError({ scope, lockedUntil: source.lockedUntil });
+      }
+    }
+  }
+
+  /**
+   * Run a lookup once no other lookup from the same terminal, IP or OTP prefix is in flight
+   * Concurrent guesses would otherwise all pass check() before the first failure is recorded,
+   * so the task should check, look up and record its failure before it resolves.
+   * @param {string} otp - One-Time-PIN
+   * @param {Object} context - Request context
+   * @param {Function} task - Async lookup
+   * @returns {Promise<*>} Result of the task
+   */
+  serialize(otp, context, task) {
+    const keys = this.sourcesFor(otp, context).map(source => source.key);
+    const previous = Promise.all(keys.map(key => this.lookups.get(key)));
+
+    const result = previous.then(() => task());
+    const done = result.catch(() => {});
+    for (const key of keys) {
+      this.lookups.set(key, done);
+    }
+    done.then(() => {
+      for (const key of keys) {
+        if (this.lookups.get(key) === done) {
+          this.lookups.delete(key);
+        }
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Record a rejected OTP
+   * @param {string} otp - One-Time-PIN
+   * @param {Object} context - Request context
+   * @returns {Promise<Array>} Lockouts started by this failure: [{ scope, key, failures, lockedUntil, durationMs }]
+   */
+  async recordFailure(otp, context) {
+    const now = Date.now();
+    const lockouts = [];
+
+    for (const { scope, key } of this.sourcesFor(otp, context)) {
+      const source = this.sources[key] || { failures: [], lockedUntil: null, lockouts: 0, lastLockoutAt: null };
+      source.failures = source.failures.filter(at => now - at < this.window);
+      source.failures.push(now);
+
+      const locked = source.lockedUntil && new Date(source.lockedUntil) > now;
+      if (!locked && source.failures.length >= this.thresholds[scope]) {
+        if (!source.lastLockoutAt || now - new Date(source.lastLockoutAt) >= this.lockoutDecay) {
+          source.lockouts = 0;
+        }
+        const durationMs = Math.min(this.lockoutBase * 2 ** source.lockouts, this.lockoutMax);
+        source.lockouts++;
+        source.lastLockoutAt = new Date(now).toISOString();
+        source.lockedUntil = new Date(now + durationMs).toISOString();
+        // A fresh window starts once the lockout ends
+        source.failures = [];
+        lockouts.push({ scope, key, failures: this.thresholds[scope], lockedUntil: source.lockedUntil, durationMs });
+      }
+
+      this.sources[key] = source;
+    }
+
+    await this.saveState();
+    return lockouts;
+  }
+
+  /**
+   * List sources that are currently locked out
+   * @returns {Array} [{ key, lockedUntil, lockouts }]
+   */
+  listLockouts() {
+    const now = new Date();
+    return Object.entries(this.sources)
+      .filter(([, source]) => source.lockedUntil && new Date(source.lockedUntil) > now)
+      .map(([key, source]) => ({ key, lockedUntil: source.lockedUntil, lockouts: source.lockouts }));
+  }
+
+  /**
+   * Lift a lockout and forget the source's failures
+   * @param {string} key - Source key, e.g. 'ip:10.0.0.5'
+   * @returns {Promise<boolean>} True if the source was known
+   */
+  async clear(key) {
+    if (!this.sources[key]) {
+      return false;
+    }
+    delete this.sources[key];
+    await this.saveState();
+    return true;
+  }
+}
+
+module.exports = {
+  OtpGuard,
+  OtpLockoutError
+};
@@ -0,0 +1,165 @@
+const IndexedLogStore = require('../utils/indexedLogStore');
+const { hashOtp } = require('../utils/otpHash');
+
+const USE_POLICIES = ['single', 'window', 'max'];
+
+/**
+ * Error thrown when an OTP may not be used to start a session
+ */
+class OtpPolicyError extends Error {
+  /**
+   * @param {string} code - OTP_EXPIRED, OTP_NOT_YET_VALID, OTP_INACTIVE or OTP_CONSUMED
+   * @param {string} message - Message for the guard
+   * @param {Object} [details] - e.g. { validUntil } or { entries, maxEntries }
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'OtpPolicyError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * OTP validity and local consumption tracking
+ *
+ * EstateMate says whether an OTP and its resident are valid; this decides how often the
+ * OTP may be used at the gate. Policies:
+ *   single - one entry
+ *   window - any number of entries until OTP_USE_WINDOW_MS after the first
+ *   max    - up to OTP_MAX_ENTRIES entries
+ * Uses are recorded per session when it starts, and released again if the session is cancelled,
+ * fails or expires.
+ * OTPs are stored as hashes keyed with OTP_HASH_SECRET.
+ */
+class OtpPolicy {
+  /**
+   * @param {Object} [options] - Policy options
+   * @param {string} [options.logFile] - Consumption log (defaults to OTP_USAGE_FILE)
+   * @param {string} [options.policy] - 'single', 'window' or 'max' (defaults to OTP_USE_POLICY)
+   * @param {string} [options.otpSecret] - OTP hash key (defaults to OTP_HASH_SECRET)
+   */
+  constructor(options = {}) {
+    this.otpSecret = options.otpSecret;
+    this.store = new IndexedLogStore({
+      logFile: options.logFile || process.env.OTP_USAGE_FILE || './storage/otp/usage.log'
+    });
+    this.policy = options.policy || process.env.OTP_USE_POLICY || 'single';
+    this.useWindow = parseInt(process.env.OTP_USE_WINDOW_MS) || 12 * 60 * 60 * 1000; // 12 hours
+    this.maxEntries = parseInt(process.env.OTP_MAX_ENTRIES) || 5;
+    this.activeStatuses = (process.env.OTP_ACTIVE_STATUSES || 'active').split(',').map(status => status.trim().toLowerCase());
+    this.queue = Promise.resolve(); // Check-and-record must not interleave
+
+    if (!USE_POLICIES.includes(this.policy)) {
+      throw new Error(`Invalid OTP use policy "${this.policy}". Must be one of: ${USE_POLICIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Key an OTP is tracked under
+   * Invite OTPs are tracked per invite, so an OTP issued again on a new invite starts unused.
+   * @param {string} otp - One-Time-PIN
+   * @param {Object} residentInfo - Resident the OTP belongs to
+   * @returns {string} Hashed key
+   */
+  keyFor(otp, residentInfo) {
+    const owner = residentInfo.inviteId ? `${residentInfo.id}:${residentInfo.inviteId}` : residentInfo.id;
+    return hashOtp(`${owner}:${otp}`, this.otpSecret);
+  }
+
+  /**
+   * Check the validity window and status EstateMate returned
+   * @param {Object} residentInfo - Formatted lookup result
+   * @param {Date} [now] - Current time
+   */
+  assertValid(residentInfo, now = new Date()) {
+    const status = (residentInfo.status || '').toLowerCase();
+    if (!this.activeStatuses.includes(status)) {
+      throw new OtpPolicyError('OTP_INACTIVE', `OTP is not active (status: ${residentInfo.status || 'unknown'})`, { status: residentInfo.status });
+    }
+    if (residentInfo.validFrom && new Date(residentInfo.validFrom) > now) {
+      throw new OtpPolicyError('OTP_NOT_YET_VALID', `OTP is not valid before ${residentInfo.validFrom}`, { validFrom: residentInfo.validFrom });
+    }
+    if (residentInfo.validUntil && new Date(residentInfo.validUntil) <= now) {
+      throw new OtpPolicyError('OTP_EXPIRED', `OTP expired at ${residentInfo.validUntil}`, { validUntil: residentInfo.validUntil });
+    }
+  }
+
+  /**
+   * Check an OTP may be used again and record the use
+   * @param {string} otp - One-Time-PIN
+   * @param {Object} residentInfo - Formatted lookup result
+   * @param {string} sessionId - Session the OTP is used for
+   * @returns {Promise<Object>} { policy, entries, remaining } where remaining is null when unlimited
+   */
+  consume(otp, residentInfo, sessionId) {
+    const run = async () => {
+      const now = new Date();
+      this.assertValid(residentInfo, now);
+
+      const id = this.keyFor(otp, residentInfo);
+      const usage = (await this.store.get(id)) || { id, residentId: residentInfo.id, entries: [] };
+      const entries = usage.entries.length;
+
+      if (this.policy === 'single' && entries >= 1) {
+        throw new OtpPolicyError('OTP_CONSUMED', 'OTP has already been used', { entries, firstUsedAt: usage.entries[0].at });
+      }
+      if (this.policy === 'max' && entries >= this.maxEntries) {
+        throw new OtpPolicyError('OTP_CONSUMED', `OTP has been used the maximum of ${this.maxEntries} times`, { entries, maxEntries: this.maxEntries });
+      }
+      if (this.policy === 'window' && entries > 0) {
+        const closesAt = new Date(new Date(usage.entries[0].at).getTime() + this.useWindow);
+        if (now >= closesAt) {
+          throw new OtpPolicyError('OTP_CONSUMED', `OTP could be reused until ${closesAt.toISOString()}`, { entries, windowClosedAt: closesAt.toISOString() });
+        }
+      }
+
+      usage.entries.push({ sessionId, at: now.toISOString() });
+      await this.store.put(usage);
+
+      const limit = { single: 1, max: this.maxEntries, window: null }[this.policy];
+      return {
+        policy: this.policy,
+        entries: usage.entries.length,
+        remaining: limit === null ? null : limit - usage.entries.length
+      };
+    };
+
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Give back a use, e.g. when the session it was recorded for is cancelled
+   * @param {string} otp - One-Time-PIN
+   * @param {Object} residentInfo - Formatted lookup result
+   * @param {string} sessionId - Session the use was recorded for
+   * @returns {Promise<boolean>} True if a use was released
+   */
+  release(otp, residentInfo, sessionId) {
+    const run = async () => {
+      const usage = await this.store.get(this.keyFor(otp, residentInfo));
+      if (!usage || !usage.entries.some(entry => entry.sessionId === sessionId)) {
+        return false;
+      }
+
+      usage.entries = usage.entries.filter(entry => entry.sessionId !== sessionId);
+      if (usage.entries.length === 0) {
+        await this.store.delete(usage.id);
+      } else {
+        await this.store.put(usage);
+      }
+      return true;
+    };
+
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = {
+  OtpPolicy,
+  OtpPolicyError
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Characters that can appear on RSA number plates
+const PLATE_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789- ';
+
+// Normalized plate shapes: CA123456 / ND123456 style, and ABC123GP / BC12CDGP / personalised plates with a province suffix
+const PLATE_PATTERNS = [
+  /^[A-Z]{1,3}\d{3,6}$/,
+  /^[A-Z0-9]{2,7}(GP|MP|NW|EC|NC|FS|ZN|L|WP)$/
+];
+
+/**
+ * Normalize plate text for storage and search (uppercase, letters and digits only)
+ * @param {string} text - Plate text
+ * @returns {string} Normalized plate
+ */
+function normalizePlate(text) {
+  return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Check whether text looks like a number plate
+ * @param {string} text - Plate text
+ * @returns {boolean} True if it matches a known plate shape
+ */
+function isPlausiblePlate(text) {
+  const normalized = normalizePlate(text);
+  return normalized.length >= 4 && PLATE_PATTERNS.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Plate recognition with Tesseract (CPU only, runs in-process)
+ *
+ * Recognizers implement async recognize(imageBuffer) => { text, confidence, boundingBox } | null,
+ * where confidence is 0-1 and boundingBox is { x, y, width, height } in image pixels.
+ * The language data is read from a local directory; tesseract.js would otherwise fetch it
+ * from a CDN on first use, which gate terminals cannot rely on.
+ */
+class TesseractPlateRecognizer {
+  /**
+   * @param {Object} [options] - Recognizer options
+   * @param {string} [options.langPath] - Local directory holding eng.traineddata or eng.traineddata.gz
+   */
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.langPath = options.langPath || process.env.PLATE_OCR_LANG_PATH;
+    if (!this.langPath) {
+      throw new Error('PLATE_OCR_LANG_PATH must name a directory holding eng.traineddata (or set PLATE_RECOGNIZER=none)');
+    }
+    // eng.traineddata.gz is what tesseract.js looks for unless told the data is not gzipped
+    this.gzip = fs.existsSync(path.join(this.langPath, 'eng.traineddata.gz'));
+    if (!this.gzip && !fs.existsSync(path.join(this.langPath, 'eng.traineddata'))) {
+      throw new Error(`No eng.traineddata or eng.traineddata.gz in PLATE_OCR_LANG_PATH (${this.langPath})`);
+    }
+    this.worker = null;
+  }
+
+  /**
+   * Start the OCR worker on first use
+   * @returns {Promise<Object>} Tesseract worker
+   */
+  async getWorker() {
+    if (!this.worker) {
+      // Loaded lazily so the service starts without tesseract.js when recognition is disabled
+      const { createWorker } = require('tesseract.js');
+      // cacheMethod 'none' stops tesseract.js copying the data into the working directory
+      this.worker = createWorker('eng', 1, { langPath: this.langPath, gzip: this.gzip, cacheMethod: 'none' })
+        .then(async worker => {
+          await worker.setParameters({ tessedit_char_whitelist: PLATE_CHARACTERS });
+          return worker;
+        })
+        .catch(error => {
+          this.worker = null;
+          throw error;
+        });
+    }
+    return this.worker;
+  }
+
+  /**
+   * Recognize the most likely plate in an image
+   * @param {Buffer} imageBuffer - Image data
+   * @returns {Promise<Object|null>} Plate result or null if no plate was found
+   */
+  async recognize(imageBuffer) {
+    // Greyscale and stretch contrast; orientation matches the stored image
+    const prepared = await sharp(imageBuffer).rotate().greyscale().normalise().png().toBuffer();
+
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(prepared);
+
+    const candidates = (data.lines || [])
+      .map(line => ({ ...line, text: line.text.trim() }))
+      .filter(line => isPlausiblePlate(line.text))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const best = candidates[0];
+    return {
+      text: best.text.replace(/\s+/g, ' '),
+      confidence: Math.round(best.confidence) / 100,
+      boundingBox: {
+        x: best.bbox.x0,
+        y: best.bbox.y0,
+        width: best.bbox.x1 - best.bbox.x0,
+        height: best.bbox.y1 - best.bbox.y0
+      }
+    };
+  }
+
+  /**
+   * Stop the OCR worker
+   */
+  async close() {
+    if (this.worker) {
+      const worker = await this.worker;
+      this.worker = null;
+      await worker.terminate();
+    }
+  }
+}
+
+/**
+ * Create plate recognizer from environment configuration
+ * PLATE_RECOGNIZER=tesseract (default) or none
+ * @returns {Object|null} Recognizer, or null when recognition is disabled
+ */
+function createPlateRecognizer() {
+  const type = (process.env.PLATE_RECOGNIZER || 'tesseract').toLowerCase();
+
+  switch (type) {
+    case 'tesseract':
+      return new TesseractPlateRecognizer();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown PLATE_RECOGNIZER: ${type}. Must be "tesseract" or "none"`);
+  }
+}
+
+module.exports = {
+  TesseractPlateRecognizer,
+  createPlateRecognizer,
+  normalizePlate,
+  isPlausiblePlate
+};
@@ -0,0 +1,509 @@
+const crypto = require('node:crypto');
+const { v4: uuidv4 } = require('uuid');
+const IndexedLogStore = require('../utils/indexedLogStore');
+const { hashOtp } = require('../utils/otpHash');
+const CaptureRegistry = require('./captureRegistry');
+
+const RESIDENT_STATUSES = ['active', 'inactive'];
+const RESIDENT_FIELDS = ['name', 'unitNumber', 'phone', 'email', 'status'];
+
+// CSV header => resident field
+const CSV_COLUMNS = {
+  id: 'id',
+  name: 'name',
+  resident_name: 'name',
+  unit: 'unitNumber',
+  unit_number: 'unitNumber',
+  phone: 'phone',
+  email: 'email',
+  status: 'status'
+};
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields with commas, line breaks and doubled quotes.
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each { line, fields }
+ */
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+
+  // Blank lines are not rows
+  return rows.filter(row => row.fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Local resident directory and visitor invites, for estates that do not use EstateMate
+ *
+ * Residents (or admins for them) invite visitors. Each invite gets its own OTP, a
+ * validity window and optionally the one mode the visitor may enter in. Only a hash of
+ * the OTP is stored; the OTP itself is returned once, to be passed on to the visitor.
+ */
+class ResidentDirectory {
+  /**
+   * @param {Object} [options] - Directory options
+   * @param {string} [options.residentsFile] - Residents (defaults to RESIDENTS_FILE)
+   * @param {string} [options.invitesFile] - Invites (defaults to INVITES_FILE)
+   * @param {CaptureRegistry} [options.registry] - Modes an invite may be limited to (defaults to CAPTURE_REGISTRY_FILE)
+   * @param {string} [options.otpSecret] - OTP hash key (defaults to OTP_HASH_SECRET)
+   */
+  constructor(options = {}) {
+    this.otpSecret = options.otpSecret;
+    this.residents = new IndexedLogStore({
+      logFile: options.residentsFile || process.env.RESIDENTS_FILE || './storage/residents/residents.log',
+      indexes: {
+        unitNumber: resident => resident.unitNumber
+      }
+    });
+    this.invites = new IndexedLogStore({
+      logFile: options.invitesFile || process.env.INVITES_FILE || './storage/residents/invites.log',
+      indexes: {
+        residentId: invite => invite.residentId,
+        otpHash: invite => invite.otpHash
+      },
+      sortBy: 'createdAt'
+    });
+    this.registry = options.registry || CaptureRegistry.getDefault();
+    this.otpLength = parseInt(process.env.INVITE_OTP_LENGTH) || 6;
+    this.defaultValidity = parseInt(process.env.INVITE_VALIDITY_MS) || 24 * 60 * 60 * 1000; // 24 hours
+    this.maxValidity = parseInt(process.env.INVITE_MAX_VALIDITY_MS) || 30 * 24 * 60 * 60 * 1000; // 30 days
+    this.queue = Promise.resolve(); // Uniqueness checks must not interleave with writes
+  }
+
+  /**
+   * Run changes one at a time
+   * @param {Function} fn - Async change
+   * @returns {Promise} Result of fn
+   */
+  serialize(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Hash an OTP for lookup
+   * @param {string} otp - One-Time-PIN
+   * @returns {string} Hex HMAC-SHA256 keyed with the OTP hash secret
+   */
+  hashOtp(otp) {
+    return hashOtp(otp, this.otpSecret);
+  }
+
+  /**
+   * Find the invites that use an OTP
+   * @param {string} otp - One-Time-PIN
+   * @returns {Promise<Array>} Invite records
+   */
+  findInvitesByOtp(otp) {
+    return this.invites.findBy('otpHash', this.hashOtp(otp));
+  }
+
+  /**
+   * Check resident fields
+   * @param {Object} data - Resident fields
+   * @param {boolean} creating - Name and unit number are required for new residents
+   */
+  validateResident(data, creating) {
+    if (creating && (!data.name || !data.unitNumber)) {
+      throw new Error('Resident name and unitNumber are required');
+    }
+    for (const field of RESIDENT_FIELDS) {
+      if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+        throw new Error(`Resident ${field} must be a string`);
+      }
+    }
+    for (const field of ['name', 'unitNumber']) {
+      if (data[field] !== undefined && String(data[field]).trim().length === 0) {
+        throw new Error(`Resident ${field} must not be empty`);
+      }
+    }
+    if (data.status !== undefined && !RESIDENT_STATUSES.includes(data.status)) {
+      throw new Error(`Invalid resident status. Must be one of: ${RESIDENT_STATUSES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Pick the resident fields out of a request body, trimming strings
+   * @param {Object} data - Request body
+   * @returns {Object} Resident fields that were given
+   */
+  pickResidentFields(data) {
+    const fields = {};
+    for (const field of RESIDENT_FIELDS) {
+      if (data[field] !== undefined) {
+        fields[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Write a new resident
+   * @param {Object} data - Resident fields
+   * @returns {Promise<Object>} Resident
+   */
+  async insertResident(data) {
+    this.validateResident(data, true);
+    const now = new Date().toISOString();
+    const resident = {
+      id: `res_${uuidv4()}`,
+      name: null,
+      unitNumber: null,
+      phone: null,
+      email: null,
+      status: 'active',
+      ...this.pickResidentFields(data),
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.residents.put(resident);
+    return resident;
+  }
+
+  /**
+   * Apply changes to a stored resident
+   * @param {Object} resident - Stored resident
+   * @param {Object} changes - Resident fields
+   * @returns {Promise<Object>} Updated resident
+   */
+  async applyResidentChanges(resident, changes) {
+    this.validateResident(changes, false);
+    const updated = {
+      ...resident,
+      ...this.pickResidentFields(changes),
+      updatedAt: new Date().toISOString()
+    };
+    await this.residents.put(updated);
+    return updated;
+  }
+
+  /**
+   * Create a resident
+   * @param {Object} data - { name, unitNumber, phone, email, status }
+   * @returns {Promise<Object>} Resident
+   */
+  createResident(data) {
+    return this.serialize(() => this.insertResident(data || {}));
+  }
+
+  /**
+   * Update a resident
+   * @param {string} residentId - Resident ID
+   * @param {Object} changes - { name, unitNumber, phone, email, status }
+   * @returns {Promise<Object>} Updated resident
+   */
+  updateResident(residentId, changes) {
+    return this.serialize(async () => {
+      const resident = await this.getResident(residentId);
+      if (!resident) {
+        throw new Error(`Resident not found: ${residentId}`);
+      }
+
+      const unknown = Object.keys(changes || {}).filter(field => !RESIDENT_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Cannot change resident fields: ${unknown.join(', ')}`);
+      }
+      return this.applyResidentChanges(resident, changes);
+    });
+  }
+
+  /**
+   * Delete a resident and revoke their invites
+   * @param {string} residentId - Resident ID
+   * @returns {Promise<Object>} { residentId, revokedInvites }
+   */
+  deleteResident(residentId) {
+    return this.serialize(async () => {
+      if (!(await this.getResident(residentId))) {
+        throw new Error(`Resident not found: ${residentId}`);
+      }
+
+      const invites = (await this.invites.findBy('residentId', residentId)).filter(invite => invite.status === 'active');
+      const revokedAt = new Date().toISOString();
+      await this.invites.putMany(invites.map(invite => ({ ...invite, status: 'revoked', revokedAt })));
+      await this.residents.delete(residentId);
+
+      return { residentId, revokedInvites: invites.length };
+    });
+  }
+
+  /**
+   * Get a resident
+   * @param {string} residentId - Resident ID
+   * @returns {Promise<Object|null>} Resident or null
+   */
+  async getResident(residentId) {
+    return this.residents.get(residentId);
+  }
+
+  /**
+   * List residents by unit
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.unitNumber] - Unit number
+   * @param {string} [filters.status] - 'active' or 'inactive'
+   * @returns {Promise<Array>} Residents ordered by unit number
+   */
+  async listResidents(filters = {}) {
+    const residents = filters.unitNumber
+      ? await this.residents.findBy('unitNumber', filters.unitNumber)
+      : await this.residents.all();
+
+    return residents
+      .filter(resident => !filters.status || resident.status === filters.status)
+      .sort((a, b) => a.unitNumber.localeCompare(b.unitNumber, undefined, { numeric: true }) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create or update residents from CSV
+   * The first line names the columns: name, unit_number, phone, email, status and
+   * optionally id. Rows with a known id, or with the same unit and name as an existing
+   * resident, update that resident. Invalid rows are reported and skipped.
+   * @param {string} csv - CSV text
+   * @returns {Promise<Object>} { created, updated, failed: [{ line, error }] }
+   */
+  importCsv(csv) {
+    return this.serialize(async () => {
+      const [header, ...rows] = parseCsv(csv || '');
+      if (!header) {
+        throw new Error('CSV is empty');
+      }
+
+      const columns = header.fields.map(name => CSV_COLUMNS[name.trim().toLowerCase()] || null);
+      if (!columns.includes('name') || !columns.includes('unitNumber')) {
+        throw new Error('CSV needs name and unit_number columns');
+      }
+
+      const result = { created: 0, updated: 0, failed: [] };
+      for (const row of rows) {
+        try {
+          const data = {};
+          columns.forEach((field, index) => {
+            const value = (row.fields[index] || '').trim();
+            if (field && value !== '') {
+              data[field] = value;
+            }
+          });
+
+          const { id, ...fields } = data;
+          let existing = id ? await this.getResident(id) : null;
+          if (!existing && fields.unitNumber && fields.name) {
+            existing = (await this.residents.findBy('unitNumber', fields.unitNumber))
+              .find(resident => resident.name.toLowerCase() === fields.name.toLowerCase()) || null;
+          }
+
+          if (existing) {
+            await this.applyResidentChanges(existing, fields);
+            result.updated++;
+          } else {
+            await this.insertResident(fields);
+            result.created++;
+          }
+        } catch (error) {
+          result.failed.push({ line: row.line, error: error.message });
+        }
+      }
+
+      console.log(`Resident import: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed`);
+      return result;
+    });
+  }
+
+  /**
+   * Generate an OTP no unexpired invite holds
+   * Revoked invites count until their validity window ends, so a revoked OTP is not handed
+   * to another visitor while it could still be tried at the gate; expired ones free their OTP.
+   * @returns {Promise<string>} OTP
+   */
+  async generateOtp() {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const otp = String(crypto.randomInt(0, 10 ** this.otpLength)).padStart(this.otpLength, '0');
+      const now = new Date();
+      const clashes = (await this.findInvitesByOtp(otp)).some(invite => new Date(invite.validUntil) > now);
+      if (!clashes) {
+        return otp;
+      }
+    }
+    throw new Error('Could not generate a unique OTP - increase INVITE_OTP_LENGTH');
+  }
+
+  /**
+   * Strip the OTP hash from an invite
+   * @param {Object} invite - Invite record
+   * @returns {Object} Public invite info
+   */
+  toPublicInvite(invite) {
+    const { otpHash, ...publicInvite } = invite;
+    return publicInvite;
+  }
+
+  /**
+   * Invite a visitor
+   * @param {Object} data - Invite details
+   * @param {string} data.residentId - Resident the visitor comes to see
+   * @param {string} [data.visitorName] - Visitor's name
+   * @param {string} [data.mode] - The only mode the visitor may enter in, e.g. 'pedestrian'
+   * @param {string} [data.validFrom] - Start of the validity window (default: now)
+   * @param {string} [data.validUntil] - End of the validity window (default: INVITE_VALIDITY_MS after the start)
+   * @param {string} [createdBy] - Operator creating the invite
+   * @returns {Promise<Object>} { invite, otp } - the OTP is only ever returned here
+   */
+  createInvite(data, createdBy = null) {
+    return this.serialize(async () => {
+      const resident = data && data.residentId ? await this.getResident(data.residentId) : null;
+      if (!resident) {
+        throw new Error(`Resident not found: ${data && data.residentId}`);
+      }
+      if (resident.status !== 'active') {
+        throw new Error('Only active residents can invite visitors');
+      }
+      if (data.mode && !this.registry.getMode(data.mode)) {
+        throw new Error(`Invalid mode. Must be one of: ${this.registry.listModes().join(', ')}`);
+      }
+
+      const validFrom = data.validFrom ? new Date(data.validFrom) : new Date();
+      const validUntil = data.validUntil ? new Date(data.validUntil) : new Date(validFrom.getTime() + this.defaultValidity);
+      if (isNaN(validFrom) || isNaN(validUntil)) {
+        throw new Error('Invalid validFrom or validUntil date');
+      }
+      if (validUntil <= validFrom || validUntil <= new Date()) {
+        throw new Error('validUntil must be in the future and after validFrom');
+      }
+      if (validUntil - validFrom > this.maxValidity) {
+        throw new Error(`An invite can be valid for at most ${Math.round(this.maxValidity / 3600000)} hours`);
+      }
+
+      const otp = await this.generateOtp();
+      const invite = {
+        id: `inv_${uuidv4()}`,
+        residentId: resident.id,
+        visitorName: data.visitorName ? String(data.visitorName).trim() : null,
+        mode: data.mode || null,
+        validFrom: validFrom.toISOString(),
+        validUntil: validUntil.toISOString(),
+        otpHash: this.hashOtp(otp),
+        status: 'active',
+        createdBy,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      };
+      await this.invites.put(invite);
+
+      return { invite: this.toPublicInvite(invite), otp };
+    });
+  }
+
+  /**
+   * Revoke an invite
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<Object>} Revoked invite
+   */
+  revokeInvite(inviteId) {
+    return this.serialize(async () => {
+      const invite = await this.invites.get(inviteId);
+      if (!invite) {
+        throw new Error(`Invite not found: ${inviteId}`);
+      }
+      if (invite.status === 'revoked') {
+        return this.toPublicInvite(invite);
+      }
+
+      const revoked = { ...invite, status: 'revoked', revokedAt: new Date().toISOString() };
+      await this.invites.put(revoked);
+      return this.toPublicInvite(revoked);
+    });
+  }
+
+  /**
+   * Get an invite
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<Object|null>} Public invite info or null
+   */
+  async getInvite(inviteId) {
+    const invite = await this.invites.get(inviteId);
+    return invite ? this.toPublicInvite(invite) : null;
+  }
+
+  /**
+   * List invites, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.residentId] - Invites of one resident
+   * @param {string} [filters.status] - 'active' or 'revoked'
+   * @returns {Promise<Array>} Public invite info
+   */
+  async listInvites(filters = {}) {
+    const invites = filters.residentId
+      ? await this.invites.findBy('residentId', filters.residentId)
+      : await this.invites.all();
+
+    return invites
+      .filter(invite => !filters.status || invite.status === filters.status)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .map(invite => this.toPublicInvite(invite));
+  }
+
+  /**
+   * Find the invite an OTP belongs to, with its resident
+   * An active invite wins over revoked ones that happened to use the same OTP.
+   * @param {string} otp - One-Time-PIN
+   * @returns {Promise<Object|null>} { invite, resident } or null
+   */
+  async findByOtp(otp) {
+    const invites = (await this.findInvitesByOtp(otp))
+      .sort((a, b) => (a.status === 'active') - (b.status === 'active') || (a.createdAt < b.createdAt ? -1 : 1));
+    const invite = invites[invites.length - 1];
+    if (!invite) {
+      return null;
+    }
+
+    const resident = await this.getResident(invite.residentId);
+    return resident ? { invite: this.toPublicInvite(invite), resident } : null;
+  }
+}
+
+module.exports = ResidentDirectory;
@@ -0,0 +1,238 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_ACTOR = 'system:retention';
+const DEFAULT_RULES = 'person:30,vehicle:90,trailer:90,parcel:30,permit:90,exit:30';
+
+class RetentionService {
+  /**
+   * @param {CaptureService} captureService - Used for audited image deletion
+   * @param {Object} [options] - Service options
+   * @param {CaptureRegistry} [options.registry] - Capture types that need a rule (defaults to the capture service's registry)
+   */
+  constructor(captureService, options = {}) {
+    this.captureService = captureService;
+    this.rules = options.rules || this.parseRules(process.env.RETENTION_RULES || DEFAULT_RULES);
+    this.checkCoverage(options.registry || captureService.registry);
+    this.reportDir = options.reportDir || process.env.RETENTION_REPORT_DIR || './storage/retention/runs';
+    this.interval = parseInt(process.env.RETENTION_INTERVAL_MS) || 6 * 60 * 60 * 1000; // 6 hours
+    this.enabled = process.env.RETENTION_ENABLED !== 'false';
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Parse retention rules
+   * @param {string} value - e.g. 'person:30,vehicle:90' (days, 0 = keep forever)
+   * @returns {Object} Days to keep per capture type
+   */
+  parseRules(value) {
+    const rules = {};
+
+    value.split(',').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+      const [captureType, days] = rule.split(':').map(part => part.trim());
+      const parsedDays = parseInt(days);
+
+      if (!captureType || isNaN(parsedDays) || parsedDays < 0) {
+        throw new Error(`Invalid retention rule "${rule}". Expected <captureType>:<days>`);
+      }
+      rules[captureType] = parsedDays;
+    });
+
+    return rules;
+  }
+
+  /**
+   * Make sure every capture type in the registry has a retention period
+   * Images of a capture type without a rule would never be purged.
+   * @param {CaptureRegistry} [registry] - Capture registry
+   * @throws {Error} Naming the capture types without a rule
+   */
+  checkCoverage(registry) {
+    if (!registry) {
+      return;
+    }
+
+    const missing = registry.listCaptureTypes().filter(captureType => this.rules[captureType] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`RETENTION_RULES has no rule for capture type(s): ${missing.join(', ')}. Add <captureType>:<days> (0 keeps forever)`);
+    }
+  }
+
+  /**
+   * Get current retention policy
+   * @returns {Object} Policy with cutoff dates
+   */
+  getPolicy() {
+    const now = Date.now();
+
+    return {
+      enabled: this.enabled,
+      intervalMs: this.interval,
+      rules: Object.entries(this.rules).map(([captureType, days]) => ({
+        captureType,
+        retentionDays: days,
+        // 0 days means the capture type is never purged
+        purgeBefore: days > 0 ? new Date(now - days * DAY_MS).toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * Start the background purge scheduler
+   */
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runPurge().catch(error => {
+        console.error('Scheduled retention purge failed:', error);
+      });
+    }, this.interval);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+
+    console.log(`Retention scheduler started (every ${Math.round(this.interval / 60000)} minutes)`);
+  }
+
+  /**
+   * Stop the background purge scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Purge images older than their capture type's retention period
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.dryRun] - Report what would be purged without deleting
+   * @param {string} [options.actor] - Who triggered the run (defaults to the scheduler)
+   * @returns {Promise<Object>} Run summary
+   */
+  async runPurge({ dryRun = false, actor = SYSTEM_ACTOR } = {}) {
+    if (this.running) {
+      throw new Error('A retention purge is already running');
+    }
+
+    this.running = true;
+    const summary = {
+      runId: uuidv4(),
+      dryRun,
+      actor,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      policy: this.getPolicy().rules,
+      byCaptureType: {},
+      totals: { expired: 0, purged: 0, failed: 0, bytes: 0 },
+      images: [],
+      errors: []
+    };
+
+    try {
+      for (const rule of summary.policy) {
+        if (!rule.purgeBefore) {
+          continue;
+        }
+
+        const expired = await this.captureService.imageStorage.listImages({
+          captureType: rule.captureType,
+          before: rule.purgeBefore
+        });
+        const counts = { expired: expired.length, purged: 0, failed: 0, bytes: 0 };
+
+        for (const image of expired) {
+          const entry = { id: image.id, captureType: image.captureType, timestamp: image.timestamp, fileSize: image.fileSize };
+
+          if (dryRun) {
+            summary.images.push({ ...entry, action: 'would_purge' });
+            counts.bytes += image.fileSize || 0;
+            continue;
+          }
+
+          try {
+            await this.captureService.deleteImage(image.id, { operatorId: actor }, `retention:${rule.captureType}:${rule.retentionDays}d`);
+            summary.images.push({ ...entry, action: 'purged' });
+            counts.purged++;
+            counts.bytes += image.fileSize || 0;
+          } catch (error) {
+            summary.images.push({ ...entry, action: 'failed' });
+            summary.errors.push({ imageId: image.id, error: error.message });
+            counts.failed++;
+          }
+        }
+
+        summary.byCaptureType[rule.captureType] = counts;
+        summary.totals.expired += counts.expired;
+        summary.totals.purged += counts.purged;
+        summary.totals.failed += counts.failed;
+        summary.totals.bytes += counts.bytes;
+      }
+    } catch (error) {
+      summary.errors.push({ error: error.message });
+      console.error('Error running retention purge:', error);
+    } finally {
+      summary.finishedAt = new Date().toISOString();
+      this.running = false;
+    }
+
+    await this.saveRunSummary(summary);
+
+    console.log(`Retention purge ${summary.runId}${dryRun ? ' (dry run)' : ''}: ` +
+      `${summary.totals.expired} expired, ${summary.totals.purged} purged, ${summary.totals.failed} failed`);
+    return summary;
+  }
+
+  /**
+   * Write run summary to the report directory
+   * @param {Object} summary - Run summary
+   */
+  async saveRunSummary(summary) {
+    try {
+      await fs.ensureDir(this.reportDir);
+      const timestampStr = summary.startedAt.replace(/[:.]/g, '-');
+      await fs.writeJson(path.join(this.reportDir, `${timestampStr}_${summary.runId}.json`), summary, { spaces: 2 });
+    } catch (error) {
+      console.error('Error saving retention run summary:', error);
+      throw new Error('Failed to save retention run summary');
+    }
+  }
+
+  /**
+   * List recent run summaries
+   * @param {number} [limit] - Maximum number of runs
+   * @returns {Promise<Array>} Run summaries without per-image detail, newest first
+   */
+  async listRuns(limit = 20) {
+    try {
+      if (!(await fs.pathExists(this.reportDir))) {
+        return [];
+      }
+
+      // File names start with the run timestamp, so a reverse sort is newest first
+      const files = (await fs.readdir(this.reportDir))
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .reverse()
+        .slice(0, limit);
+
+      const runs = [];
+      for (const file of files) {
+        const { images, ...run } = await fs.readJson(path.join(this.reportDir, file));
+        runs.push(run);
+      }
+      return runs;
+    } catch (error) {
+      console.error('Error listing retention runs:', error);
+      throw new Error('Failed to list retention runs');
+    }
+  }
+}
+
+module.exports = RetentionService;
@@ -0,0 +1,98 @@
+/**
+ * Capture session lifecycle
+ *
+ * created -> mode_selected -> capturing -> completed
+ * Any state that has not ended can move to cancelled, expired or failed.
+ * Changing the mode while capturing goes back to mode_selected.
+ */
+
+const SESSION_STATES = ['created', 'mode_selected', 'capturing', 'completed', 'cancelled', 'expired', 'failed'];
+
+const TERMINAL_STATES = ['completed', 'cancelled', 'expired', 'failed'];
+
+const TRANSITIONS = {
+  created: ['mode_selected', 'cancelled', 'expired', 'failed'],
+  mode_selected: ['mode_selected', 'capturing', 'cancelled', 'expired', 'failed'],
+  capturing: ['mode_selected', 'completed', 'cancelled', 'expired', 'failed'],
+  completed: [],
+  cancelled: [],
+  expired: [],
+  failed: []
+};
+
+/**
+ * Error thrown when a session cannot move to the requested state
+ */
+class SessionStateError extends Error {
+  /**
+   * @param {string} from - Current state
+   * @param {string} to - Requested state
+   */
+  constructor(from, to) {
+    super(`Cannot move session from ${from} to ${to}`);
+    this.name = 'SessionStateError';
+    this.code = 'INVALID_SESSION_TRANSITION';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check whether a session can move to a state
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {boolean} True if allowed
+ */
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+/**
+ * Move a session to a new state, recording when and by whom
+ * @param {Object} session - Session object (updated in place)
+ * @param {string} to - New state
+ * @param {Object} [context] - Request context
+ * @param {string} [reason] - Why the session moved, e.g. a cancel reason
+ * @returns {Object} The session
+ */
+function transition(session, to, context = {}, reason = null) {
+  const from = session.status;
+  if (!canTransition(from, to)) {
+    throw new SessionStateError(from, to);
+  }
+
+  const at = new Date().toISOString();
+  session.status = to;
+  session.statusChangedAt = at;
+  session.history = [...(session.history || []), {
+    from,
+    to,
+    at,
+    by: context.operatorId || null,
+    ...(reason ? { reason } : {})
+  }];
+  return session;
+}
+
+/**
+ * Create the lifecycle fields of a new session
+ * @param {Object} [context] - Request context
+ * @returns {Object} { status, statusChangedAt, history }
+ */
+function initialState(context = {}) {
+  const at = new Date().toISOString();
+  return {
+    status: 'created',
+    statusChangedAt: at,
+    history: [{ from: null, to: 'created', at, by: context.operatorId || null }]
+  };
+}
+
+module.exports = {
+  SESSION_STATES,
+  TERMINAL_STATES,
+  SessionStateError,
+  canTransition,
+  transition,
+  initialState
+};
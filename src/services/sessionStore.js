@@ -0,0 +1,352 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('node:crypto');
+const KeyRing = require('./keyRing');
+const { LocalKeyWrapper } = require('./keystore');
+
+const SESSION_AAD = Buffer.from('seren-capture-session', 'utf8');
+
+// A lock file older than this was left behind by a crashed process
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 20;
+
+/**
+ * Error thrown when a session is saved from a copy that is no longer current
+ */
+class SessionConflictError extends Error {
+  /**
+   * @param {string} sessionId - Session ID
+   */
+  constructor(sessionId) {
+    super(`Session ${sessionId} was changed by another request. Reload it and try again`);
+    this.name = 'SessionConflictError';
+    this.code = 'SESSION_CONFLICT';
+  }
+}
+
+/**
+ * Check that a session is saved from the stored version, then bump its version
+ * Sessions carry a version that every save increments; a copy loaded before another
+ * save (or before the session was deleted) is stale and must not overwrite it.
+ * @param {Object|null} stored - Session currently in the store
+ * @param {Object} session - Session being saved
+ * @throws {SessionConflictError} If the session is stale
+ */
+function bumpVersion(stored, session) {
+  const current = stored ? stored.version || 0 : 0;
+  if ((session.version || 0) !== current) {
+    throw new SessionConflictError(session.id);
+  }
+  session.version = current + 1;
+}
+
+/**
+ * In-memory session store
+ * Sessions are lost on restart - use for development and tests
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session object or null if not found
+   */
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    // Hand out copies so callers must save() to persist changes, same as the file store
+    return session ? JSON.parse(JSON.stringify(session)) : null;
+  }
+
+  /**
+   * Create or replace a session
+   * @param {Object} session - Session object (must have an id); its version is bumped
+   * @throws {SessionConflictError} If the session was saved or deleted since it was loaded
+   */
+  async save(session) {
+    bumpVersion(this.sessions.get(session.id), session);
+    this.sessions.set(session.id, JSON.parse(JSON.stringify(session)));
+  }
+
+  /**
+   * Delete session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a session was deleted
+   */
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * List all stored sessions
+   * @returns {Promise<Array>} Session objects
+   */
+  async list() {
+    return Array.from(this.sessions.values()).map(session => JSON.parse(JSON.stringify(session)));
+  }
+
+  /**
+   * Count stored sessions
+   * @returns {Promise<number>} Number of sessions
+   */
+  async count() {
+    return this.sessions.size;
+  }
+}
+
+/**
+ * File-backed session store
+ * Writes one file per session so sessions survive restarts. Sessions hold the visitor's
+ * OTP and resident details, so each file is encrypted with its own data key, wrapped by
+ * the image master keys. Saves and deletes hold a lock file and saves compare versions,
+ * so processes sharing the directory cannot overwrite each other's changes.
+ */
+class FileSessionStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.storageDir] - Session directory (defaults to SESSION_STORE_DIR)
+   * @param {Object} [options.keyWrapper] - Wraps session data keys (defaults to IMAGE_ENCRYPTION_KEYS)
+   */
+  constructor(options = {}) {
+    this.storageDir = options.storageDir || process.env.SESSION_STORE_DIR || './storage/sessions';
+    this.keyWrapper = options.keyWrapper || new LocalKeyWrapper(new KeyRing());
+    fs.ensureDirSync(this.storageDir);
+  }
+
+  /**
+   * Get file path for session
+   * @param {string} sessionId - Session ID
+   * @returns {string} Session file path
+   */
+  getSessionPath(sessionId) {
+    // Session IDs come from request params - never let them escape the store directory
+    if (!/^[\w-]+$/.test(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+    return path.join(this.storageDir, `${sessionId}.json`);
+  }
+
+  /**
+   * Run a change while holding the session's lock file
+   * @param {string} sessionId - Session ID
+   * @param {Function} fn - Async change
+   * @returns {Promise} Result of fn
+   */
+  async withLock(sessionId, fn) {
+    const lockPath = `${this.getSessionPath(sessionId)}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let handle;
+
+    while (!handle) {
+      try {
+        handle = await fs.open(lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fs.remove(lockPath);
+        } else if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for the lock on session ${sessionId}`);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.close(handle);
+      await fs.remove(lockPath);
+    }
+  }
+
+  /**
+   * Encrypt a session for writing
+   * @param {Object} session - Session object
+   * @returns {Promise<Object>} { masterKeyId, wrappedKey, data } with data as base64 iv|tag|ciphertext
+   */
+  async encryptSession(session) {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    // Bound to the session ID so files cannot be swapped between sessions
+    cipher.setAAD(Buffer.concat([SESSION_AAD, Buffer.from(session.id, 'utf8')]));
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(session), 'utf8'), cipher.final()]);
+
+    return {
+      ...(await this.keyWrapper.wrapKey(dataKey, `session:${session.id}`)),
+      data: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a session file's contents
+   * @param {string} sessionId - Session ID
+   * @param {Object} record - { masterKeyId, wrappedKey, data }
+   * @returns {Promise<Object>} Session object
+   */
+  async decryptSession(sessionId, record) {
+    const dataKey = await this.keyWrapper.unwrapKey(record, `session:${sessionId}`);
+    const data = Buffer.from(record.data, 'base64');
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, data.slice(0, 12));
+    decipher.setAAD(Buffer.concat([SESSION_AAD, Buffer.from(sessionId, 'utf8')]));
+    decipher.setAuthTag(data.slice(12, 28));
+
+    return JSON.parse(Buffer.concat([decipher.update(data.slice(28)), decipher.final()]).toString('utf8'));
+  }
+
+  /**
+   * Read and decrypt a session file
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session object or null if there is none
+   */
+  async readSession(sessionId) {
+    let record;
+    try {
+      record = await fs.readJson(this.getSessionPath(sessionId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    return this.decryptSession(sessionId, record);
+  }
+
+  /**
+   * Get session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session object or null if not found
+   */
+  async get(sessionId) {
+    try {
+      return await this.readSession(sessionId);
+    } catch (error) {
+      if (error.message.startsWith('Invalid session ID')) {
+        return null;
+      }
+      console.error('Error reading session:', error);
+      throw new Error('Failed to read session');
+    }
+  }
+
+  /**
+   * Create or replace a session
+   * @param {Object} session - Session object (must have an id); its version is bumped
+   * @throws {SessionConflictError} If the session was saved or deleted since it was loaded
+   */
+  async save(session) {
+    try {
+      const sessionPath = this.getSessionPath(session.id);
+      const tempPath = `${sessionPath}.${process.pid}.tmp`;
+
+      await this.withLock(session.id, async () => {
+        const stored = await this.readSession(session.id);
+        bumpVersion(stored, session);
+        // Write then rename so a crash never leaves a half-written session file
+        await fs.writeJson(tempPath, await this.encryptSession(session), { mode: 0o600 });
+        await fs.rename(tempPath, sessionPath);
+      });
+    } catch (error) {
+      if (error instanceof SessionConflictError) {
+        throw error;
+      }
+      console.error('Error saving session:', error);
+      throw new Error('Failed to save session');
+    }
+  }
+
+  /**
+   * Delete session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a session was deleted
+   */
+  async delete(sessionId) {
+    try {
+      const sessionPath = this.getSessionPath(sessionId);
+      return await this.withLock(sessionId, async () => {
+        if (!(await fs.pathExists(sessionPath))) {
+          return false;
+        }
+        await fs.remove(sessionPath);
+        return true;
+      });
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      throw new Error('Failed to delete session');
+    }
+  }
+
+  /**
+   * List all stored sessions
+   * @returns {Promise<Array>} Session objects
+   */
+  async list() {
+    try {
+      const files = await fs.readdir(this.storageDir);
+      const sessions = [];
+
+      for (const file of files) {
+        if (file.endsWith('.json')) {
+          try {
+            // Another process may have completed the session between readdir and read
+            const session = await this.readSession(path.basename(file, '.json'));
+            if (session) {
+              sessions.push(session);
+            }
+          } catch (error) {
+            console.error(`Error reading session file ${file}:`, error.message);
+          }
+        }
+      }
+
+      return sessions;
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      throw new Error('Failed to list sessions');
+    }
+  }
+
+  /**
+   * Count stored sessions
+   * @returns {Promise<number>} Number of sessions
+   */
+  async count() {
+    const files = await fs.readdir(this.storageDir);
+    return files.filter(file => file.endsWith('.json')).length;
+  }
+}
+
+/**
+ * Create session store from environment configuration
+ * SESSION_STORE=file (default) or SESSION_STORE=memory
+ * @param {Object} [options] - File store options, e.g. { keyWrapper }
+ * @returns {MemorySessionStore|FileSessionStore} Session store
+ */
+function createSessionStore(options = {}) {
+  const type = (process.env.SESSION_STORE || 'file').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore(options);
+    default:
+      throw new Error(`Unknown SESSION_STORE type: ${type}. Must be "memory" or "file"`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  SessionConflictError,
+  createSessionStore
+};
@@ -0,0 +1,254 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('node:crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const EDITABLE_FIELDS = ['name', 'gateId', 'gateType', 'lane', 'disabled'];
+
+/**
+ * Error thrown when a request comes from a terminal that may not be used
+ */
+class TerminalError extends Error {
+  /**
+   * @param {string} code - TERMINAL_REQUIRED, TERMINAL_UNKNOWN or TERMINAL_DISABLED
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'TerminalError';
+    this.code = code;
+  }
+}
+
+/**
+ * Registry of gate terminals (tablets and kiosks)
+ *
+ * Each terminal belongs to a gate and optionally a lane. It identifies itself with the
+ * key it was given at registration. Only a hash of the key is stored, so a lost key can
+ * only be replaced, not shown again. Disabling a terminal refuses its requests straight away.
+ */
+class TerminalRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {string} [options.terminalsFile] - Terminals file (defaults to TERMINALS_FILE)
+   * @param {boolean} [options.required] - Refuse session requests without a terminal key (defaults to TERMINAL_REQUIRED)
+   */
+  constructor(options = {}) {
+    this.terminalsFile = options.terminalsFile || process.env.TERMINALS_FILE || './storage/terminals/terminals.json';
+    this.required = options.required !== undefined ? options.required : process.env.TERMINAL_REQUIRED === 'true';
+    this.lastSeenInterval = parseInt(process.env.TERMINAL_LAST_SEEN_INTERVAL_MS) || 60 * 1000; // 1 minute
+
+    this.terminals = this.loadTerminals();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load terminals from disk
+   * @returns {Array} Terminal records
+   */
+  loadTerminals() {
+    try {
+      if (!fs.existsSync(this.terminalsFile)) {
+        return [];
+      }
+      return fs.readJsonSync(this.terminalsFile);
+    } catch (error) {
+      console.error('Error loading terminals:', error);
+      throw new Error('Failed to load terminals');
+    }
+  }
+
+  /**
+   * Persist terminals to disk (serialized)
+   */
+  saveTerminals() {
+    const write = async () => {
+      await fs.ensureDir(path.dirname(this.terminalsFile));
+      const tempPath = `${this.terminalsFile}.${process.pid}.tmp`;
+      await fs.writeJson(tempPath, this.terminals, { spaces: 2 });
+      await fs.rename(tempPath, this.terminalsFile);
+    };
+
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Hash a terminal key secret
+   * @param {string} secret - Key secret
+   * @returns {string} Hex SHA-256
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Strip the key hash from a terminal record
+   * @param {Object} terminal - Terminal record
+   * @returns {Object} Public terminal info
+   */
+  toPublicTerminal(terminal) {
+    const { keyHash, ...publicTerminal } = terminal;
+    return publicTerminal;
+  }
+
+  /**
+   * Check terminal details
+   * @param {Object} data - Terminal details
+   */
+  validate(data) {
+    for (const field of ['name', 'gateId']) {
+      if (data[field] !== undefined && (typeof data[field] !== 'string' || data[field].trim().length === 0)) {
+        throw new Error(`Terminal ${field} must be a non-empty string`);
+      }
+    }
+    for (const field of ['gateType', 'lane']) {
+      if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+        throw new Error(`Terminal ${field} must be a string`);
+      }
+    }
+    if (data.disabled !== undefined && typeof data.disabled !== 'boolean') {
+      throw new Error('Terminal disabled must be true or false');
+    }
+  }
+
+  /**
+   * Register a terminal
+   * @param {Object} data - Terminal details
+   * @param {string} data.name - e.g. 'Main gate tablet 1'
+   * @param {string} data.gateId - Gate the terminal is at, e.g. 'main-vehicle'
+   * @param {string} [data.gateType] - e.g. 'pedestrian', 'vehicle' or 'contractor'
+   * @param {string} [data.lane] - Lane at the gate, e.g. 'in-1'
+   * @param {string} [registeredBy] - Operator registering the terminal
+   * @returns {Promise<Object>} { terminal, key } - the key is only ever returned here
+   */
+  async register(data, registeredBy = null) {
+    if (!data || !data.name || !data.gateId) {
+      throw new Error('Terminal name and gateId are required');
+    }
+    this.validate(data);
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const terminal = {
+      id: `term_${uuidv4()}`,
+      name: data.name.trim(),
+      gateId: data.gateId.trim(),
+      gateType: data.gateType || null,
+      lane: data.lane || null,
+      keyHash: this.hashSecret(secret),
+      disabled: false,
+      registeredAt: new Date().toISOString(),
+      registeredBy,
+      lastSeenAt: null,
+      lastSeenIp: null
+    };
+
+    this.terminals.push(terminal);
+    await this.saveTerminals();
+    console.log(`Terminal registered: ${terminal.id} at gate ${terminal.gateId}`);
+
+    return {
+      terminal: this.toPublicTerminal(terminal),
+      key: `${terminal.id}.${secret}`
+    };
+  }
+
+  /**
+   * Update a terminal (name, gate, lane, disabled)
+   * @param {string} terminalId - Terminal ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated terminal
+   */
+  async update(terminalId, changes) {
+    const terminal = this.terminals.find(candidate => candidate.id === terminalId);
+    if (!terminal) {
+      throw new Error(`Terminal not found: ${terminalId}`);
+    }
+
+    const unknown = Object.keys(changes || {}).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot change terminal fields: ${unknown.join(', ')}`);
+    }
+    this.validate(changes);
+
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        terminal[field] = typeof changes[field] === 'string' ? changes[field].trim() : changes[field];
+      }
+    }
+    terminal.updatedAt = new Date().toISOString();
+
+    await this.saveTerminals();
+    return this.toPublicTerminal(terminal);
+  }
+
+  /**
+   * Identify the terminal a request comes from
+   * @param {string} key - Terminal key ('<terminalId>.<secret>')
+   * @param {string} [ip] - Client IP, remembered as the terminal's last address
+   * @returns {Object} Public terminal info
+   */
+  authenticate(key, ip = null) {
+    const [terminalId, secret] = String(key).split('.');
+    const terminal = this.terminals.find(candidate => candidate.id === terminalId);
+
+    const expected = terminal ? Buffer.from(terminal.keyHash, 'hex') : null;
+    const candidate = Buffer.from(this.hashSecret(secret || ''), 'hex');
+    if (!terminal || !crypto.timingSafeEqual(expected, candidate)) {
+      throw new TerminalError('TERMINAL_UNKNOWN', 'Unknown terminal or invalid terminal key');
+    }
+    if (terminal.disabled) {
+      throw new TerminalError('TERMINAL_DISABLED', `Terminal ${terminal.name} is disabled`);
+    }
+
+    this.touch(terminal, ip);
+    return this.toPublicTerminal(terminal);
+  }
+
+  /**
+   * Remember when a terminal was last seen, writing to disk at most once per interval
+   * @param {Object} terminal - Terminal record
+   * @param {string} [ip] - Client IP
+   */
+  touch(terminal, ip) {
+    const now = Date.now();
+    const stale = !terminal.lastSeenAt || now - new Date(terminal.lastSeenAt) >= this.lastSeenInterval;
+    const moved = ip && ip !== terminal.lastSeenIp;
+
+    terminal.lastSeenAt = new Date(now).toISOString();
+    terminal.lastSeenIp = ip || terminal.lastSeenIp;
+    if (stale || moved) {
+      this.saveTerminals().catch(error => {
+        console.error('Error saving terminal last seen time:', error);
+      });
+    }
+  }
+
+  /**
+   * Get a terminal
+   * @param {string} terminalId - Terminal ID
+   * @returns {Object|null} Public terminal info
+   */
+  get(terminalId) {
+    const terminal = this.terminals.find(candidate => candidate.id === terminalId);
+    return terminal ? this.toPublicTerminal(terminal) : null;
+  }
+
+  /**
+   * List terminals
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.gateId] - Terminals at this gate
+   * @returns {Array} Public terminal info
+   */
+  list(filters = {}) {
+    return this.terminals
+      .filter(terminal => !filters.gateId || terminal.gateId === filters.gateId)
+      .map(terminal => this.toPublicTerminal(terminal));
+  }
+}
+
+module.exports = {
+  TerminalRegistry,
+  TerminalError
+};
@@ -0,0 +1,277 @@
+const IndexedLogStore = require('../utils/indexedLogStore');
+const { hashOtp } = require('../utils/otpHash');
+const { normalizePlate } = require('./plateRecognizer');
+
+const SORT_FIELDS = ['createdAt', 'completedAt'];
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Visit history - one record per finished capture session
+ */
+class VisitStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.logFile] - Visit log (defaults to VISIT_STORE_FILE)
+   * @param {string} [options.otpSecret] - OTP hash key (defaults to OTP_HASH_SECRET)
+   */
+  constructor(options = {}) {
+    this.otpSecret = options.otpSecret;
+    this.store = new IndexedLogStore({
+      logFile: options.logFile || process.env.VISIT_STORE_FILE || './storage/visits/visits.log',
+      indexes: {
+        residentId: visit => visit.residentInfo && visit.residentInfo.id,
+        unitNumber: visit => visit.residentInfo && visit.residentInfo.unitNumber,
+        mode: visit => visit.mode,
+        status: visit => visit.status,
+        gateId: visit => visit.gateId,
+        // Completed visits recorded since check-out was introduced are on site until they exit
+        presence: visit => (visit.status === 'completed' && visit.exitedAt !== undefined
+          ? (visit.exitedAt ? 'exited' : 'on_site')
+          : undefined),
+        captureType: visit => visit.captureTypes,
+        plate: visit => visit.plates
+      },
+      sortBy: 'createdAt'
+    });
+  }
+
+  /**
+   * Build visit record from session
+   * @param {Object} session - Capture session
+   * @param {Object} [extra] - Extra fields (e.g. completedBy)
+   * @returns {Object} Visit record
+   */
+  buildVisit(session, extra = {}) {
+    const images = Object.entries(session.captures || {})
+      .flatMap(([captureType, slot]) => slot.map(image => ({ ...image, captureType })));
+    const current = images.filter(image => !image.supersededAt);
+
+    return {
+      id: session.id,
+      sessionId: session.id,
+      status: session.status,
+      mode: session.mode,
+      residentInfo: {
+        id: session.residentInfo.id,
+        name: session.residentInfo.name,
+        unitNumber: session.residentInfo.unitNumber
+      },
+      operatorId: session.operatorId || null,
+      terminalId: session.terminalId || null,
+      gateId: session.gateId || null,
+      lane: session.lane || null,
+      otpHash: session.otp ? this.hashOtp(session.otp) : null,
+      createdAt: session.createdAt,
+      completedAt: session.completedAt || null,
+      exitedAt: null,
+      exit: null,
+      endedAt: session.statusChangedAt || session.completedAt || null,
+      history: session.history || [],
+      captureTypes: Array.from(new Set(current.map(image => image.captureType))),
+      imageIds: current.map(image => image.imageId),
+      supersededImageIds: images.filter(image => image.supersededAt).map(image => image.imageId),
+      plates: this.collectPlates(current),
+      captures: session.captures,
+      ...extra
+    };
+  }
+
+  /**
+   * Hash an OTP so exit gates can find its visit without the OTP being stored
+   * @param {string} otp - One-Time-PIN
+   * @returns {string} Hex HMAC-SHA256 keyed with the OTP hash secret
+   */
+  hashOtp(otp) {
+    return hashOtp(otp, this.otpSecret);
+  }
+
+  /**
+   * Collect searchable plates from OCR results and licence disc registration numbers
+   * @param {Array} images - Current session images
+   * @returns {Array} Normalized plates
+   */
+  collectPlates(images) {
+    const plates = new Set();
+    for (const image of images) {
+      if (image.plate) {
+        plates.add(image.plate.normalized);
+      }
+      // A licence disc's licence number is the plate number
+      if (image.document && image.document.fields.licenceNumber) {
+        plates.add(normalizePlate(image.document.fields.licenceNumber));
+      }
+    }
+    return Array.from(plates);
+  }
+
+  /**
+   * Save visit record
+   * @param {Object} visit - Visit record
+   */
+  async save(visit) {
+    try {
+      await this.store.put(visit);
+    } catch (error) {
+      console.error('Error saving visit:', error);
+      throw new Error('Failed to save visit');
+    }
+  }
+
+  /**
+   * Get visit by ID
+   * @param {string} visitId - Visit (session) ID
+   * @returns {Promise<Object|null>} Visit or null
+   */
+  async get(visitId) {
+    return this.store.get(visitId);
+  }
+
+  /**
+   * List completed visits that have not checked out yet
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.otp] - OTP used at the entry gate
+   * @param {string} [filters.plate] - Recorded number plate (spacing and case are ignored)
+   * @param {string} [filters.gateId] - Entry gate
+   * @returns {Promise<Array>} On-site visits
+   */
+  async listOnSite(filters = {}) {
+    const otpHash = filters.otp ? this.hashOtp(filters.otp) : null;
+    const plate = filters.plate ? normalizePlate(filters.plate) : null;
+
+    return (await this.store.findBy('presence', 'on_site'))
+      .filter(visit => !otpHash || visit.otpHash === otpHash)
+      .filter(visit => !plate || (visit.plates || []).includes(plate))
+      .filter(visit => !filters.gateId || visit.gateId === filters.gateId);
+  }
+
+  /**
+   * Count visits per gate
+   * @returns {Promise<Object>} Gate ID => visits (visits without a gate are not counted)
+   */
+  async countByGate() {
+    return this.store.countBy('gateId');
+  }
+
+  /**
+   * Encode pagination cursor
+   * @param {Object} visit - Last visit on the page
+   * @param {string} sort - Sort field
+   * @returns {string} Opaque cursor
+   */
+  encodeCursor(visit, sort) {
+    return Buffer.from(JSON.stringify({ v: visit[sort], id: visit.id })).toString('base64url');
+  }
+
+  /**
+   * Decode pagination cursor
+   * @param {string} cursor - Opaque cursor
+   * @returns {Object} { v, id }
+   */
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!decoded || typeof decoded.id !== 'string') {
+        throw new Error('missing id');
+      }
+      return decoded;
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  /**
+   * Query visits
+   * @param {Object} [filters] - Filters, sorting and pagination
+   * @param {string} [filters.from] - Visits created at or after this time
+   * @param {string} [filters.to] - Visits created before this time
+   * @param {string} [filters.unitNumber] - Resident unit number
+   * @param {string} [filters.residentId] - Resident ID
+   * @param {string} [filters.mode] - Capture mode
+   * @param {string} [filters.captureType] - Visits that include this capture type
+   * @param {string} [filters.status] - Session status: completed, cancelled, expired or failed
+   * @param {string} [filters.gateId] - Gate the session ran at
+   * @param {string} [filters.terminalId] - Terminal the session was started from
+   * @param {string} [filters.plate] - Recognized number plate (spacing and case are ignored)
+   * @param {string} [filters.sort] - 'createdAt' (default) or 'completedAt'
+   * @param {string} [filters.order] - 'desc' (default) or 'asc'
+   * @param {number} [filters.limit] - Page size (default 50, max 200)
+   * @param {string} [filters.cursor] - Cursor from the previous page
+   * @returns {Promise<Object>} { visits, nextCursor, hasMore }
+   */
+  async query(filters = {}) {
+    const sort = filters.sort || 'createdAt';
+    const order = filters.order || 'desc';
+    const limit = Math.min(parseInt(filters.limit) || 50, MAX_PAGE_SIZE);
+
+    if (!SORT_FIELDS.includes(sort)) {
+      throw new Error(`Invalid sort field. Must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      throw new Error('Invalid sort order. Must be "asc" or "desc"');
+    }
+    for (const field of ['from', 'to']) {
+      if (filters[field] && isNaN(new Date(filters[field]))) {
+        throw new Error(`Invalid ${field} date`);
+      }
+    }
+
+    const plate = filters.plate ? normalizePlate(filters.plate) : null;
+    const from = filters.from ? new Date(filters.from).toISOString() : undefined;
+    const to = filters.to ? new Date(filters.to).toISOString() : undefined;
+
+    // Start from the narrowest index available, then apply the remaining filters in memory
+    let candidates;
+    if (plate) {
+      candidates = await this.store.findBy('plate', plate);
+    } else if (filters.residentId) {
+      candidates = await this.store.findBy('residentId', filters.residentId);
+    } else if (filters.unitNumber) {
+      candidates = await this.store.findBy('unitNumber', filters.unitNumber);
+    } else if (filters.gateId) {
+      candidates = await this.store.findBy('gateId', filters.gateId);
+    } else {
+      candidates = await this.store.range({ from, to });
+    }
+
+    let visits = candidates
+      .filter(visit => !from || visit.createdAt >= from)
+      .filter(visit => !to || visit.createdAt < to)
+      .filter(visit => !filters.residentId || visit.residentInfo.id === filters.residentId)
+      .filter(visit => !filters.unitNumber || visit.residentInfo.unitNumber === filters.unitNumber)
+      .filter(visit => !filters.mode || visit.mode === filters.mode)
+      .filter(visit => !filters.captureType || visit.captureTypes.includes(filters.captureType))
+      .filter(visit => !filters.status || visit.status === filters.status)
+      .filter(visit => !filters.gateId || visit.gateId === filters.gateId)
+      .filter(visit => !filters.terminalId || visit.terminalId === filters.terminalId)
+      .filter(visit => !plate || (visit.plates || []).includes(plate));
+
+    // Ties on the sort field are broken by ID so pages never overlap or skip
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+      const av = a[sort] || '';
+      const bv = b[sort] || '';
+      if (av !== bv) {
+        return av < bv ? -direction : direction;
+      }
+      return a.id < b.id ? -direction : a.id > b.id ? direction : 0;
+    };
+    visits.sort(compare);
+
+    if (filters.cursor) {
+      const cursor = this.decodeCursor(filters.cursor);
+      const boundary = { [sort]: cursor.v, id: cursor.id };
+      visits = visits.filter(visit => compare(visit, boundary) > 0);
+    }
+
+    const page = visits.slice(0, limit);
+    const hasMore = visits.length > limit;
+
+    return {
+      visits: page,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort) : null,
+      hasMore
+    };
+  }
+}
+
+module.exports = VisitStore;
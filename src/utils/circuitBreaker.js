@@ -0,0 +1,77 @@
+/**
+ * Circuit breaker for calls to an external service
+ *
+ * closed - calls go through; consecutive failures are counted
+ * open - calls fail fast until the reset timeout has passed
+ * half_open - one trial call is let through; success closes the circuit, failure opens it again
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit (default: 5)
+   * @param {number} [options.resetTimeout] - Time in ms the circuit stays open before a trial call (default: 30000)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether a call may go through now
+   * @returns {boolean} True if the call may be made
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+      return true;
+    }
+    return this.state === 'closed';
+  }
+
+  /**
+   * Record a successful call; closes the circuit
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed call; opens the circuit at the threshold or after a failed trial
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Describe the breaker
+   * @returns {Object} { state, failures, openedAt, retryAt }
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
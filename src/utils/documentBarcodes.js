@@ -0,0 +1,189 @@
+/**
+ * Parsers for the PDF417 barcodes on South African documents
+ *
+ * Every parser returns { documentType, readable, fields, expired, warnings }.
+ * Dates are returned as YYYY-MM-DD strings.
+ */
+
+// Positions in the '%'-separated licence disc payload. The licence number is the number
+// on the plate; the register number is the vehicle's entry in the national register.
+const LICENCE_DISC_FIELDS = {
+  discNumber: 5,
+  licenceNumber: 6,
+  registerNumber: 7,
+  vehicleDescription: 8,
+  make: 9,
+  model: 10,
+  colour: 11,
+  vin: 12,
+  engineNumber: 13,
+  expiryDate: 14
+};
+
+// Smart ID card payload: '|'-separated, in this order
+const SMART_ID_FIELDS = [
+  'surname',
+  'names',
+  'gender',
+  'nationality',
+  'idNumber',
+  'dateOfBirth',
+  'countryOfBirth',
+  'citizenshipStatus',
+  'issueDate'
+];
+
+// Driver's licence cards start with one of these headers; the rest is RSA-encrypted
+const DRIVERS_LICENCE_HEADERS = [
+  [0x01, 0xe1, 0x02, 0x45],
+  [0x01, 0x9b, 0x09, 0x45]
+];
+
+/**
+ * Convert a document date to YYYY-MM-DD
+ * @param {string} value - e.g. '2025-03-31', '31/03/2025' or '07 Aug 1985'
+ * @returns {string|null} ISO date or null if unparseable
+ */
+function toIsoDate(value) {
+  const text = String(value || '').trim();
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  match = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[2]}-${match[1]}`;
+  }
+
+  const parsed = new Date(`${text} UTC`);
+  return text && !isNaN(parsed) ? parsed.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Check whether a date has passed
+ * @param {string|null} isoDate - YYYY-MM-DD
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the date is before today
+ */
+function isPast(isoDate, now) {
+  return Boolean(isoDate) && isoDate < now.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a South African ID number (Luhn check digit)
+ * @param {string} idNumber - 13 digit ID number
+ * @returns {boolean} True if valid
+ */
+function isValidIdNumber(idNumber) {
+  if (!/^\d{13}$/.test(idNumber)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    let digit = parseInt(idNumber[12 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Parse vehicle licence disc payload
+ * @param {string} text - Barcode text
+ * @param {Date} now - Current time
+ * @returns {Object} Parsed document
+ */
+function parseLicenceDisc(text, now) {
+  const parts = text.split('%').map(part => part.trim());
+  const fields = {};
+
+  for (const [field, position] of Object.entries(LICENCE_DISC_FIELDS)) {
+    fields[field] = parts[position] || null;
+  }
+  fields.expiryDate = toIsoDate(fields.expiryDate);
+
+  const warnings = [];
+  const expired = isPast(fields.expiryDate, now);
+  if (expired) {
+    warnings.push(`Licence disc expired on ${fields.expiryDate}`);
+  }
+  if (!fields.licenceNumber) {
+    warnings.push('Licence number missing from licence disc');
+  }
+
+  return { documentType: 'licence_disc', readable: true, fields, expired, warnings };
+}
+
+/**
+ * Parse smart ID card payload
+ * @param {string} text - Barcode text
+ * @returns {Object} Parsed document
+ */
+function parseSmartIdCard(text) {
+  const parts = text.split('|').map(part => part.trim());
+  const fields = {};
+
+  SMART_ID_FIELDS.forEach((field, position) => {
+    fields[field] = parts[position] || null;
+  });
+  fields.dateOfBirth = toIsoDate(fields.dateOfBirth);
+  fields.issueDate = toIsoDate(fields.issueDate);
+
+  const warnings = [];
+  if (!isValidIdNumber(fields.idNumber || '')) {
+    warnings.push('ID number failed the check digit validation');
+  }
+
+  return { documentType: 'smart_id_card', readable: true, fields, expired: false, warnings };
+}
+
+/**
+ * Identify and parse a document barcode
+ * @param {string} text - Decoded barcode text
+ * @param {Date} [now] - Current time (for expiry checks)
+ * @returns {Object} Parsed document
+ */
+function parseDocumentBarcode(text, now = new Date()) {
+  const codes = Array.from(text.slice(0, 4), char => char.charCodeAt(0));
+
+  if (DRIVERS_LICENCE_HEADERS.some(header => header.every((code, i) => codes[i] === code))) {
+    return {
+      documentType: 'drivers_licence',
+      readable: false,
+      fields: {},
+      expired: false,
+      warnings: ["Driver's licence barcode is encrypted and cannot be read on the terminal"]
+    };
+  }
+
+  if (text.startsWith('%') && text.split('%').length > LICENCE_DISC_FIELDS.expiryDate) {
+    return parseLicenceDisc(text, now);
+  }
+
+  if (text.split('|').length >= SMART_ID_FIELDS.length && /\|\d{13}\|/.test(text)) {
+    return parseSmartIdCard(text);
+  }
+
+  // Unknown layout - keep the readable values in their original order
+  const values = text.split(/[%|\n\r]+/).map(value => value.trim()).filter(value => /^[\x20-\x7e]+$/.test(value));
+  return {
+    documentType: 'unknown',
+    readable: values.length > 0,
+    fields: { values },
+    expired: false,
+    warnings: values.length > 0 ? [] : ['Barcode content is not in a readable format']
+  };
+}
+
+module.exports = {
+  parseDocumentBarcode,
+  isValidIdNumber
+};
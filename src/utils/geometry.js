@@ -0,0 +1,173 @@
+/**
+ * Plane geometry for document perspective correction
+ * Points are [x, y] arrays in pixel coordinates.
+ */
+
+/**
+ * Solve a linear system with Gaussian elimination (partial pivoting)
+ * @param {Array} matrix - n x n coefficients
+ * @param {Array} vector - n constants
+ * @returns {Array} Solution
+ */
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) {
+      throw new Error('Points are degenerate (three or more are collinear)');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= n; k++) {
+        rows[row][k] -= factor * rows[col][k];
+      }
+    }
+  }
+
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= rows[row][k] * solution[k];
+    }
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
+
+/**
+ * Compute the homography mapping four source points onto four destination points
+ * @param {Array} from - Four source points
+ * @param {Array} to - Four destination points
+ * @returns {Array} 3x3 matrix as 9 numbers (row-major, last element 1)
+ */
+function computeHomography(from, to) {
+  const matrix = [];
+  const vector = [];
+
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = from[i];
+    const [u, v] = to[i];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    vector.push(u);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    vector.push(v);
+  }
+
+  return [...solveLinearSystem(matrix, vector), 1];
+}
+
+/**
+ * Map a point through a homography
+ * @param {Array} h - Homography
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Array} Mapped point
+ */
+function applyHomography(h, x, y) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w];
+}
+
+/**
+ * Distance between two points
+ * @param {Array} a - Point
+ * @param {Array} b - Point
+ * @returns {number} Distance
+ */
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * Area of a polygon (shoelace formula)
+ * @param {Array} points - Polygon corners in order
+ * @returns {number} Area
+ */
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Check that a polygon is convex (all turns in the same direction)
+ * @param {Array} points - Polygon corners in order
+ * @returns {boolean} True if convex
+ */
+function isConvex(points) {
+  let sign = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [ax, ay] = points[i];
+    const [bx, by] = points[(i + 1) % points.length];
+    const [cx, cy] = points[(i + 2) % points.length];
+    const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+    if (cross !== 0) {
+      if (sign !== 0 && Math.sign(cross) !== sign) {
+        return false;
+      }
+      sign = Math.sign(cross);
+    }
+  }
+  return sign !== 0;
+}
+
+/**
+ * Warp a quadrilateral of an image onto a flat rectangle (bilinear sampling)
+ * @param {Object} source - { data, width, height, channels } raw interleaved pixels
+ * @param {Array} corners - Source corners: top-left, top-right, bottom-right, bottom-left
+ * @param {number} outWidth - Output width
+ * @param {number} outHeight - Output height
+ * @returns {Buffer} Raw pixels of the output, same channel count as the source
+ */
+function warpPerspective(source, corners, outWidth, outHeight) {
+  const { data, width, height, channels } = source;
+  // Maps output pixels back to source pixels, so every output pixel is sampled exactly once
+  const h = computeHomography(
+    [[0, 0], [outWidth - 1, 0], [outWidth - 1, outHeight - 1], [0, outHeight - 1]],
+    corners
+  );
+  const output = Buffer.alloc(outWidth * outHeight * channels);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const [sx, sy] = applyHomography(h, x, y);
+      const x0 = Math.min(Math.max(Math.floor(sx), 0), width - 1);
+      const y0 = Math.min(Math.max(Math.floor(sy), 0), height - 1);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const y1 = Math.min(y0 + 1, height - 1);
+      const fx = Math.min(Math.max(sx - x0, 0), 1);
+      const fy = Math.min(Math.max(sy - y0, 0), 1);
+
+      for (let c = 0; c < channels; c++) {
+        const top = data[(y0 * width + x0) * channels + c] * (1 - fx) + data[(y0 * width + x1) * channels + c] * fx;
+        const bottom = data[(y1 * width + x0) * channels + c] * (1 - fx) + data[(y1 * width + x1) * channels + c] * fx;
+        output[(y * outWidth + x) * channels + c] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+  }
+
+  return output;
+}
+
+module.exports = {
+  computeHomography,
+  applyHomography,
+  distance,
+  polygonArea,
+  isConvex,
+  warpPerspective
+};
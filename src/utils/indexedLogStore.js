@@ -0,0 +1,391 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Append-only record store with in-memory secondary indexes
+ *
+ * Every put/delete is appended as one JSON line; the current state is rebuilt
+ * by replaying the log. Lookups by ID, by indexed field and by sort-field range
+ * are served from memory. Lines appended by other processes are picked up on
+ * the next call, and the log is compacted when superseded lines outnumber live records.
+ */
+class IndexedLogStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.logFile - Log file path
+   * @param {Object} [options.indexes] - Index name => function(record) returning a key (or array of keys)
+   * @param {string} [options.sortBy] - Record field kept in sorted order for range queries
+   */
+  constructor(options) {
+    this.logFile = options.logFile;
+    this.indexFns = options.indexes || {};
+    this.sortBy = options.sortBy || null;
+
+    this.records = new Map();
+    this.indexes = {};
+    this.sorted = []; // [{ key, id }] ordered by key
+    this.offset = 0; // Bytes of the log already applied
+    this.inode = null; // Detects the log being replaced by compaction
+    this.garbage = 0; // Log lines no longer describing a live record
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load log or apply lines appended since the last call
+   */
+  async refresh() {
+    let size = 0;
+    let inode = null;
+    try {
+      ({ size, ino: inode } = await fs.stat(this.logFile));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // Log was replaced or shrank - another process compacted it, so rebuild from scratch
+    if (inode !== this.inode || size < this.offset) {
+      this.reset();
+      this.inode = inode;
+    }
+
+    if (size > this.offset) {
+      const handle = await fs.open(this.logFile, 'r');
+      try {
+        const buffer = Buffer.alloc(size - this.offset);
+        await fs.read(handle, buffer, 0, buffer.length, this.offset);
+
+        // Only apply complete lines - a concurrent writer may be mid-append
+        const lastNewline = buffer.lastIndexOf(0x0a);
+        if (lastNewline !== -1) {
+          buffer.slice(0, lastNewline).toString('utf8').split('\n').forEach(line => this.applyLine(line));
+          this.offset += lastNewline + 1;
+        }
+      } finally {
+        await fs.close(handle);
+      }
+    }
+  }
+
+  /**
+   * Copy record so callers cannot change indexed fields behind the store's back
+   * @param {Object} record - Record
+   * @returns {Object} Deep copy
+   */
+  copy(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  /**
+   * Clear in-memory state
+   */
+  reset() {
+    this.records.clear();
+    this.indexes = {};
+    this.sorted = [];
+    this.offset = 0;
+    this.garbage = 0;
+  }
+
+  /**
+   * Apply one log line to in-memory state
+   * @param {string} line - JSON log line
+   */
+  applyLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      console.error(`Skipping malformed line in ${this.logFile}`);
+      this.garbage++;
+      return;
+    }
+
+    if (this.records.has(entry.id)) {
+      this.unindex(this.records.get(entry.id));
+      this.garbage++;
+    }
+
+    if (entry.op === 'put') {
+      this.records.set(entry.id, entry.record);
+      this.index(entry.record);
+    } else if (entry.op === 'del') {
+      this.records.delete(entry.id);
+      this.garbage++;
+    }
+  }
+
+  /**
+   * Get index keys for record
+   * @param {Function} fn - Index function
+   * @param {Object} record - Record
+   * @returns {Array} Keys (empty if the record is not indexed)
+   */
+  keysFor(fn, record) {
+    const value = fn(record);
+    const keys = Array.isArray(value) ? value : [value];
+    return keys.filter(key => key !== undefined && key !== null);
+  }
+
+  /**
+   * Add record to secondary indexes
+   * @param {Object} record - Record
+   */
+  index(record) {
+    for (const [name, fn] of Object.entries(this.indexFns)) {
+      this.indexes[name] = this.indexes[name] || new Map();
+      for (const key of this.keysFor(fn, record)) {
+        if (!this.indexes[name].has(key)) {
+          this.indexes[name].set(key, new Set());
+        }
+        this.indexes[name].get(key).add(record.id);
+      }
+    }
+
+    if (this.sortBy) {
+      const item = { key: record[this.sortBy], id: record.id };
+      this.sorted.splice(this.sortedPosition(item.key), 0, item);
+    }
+  }
+
+  /**
+   * Remove record from secondary indexes
+   * @param {Object} record - Record
+   */
+  unindex(record) {
+    for (const [name, fn] of Object.entries(this.indexFns)) {
+      for (const key of this.keysFor(fn, record)) {
+        const ids = this.indexes[name] && this.indexes[name].get(key);
+        if (ids) {
+          ids.delete(record.id);
+          if (ids.size === 0) {
+            this.indexes[name].delete(key);
+          }
+        }
+      }
+    }
+
+    if (this.sortBy) {
+      const position = this.sorted.findIndex(item => item.id === record.id);
+      if (position !== -1) {
+        this.sorted.splice(position, 1);
+      }
+    }
+  }
+
+  /**
+   * Binary search for insert position in sorted index
+   * @param {*} key - Sort key
+   * @returns {number} First position whose key is greater than the given key
+   */
+  sortedPosition(key) {
+    let low = 0;
+    let high = this.sorted.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.sorted[mid].key <= key) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Append entries to the log (serialized)
+   * @param {Array} entries - Log entries
+   */
+  append(entries) {
+    const write = async () => {
+      await this.refresh();
+      await fs.ensureDir(path.dirname(this.logFile));
+
+      const data = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+      await fs.appendFile(this.logFile, data);
+      await this.refresh();
+
+      if (this.garbage > 1000 && this.garbage > this.records.size) {
+        await this.compact();
+      }
+    };
+
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Create or replace a record
+   * @param {Object} record - Record (must have an id)
+   */
+  async put(record) {
+    await this.append([{ op: 'put', id: record.id, record }]);
+  }
+
+  /**
+   * Create or replace several records in one append
+   * @param {Array} records - Records
+   */
+  async putMany(records) {
+    if (records.length > 0) {
+      await this.append(records.map(record => ({ op: 'put', id: record.id, record })));
+    }
+  }
+
+  /**
+   * Delete a record
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} True if the record existed
+   */
+  async delete(id) {
+    await this.refresh();
+    if (!this.records.has(id)) {
+      return false;
+    }
+    await this.append([{ op: 'del', id }]);
+    return true;
+  }
+
+  /**
+   * Get record by ID
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async get(id) {
+    await this.refresh();
+    return this.records.has(id) ? this.copy(this.records.get(id)) : null;
+  }
+
+  /**
+   * Find records by index key
+   * @param {string} indexName - Index name
+   * @param {*} key - Key
+   * @returns {Promise<Array>} Matching records
+   */
+  async findBy(indexName, key) {
+    await this.refresh();
+    if (!this.indexFns[indexName]) {
+      throw new Error(`Unknown index: ${indexName}`);
+    }
+    const ids = (this.indexes[indexName] && this.indexes[indexName].get(key)) || new Set();
+    return Array.from(ids).map(id => this.copy(this.records.get(id)));
+  }
+
+  /**
+   * Count records per key of an index
+   * @param {string} indexName - Index name
+   * @returns {Promise<Object>} Key => count
+   */
+  async countBy(indexName) {
+    await this.refresh();
+    const counts = {};
+    for (const [key, ids] of (this.indexes[indexName] || new Map())) {
+      counts[key] = ids.size;
+    }
+    return counts;
+  }
+
+  /**
+   * Get records in sort-field order within a range
+   * @param {Object} [range] - Range
+   * @param {*} [range.from] - Inclusive lower bound
+   * @param {*} [range.to] - Exclusive upper bound
+   * @returns {Promise<Array>} Records, ascending
+   */
+  async range({ from, to } = {}) {
+    await this.refresh();
+    if (!this.sortBy) {
+      throw new Error('Store has no sort field');
+    }
+    return this.sorted
+      .filter(item => (from === undefined || item.key >= from) && (to === undefined || item.key < to))
+      .map(item => this.copy(this.records.get(item.id)));
+  }
+
+  /**
+   * Get all records
+   * @returns {Promise<Array>} Records
+   */
+  async all() {
+    await this.refresh();
+    return Array.from(this.records.values()).map(record => this.copy(record));
+  }
+
+  /**
+   * Fold over all records without copying them
+   * @param {Function} fn - (accumulator, record) => accumulator; must not change the record
+   * @param {*} initial - Initial accumulator
+   * @returns {Promise<*>} Final accumulator
+   */
+  async reduce(fn, initial) {
+    await this.refresh();
+    let accumulator = initial;
+    for (const record of this.records.values()) {
+      accumulator = fn(accumulator, record);
+    }
+    return accumulator;
+  }
+
+  /**
+   * Count records
+   * @returns {Promise<number>} Number of live records
+   */
+  async count() {
+    await this.refresh();
+    return this.records.size;
+  }
+
+  /**
+   * Copy bytes appended to an open log after a position onto the end of a file
+   * @param {number} handle - File descriptor of the log being replaced
+   * @param {number} position - First byte to copy
+   * @param {string} target - File to append to
+   * @returns {Promise<number>} Position after the copied bytes
+   */
+  async copyTail(handle, position, target) {
+    const { size } = await fs.fstat(handle);
+    if (size <= position) {
+      return position;
+    }
+    const buffer = Buffer.alloc(size - position);
+    await fs.read(handle, buffer, 0, buffer.length, position);
+    await fs.appendFile(target, buffer);
+    return size;
+  }
+
+  /**
+   * Rewrite the log with live records only
+   * Lines other processes append while this runs are carried over: once before the new
+   * log replaces the old one, and again from the old file after the rename.
+   */
+  async compact() {
+    const tempPath = `${this.logFile}.${process.pid}.compact`;
+    const data = Array.from(this.records.values())
+      .map(record => `${JSON.stringify({ op: 'put', id: record.id, record })}\n`)
+      .join('');
+
+    const handle = await fs.open(this.logFile, 'r');
+    try {
+      await fs.writeFile(tempPath, data);
+      const copied = await this.copyTail(handle, this.offset, tempPath);
+      await fs.rename(tempPath, this.logFile);
+      await this.copyTail(handle, copied, this.logFile);
+    } finally {
+      await fs.close(handle);
+    }
+
+    // The carried-over lines are applied by the next refresh
+    this.offset = Buffer.byteLength(data);
+    this.inode = (await fs.stat(this.logFile)).ino;
+    this.garbage = 0;
+    console.log(`Compacted ${path.basename(this.logFile)}: ${this.records.size} records`);
+  }
+}
+
+module.exports = IndexedLogStore;
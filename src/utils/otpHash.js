@@ -0,0 +1,54 @@
+const crypto = require('node:crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Keyed OTP hashing
+ *
+ * OTPs are a few digits, so a plain SHA-256 of one is reversed by hashing every possible
+ * code. Stored OTP hashes are HMACs keyed with OTP_HASH_SECRET instead. Without it set, a
+ * secret is generated once into OTP_HASH_SECRET_FILE; it must survive restarts or stored
+ * hashes stop matching.
+ */
+
+let defaultSecret = null;
+
+/**
+ * Get the server's OTP hash secret (loaded, or created on first use)
+ * @returns {string} Secret
+ */
+function getOtpHashSecret() {
+  if (!defaultSecret) {
+    defaultSecret = process.env.OTP_HASH_SECRET || loadSecretFile(process.env.OTP_HASH_SECRET_FILE || './storage/keys/otp-hash.secret');
+  }
+  return defaultSecret;
+}
+
+/**
+ * Read the secret file, creating it with a random secret if it does not exist
+ * @param {string} secretFile - Secret file path
+ * @returns {string} Secret
+ */
+function loadSecretFile(secretFile) {
+  if (!fs.existsSync(secretFile)) {
+    fs.ensureDirSync(path.dirname(secretFile));
+    fs.writeFileSync(secretFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    console.warn(`OTP_HASH_SECRET is not set - generated ${secretFile}. Keep it with the stored visits and invites.`);
+  }
+  return fs.readFileSync(secretFile, 'utf8').trim();
+}
+
+/**
+ * Hash an OTP for storage and lookup
+ * @param {string} otp - One-Time-PIN
+ * @param {string} [secret] - HMAC key (defaults to the server's OTP hash secret)
+ * @returns {string} Hex HMAC-SHA256
+ */
+function hashOtp(otp, secret = getOtpHashSecret()) {
+  return crypto.createHmac('sha256', secret).update(otp.trim()).digest('hex');
+}
+
+module.exports = {
+  hashOtp,
+  getOtpHashSecret
+};
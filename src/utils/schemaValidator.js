@@ -0,0 +1,226 @@
+/**
+ * JSON Schema validation for the OpenAPI document
+ *
+ * Covers the keywords the spec uses: $ref (within the document), type, enum, properties,
+ * required, additionalProperties, min/maxProperties, items, min/maxItems, min/maxLength,
+ * pattern, minimum/maximum, format (date-time, date, binary), contentMediaType, oneOf and anyOf.
+ * Errors are returned as { field, message }, with field the dotted path to the value.
+ */
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Resolve a local $ref such as '#/components/schemas/Session'
+ * @param {Object} root - Document the reference points into
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  const schema = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!schema) {
+    throw new Error(`Unresolvable schema reference: ${ref}`);
+  }
+  return schema;
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Join a property onto a dotted path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check whether a MIME type matches a pattern such as 'image/*'
+ * @param {string} pattern - Media type pattern
+ * @param {string} mimeType - Actual MIME type
+ * @returns {boolean} True if it matches
+ */
+function mediaTypeMatches(pattern, mimeType) {
+  const [type, subtype] = pattern.split('/');
+  const [actualType, actualSubtype] = (mimeType || '').split('/');
+  return type === actualType && (subtype === '*' || subtype === actualSubtype);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} [options] - Options
+ * @param {Object} [options.root] - Document $refs resolve against (defaults to the schema)
+ * @param {string} [options.path] - Path of the value, used in error fields
+ * @returns {Array} Errors, each { field, message } - empty when the value is valid
+ */
+function validateSchema(schema, value, options = {}) {
+  const root = options.root || schema;
+  const path = options.path || '';
+  const errors = [];
+  const fail = message => errors.push({ field: path, message });
+
+  if (schema.$ref) {
+    return validateSchema(resolveRef(root, schema.$ref), value, { root, path });
+  }
+
+  if (schema.oneOf || schema.anyOf) {
+    const results = (schema.oneOf || schema.anyOf).map(alternative => validateSchema(alternative, value, { root, path }));
+    const matches = results.filter(result => result.length === 0).length;
+    if (schema.oneOf && matches > 1) {
+      fail('must match exactly one of the allowed shapes');
+    } else if (matches === 0) {
+      fail(results.map(result => result[0].message).join(' or '));
+    }
+    if (errors.length > 0) {
+      return errors;
+    }
+  }
+
+  // Uploaded files (multer file objects) stand in for binary strings
+  if (schema.format === 'binary') {
+    if (!value || !Buffer.isBuffer(value.buffer)) {
+      fail('must be an uploaded file');
+    } else if (schema.contentMediaType && !mediaTypeMatches(schema.contentMediaType, value.mimetype)) {
+      fail(`must be a ${schema.contentMediaType} file`);
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.map(String).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && (!DATE_TIME.test(value) || isNaN(new Date(value)))) {
+      fail('must be an ISO 8601 date-time');
+    }
+    if (schema.format === 'date' && (!DATE.test(value) || isNaN(new Date(value)))) {
+      fail('must be an ISO 8601 date');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, { root, path: childPath(path, index) }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const keys = Object.keys(value).filter(key => value[key] !== undefined);
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: childPath(path, name), message: 'is required' });
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} of: ${Object.keys(properties).join(', ')}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail(`must have at most ${schema.maxProperties} of: ${Object.keys(properties).join(', ')}`);
+    }
+
+    for (const key of keys) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], value[key], { root, path: childPath(path, key) }));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childPath(path, key), message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, value[key], { root, path: childPath(path, key) }));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a query or path parameter string to the type its schema asks for
+ * Values that do not convert are returned unchanged, so validation reports them.
+ * @param {Object} schema - Parameter schema
+ * @param {*} value - Raw value
+ * @param {Object} [root] - Document $refs resolve against
+ * @returns {*} Converted value
+ */
+function coerceValue(schema, value, root = schema) {
+  if (schema.$ref) {
+    return coerceValue(resolveRef(root, schema.$ref), value, root);
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+module.exports = {
+  validateSchema,
+  coerceValue,
+  resolveRef
+};
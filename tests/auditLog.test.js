@@ -0,0 +1,101 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../src/services/auditLog');
+
+describe('AuditLog', () => {
+  let storageDir;
+  let logFile;
+  let auditLog;
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seren-audit-'));
+    logFile = path.join(storageDir, 'audit.log');
+    auditLog = new AuditLog({ logFile });
+  });
+
+  afterEach(async () => {
+    await fs.remove(storageDir);
+  });
+
+  const writeEntries = async () => {
+    await auditLog.record({ action: 'session.started', actor: 'op_1', sessionId: 's1' });
+    await auditLog.record({ action: 'image.retrieved', actor: 'op_2', sessionId: 's1', imageId: 'img-1' });
+    await auditLog.record({ action: 'image.deleted', actor: 'op_2', imageId: 'img-1' });
+  };
+
+  it('should chain entries and verify an intact log', async () => {
+    await writeEntries();
+
+    const result = await auditLog.verify();
+
+    expect(result.valid).toBe(true);
+    expect(result.entries).toBe(3);
+  });
+
+  it('should keep the chain across instances', async () => {
+    await writeEntries();
+    await new AuditLog({ logFile }).record({ action: 'session.completed', sessionId: 's1' });
+
+    const result = await auditLog.verify();
+    expect(result.valid).toBe(true);
+    expect(result.entries).toBe(4);
+  });
+
+  it('should serialize concurrent appends', async () => {
+    await Promise.all([1, 2, 3, 4, 5].map(n => auditLog.record({ action: 'capture.processed', imageId: `img-${n}` })));
+
+    expect((await auditLog.verify()).valid).toBe(true);
+  });
+
+  it('should detect an edited entry', async () => {
+    await writeEntries();
+    const lines = (await fs.readFile(logFile, 'utf8')).trim().split('\n');
+    const entry = JSON.parse(lines[1]);
+    entry.actor = 'op_someone_else';
+    lines[1] = JSON.stringify(entry);
+    await fs.writeFile(logFile, `${lines.join('\n')}\n`);
+
+    const result = await auditLog.verify();
+
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt.seq).toBe(2);
+    expect(result.reason).toBe('Entry hash does not match its contents');
+  });
+
+  it('should detect a removed entry', async () => {
+    await writeEntries();
+    const lines = (await fs.readFile(logFile, 'utf8')).trim().split('\n');
+    lines.splice(1, 1);
+    await fs.writeFile(logFile, `${lines.join('\n')}\n`);
+
+    const result = await auditLog.verify();
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/Sequence gap/);
+  });
+
+  it('should resume after a torn last line', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await writeEntries();
+    const content = await fs.readFile(logFile, 'utf8');
+    const lastLine = content.trim().split('\n').pop();
+    await fs.appendFile(logFile, lastLine.slice(0, 40));
+
+    const reopened = new AuditLog({ logFile });
+    const entry = await reopened.record({ action: 'session.started', actor: 'op_1', sessionId: 's2' });
+
+    expect(entry.seq).toBe(4);
+    expect(await reopened.verify()).toMatchObject({ valid: true, entries: 4 });
+    console.warn.mockRestore();
+  });
+
+  it('should query entries newest first with filters', async () => {
+    await writeEntries();
+
+    const result = await auditLog.query({ imageId: 'img-1' });
+
+    expect(result.total).toBe(2);
+    expect(result.entries.map(e => e.action)).toEqual(['image.deleted', 'image.retrieved']);
+  });
+});
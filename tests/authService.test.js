@@ -0,0 +1,94 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AuthService = require('../src/services/authService');
+
+describe('AuthService', () => {
+  let storageDir;
+  let authService;
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seren-auth-'));
+    process.env.ADMIN_USERNAME = 'admin';
+    process.env.ADMIN_PASSWORD = 'admin-password';
+    authService = new AuthService({
+      operatorsFile: path.join(storageDir, 'operators.json'),
+      tokenSecret: 'test-secret'
+    });
+  });
+
+  afterEach(async () => {
+    delete process.env.ADMIN_USERNAME;
+    delete process.env.ADMIN_PASSWORD;
+    await fs.remove(storageDir);
+  });
+
+  it('should bootstrap an admin operator and log in', async () => {
+    const result = await authService.login('admin', 'admin-password');
+
+    expect(result.token).toBeDefined();
+    expect(result.operator.role).toBe('admin');
+    expect(result.operator.passwordHash).toBeUndefined();
+    expect(authService.verifyToken(result.token).id).toBe(result.operator.id);
+  });
+
+  it('should reject wrong passwords', async () => {
+    await expect(authService.login('admin', 'wrong')).rejects.toThrow('Invalid username or password');
+    await expect(authService.login('nobody', 'wrong')).rejects.toThrow('Invalid username or password');
+  });
+
+  it('should run the password check for unknown usernames too', async () => {
+    const verify = jest.spyOn(authService, 'verifyPassword');
+
+    await expect(authService.login('nobody', 'wrong')).rejects.toThrow('Invalid username or password');
+    expect(verify).toHaveBeenCalledWith('wrong', expect.stringMatching(/^[0-9a-f]{32}:[0-9a-f]{128}$/));
+    verify.mockRestore();
+  });
+
+  it('should reject tampered tokens', async () => {
+    const { token } = await authService.login('admin', 'admin-password');
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'op_x', role: 'admin', exp: Date.now() + 1000 })).toString('base64url');
+
+    expect(() => authService.verifyToken(`${forged}.${signature}`)).toThrow('Invalid token');
+    expect(() => authService.verifyToken(payload)).toThrow('Invalid token');
+  });
+
+  it('should reject tokens of disabled operators', async () => {
+    const guard = await authService.createOperator({ username: 'gate1', password: 'pw', role: 'guard' });
+    const { token } = await authService.login('gate1', 'pw');
+
+    await authService.updateOperator(guard.id, { disabled: true });
+
+    expect(() => authService.verifyToken(token)).toThrow('Operator account is disabled');
+  });
+
+  it('should rank roles', () => {
+    expect(authService.hasRole('admin', 'supervisor')).toBe(true);
+    expect(authService.hasRole('supervisor', 'supervisor')).toBe(true);
+    expect(authService.hasRole('guard', 'supervisor')).toBe(false);
+    expect(authService.hasRole('unknown', 'guard')).toBe(false);
+  });
+
+  it('should tie resident accounts to a resident', async () => {
+    await expect(authService.createOperator({ username: 'unit-a101', password: 'pw', role: 'resident' }))
+      .rejects.toThrow('residentId is required for resident accounts');
+
+    const resident = await authService.createOperator({ username: 'unit-a101', password: 'pw', role: 'resident', residentId: 'res_1' });
+
+    expect(resident.residentId).toBe('res_1');
+    expect(authService.hasRole('resident', 'guard')).toBe(false);
+    await expect(authService.updateOperator(resident.id, { residentId: null })).rejects.toThrow('residentId is required');
+    expect(authService.listOperators().find(op => op.id === resident.id).residentId).toBe('res_1');
+  });
+
+  it('should persist created operators', async () => {
+    await authService.createOperator({ username: 'sup', password: 'pw', role: 'supervisor' });
+
+    const reloaded = new AuthService({
+      operatorsFile: path.join(storageDir, 'operators.json'),
+      tokenSecret: 'test-secret'
+    });
+    expect(reloaded.listOperators().map(op => op.username)).toEqual(['admin', 'sup']);
+  });
+});
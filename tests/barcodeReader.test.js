@@ -0,0 +1,32 @@
+const { Pdf417BarcodeReader } = require('../src/services/barcodeReader');
+
+// Decoding runs in a worker thread, so these go through the real worker and ZXing
+describe('Pdf417BarcodeReader', () => {
+  let reader;
+
+  beforeEach(() => {
+    reader = new Pdf417BarcodeReader({ timeoutMs: 10000 });
+  });
+
+  afterEach(async () => {
+    await reader.close();
+  });
+
+  it('should report images without a barcode', async () => {
+    const blank = Buffer.alloc(200 * 100, 255);
+
+    await expect(reader.decodeLuminance(blank, 200, 100)).resolves.toBeNull();
+    await expect(reader.decodeLuminance(blank, 200, 100)).resolves.toBeNull();
+  });
+
+  it('should stop a decode that overruns and start a fresh worker', async () => {
+    const noise = Buffer.from(Array.from({ length: 1500 * 1500 }, (_, i) => (i * 7919) % 251));
+    reader.timeoutMs = 1;
+
+    await expect(reader.decodeLuminance(noise, 1500, 1500)).rejects.toThrow('Barcode decoding timed out after 1ms');
+    expect(reader.worker).toBeNull();
+
+    reader.timeoutMs = 10000;
+    await expect(reader.decodeLuminance(Buffer.alloc(100 * 50, 255), 100, 50)).resolves.toBeNull();
+  });
+});
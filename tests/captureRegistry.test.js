@@ -0,0 +1,86 @@
+const CaptureRegistry = require('../src/services/captureRegistry');
+
+describe('CaptureRegistry', () => {
+  const definition = {
+    captureTypes: {
+      person: { label: 'Visitor ID', roles: ['id_front', 'face'], documentRoles: ['id_front'], barcode: true },
+      parcel: { label: 'Parcel', roles: ['parcel'] }
+    },
+    modes: {
+      pedestrian: { label: 'Pedestrian', captures: { person: ['id_front'] } },
+      delivery: { label: 'Delivery', captures: { person: ['id_front'], parcel: [] } }
+    }
+  };
+
+  it('should describe modes and their required roles', () => {
+    const registry = new CaptureRegistry(definition);
+
+    expect(registry.listModes()).toEqual(['pedestrian', 'delivery']);
+    expect(registry.getAvailableCaptures('delivery')).toEqual(['person', 'parcel']);
+    expect(registry.getRequiredRoles('delivery')).toEqual({ person: ['id_front'], parcel: [] });
+    expect(registry.getRoles('person')).toEqual(['id_front', 'face']);
+    expect(registry.getAvailableCaptures('unknown')).toEqual([]);
+  });
+
+  it('should report which recognizers run on a capture type', () => {
+    const registry = new CaptureRegistry(definition);
+
+    expect(registry.isEnabled('person', 'barcode')).toBe(true);
+    expect(registry.isEnabled('parcel', 'barcode')).toBe(false);
+    expect(registry.isEnabled('unknown', 'barcode')).toBe(false);
+  });
+
+  it('should report which roles are documents', () => {
+    const registry = new CaptureRegistry(definition);
+
+    expect(registry.isDocument('person', 'id_front')).toBe(true);
+    expect(registry.isDocument('person', 'face')).toBe(false);
+    expect(registry.isDocument('parcel', 'parcel')).toBe(false);
+
+    expect(() => new CaptureRegistry({
+      captureTypes: { person: { roles: ['face'], documentRoles: ['id_front'] } },
+      modes: {}
+    })).toThrow('Capture type "person" lists unknown document role "id_front"');
+  });
+
+  it('should reject modes that reference unknown capture types or roles', () => {
+    expect(() => new CaptureRegistry({
+      captureTypes: definition.captureTypes,
+      modes: { taxi: { captures: { vehicle: ['plate'] } } }
+    })).toThrow('Mode "taxi" uses unknown capture type "vehicle"');
+
+    expect(() => new CaptureRegistry({
+      captureTypes: definition.captureTypes,
+      modes: { pedestrian: { captures: { person: ['id_back'] } } }
+    })).toThrow('Mode "pedestrian" requires unknown role "id_back" for "person"');
+  });
+
+  it('should keep the exit capture type out of modes and session captures', () => {
+    const captureTypes = { ...definition.captureTypes, leaving: { label: 'Exit', roles: ['exit_vehicle'] } };
+    const registry = new CaptureRegistry({ captureTypes, modes: definition.modes, exitCaptureType: 'leaving' });
+
+    expect(registry.exitCaptureType).toBe('leaving');
+    expect(registry.listSessionCaptureTypes()).toEqual(['person', 'parcel']);
+    expect(new CaptureRegistry(definition).exitCaptureType).toBeNull();
+
+    expect(() => new CaptureRegistry({ ...definition, exitCaptureType: 'exit' }))
+      .toThrow('Exit capture type "exit" is not defined');
+    expect(() => new CaptureRegistry({ ...definition, exitCaptureType: 'person' }))
+      .toThrow('Mode "pedestrian" uses the exit capture type "person"');
+  });
+
+  it('should reject IDs that are unsafe in routes and directory names', () => {
+    expect(() => new CaptureRegistry({
+      captureTypes: { '../person': { roles: ['id_front'] } },
+      modes: {}
+    })).toThrow('Invalid capture type ID: ../person');
+  });
+
+  it('should load the default registry', () => {
+    const registry = CaptureRegistry.getDefault();
+
+    expect(registry.listCaptureTypes()).toEqual(expect.arrayContaining(['person', 'vehicle', 'exit']));
+    expect(registry.listSessionCaptureTypes()).not.toContain('exit');
+    expect(registry.getAvailableCaptures('vehicle')).toEqual(['person', 'vehicle']);
+  });
+});
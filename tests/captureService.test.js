@@ -1,6 +1,8 @@
 const CaptureService = require('../src/services/captureService');
 const EstateMateClient = require('../src/api/estateMateClient');
 const ImageStorageService = require('../src/services/imageStorage');
+const { MemorySessionStore } = require('../src/services/sessionStore');
+const { OtpPolicyError } = require('../src/services/otpPolicy');
 
 // Mock dependencies
 jest.mock('../src/api/estateMateClient');
@@ -10,6 +12,28 @@ describe('CaptureService', () => {
   let captureService;
   let mockEstateMateClient;
   let mockImageStorage;
+  let mockAuditLog;
+  let mockVisitStore;
+  let mockPlateRecognizer;
+  let mockBarcodeReader;
+  let mockImageQuality;
+  let mockOutbox;
+  let mockOtpGuard;
+  let mockOtpPolicy;
+  let mockTerminals;
+
+  const createService = (sessionStore) => new CaptureService({
+    sessionStore,
+    auditLog: mockAuditLog,
+    visitStore: mockVisitStore,
+    plateRecognizer: mockPlateRecognizer,
+    barcodeReader: mockBarcodeReader,
+    imageQuality: mockImageQuality,
+    outbox: mockOutbox,
+    otpGuard: mockOtpGuard,
+    otpPolicy: mockOtpPolicy,
+    terminals: mockTerminals
+  });
 
   beforeEach(() => {
     // Reset mocks
@@ -19,18 +43,66 @@ describe('CaptureService', () => {
     mockEstateMateClient = {
       validateConfig: jest.fn().mockReturnValue(true),
       testConnection: jest.fn().mockResolvedValue(true),
+      startHealthProbe: jest.fn(),
       searchByOTP: jest.fn()
     };
     
     mockImageStorage = {
-      storeImage: jest.fn()
+      storeImage: jest.fn(),
+      markSuperseded: jest.fn().mockResolvedValue({})
+    };
+
+    mockAuditLog = {
+      record: jest.fn().mockResolvedValue({})
+    };
+
+    mockVisitStore = {
+      buildVisit: jest.fn(session => ({ id: session.id, status: session.status })),
+      save: jest.fn().mockResolvedValue(),
+      countByGate: jest.fn().mockResolvedValue({}),
+      get: jest.fn().mockResolvedValue(null),
+      listOnSite: jest.fn().mockResolvedValue([])
+    };
+
+    mockPlateRecognizer = {
+      name: 'mock',
+      recognize: jest.fn().mockResolvedValue(null)
+    };
+
+    mockBarcodeReader = {
+      name: 'mock',
+      decode: jest.fn().mockResolvedValue(null)
+    };
+
+    mockImageQuality = {
+      analyze: jest.fn().mockResolvedValue({ passed: true, mode: 'enforce', scores: { sharpness: 250 }, reasons: [] })
+    };
+
+    mockOtpGuard = {
+      check: jest.fn(),
+      recordFailure: jest.fn().mockResolvedValue([]),
+      serialize: jest.fn((otp, context, task) => task())
+    };
+
+    mockOtpPolicy = {
+      consume: jest.fn().mockResolvedValue({ policy: 'single', entries: 1, remaining: 0 }),
+      release: jest.fn().mockResolvedValue(true)
+    };
+
+    mockTerminals = {
+      list: jest.fn().mockReturnValue([])
+    };
+
+    mockOutbox = {
+      enqueueVisit: jest.fn().mockResolvedValue({}),
+      flush: jest.fn().mockResolvedValue({ delivered: 1, failed: 0 })
     };
 
     // Mock the constructors
     EstateMateClient.mockImplementation(() => mockEstateMateClient);
     ImageStorageService.mockImplementation(() => mockImageStorage);
 
-    captureService = new CaptureService();
+    captureService = createService(new MemorySessionStore());
   });
 
   describe('initialize', () => {
@@ -52,6 +124,48 @@ describe('CaptureService', () => {
       
       await expect(captureService.initialize()).rejects.toThrow('Unable to connect to EstateMate API');
     });
+
+    it('should keep the real client and probe it when EstateMate is down at startup', async () => {
+      mockEstateMateClient.testConnection.mockResolvedValue(false);
+
+      await expect(captureService.initialize()).rejects.toThrow('Unable to connect to EstateMate API');
+
+      expect(captureService.demoMode).toBe(false);
+      expect(captureService.estateMateClient).toBe(mockEstateMateClient);
+      expect(mockEstateMateClient.startHealthProbe).toHaveBeenCalled();
+    });
+
+    it('should only use demo residents when configured', async () => {
+      process.env.ESTATE_MATE_PROVIDER = 'demo';
+      try {
+        await captureService.initialize();
+      } finally {
+        delete process.env.ESTATE_MATE_PROVIDER;
+      }
+
+      expect(captureService.demoMode).toBe(true);
+      expect(EstateMateClient).not.toHaveBeenCalled();
+    });
+
+    it('should serve invites from the local resident directory when configured', async () => {
+      const match = {
+        resident: { id: 'res_1', name: 'John Doe', unitNumber: 'A101', status: 'active' },
+        invite: { id: 'inv_1', residentId: 'res_1', mode: 'pedestrian', status: 'active', validFrom: null, validUntil: null }
+      };
+      captureService.residents = { findByOtp: jest.fn().mockResolvedValue(match) };
+      process.env.ESTATE_MATE_PROVIDER = 'local';
+      try {
+        await captureService.initialize();
+      } finally {
+        delete process.env.ESTATE_MATE_PROVIDER;
+      }
+
+      const result = await captureService.startCaptureSession('123456');
+
+      expect(EstateMateClient).not.toHaveBeenCalled();
+      expect(captureService.demoMode).toBe(false);
+      expect(result.residentInfo).toMatchObject({ id: 'res_1', inviteId: 'inv_1', allowedMode: 'pedestrian', status: 'active' });
+    });
   });
 
   describe('startCaptureSession', () => {
@@ -75,7 +189,16 @@ describe('CaptureService', () => {
       expect(result.sessionId).toBeDefined();
       expect(result.residentInfo).toEqual(mockResidentInfo);
       expect(result.status).toBe('ready_for_mode_selection');
-      expect(captureService.getActiveSessionsCount()).toBe(1);
+      expect(await captureService.getActiveSessionsCount()).toBe(1);
+    });
+
+    it('should record the operator who started the session', async () => {
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101' });
+
+      const result = await captureService.startCaptureSession('123456', { operatorId: 'op_1' });
+      const session = await captureService.getSession(result.sessionId);
+
+      expect(session.operatorId).toBe('op_1');
     });
 
     it('should throw error for empty OTP', async () => {
@@ -88,6 +211,125 @@ describe('CaptureService', () => {
 
       await expect(captureService.startCaptureSession('invalid')).rejects.toThrow('OTP not found');
     });
+
+    it('should audit OTP lookups without storing the full OTP', async () => {
+      mockEstateMateClient.searchByOTP.mockRejectedValue(new Error('OTP not found'));
+
+      await expect(captureService.startCaptureSession('987654', { operatorId: 'op_1' })).rejects.toThrow('OTP not found');
+
+      expect(mockAuditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'otp.lookup',
+        actor: 'op_1',
+        outcome: 'failure',
+        details: expect.objectContaining({ otp: '98****' })
+      }));
+    });
+  });
+
+  describe('OTP brute-force protection', () => {
+    beforeEach(async () => {
+      await captureService.initialize();
+    });
+
+    it('should count rejected OTPs and raise an alert when a source is locked out', async () => {
+      mockEstateMateClient.searchByOTP.mockRejectedValue(Object.assign(new Error('OTP not found or expired'), { status: 404 }));
+      mockOtpGuard.recordFailure.mockResolvedValue([
+        { scope: 'ip', key: 'ip:10.0.0.5', failures: 10, lockedUntil: '2026-03-01T08:01:00.000Z', durationMs: 60000 }
+      ]);
+      const alerts = [];
+      captureService.events.subscribe({ types: ['security.alert'] }, event => alerts.push(event));
+      const context = { operatorId: 'op_1', gateId: 'gate-1', ip: '10.0.0.5' };
+
+      await expect(captureService.startCaptureSession('999999', context)).rejects.toThrow('OTP not found or expired');
+
+      expect(mockOtpGuard.recordFailure).toHaveBeenCalledWith('999999', context);
+      expect(alerts[0]).toMatchObject({ gateId: 'gate-1', data: { reason: 'otp_lockout', source: 'ip:10.0.0.5' } });
+      expect(mockAuditLog.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'otp.lockout' }));
+    });
+
+    it('should not count EstateMate outages against the terminal', async () => {
+      mockEstateMateClient.searchByOTP.mockRejectedValue(new Error('Network error - unable to connect to EstateMate API'));
+
+      await expect(captureService.startCaptureSession('123456', { ip: '10.0.0.5' })).rejects.toThrow('Network error');
+
+      expect(mockOtpGuard.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('should refuse lookups from a locked-out source without asking EstateMate', async () => {
+      mockOtpGuard.check.mockImplementation(() => {
+        throw Object.assign(new Error('Too many failed OTP attempts'), { code: 'OTP_LOCKED_OUT' });
+      });
+
+      await expect(captureService.startCaptureSession('123456', { ip: '10.0.0.5' })).rejects.toThrow('Too many failed OTP attempts');
+
+      expect(mockEstateMateClient.searchByOTP).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('OTP validity and use policy', () => {
+    beforeEach(async () => {
+      await captureService.initialize();
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101', status: 'active' });
+    });
+
+    it('should record the OTP use against the new session', async () => {
+      const result = await captureService.startCaptureSession('123456', { operatorId: 'op_1' });
+
+      expect(mockOtpPolicy.consume).toHaveBeenCalledWith('123456', expect.objectContaining({ id: '123' }), result.sessionId);
+      expect(result.otpUse).toEqual({ policy: 'single', entries: 1, remaining: 0 });
+    });
+
+    it('should refuse a used OTP without counting it towards a lockout', async () => {
+      mockOtpPolicy.consume.mockRejectedValue(new OtpPolicyError('OTP_CONSUMED', 'OTP has already been used', { entries: 1 }));
+      const rejections = [];
+      captureService.events.subscribe({ types: ['otp.rejected'] }, event => rejections.push(event));
+
+      await expect(captureService.startCaptureSession('123456', { gateId: 'gate-1' })).rejects.toMatchObject({ code: 'OTP_CONSUMED' });
+
+      expect(mockOtpGuard.recordFailure).not.toHaveBeenCalled();
+      expect(rejections[0]).toMatchObject({ gateId: 'gate-1', data: { code: 'OTP_CONSUMED', residentId: '123', entries: 1 } });
+      expect(await captureService.getActiveSessionsCount()).toBe(0);
+    });
+
+    it('should give the use back when the session is cancelled', async () => {
+      const { sessionId } = await captureService.startCaptureSession('123456');
+
+      const result = await captureService.cancelSession(sessionId, {}, 'Wrong unit');
+
+      expect(mockOtpPolicy.release).toHaveBeenCalledWith('123456', expect.objectContaining({ id: '123' }), sessionId);
+      expect(result.otpReleased).toBe(true);
+    });
+
+    it('should give the use back when the session fails or expires', async () => {
+      const failed = await captureService.startCaptureSession('123456');
+      const expired = await captureService.startCaptureSession('123456');
+
+      await captureService.failSession(await captureService.getSession(failed.sessionId), 'Visit could not be recorded');
+      expect(mockOtpPolicy.release).toHaveBeenCalledWith('123456', expect.objectContaining({ id: '123' }), failed.sessionId);
+      expect(mockAuditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'session.failed',
+        details: expect.objectContaining({ otpReleased: true })
+      }));
+
+      mockOtpPolicy.release.mockClear();
+      await captureService.cleanupExpiredSessions(0);
+      // The failed session was already released; only the open one is released on expiry
+      expect(mockOtpPolicy.release).toHaveBeenCalledTimes(1);
+      expect(mockOtpPolicy.release).toHaveBeenCalledWith('123456', expect.objectContaining({ id: '123' }), expired.sessionId);
+    });
+
+    it('should not count or store uses of demo OTPs', async () => {
+      captureService.demoMode = true;
+      mockOtpPolicy.assertValid = jest.fn();
+
+      const first = await captureService.startCaptureSession('123456');
+      const second = await captureService.startCaptureSession('123456');
+
+      expect(mockOtpPolicy.consume).not.toHaveBeenCalled();
+      expect(mockOtpPolicy.assertValid).toHaveBeenCalledTimes(2);
+      expect(first.otpUse).toBeUndefined();
+      expect(second.sessionId).not.toBe(first.sessionId);
+    });
   });
 
   describe('setCaptureMode', () => {
@@ -128,6 +370,14 @@ describe('CaptureService', () => {
     it('should throw error for non-existent session', async () => {
       await expect(captureService.setCaptureMode('invalid-session', 'pedestrian')).rejects.toThrow('Session not found');
     });
+
+    it('should only allow the mode an invite was limited to', async () => {
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101', allowedMode: 'pedestrian' });
+      const invited = await captureService.startCaptureSession('654321');
+
+      await expect(captureService.setCaptureMode(invited.sessionId, 'vehicle')).rejects.toThrow('This OTP only allows pedestrian mode');
+      expect((await captureService.setCaptureMode(invited.sessionId, 'pedestrian')).mode).toBe('pedestrian');
+    });
   });
 
   describe('processCapture', () => {
@@ -169,6 +419,97 @@ describe('CaptureService', () => {
       expect(result.nextAction).toBe('complete_session');
     });
 
+    it('should pass the operator to image metadata', async () => {
+      mockImageStorage.storeImage.mockResolvedValue({
+        success: true,
+        fileId: 'img-123',
+        filename: 'image.jpg',
+        metadata: { fileSize: 1024 }
+      });
+
+      await captureService.processCapture(sessionId, 'person', Buffer.from('mock-image-data'), { operatorId: 'op_1' });
+
+      expect(mockImageStorage.storeImage).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        expect.objectContaining({ operatorId: 'op_1', sessionId }),
+        {}
+      );
+    });
+
+    it('should reject low quality images with retake reasons', async () => {
+      const reasons = [{ code: 'BLURRY', message: 'Image is blurry.', value: 12, threshold: 60 }];
+      mockImageQuality.analyze.mockResolvedValue({ passed: false, mode: 'enforce', scores: { sharpness: 12 }, reasons });
+
+      const error = await captureService.processCapture(sessionId, 'person', Buffer.from('mock-image-data')).catch(e => e);
+
+      expect(error.code).toBe('IMAGE_QUALITY_REJECTED');
+      expect(error.quality.reasons).toEqual(reasons);
+      expect(mockImageStorage.storeImage).not.toHaveBeenCalled();
+      expect(mockAuditLog.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'capture.rejected' }));
+    });
+
+    it('should store quality scores with accepted images', async () => {
+      mockImageStorage.storeImage.mockResolvedValue({
+        success: true,
+        fileId: 'img-123',
+        filename: 'image.jpg',
+        metadata: { fileSize: 1024 }
+      });
+
+      await captureService.processCapture(sessionId, 'person', Buffer.from('mock-image-data'));
+
+      expect(mockImageStorage.storeImage).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        expect.objectContaining({ quality: expect.objectContaining({ passed: true, scores: { sharpness: 250 } }) }),
+        {}
+      );
+    });
+
+    it('should only run document checks on document roles', async () => {
+      mockImageStorage.storeImage.mockResolvedValue({
+        success: true,
+        fileId: 'img-123',
+        filename: 'image.jpg',
+        metadata: { fileSize: 1024 }
+      });
+
+      await captureService.processCapture(sessionId, 'person', Buffer.from('id'), {}, 'id_front');
+      await captureService.processCapture(sessionId, 'person', Buffer.from('face'), {}, 'face');
+
+      expect(mockImageQuality.analyze).toHaveBeenNthCalledWith(1, Buffer.from('id'), { document: true });
+      expect(mockImageQuality.analyze).toHaveBeenNthCalledWith(2, Buffer.from('face'), { document: false });
+    });
+
+    it('should store the normalized document and keep the original', async () => {
+      const original = Buffer.from('angled-photo');
+      captureService.documentNormalizer = {
+        isEnabled: jest.fn().mockReturnValue(true),
+        normalize: jest.fn().mockResolvedValue({
+          status: 'normalized',
+          image: Buffer.from('flat-document'),
+          corners: [[10, 12], [900, 40], [880, 600], [20, 580]],
+          width: 880,
+          height: 560,
+          originalMimeType: 'image/jpeg'
+        })
+      };
+      mockImageStorage.storeImage.mockResolvedValue({
+        success: true,
+        fileId: 'img-123',
+        filename: 'image.jpg',
+        metadata: { fileSize: 1024 }
+      });
+
+      const result = await captureService.processCapture(sessionId, 'person', original);
+
+      expect(mockImageStorage.storeImage).toHaveBeenCalledWith(
+        Buffer.from('flat-document'),
+        expect.objectContaining({ documentNormalization: expect.objectContaining({ status: 'normalized', width: 880 }) }),
+        { original, originalMimeType: 'image/jpeg' }
+      );
+      expect(result.documentNormalization.status).toBe('normalized');
+    });
+
     it('should throw error for invalid capture type', async () => {
       const mockImageBuffer = Buffer.from('mock-image-data');
 
@@ -180,6 +521,145 @@ describe('CaptureService', () => {
 
       await expect(captureService.processCapture(sessionId, 'vehicle', mockImageBuffer)).rejects.toThrow('Vehicle capture not allowed in pedestrian mode');
     });
+
+    describe('vehicle plate recognition', () => {
+      beforeEach(async () => {
+        await captureService.setCaptureMode(sessionId, 'vehicle');
+        mockImageStorage.storeImage.mockResolvedValue({
+          success: true,
+          fileId: 'img-456',
+          filename: 'vehicle.jpg',
+          metadata: { fileSize: 2048 }
+        });
+      });
+
+      it('should store and return the recognized plate', async () => {
+        mockPlateRecognizer.recognize.mockResolvedValue({
+          text: 'CA 123-456',
+          confidence: 0.91,
+          boundingBox: { x: 10, y: 20, width: 200, height: 50 }
+        });
+
+        const result = await captureService.processCapture(sessionId, 'vehicle', Buffer.from('mock-image-data'));
+
+        expect(result.plateRecognition).toEqual({
+          status: 'recognized',
+          text: 'CA 123-456',
+          normalized: 'CA123456',
+          confidence: 0.91,
+          boundingBox: { x: 10, y: 20, width: 200, height: 50 },
+          recognizer: 'mock'
+        });
+        expect(mockImageStorage.storeImage).toHaveBeenCalledWith(
+          expect.any(Buffer),
+          expect.objectContaining({ plateRecognition: result.plateRecognition }),
+          {}
+        );
+        expect((await captureService.getSession(sessionId)).captures.vehicle[0].plate.normalized).toBe('CA123456');
+      });
+
+      it('should return licence disc fields for the guard to confirm', async () => {
+        mockBarcodeReader.decode.mockResolvedValue({
+          format: 'pdf417',
+          text: '%MVL1CC09%0154%4024T0D4%1%4024042S7LVL%KWB056B%DMT567W%Sedan (closed top) / Sedan (toe-kap)%TOYOTA%COROLLA%Silver / Silwer%AHTBB3QE200012345%2ZR1234567%2020-03-31%'
+        });
+
+        const result = await captureService.processCapture(sessionId, 'vehicle', Buffer.from('mock-image-data'));
+
+        expect(result.documentBarcode).toMatchObject({
+          status: 'decoded',
+          documentType: 'licence_disc',
+          expired: true,
+          fields: { licenceNumber: 'KWB056B', registerNumber: 'DMT567W', make: 'TOYOTA', model: 'COROLLA' }
+        });
+        expect((await captureService.getSession(sessionId)).captures.vehicle[0].document.expired).toBe(true);
+      });
+
+      it('should still store the capture when recognition fails', async () => {
+        mockPlateRecognizer.recognize.mockRejectedValue(new Error('OCR engine unavailable'));
+
+        const result = await captureService.processCapture(sessionId, 'vehicle', Buffer.from('mock-image-data'));
+
+        expect(result.imageId).toBe('img-456');
+        expect(result.plateRecognition).toEqual({ status: 'failed', error: 'OCR engine unavailable', recognizer: 'mock' });
+      });
+    });
+  });
+
+  describe('capture slots', () => {
+    let sessionId;
+    let nextImage;
+
+    beforeEach(async () => {
+      await captureService.initialize();
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101' });
+      sessionId = (await captureService.startCaptureSession('123456')).sessionId;
+      await captureService.setCaptureMode(sessionId, 'vehicle');
+
+      nextImage = 0;
+      mockImageStorage.storeImage.mockImplementation(async () => {
+        nextImage++;
+        return { success: true, fileId: `img-${nextImage}`, filename: `img-${nextImage}.jpg`, metadata: { fileSize: 1024 } };
+      });
+    });
+
+    it('should hold several images with roles in one slot', async () => {
+      await captureService.processCapture(sessionId, 'person', Buffer.from('front'), {}, 'id_front');
+      await captureService.processCapture(sessionId, 'person', Buffer.from('back'), {}, 'id_back');
+
+      const session = await captureService.getSession(sessionId);
+      expect(session.captures.person.map(image => [image.imageId, image.role])).toEqual([
+        ['img-1', 'id_front'],
+        ['img-2', 'id_back']
+      ]);
+    });
+
+    it('should keep retakes as superseded versions', async () => {
+      await captureService.processCapture(sessionId, 'person', Buffer.from('blurry'), {}, 'id_front');
+      const result = await captureService.processCapture(sessionId, 'person', Buffer.from('sharp'), {}, 'id_front');
+
+      const [first, second] = (await captureService.getSession(sessionId)).captures.person;
+      expect(result.supersedes).toBe('img-1');
+      expect(first).toMatchObject({ imageId: 'img-1', supersededBy: 'img-2', supersededAt: expect.any(String) });
+      expect(second.supersededAt).toBeUndefined();
+      expect(mockImageStorage.markSuperseded).toHaveBeenCalledWith('img-1', 'img-2');
+    });
+
+    it('should complete only when every required role is captured', async () => {
+      const first = await captureService.processCapture(sessionId, 'vehicle', Buffer.from('plate'), {}, 'plate');
+      expect(first.sessionComplete).toBe(false);
+      expect(first.missingRoles).toEqual([
+        { captureType: 'person', role: 'id_front' },
+        { captureType: 'vehicle', role: 'licence_disc' }
+      ]);
+
+      await captureService.processCapture(sessionId, 'person', Buffer.from('front'));
+      const last = await captureService.processCapture(sessionId, 'vehicle', Buffer.from('disc'));
+
+      expect(last.role).toBe('licence_disc');
+      expect(last.sessionComplete).toBe(true);
+      expect((await captureService.completeSession(sessionId)).totalCaptures).toBe(3);
+    });
+
+    it('should follow the registry for other modes', async () => {
+      const delivery = (await captureService.startCaptureSession('123456')).sessionId;
+      const result = await captureService.setCaptureMode(delivery, 'delivery');
+      expect(result.availableCaptures).toEqual(['person', 'vehicle', 'parcel']);
+
+      await captureService.processCapture(delivery, 'person', Buffer.from('front'));
+      const withoutParcel = await captureService.processCapture(delivery, 'vehicle', Buffer.from('disc'));
+      expect(withoutParcel.missingRoles).toEqual([{ captureType: 'parcel', role: 'parcel' }]);
+
+      const last = await captureService.processCapture(delivery, 'parcel', Buffer.from('parcel'));
+      expect(last.sessionComplete).toBe(true);
+      await expect(captureService.processCapture(delivery, 'trailer', Buffer.from('x')))
+        .rejects.toThrow('Trailer capture not allowed in delivery mode');
+    });
+
+    it('should reject roles the slot does not accept', async () => {
+      await expect(captureService.processCapture(sessionId, 'person', Buffer.from('x'), {}, 'licence_disc'))
+        .rejects.toThrow('Invalid role for person capture');
+    });
   });
 
   describe('completeSession', () => {
@@ -216,7 +696,24 @@ describe('CaptureService', () => {
       expect(result.residentInfo.name).toBe('John Doe');
       expect(result.mode).toBe('pedestrian');
       expect(result.totalCaptures).toBe(1);
-      expect(captureService.getActiveSessionsCount()).toBe(0);
+      expect(await captureService.getActiveSessionsCount()).toBe(0);
+    });
+
+    it('should move the completed session into visit history', async () => {
+      await captureService.completeSession(sessionId, { operatorId: 'op_1' });
+
+      expect(mockVisitStore.buildVisit).toHaveBeenCalledWith(
+        expect.objectContaining({ id: sessionId, status: 'completed' }),
+        { completedBy: 'op_1' }
+      );
+      expect(mockVisitStore.save).toHaveBeenCalledWith({ id: sessionId, status: 'completed' });
+    });
+
+    it('should queue the visit for EstateMate before closing the session', async () => {
+      await captureService.completeSession(sessionId);
+
+      expect(mockOutbox.enqueueVisit).toHaveBeenCalledWith({ id: sessionId, status: 'completed' });
+      expect(mockOutbox.flush).toHaveBeenCalled();
     });
 
     it('should throw error for incomplete session', async () => {
@@ -229,6 +726,248 @@ describe('CaptureService', () => {
     });
   });
 
+  describe('session events', () => {
+    it('should publish the session lifecycle for the gate it runs at', async () => {
+      await captureService.initialize();
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101' });
+      mockImageStorage.storeImage.mockResolvedValue({ success: true, fileId: 'img-123', filename: 'image.jpg', metadata: { fileSize: 1024 } });
+      const received = [];
+      captureService.events.subscribe({ gateId: 'gate-1' }, event => received.push(event));
+
+      const { sessionId } = await captureService.startCaptureSession('123456', { operatorId: 'op_1', gateId: 'gate-1' });
+      await captureService.setCaptureMode(sessionId, 'pedestrian', { operatorId: 'op_1' });
+      await captureService.processCapture(sessionId, 'person', Buffer.from('front'), { operatorId: 'op_1' });
+      await captureService.completeSession(sessionId, { operatorId: 'op_1' });
+
+      expect(received.map(event => event.type)).toEqual(['session.started', 'session.mode_set', 'capture.stored', 'session.completed']);
+      expect(received[2]).toMatchObject({ sessionId, gateId: 'gate-1', data: { captureType: 'person', imageId: 'img-123', unitNumber: 'A101' } });
+      expect(JSON.stringify(received)).not.toContain('123456');
+    });
+
+    it('should publish EstateMate lookup errors', async () => {
+      await captureService.initialize();
+      mockEstateMateClient.searchByOTP.mockRejectedValue(new Error('Network error - unable to connect to EstateMate API'));
+      const received = [];
+      captureService.events.subscribe({ types: ['estatemate.error'] }, event => received.push(event));
+
+      await expect(captureService.startCaptureSession('123456', { gateId: 'gate-1' })).rejects.toThrow('Network error');
+
+      expect(received[0]).toMatchObject({ gateId: 'gate-1', data: { operation: 'searchByOTP', error: 'Network error - unable to connect to EstateMate API' } });
+    });
+  });
+
+  describe('gate terminals', () => {
+    const terminal = { operatorId: 'op_1', terminalId: 'term_1', gateId: 'main-vehicle', lane: 'in-1' };
+
+    beforeEach(async () => {
+      await captureService.initialize();
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101' });
+    });
+
+    it('should tag sessions and image metadata with the terminal', async () => {
+      mockImageStorage.storeImage.mockResolvedValue({ success: true, fileId: 'img-123', filename: 'image.jpg', metadata: { fileSize: 1024 } });
+
+      const { sessionId } = await captureService.startCaptureSession('123456', terminal);
+      await captureService.setCaptureMode(sessionId, 'pedestrian', terminal);
+      await captureService.processCapture(sessionId, 'person', Buffer.from('front'), { operatorId: 'op_1' });
+
+      expect(await captureService.getSession(sessionId)).toMatchObject({ terminalId: 'term_1', gateId: 'main-vehicle', lane: 'in-1' });
+      expect(mockImageStorage.storeImage).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        expect.objectContaining({ terminalId: 'term_1', gateId: 'main-vehicle', lane: 'in-1' }),
+        {}
+      );
+    });
+
+    it('should break status down by gate', async () => {
+      mockTerminals.list.mockReturnValue([
+        { id: 'term_1', gateId: 'main-vehicle', lane: 'in-1', disabled: false },
+        { id: 'term_2', gateId: 'main-vehicle', lane: 'in-2', disabled: true },
+        { id: 'term_3', gateId: 'pedestrian', lane: null, disabled: false }
+      ]);
+      mockVisitStore.countByGate.mockResolvedValue({ 'main-vehicle': 12 });
+      await captureService.startCaptureSession('123456', terminal);
+      await captureService.startCaptureSession('789012', { operatorId: 'op_2' });
+
+      const { gates } = await captureService.getStatus();
+
+      expect(gates).toEqual({
+        'main-vehicle': { terminals: 2, disabledTerminals: 1, lanes: ['in-1', 'in-2'], activeSessions: 1, visits: 12 },
+        pedestrian: { terminals: 1, disabledTerminals: 0, lanes: [], activeSessions: 0, visits: 0 },
+        unassigned: { terminals: 0, disabledTerminals: 0, lanes: [], activeSessions: 1, visits: 0 }
+      });
+    });
+  });
+
+  describe('exit check-out', () => {
+    const enteredAt = new Date(Date.now() - 90 * 60 * 1000).toISOString();
+    const onSiteVisit = () => ({
+      id: 'session_1',
+      status: 'completed',
+      mode: 'vehicle',
+      residentInfo: { id: '123', name: 'John Doe', unitNumber: 'A101' },
+      gateId: 'main-vehicle',
+      plates: ['CA123456'],
+      completedAt: enteredAt,
+      exitedAt: null,
+      exit: null
+    });
+    const exitGate = { operatorId: 'op_1', terminalId: 'term_9', gateId: 'exit-1', ip: '10.0.0.5' };
+
+    it('should close the visit with its duration and exit image', async () => {
+      mockVisitStore.get.mockResolvedValue(onSiteVisit());
+      mockPlateRecognizer.recognize.mockResolvedValue({ text: 'CA 123-456', confidence: 91 });
+      mockImageStorage.storeImage.mockResolvedValue({ success: true, fileId: 'img-exit', filename: 'exit.jpg', metadata: { fileSize: 512 } });
+      const received = [];
+      captureService.events.subscribe({ types: ['visit.checked_out'] }, event => received.push(event));
+
+      const result = await captureService.checkOutVisit('session_1', exitGate, Buffer.from('exit-photo'));
+
+      expect(result).toMatchObject({ visitId: 'session_1', enteredAt, overstayed: false, exitImage: { imageId: 'img-exit', role: 'exit_vehicle', plate: 'CA123456', plateMatches: true } });
+      expect(result.durationMs).toBeGreaterThanOrEqual(90 * 60 * 1000);
+      expect(mockImageStorage.storeImage).toHaveBeenCalledWith(
+        Buffer.from('exit-photo'),
+        expect.objectContaining({ captureType: 'exit', sessionId: 'session_1', gateId: 'exit-1', terminalId: 'term_9' })
+      );
+      expect(mockVisitStore.save).toHaveBeenCalledWith(expect.objectContaining({
+        exitedAt: result.exitedAt,
+        exit: expect.objectContaining({ checkedOutBy: 'op_1', gateId: 'exit-1', durationMs: result.durationMs })
+      }));
+      expect(received[0]).toMatchObject({ sessionId: 'session_1', gateId: 'exit-1', data: { unitNumber: 'A101', overstayed: false } });
+    });
+
+    it('should not check a visit out twice', async () => {
+      mockVisitStore.get.mockResolvedValue({ ...onSiteVisit(), exitedAt: '2026-03-01T10:00:00.000Z' });
+
+      await expect(captureService.checkOutVisit('session_1', exitGate)).rejects.toThrow('Visit already checked out at 2026-03-01T10:00:00.000Z');
+      expect(mockVisitStore.save).not.toHaveBeenCalled();
+    });
+
+    it('should find visits by OTP and count unknown OTPs towards lockouts', async () => {
+      mockVisitStore.listOnSite.mockResolvedValueOnce([onSiteVisit()]).mockResolvedValueOnce([]);
+
+      const matches = await captureService.findOnSiteVisits({ otp: ' 123456 ' }, exitGate);
+      expect(mockVisitStore.listOnSite).toHaveBeenCalledWith({ otp: '123456', plate: undefined });
+      expect(matches).toEqual([expect.objectContaining({ visitId: 'session_1', residentInfo: expect.objectContaining({ unitNumber: 'A101' }) })]);
+      expect(mockOtpGuard.recordFailure).not.toHaveBeenCalled();
+
+      await expect(captureService.findOnSiteVisits({ otp: '999999' }, exitGate)).resolves.toEqual([]);
+      expect(mockOtpGuard.recordFailure).toHaveBeenCalledWith('999999', exitGate);
+    });
+  });
+
+  describe('cancelSession', () => {
+    let sessionId;
+
+    beforeEach(async () => {
+      await captureService.initialize();
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101' });
+      sessionId = (await captureService.startCaptureSession('123456')).sessionId;
+      await captureService.setCaptureMode(sessionId, 'vehicle');
+      mockImageStorage.storeImage.mockResolvedValue({ success: true, fileId: 'img-123', filename: 'image.jpg', metadata: { fileSize: 1024 } });
+      mockImageStorage.deleteImage = jest.fn().mockResolvedValue(true);
+      await captureService.processCapture(sessionId, 'person', Buffer.from('mock-image-data'));
+    });
+
+    it('should cancel the session and delete its images by default', async () => {
+      const result = await captureService.cancelSession(sessionId, { operatorId: 'op_1' }, 'Wrong OTP');
+
+      expect(result).toMatchObject({ status: 'cancelled', reason: 'Wrong OTP', images: { policy: 'delete', deletedImageIds: ['img-123'] } });
+      expect(mockImageStorage.deleteImage).toHaveBeenCalledWith('img-123');
+      expect(mockVisitStore.save).toHaveBeenCalledWith({ id: sessionId, status: 'cancelled' });
+      expect(await captureService.getActiveSessionsCount()).toBe(0);
+    });
+
+    it('should keep the images when the policy retains them', async () => {
+      captureService.imagePolicies.cancelled = 'retain';
+
+      const result = await captureService.cancelSession(sessionId);
+
+      expect(result.images).toEqual({ policy: 'retain', deletedImageIds: [], failedImageIds: [] });
+      expect(mockImageStorage.deleteImage).not.toHaveBeenCalled();
+    });
+
+    it('should not complete a session that was not captured', async () => {
+      const other = (await captureService.startCaptureSession('789012')).sessionId;
+
+      await expect(captureService.completeSession(other)).rejects.toThrow('Session is not ready for completion');
+      await expect(captureService.processCapture(other, 'person', Buffer.from('x'))).rejects.toThrow('Capture mode must be set before capturing');
+    });
+
+    it('should keep a session as failed when its visit cannot be recorded', async () => {
+      await captureService.processCapture(sessionId, 'vehicle', Buffer.from('disc'));
+      mockVisitStore.save.mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(captureService.completeSession(sessionId)).rejects.toThrow('disk full');
+
+      const session = await captureService.getSession(sessionId);
+      expect(session.status).toBe('failed');
+      await expect(captureService.processCapture(sessionId, 'person', Buffer.from('x')))
+        .rejects.toThrow('Cannot move session from failed to capturing');
+    });
+  });
+
+  describe('retrieveImage', () => {
+    it('should audit image retrievals', async () => {
+      mockImageStorage.retrieveImage = jest.fn().mockResolvedValue({
+        image: Buffer.from('jpeg'),
+        metadata: { sessionId: 'session_1', captureType: 'person' }
+      });
+
+      await captureService.retrieveImage('img-123', { operatorId: 'op_sup' });
+
+      expect(mockAuditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'image.retrieved',
+        actor: 'op_sup',
+        imageId: 'img-123',
+        sessionId: 'session_1'
+      }));
+    });
+  });
+
+  describe('session persistence', () => {
+    it('should resume a session after a service restart with a shared store', async () => {
+      const sessionStore = new MemorySessionStore();
+      const firstService = createService(sessionStore);
+      await firstService.initialize();
+
+      const mockResidentInfo = { id: '123', name: 'John Doe', unitNumber: 'A101' };
+      mockEstateMateClient.searchByOTP.mockResolvedValue(mockResidentInfo);
+      const { sessionId } = await firstService.startCaptureSession('123456');
+      await firstService.setCaptureMode(sessionId, 'vehicle');
+
+      const restartedService = createService(sessionStore);
+      await restartedService.initialize();
+      const session = await restartedService.getSession(sessionId);
+
+      expect(session.mode).toBe('vehicle');
+      expect(session.residentInfo).toEqual(mockResidentInfo);
+      expect(session.captures).toEqual({ person: [], vehicle: [] });
+    });
+
+    it('should keep both captures when two arrive for one session at once', async () => {
+      await captureService.initialize();
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101' });
+      const { sessionId } = await captureService.startCaptureSession('123456');
+      await captureService.setCaptureMode(sessionId, 'vehicle');
+      mockImageStorage.storeImage.mockImplementation(async (buffer, metadata) => ({
+        success: true,
+        fileId: `img-${metadata.captureType}`,
+        filename: `${metadata.captureType}.jpg`,
+        metadata: { fileSize: 1024 }
+      }));
+
+      await Promise.all([
+        captureService.processCapture(sessionId, 'person', Buffer.from('person-image')),
+        captureService.processCapture(sessionId, 'vehicle', Buffer.from('vehicle-image'))
+      ]);
+
+      const session = await captureService.getSession(sessionId);
+      expect(session.captures.person.map(capture => capture.imageId)).toEqual(['img-person']);
+      expect(session.captures.vehicle.map(capture => capture.imageId)).toEqual(['img-vehicle']);
+    });
+  });
+
   describe('cleanupExpiredSessions', () => {
     it('should clean up expired sessions', async () => {
       await captureService.initialize();
@@ -238,13 +977,48 @@ describe('CaptureService', () => {
       mockEstateMateClient.searchByOTP.mockResolvedValue(mockResidentInfo);
       await captureService.startCaptureSession('123456');
 
-      expect(captureService.getActiveSessionsCount()).toBe(1);
+      expect(await captureService.getActiveSessionsCount()).toBe(1);
 
       // Clean up with very short max age (0ms)
-      const cleanedCount = captureService.cleanupExpiredSessions(0);
+      const cleanedCount = await captureService.cleanupExpiredSessions(0);
 
       expect(cleanedCount).toBe(1);
-      expect(captureService.getActiveSessionsCount()).toBe(0);
+      expect(await captureService.getActiveSessionsCount()).toBe(0);
+      expect(mockVisitStore.save).toHaveBeenCalledWith(expect.objectContaining({ status: 'expired' }));
+    });
+
+    it('should record the timeout in the session history and keep its images', async () => {
+      await captureService.initialize();
+      mockEstateMateClient.searchByOTP.mockResolvedValue({ id: '123', name: 'John Doe', unitNumber: 'A101' });
+      const { sessionId } = await captureService.startCaptureSession('123456');
+      mockImageStorage.deleteImage = jest.fn();
+
+      await captureService.cleanupExpiredSessions(0);
+
+      const [session] = mockVisitStore.buildVisit.mock.calls[0];
+      expect(session.id).toBe(sessionId);
+      expect(session.history[1]).toMatchObject({ from: 'created', to: 'expired', by: 'system:session-expiry', reason: 'timeout' });
+      expect(mockVisitStore.buildVisit.mock.calls[0][1]).toEqual({ imagePolicy: 'retain', deletedImageIds: [], otpReleased: true });
+      expect(mockImageStorage.deleteImage).not.toHaveBeenCalled();
+    });
+
+    it('should expire sessions in the background, one sweep at a time', async () => {
+      jest.useFakeTimers();
+      try {
+        captureService.sweepInterval = 1000;
+        // A sweep that is still running holds back the next ones
+        const cleanup = jest.spyOn(captureService, 'cleanupExpiredSessions').mockReturnValue(new Promise(() => {}));
+
+        captureService.startExpirySweep();
+        jest.advanceTimersByTime(3000);
+        captureService.stopExpirySweep();
+        jest.advanceTimersByTime(3000);
+
+        expect(cleanup).toHaveBeenCalledTimes(1);
+        expect(captureService.sweepTimer).toBeNull();
+      } finally {
+        jest.useRealTimers();
+      }
     });
   });
 });
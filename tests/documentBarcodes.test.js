@@ -0,0 +1,60 @@
+const { parseDocumentBarcode, isValidIdNumber } = require('../src/utils/documentBarcodes');
+
+describe('Document barcodes', () => {
+  const now = new Date('2026-06-01T12:00:00.000Z');
+  // Layout of a real RSA licence disc; the identifying values are made up
+  const disc = expiry =>
+    `%MVL1CC09%0154%4024T0D4%1%4024042S7LVL%KWB056B%DMT567W%Sedan (closed top) / Sedan (toe-kap)%TOYOTA%COROLLA%Silver / Silwer%AHTBB3QE200012345%2ZR1234567%${expiry}%`;
+
+  it('should parse licence disc fields', () => {
+    const result = parseDocumentBarcode(disc('2026-12-31'), now);
+
+    expect(result).toEqual({
+      documentType: 'licence_disc',
+      readable: true,
+      fields: {
+        discNumber: '4024042S7LVL',
+        licenceNumber: 'KWB056B',
+        registerNumber: 'DMT567W',
+        vehicleDescription: 'Sedan (closed top) / Sedan (toe-kap)',
+        make: 'TOYOTA',
+        model: 'COROLLA',
+        colour: 'Silver / Silwer',
+        vin: 'AHTBB3QE200012345',
+        engineNumber: '2ZR1234567',
+        expiryDate: '2026-12-31'
+      },
+      expired: false,
+      warnings: []
+    });
+  });
+
+  it('should flag expired licence discs', () => {
+    const result = parseDocumentBarcode(disc('2026-05-31'), now);
+
+    expect(result.expired).toBe(true);
+    expect(result.warnings).toEqual(['Licence disc expired on 2026-05-31']);
+  });
+
+  it('should parse smart ID card fields and validate the ID number', () => {
+    const result = parseDocumentBarcode('DOE|JOHN|M|RSA|8001015009087|01 Jan 1980|RSA|Citizen|15 Mar 2019|', now);
+
+    expect(result.documentType).toBe('smart_id_card');
+    expect(result.fields).toMatchObject({ surname: 'DOE', idNumber: '8001015009087', dateOfBirth: '1980-01-01', issueDate: '2019-03-15' });
+    expect(result.warnings).toEqual([]);
+    expect(isValidIdNumber('8001015009088')).toBe(false);
+  });
+
+  it('should mark encrypted driver\'s licence barcodes as unreadable', () => {
+    const payload = String.fromCharCode(0x01, 0xe1, 0x02, 0x45) + '\u0000ÿ\u0081';
+
+    expect(parseDocumentBarcode(payload, now)).toMatchObject({ documentType: 'drivers_licence', readable: false });
+  });
+
+  it('should keep readable values from unknown documents', () => {
+    expect(parseDocumentBarcode('ACME ESTATE|PERMIT 42', now)).toMatchObject({
+      documentType: 'unknown',
+      fields: { values: ['ACME ESTATE', 'PERMIT 42'] }
+    });
+  });
+});
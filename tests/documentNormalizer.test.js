@@ -0,0 +1,76 @@
+const { detectDocumentQuad } = require('../src/services/documentNormalizer');
+const { computeHomography, applyHomography, warpPerspective } = require('../src/utils/geometry');
+
+describe('Document normalization', () => {
+  const width = 200;
+  const height = 160;
+
+  // Inside test for a convex quadrilateral given clockwise
+  const inside = (corners, x, y) => corners.every((a, i) => {
+    const b = corners[(i + 1) % corners.length];
+    return (b[0] - a[0]) * (y - a[1]) - (b[1] - a[1]) * (x - a[0]) >= 0;
+  });
+
+  const drawQuad = (corners, documentLevel, backgroundLevel) => {
+    const data = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        data[y * width + x] = inside(corners, x, y) ? documentLevel : backgroundLevel;
+      }
+    }
+    return data;
+  };
+
+  it('should find the corners of a tilted document', () => {
+    const corners = [[40, 20], [170, 35], [155, 140], [25, 120]];
+
+    const detected = detectDocumentQuad(drawQuad(corners, 230, 40), width, height);
+
+    detected.forEach((point, i) => {
+      expect(Math.abs(point[0] - corners[i][0])).toBeLessThanOrEqual(2);
+      expect(Math.abs(point[1] - corners[i][1])).toBeLessThanOrEqual(2);
+    });
+  });
+
+  it('should find dark documents on a light background', () => {
+    const corners = [[30, 30], [170, 30], [170, 130], [30, 130]];
+
+    expect(detectDocumentQuad(drawQuad(corners, 30, 220), width, height)).not.toBeNull();
+  });
+
+  it('should not report a document when there is nothing to crop', () => {
+    const blank = new Uint8Array(width * height).fill(128);
+    const tiny = drawQuad([[90, 70], [110, 70], [110, 90], [90, 90]], 230, 40);
+
+    expect(detectDocumentQuad(blank, width, height)).toBeNull();
+    expect(detectDocumentQuad(tiny, width, height)).toBeNull();
+  });
+
+  it('should map corners exactly with a homography', () => {
+    const from = [[0, 0], [99, 0], [99, 59], [0, 59]];
+    const to = [[12, 8], [140, 20], [130, 110], [5, 95]];
+    const h = computeHomography(from, to);
+
+    from.forEach((point, i) => {
+      const [x, y] = applyHomography(h, point[0], point[1]);
+      expect(x).toBeCloseTo(to[i][0], 6);
+      expect(y).toBeCloseTo(to[i][1], 6);
+    });
+  });
+
+  it('should flatten a document onto a rectangle', () => {
+    const corners = [[40, 20], [170, 35], [155, 140], [25, 120]];
+    const source = { data: Buffer.from(drawQuad(corners, 230, 40)), width, height, channels: 1 };
+
+    const warped = warpPerspective(source, corners, 100, 80);
+
+    // Interior of the output is all document; the background is cropped away
+    const interior = [];
+    for (let y = 5; y < 75; y++) {
+      for (let x = 5; x < 95; x++) {
+        interior.push(warped[y * 100 + x]);
+      }
+    }
+    expect(Math.min(...interior)).toBe(230);
+  });
+});
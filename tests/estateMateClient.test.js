@@ -0,0 +1,69 @@
+const EstateMateClient = require('../src/api/estateMateClient');
+
+describe('EstateMateClient resilience', () => {
+  let client;
+
+  const apiError = (message, fields) => Object.assign(new Error(message), fields);
+  const networkError = () => apiError('Network error - unable to connect to EstateMate API', { retryable: true });
+
+  beforeEach(() => {
+    client = new EstateMateClient();
+    client.retryBaseMs = 0;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    client.stopHealthProbe();
+    jest.restoreAllMocks();
+  });
+
+  it('should retry transient failures with the same request ID', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(apiError('Server error - please try again later', { status: 503, retryable: true }))
+      .mockResolvedValueOnce({ data: {} });
+
+    await client.request(send);
+
+    expect(send).toHaveBeenCalledTimes(3);
+    const requestIds = send.mock.calls.map(([config]) => config.headers['X-Request-ID']);
+    expect(new Set(requestIds).size).toBe(1);
+  });
+
+  it('should not retry errors EstateMate answered', async () => {
+    const send = jest.fn().mockRejectedValue(apiError('OTP not found or expired', { status: 404, retryable: false }));
+
+    await expect(client.request(send)).rejects.toThrow('OTP not found or expired');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(client.breaker.getState().state).toBe('closed');
+  });
+
+  it('should fail fast once the circuit opens and recover after a healthy probe', async () => {
+    client.maxRetries = 0;
+    const send = jest.fn().mockRejectedValue(networkError());
+    for (let i = 0; i < client.breaker.failureThreshold; i++) {
+      await expect(client.request(send)).rejects.toThrow('Network error');
+    }
+
+    await expect(client.request(send)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(send).toHaveBeenCalledTimes(client.breaker.failureThreshold);
+
+    jest.spyOn(client.client, 'get').mockResolvedValue({ data: { status: 'ok' } });
+    const health = await client.probeHealth();
+
+    expect(health).toMatchObject({ status: 'up', circuit: { state: 'closed' } });
+    send.mockResolvedValueOnce({ data: {} });
+    await expect(client.request(send)).resolves.toEqual({ data: {} });
+  });
+
+  it('should let one trial call through after the reset timeout', async () => {
+    client.breaker.resetTimeout = 0;
+    client.breaker.failureThreshold = 1;
+    client.breaker.recordFailure();
+
+    expect(client.breaker.allowRequest()).toBe(true);
+    expect(client.breaker.allowRequest()).toBe(false);
+    client.breaker.recordFailure();
+    expect(client.breaker.getState().state).toBe('open');
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { EstateMateOutbox } = require('../src/services/estateMateOutbox');
+
+describe('EstateMateOutbox', () => {
+  let dir;
+  let deliver;
+  let outbox;
+
+  const visit = {
+    id: 'session_1',
+    mode: 'vehicle',
+    residentInfo: { id: 'res_001', unitNumber: 'A101' },
+    createdAt: '2026-03-01T08:00:00.000Z',
+    completedAt: '2026-03-01T08:03:00.000Z',
+    plates: ['CA123456'],
+    captures: {
+      person: [
+        { imageId: 'img-0', role: 'id_front', timestamp: '2026-03-01T08:01:00.000Z', supersededAt: '2026-03-01T08:02:00.000Z' },
+        { imageId: 'img-1', role: 'id_front', timestamp: '2026-03-01T08:02:00.000Z' }
+      ],
+      vehicle: [{ imageId: 'img-2', role: 'licence_disc', timestamp: '2026-03-01T08:02:30.000Z' }]
+    }
+  };
+
+  const createOutbox = () => new EstateMateOutbox({ deliver, logFile: path.join(dir, 'outbox.log') });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    deliver = jest.fn().mockResolvedValue({ entryId: 'em_1' });
+    outbox = createOutbox();
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('should send the current images of a visit once', async () => {
+    await outbox.enqueueVisit(visit);
+    await outbox.enqueueVisit(visit);
+    await outbox.flush();
+    await outbox.flush();
+
+    expect(deliver).toHaveBeenCalledTimes(1);
+    const [entry] = deliver.mock.calls[0];
+    expect(entry.id).toBe('session_1');
+    expect(entry.payload).toMatchObject({ entry_id: 'session_1', mode: 'vehicle', unit_number: 'A101', completed_at: visit.completedAt });
+    expect(entry.payload.images.map(image => image.image_id)).toEqual(['img-1', 'img-2']);
+    expect((await outbox.list()).entries[0]).toMatchObject({ status: 'delivered', remoteEntryId: 'em_1' });
+  });
+
+  it('should keep entries across restarts and retry them with backoff', async () => {
+    // A slow failure, like a request that runs into its timeout
+    deliver.mockImplementationOnce(() => new Promise((resolve, reject) => setTimeout(
+      () => reject(new Error('Network error - unable to connect to EstateMate API')), 50
+    )));
+    await outbox.enqueueVisit(visit);
+    await outbox.flush();
+    const flushedAt = Date.now();
+
+    const [pending] = (await createOutbox().list({ status: 'pending' })).entries;
+    expect(pending).toMatchObject({ attempts: 1, lastError: 'Network error - unable to connect to EstateMate API' });
+    // The backoff starts when the attempt failed, not when it started
+    const nextAttemptAt = new Date(pending.nextAttemptAt).getTime();
+    expect(nextAttemptAt - new Date(pending.lastAttemptAt).getTime()).toBeGreaterThanOrEqual(outbox.retryBaseMs + 40);
+    expect(nextAttemptAt).toBeLessThanOrEqual(flushedAt + outbox.retryBaseMs);
+
+    // Not due yet
+    const restarted = createOutbox();
+    expect(await restarted.flush()).toEqual({ delivered: 0, failed: 0 });
+  });
+
+  it('should treat a conflict as already delivered and give up on rejected entries', async () => {
+    const conflict = Object.assign(new Error('Already recorded'), { status: 409 });
+    const rejected = Object.assign(new Error('Invalid OTP format or missing required data'), { status: 400 });
+    deliver.mockRejectedValueOnce(conflict).mockRejectedValueOnce(rejected);
+
+    await outbox.enqueueVisit(visit);
+    await outbox.enqueueVisit({ ...visit, id: 'session_2', createdAt: '2026-03-01T09:00:00.000Z' });
+    await outbox.flush();
+
+    const { counts } = await outbox.list();
+    expect(counts).toEqual({ pending: 0, delivered: 1, dead: 1 });
+
+    await outbox.retry('session_2');
+    await outbox.flush();
+    expect((await outbox.list()).counts).toEqual({ pending: 0, delivered: 2, dead: 0 });
+  });
+});
@@ -0,0 +1,43 @@
+const SessionEventBus = require('../src/services/eventBus');
+
+describe('SessionEventBus', () => {
+  let events;
+
+  beforeEach(() => {
+    events = new SessionEventBus({ bufferSize: 3 });
+  });
+
+  it('should deliver events matching the subscription filter', () => {
+    const gateA = [];
+    const completed = [];
+    events.subscribe({ gateId: 'gate-a' }, event => gateA.push(event.type));
+    events.subscribe({ types: ['session.completed'] }, event => completed.push(event.sessionId));
+
+    events.publish('session.started', { sessionId: 's1', gateId: 'gate-a' });
+    events.publish('session.started', { sessionId: 's2', gateId: 'gate-b' });
+    events.publish('session.completed', { sessionId: 's2', gateId: 'gate-b' });
+
+    expect(gateA).toEqual(['session.started']);
+    expect(completed).toEqual(['s2']);
+  });
+
+  it('should stop delivering after unsubscribing', () => {
+    const received = [];
+    const unsubscribe = events.subscribe({}, event => received.push(event.id));
+
+    events.publish('session.started');
+    unsubscribe();
+    events.publish('session.started');
+
+    expect(received).toEqual([1]);
+  });
+
+  it('should replay recent events after a given ID', () => {
+    ['a', 'b', 'c', 'd'].forEach(sessionId => events.publish('session.started', { sessionId }));
+
+    expect(events.since(2).map(event => event.sessionId)).toEqual(['c', 'd']);
+    // Only the last three are kept
+    expect(events.since(0).map(event => event.id)).toEqual([2, 3, 4]);
+    expect(events.since(0, { sessionId: 'c' })).toHaveLength(1);
+  });
+});
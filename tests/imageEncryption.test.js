@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('node:crypto');
+const ImageStorageService = require('../src/services/imageStorage');
+const KeyRing = require('../src/services/keyRing');
+const KeyRotationService = require('../src/services/keyRotationService');
+const { DataKeyStore, LocalKeyWrapper } = require('../src/services/keystore');
+
+describe('Image envelope encryption', () => {
+  const oldKey = crypto.randomBytes(32).toString('base64');
+  const newKey = crypto.randomBytes(32).toString('base64');
+  let storageDir;
+  let imageStorage;
+
+  const useMasterKeys = (keys, activeKeyId) => {
+    imageStorage.keyRing = new KeyRing({ keys, activeKeyId });
+    imageStorage.keyStore = new DataKeyStore(new LocalKeyWrapper(imageStorage.keyRing), {
+      dataKeyDir: path.join(storageDir, 'data-keys')
+    });
+  };
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seren-keys-'));
+    process.env.IMAGE_STORAGE_DIR = storageDir;
+    process.env.KEYSTORE_DATA_KEY_DIR = path.join(storageDir, 'data-keys');
+    imageStorage = new ImageStorageService();
+    await imageStorage.ensureStorageDirectory();
+    useMasterKeys({ old: oldKey }, 'old');
+  });
+
+  afterEach(async () => {
+    delete process.env.IMAGE_STORAGE_DIR;
+    delete process.env.KEYSTORE_DATA_KEY_DIR;
+    await fs.remove(storageDir);
+  });
+
+  const saveImage = async (id, encrypted, extra = {}) => {
+    const filePath = path.join(storageDir, 'person', `${id}.jpg`);
+    await fs.writeFile(filePath, encrypted);
+    await imageStorage.saveMetadata({
+      id,
+      filePath,
+      captureType: 'person',
+      timestamp: new Date().toISOString(),
+      residentInfo: { id: 'res_1' },
+      fileSize: encrypted.length,
+      checksum: crypto.createHash('sha256').update(encrypted).digest('hex'),
+      ...extra
+    });
+  };
+
+  const storeEnvelopeImage = async (id, content) => {
+    const { dataKey, masterKeyId } = await imageStorage.keyStore.createDataKey(id);
+    await saveImage(id, imageStorage.encryptImage(Buffer.from(content), dataKey, id), {
+      encryption: 'envelope',
+      encryptionKeyId: masterKeyId
+    });
+  };
+
+  // Key ring format written before envelope encryption: header names the key directly
+  const storeKeyedImage = async (id, content, keyId) => {
+    const header = Buffer.concat([Buffer.from('SRNC'), Buffer.from([1, keyId.length]), Buffer.from(keyId)]);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', imageStorage.keyRing.getKey(keyId), iv);
+    cipher.setAAD(Buffer.concat([Buffer.from('seren-capture'), header]));
+    const encrypted = Buffer.concat([cipher.update(Buffer.from(content)), cipher.final()]);
+    await saveImage(id, Buffer.concat([header, iv, cipher.getAuthTag(), encrypted]), { encryptionKeyId: keyId });
+  };
+
+  it('should encrypt each image under its own data key', async () => {
+    await storeEnvelopeImage('img-1', 'first');
+    await storeEnvelopeImage('img-2', 'second');
+
+    const first = await imageStorage.keyStore.getDataKey('img-1');
+    const second = await imageStorage.keyStore.getDataKey('img-2');
+
+    expect(first.equals(second)).toBe(false);
+    expect((await imageStorage.retrieveImage('img-1')).image.toString()).toBe('first');
+  });
+
+  it('should reject a ciphertext moved to another image', async () => {
+    await storeEnvelopeImage('img-1', 'first');
+    await storeEnvelopeImage('img-2', 'second');
+    const metadata = await imageStorage.getMetadata('img-1');
+
+    await expect(imageStorage.decryptImage(await fs.readFile(metadata.filePath), 'img-2'))
+      .rejects.toThrow('Failed to decrypt image');
+  });
+
+  it('should bind kept originals to the original variant', async () => {
+    const { dataKey } = await imageStorage.keyStore.createDataKey('img-1');
+    const encrypted = imageStorage.encryptImage(Buffer.from('untouched'), dataKey, 'img-1', 'original');
+
+    expect((await imageStorage.decryptImage(encrypted, 'img-1', 'original')).toString()).toBe('untouched');
+    await expect(imageStorage.decryptImage(encrypted, 'img-1')).rejects.toThrow('Failed to decrypt image');
+  });
+
+  it('should crypto-shred a single image', async () => {
+    await storeEnvelopeImage('img-1', 'first');
+    await storeEnvelopeImage('img-2', 'second');
+
+    const shredded = await imageStorage.shredImage('img-1');
+
+    expect(shredded.shreddedAt).toBeDefined();
+    await expect(imageStorage.keyStore.getDataKey('img-1')).rejects.toThrow('Data key not found');
+    await expect(imageStorage.retrieveImage('img-1')).rejects.toThrow('Failed to retrieve image');
+    expect((await imageStorage.retrieveImage('img-2')).image.toString()).toBe('second');
+  });
+
+  it('should re-wrap data keys under the new master key without rewriting files', async () => {
+    await storeEnvelopeImage('img-1', 'first');
+    const before = await fs.readFile((await imageStorage.getMetadata('img-1')).filePath);
+    useMasterKeys({ old: oldKey, new: newKey }, 'new');
+    const rotation = new KeyRotationService(imageStorage, { stateFile: path.join(storageDir, 'rotation.json') });
+
+    await rotation.start();
+    await rotation.waitForCompletion();
+
+    const { metadata } = await imageStorage.retrieveImage('img-1');
+    expect((await rotation.loadState()).rotated).toBe(1);
+    expect(metadata.encryptionKeyId).toBe('new');
+    expect((await fs.readFile(metadata.filePath)).equals(before)).toBe(true);
+
+    // Old master key can now be retired
+    useMasterKeys({ new: newKey }, 'new');
+    expect((await imageStorage.retrieveImage('img-1')).image.toString()).toBe('first');
+  });
+
+  it('should convert key ring images to envelope encryption and update checksums', async () => {
+    await storeKeyedImage('img-1', 'first', 'old');
+    useMasterKeys({ old: oldKey, new: newKey }, 'new');
+
+    const result = await imageStorage.reencryptImage('img-1');
+
+    const { image, metadata } = await imageStorage.retrieveImage('img-1');
+    const stored = await fs.readFile(metadata.filePath);
+    expect(result).toEqual({ rotated: true, fromKeyId: 'old', toKeyId: 'new' });
+    expect(image.toString()).toBe('first');
+    expect(metadata.encryption).toBe('envelope');
+    expect(imageStorage.parseEncryptedImage(stored).formatVersion).toBe(2);
+    expect(metadata.checksum).toBe(crypto.createHash('sha256').update(stored).digest('hex'));
+  });
+
+  // Give a concurrent change the chance to finish first, unless it is queued behind the caller
+  const letRun = promise => Promise.race([promise, new Promise(resolve => setTimeout(resolve, 100))]);
+
+  it('should not bring back a data key destroyed while it was being re-wrapped', async () => {
+    await storeEnvelopeImage('img-1', 'first');
+    useMasterKeys({ old: oldKey, new: newKey }, 'new');
+    const { wrapper } = imageStorage.keyStore;
+    const wrapKey = wrapper.wrapKey.bind(wrapper);
+    let destroying;
+    wrapper.wrapKey = async (...args) => {
+      destroying = imageStorage.keyStore.destroyDataKey('img-1');
+      await letRun(destroying);
+      return wrapKey(...args);
+    };
+
+    await imageStorage.keyStore.rewrapDataKey('img-1');
+
+    expect(await destroying).toBe(true);
+    await expect(imageStorage.keyStore.getDataKey('img-1')).rejects.toThrow('Data key not found');
+  });
+
+  it('should not undo a shred that arrives while the image is being rotated', async () => {
+    await storeEnvelopeImage('img-1', 'first');
+    useMasterKeys({ old: oldKey, new: newKey }, 'new');
+    const rewrapDataKey = imageStorage.keyStore.rewrapDataKey.bind(imageStorage.keyStore);
+    let shredding;
+    imageStorage.keyStore.rewrapDataKey = async (imageId) => {
+      const result = await rewrapDataKey(imageId);
+      shredding = imageStorage.shredImage(imageId);
+      await letRun(shredding);
+      return result;
+    };
+
+    await imageStorage.reencryptImage('img-1');
+    await shredding;
+
+    expect((await imageStorage.getMetadata('img-1')).shreddedAt).toBeDefined();
+    await expect(imageStorage.keyStore.getDataKey('img-1')).rejects.toThrow('Data key not found');
+  });
+
+  it('should resume an interrupted rotation', async () => {
+    await storeEnvelopeImage('img-1', 'first');
+    await storeEnvelopeImage('img-2', 'second');
+    useMasterKeys({ old: oldKey, new: newKey }, 'new');
+    const stateFile = path.join(storageDir, 'rotation.json');
+    await imageStorage.reencryptImage('img-1');
+    await fs.writeJson(stateFile, {
+      runId: 'run-1', targetKeyId: 'new', status: 'running', startedAt: new Date().toISOString(),
+      total: 2, processed: 1, rotated: 1, failed: 0, lastImageId: 'img-1', errors: []
+    });
+
+    const rotation = new KeyRotationService(imageStorage, { stateFile });
+    expect(await rotation.resumeIfInterrupted()).toBe(true);
+    await rotation.waitForCompletion();
+
+    const state = await rotation.loadState();
+    expect(state.runId).toBe('run-1');
+    expect(state.processed).toBe(2);
+    expect(state.rotated).toBe(2);
+    expect((await imageStorage.getMetadata('img-2')).encryptionKeyId).toBe('new');
+  });
+});
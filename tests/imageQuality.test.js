@@ -0,0 +1,76 @@
+const { ImageQualityAnalyzer, measurePixels } = require('../src/services/imageQuality');
+
+describe('Image quality', () => {
+  const width = 200;
+  const height = 150;
+
+  // Grey background with a checkered "document" covering the given share of each side
+  const buildImage = ({ background = 110, share = 0.8, checker = true, fill = null } = {}) => {
+    const data = new Uint8Array(width * height).fill(background);
+    const x0 = Math.round(width * (1 - share) / 2);
+    const y0 = Math.round(height * (1 - share) / 2);
+    for (let y = y0; y < height - y0; y++) {
+      for (let x = x0; x < width - x0; x++) {
+        data[y * width + x] = fill !== null ? fill : (checker && (Math.floor(x / 4) + Math.floor(y / 4)) % 2 ? 40 : 180);
+      }
+    }
+    return data;
+  };
+
+  it('should score a sharp, well exposed document highly', () => {
+    const scores = measurePixels(buildImage(), width, height);
+
+    expect(scores.sharpness).toBeGreaterThan(1000);
+    expect(scores.brightness).toBeGreaterThan(60);
+    expect(scores.glare).toBe(0);
+    expect(scores.documentCoverage).toBeGreaterThan(0.5);
+  });
+
+  it('should measure glare and small documents', () => {
+    const glare = measurePixels(buildImage({ fill: 255 }), width, height);
+    const small = measurePixels(buildImage({ share: 0.3 }), width, height);
+
+    expect(glare.glare).toBeGreaterThan(0.5);
+    expect(small.documentCoverage).toBeLessThan(0.2);
+  });
+
+  it('should report machine-readable retake reasons', () => {
+    const analyzer = new ImageQualityAnalyzer({ mode: 'enforce' });
+
+    const reasons = analyzer.evaluate({
+      width: 320,
+      height: 240,
+      sharpness: 10,
+      brightness: 30,
+      glare: 0,
+      documentCoverage: 0.5
+    });
+
+    expect(reasons.map(reason => reason.code)).toEqual(['LOW_RESOLUTION', 'BLURRY', 'TOO_DARK']);
+    expect(reasons[1]).toMatchObject({ value: 10, threshold: 60 });
+  });
+
+  it('should only check document coverage on documents', () => {
+    const analyzer = new ImageQualityAnalyzer({ mode: 'enforce' });
+    const scores = { width: 1280, height: 720, sharpness: 100, brightness: 120, glare: 0.2, documentCoverage: 0.05 };
+
+    expect(analyzer.evaluate(scores).map(reason => reason.code)).toEqual(['GLARE', 'DOCUMENT_TOO_SMALL']);
+
+    const scene = analyzer.evaluate(scores, { document: false });
+    expect(scene.map(reason => reason.code)).toEqual(['GLARE']);
+    expect(scene[0].message).not.toMatch(/document/);
+  });
+
+  it('should accept portrait images that meet the minimum resolution', () => {
+    const analyzer = new ImageQualityAnalyzer({ mode: 'enforce' });
+
+    expect(analyzer.evaluate({
+      width: 480,
+      height: 640,
+      sharpness: 100,
+      brightness: 120,
+      glare: 0,
+      documentCoverage: 0.5
+    })).toEqual([]);
+  });
+});
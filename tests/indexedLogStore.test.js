@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const IndexedLogStore = require('../src/utils/indexedLogStore');
+
+describe('IndexedLogStore', () => {
+  let storageDir;
+  let logFile;
+
+  const createStore = () => new IndexedLogStore({
+    logFile,
+    indexes: {
+      residentId: record => record.residentInfo.id,
+      captureType: record => record.captureType
+    },
+    sortBy: 'timestamp'
+  });
+
+  const buildRecord = (id, residentId, captureType, timestamp) => ({
+    id,
+    captureType,
+    timestamp,
+    residentInfo: { id: residentId }
+  });
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seren-index-'));
+    logFile = path.join(storageDir, 'index', 'metadata.log');
+  });
+
+  afterEach(async () => {
+    await fs.remove(storageDir);
+  });
+
+  it('should find records by index and keep them after reload', async () => {
+    const store = createStore();
+    await store.put(buildRecord('a', 'res_1', 'person', '2024-01-02T00:00:00.000Z'));
+    await store.put(buildRecord('b', 'res_2', 'vehicle', '2024-01-01T00:00:00.000Z'));
+    await store.put(buildRecord('c', 'res_1', 'vehicle', '2024-01-03T00:00:00.000Z'));
+
+    const reloaded = createStore();
+
+    expect((await reloaded.findBy('residentId', 'res_1')).map(r => r.id).sort()).toEqual(['a', 'c']);
+    expect(await reloaded.countBy('captureType')).toEqual({ person: 1, vehicle: 2 });
+    expect((await reloaded.range()).map(r => r.id)).toEqual(['b', 'a', 'c']);
+  });
+
+  it('should fold over all records', async () => {
+    const store = createStore();
+    await store.put(buildRecord('a', 'res_1', 'person', '2024-01-02T00:00:00.000Z'));
+    await store.put(buildRecord('b', 'res_2', 'vehicle', '2024-01-01T00:00:00.000Z'));
+    await store.delete('b');
+
+    expect(await store.reduce((ids, record) => [...ids, record.id], [])).toEqual(['a']);
+    expect(await createStore().reduce((count, record) => count + (record.captureType === 'vehicle' ? 1 : 0), 0)).toBe(0);
+  });
+
+  it('should reindex replaced records and drop deleted ones', async () => {
+    const store = createStore();
+    await store.put(buildRecord('a', 'res_1', 'person', '2024-01-02T00:00:00.000Z'));
+    await store.put(buildRecord('a', 'res_2', 'person', '2024-01-02T00:00:00.000Z'));
+    await store.put(buildRecord('b', 'res_2', 'vehicle', '2024-01-01T00:00:00.000Z'));
+    expect(await store.delete('b')).toBe(true);
+    expect(await store.delete('b')).toBe(false);
+
+    expect(await store.findBy('residentId', 'res_1')).toEqual([]);
+    expect((await store.findBy('residentId', 'res_2')).map(r => r.id)).toEqual(['a']);
+    expect(await store.count()).toBe(1);
+  });
+
+  it('should return ranges with an exclusive upper bound', async () => {
+    const store = createStore();
+    await store.putMany([
+      buildRecord('a', 'res_1', 'person', '2024-01-01T00:00:00.000Z'),
+      buildRecord('b', 'res_1', 'person', '2024-02-01T00:00:00.000Z'),
+      buildRecord('c', 'res_1', 'person', '2024-03-01T00:00:00.000Z')
+    ]);
+
+    const records = await store.range({ from: '2024-01-01T00:00:00.000Z', to: '2024-03-01T00:00:00.000Z' });
+    expect(records.map(r => r.id)).toEqual(['a', 'b']);
+  });
+
+  it('should see records appended by another instance', async () => {
+    const first = createStore();
+    const second = createStore();
+    await first.put(buildRecord('a', 'res_1', 'person', '2024-01-01T00:00:00.000Z'));
+
+    await second.put(buildRecord('b', 'res_1', 'person', '2024-01-02T00:00:00.000Z'));
+
+    expect(await first.count()).toBe(2);
+  });
+
+  it('should not let callers change indexed records without put', async () => {
+    const store = createStore();
+    await store.put(buildRecord('a', 'res_1', 'person', '2024-01-01T00:00:00.000Z'));
+
+    const record = await store.get('a');
+    record.residentInfo.id = 'res_9';
+
+    expect((await store.findBy('residentId', 'res_1')).map(r => r.id)).toEqual(['a']);
+  });
+
+  it('should compact the log down to live records', async () => {
+    const store = createStore();
+    await store.put(buildRecord('a', 'res_1', 'person', '2024-01-01T00:00:00.000Z'));
+    await store.put(buildRecord('a', 'res_1', 'vehicle', '2024-01-01T00:00:00.000Z'));
+    await store.compact();
+
+    const lines = (await fs.readFile(logFile, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect((await createStore().get('a')).captureType).toBe('vehicle');
+  });
+
+  it('should keep lines other processes append during compaction', async () => {
+    const store = createStore();
+    await store.put(buildRecord('a', 'res_1', 'person', '2024-01-01T00:00:00.000Z'));
+    await store.put(buildRecord('a', 'res_1', 'vehicle', '2024-01-01T00:00:00.000Z'));
+    await createStore().put(buildRecord('b', 'res_2', 'person', '2024-01-02T00:00:00.000Z'));
+
+    // Another writer gets in between the new log being written and the rename
+    const rename = fs.rename;
+    const spy = jest.spyOn(fs, 'rename').mockImplementation(async (from, to) => {
+      await createStore().put(buildRecord('c', 'res_3', 'person', '2024-01-03T00:00:00.000Z'));
+      return rename(from, to);
+    });
+    await store.compact();
+    spy.mockRestore();
+
+    expect((await store.all()).map(r => r.id).sort()).toEqual(['a', 'b', 'c']);
+    expect((await createStore().all()).map(r => r.id).sort()).toEqual(['a', 'b', 'c']);
+  });
+});
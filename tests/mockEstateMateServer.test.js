@@ -0,0 +1,115 @@
+const axios = require('axios');
+const EstateMateClient = require('../src/api/estateMateClient');
+const MockEstateMateServer = require('../src/api/mockEstateMateServer');
+
+// The real client over HTTP, so its interceptors, retries and error mapping all run
+describe('EstateMateClient against the mock EstateMate server', () => {
+  let server;
+  let client;
+
+  const createClient = (apiKey = 'test-key') => {
+    process.env.ESTATE_MATE_API_URL = server.url;
+    process.env.ESTATE_MATE_API_KEY = apiKey;
+    process.env.ESTATE_MATE_TIMEOUT_MS = '200';
+    try {
+      const created = new EstateMateClient();
+      created.retryBaseMs = 0;
+      return created;
+    } finally {
+      delete process.env.ESTATE_MATE_API_URL;
+      delete process.env.ESTATE_MATE_API_KEY;
+      delete process.env.ESTATE_MATE_TIMEOUT_MS;
+    }
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = new MockEstateMateServer({ apiKey: 'test-key' });
+    await server.start(0);
+    client = createClient();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('should look up fixture residents', async () => {
+    const info = await client.searchByOTP(' 789012 ');
+
+    expect(info).toMatchObject({ id: 'res_002', name: 'Jane Smith', unitNumber: 'B205', visitorType: 'vehicle', status: 'active' });
+    expect(new Date(info.validUntil).getTime()).toBeGreaterThan(Date.now());
+    expect(server.requests).toEqual([expect.objectContaining({ path: '/visitor/otp-search', body: expect.objectContaining({ otp: '789012' }) })]);
+    expect(await client.testConnection()).toBe(true);
+  });
+
+  it('should map answers that are not retried', async () => {
+    await expect(client.searchByOTP('000000')).rejects.toMatchObject({ message: 'OTP not found or expired', status: 404 });
+    await expect(createClient('wrong-key').searchByOTP('123456')).rejects.toMatchObject({ message: 'Unauthorized access - check API credentials', status: 401 });
+
+    expect(server.requests).toHaveLength(2);
+    expect(client.breaker.getState().state).toBe('closed');
+  });
+
+  it('should retry flaky lookups with the same request ID', async () => {
+    server.setScenario('flaky');
+
+    expect((await client.searchByOTP('123456')).id).toBe('res_001');
+
+    expect(server.requests).toHaveLength(3);
+    expect(new Set(server.requests.map(request => request.requestId)).size).toBe(1);
+  });
+
+  it('should give up on rate limiting after the last retry', async () => {
+    server.setScenario('rate_limited');
+
+    await expect(client.searchByOTP('123456')).rejects.toMatchObject({ message: 'Too many requests - please try again later', status: 429 });
+    expect(server.requests).toHaveLength(client.maxRetries + 1);
+  });
+
+  it('should time out requests that get no answer', async () => {
+    client.maxRetries = 0;
+    server.setScenario('timeout');
+
+    await expect(client.searchByOTP('123456')).rejects.toThrow('EstateMate API timed out after 200ms');
+
+    server.setScenario({ latencyMs: 50 });
+    expect((await client.searchByOTP('123456')).id).toBe('res_001');
+  });
+
+  it('should reject malformed payloads', async () => {
+    for (const scenario of ['malformed', 'empty_payload']) {
+      server.setScenario(scenario);
+      await expect(client.searchByOTP('123456')).rejects.toMatchObject({ code: 'MALFORMED_RESPONSE' });
+    }
+  });
+
+  it('should open the circuit when EstateMate keeps failing', async () => {
+    client.maxRetries = 0;
+    server.setScenario('server_error');
+
+    for (let i = 0; i < client.breaker.failureThreshold; i++) {
+      await expect(client.searchByOTP('123456')).rejects.toThrow('Server error - please try again later');
+    }
+
+    await expect(client.searchByOTP('123456')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect((await client.probeHealth()).status).toBe('down');
+  });
+
+  it('should record visitor entries once per idempotency key', async () => {
+    const first = await client.recordVisitorEntry({ session_id: 'session_1' }, 'visit_session_1');
+
+    expect(first.entryId).toMatch(/^em_entry_/);
+    expect(await client.recordVisitorEntry({ session_id: 'session_1' }, 'visit_session_1')).toEqual(first);
+    expect(server.requests.map(request => request.idempotencyKey)).toEqual(['visit_session_1', 'visit_session_1']);
+  });
+
+  it('should switch scenarios over HTTP', async () => {
+    const response = await axios.put(`${server.url}/__mock/scenario`, { name: 'not_found' });
+
+    expect(response.data.name).toBe('not_found');
+    await expect(client.searchByOTP('123456')).rejects.toMatchObject({ status: 404 });
+    await expect(axios.put(`${server.url}/__mock/scenario`, { name: 'nope' })).rejects.toMatchObject({ response: { status: 400 } });
+  });
+});
@@ -0,0 +1,104 @@
+const crypto = require('node:crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const VisitStore = require('../src/services/visitStore');
+const OnSiteRegister = require('../src/services/onSiteRegister');
+
+describe('OnSiteRegister', () => {
+  let dir;
+  let visitStore;
+  let register;
+
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  const recordVisit = async (id, fields = {}) => {
+    const session = {
+      id,
+      otp: `otp-${id}`,
+      status: 'completed',
+      mode: 'vehicle',
+      residentInfo: { id: 'res_1', name: 'John Doe', unitNumber: 'A101' },
+      gateId: 'main-vehicle',
+      createdAt: hoursAgo(3),
+      completedAt: hoursAgo(2),
+      captures: { vehicle: [{ imageId: `img-${id}`, plate: { normalized: `CA${id}` } }] },
+      ...fields
+    };
+    const visit = visitStore.buildVisit(session);
+    await visitStore.save(visit);
+    return visit;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'on-site-'));
+    visitStore = new VisitStore({ logFile: path.join(dir, 'visits.log'), otpSecret: 'test-otp-secret' });
+    register = new OnSiteRegister({ visitStore, stayLimits: { delivery: 60 * 60 * 1000 } });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('should list completed visits that have not checked out', async () => {
+    await recordVisit('1');
+    await recordVisit('2', { status: 'cancelled' });
+    const exited = await recordVisit('3');
+    await visitStore.save({ ...exited, exitedAt: new Date().toISOString() });
+    // Recorded before check-out existed, so its presence is unknown
+    const legacy = await recordVisit('4');
+    delete legacy.exitedAt;
+    await visitStore.save(legacy);
+
+    const result = await register.list();
+
+    expect(result.count).toBe(1);
+    expect(result.visits[0]).toMatchObject({ visitId: '1', residentInfo: { unitNumber: 'A101' }, plates: ['CA1'], overstayed: false });
+    expect(result.visits[0].durationMs).toBeGreaterThanOrEqual(2 * 60 * 60 * 1000);
+  });
+
+  it('should flag visits that stay longer than their mode allows', async () => {
+    await recordVisit('1');
+    await recordVisit('2', { mode: 'delivery' });
+
+    const result = await register.list({ overstayed: true });
+
+    expect(result).toMatchObject({ count: 2, overstayed: 1 });
+    expect(result.visits).toEqual([expect.objectContaining({ visitId: '2', stayLimitMs: 60 * 60 * 1000, overstayed: true })]);
+    expect(result.visits[0].overstayedByMs).toBeGreaterThanOrEqual(60 * 60 * 1000);
+  });
+
+  it('should find a visit by OTP, plate or reference', async () => {
+    await recordVisit('1');
+    await recordVisit('2', { gateId: 'pedestrian' });
+
+    expect((await register.find({ otp: 'otp-1' })).map(match => match.visitId)).toEqual(['1']);
+    expect((await register.find({ plate: 'ca 2' })).map(match => match.visitId)).toEqual(['2']);
+    expect((await register.find({ reference: '2' })).map(match => match.visitId)).toEqual(['2']);
+    expect(await register.find({ reference: 'unknown' })).toEqual([]);
+    expect((await register.list({ gateId: 'pedestrian' })).visits).toHaveLength(1);
+  });
+
+  it('should not store the OTP on the visit', async () => {
+    await recordVisit('1');
+
+    expect(await fs.readFile(path.join(dir, 'visits.log'), 'utf8')).not.toContain('otp-1');
+  });
+
+  it('should key the OTP hash so it cannot be reversed without the secret', async () => {
+    const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+    const visit = await recordVisit('1');
+
+    expect(visit.otpHash).not.toBe(sha256('otp-1'));
+    expect(new VisitStore({ logFile: path.join(dir, 'other.log'), otpSecret: 'other' }).hashOtp('otp-1')).not.toBe(visit.otpHash);
+  });
+
+  it('should require exactly one lookup field', async () => {
+    await expect(register.find({})).rejects.toThrow('Look up a visit by exactly one of otp, plate or reference');
+    await expect(register.find({ otp: '1', plate: 'CA1' })).rejects.toThrow('exactly one');
+  });
+
+  it('should reject invalid stay limits', () => {
+    expect(() => register.parseStayLimits('delivery:soon')).toThrow('Invalid visit stay limit "delivery:soon"');
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { OtpGuard, OtpLockoutError } = require('../src/services/otpGuard');
+
+describe('OtpGuard', () => {
+  let dir;
+  let guard;
+  const terminal = { terminalId: 'term-1', ip: '10.0.0.5' };
+
+  const createGuard = () => new OtpGuard({
+    stateFile: path.join(dir, 'otp-guard.json'),
+    thresholds: { terminal: 3, ip: 5, prefix: 4 }
+  });
+
+  const fail = async (otp, context = terminal) => guard.recordFailure(otp, context);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'otp-guard-'));
+    guard = createGuard();
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('should lock out a terminal once it reaches its threshold', async () => {
+    await fail('111111');
+    await fail('222222');
+    expect(() => guard.check('333333', terminal)).not.toThrow();
+
+    const [lockout] = await fail('333333');
+
+    expect(lockout).toMatchObject({ scope: 'terminal', key: 'terminal:term-1', durationMs: guard.lockoutBase });
+    expect(() => guard.check('444444', terminal)).toThrow(OtpLockoutError);
+    // Another terminal on another IP is unaffected
+    expect(() => guard.check('444444', { terminalId: 'term-2', ip: '10.0.0.6' })).not.toThrow();
+  });
+
+  it('should count unregistered devices under their operator, never the gate header', async () => {
+    const device = { operatorId: 'op_1', gateId: 'gate-1', ip: '10.0.0.5' };
+    await fail('111111', device);
+    await fail('222222', device);
+    const [lockout] = await fail('333333', { ...device, gateId: 'gate-2' });
+
+    expect(lockout).toMatchObject({ scope: 'terminal', key: 'operator:op_1' });
+    // Sending another X-Gate-Id does not get around the lockout
+    expect(() => guard.check('444444', { ...device, gateId: 'gate-3' })).toThrow(OtpLockoutError);
+    expect(guard.sourcesFor('444444', { gateId: 'gate-1' })).toEqual([{ scope: 'prefix', key: 'prefix:444' }]);
+  });
+
+  it('should not let concurrent guesses past the check before failures are recorded', async () => {
+    const guess = otp => guard.serialize(otp, terminal, async () => {
+      guard.check(otp, terminal);
+      await new Promise(resolve => setImmediate(resolve)); // EstateMate lookup
+      await guard.recordFailure(otp, terminal);
+    });
+
+    const results = await Promise.allSettled(['111111', '222222', '333333', '444444', '555555'].map(guess));
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'rejected']);
+    expect(results[3].reason).toBeInstanceOf(OtpLockoutError);
+    expect(guard.lookups.size).toBe(0);
+    await expect(guard.serialize('999999', { terminalId: 'term-2', ip: '10.0.0.6' }, async () => 'done')).resolves.toBe('done');
+  });
+
+  it('should lock out an OTP prefix tried from many terminals', async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail(`12345${i}`, { terminalId: `term-${i}`, ip: `10.0.0.${i}` });
+    }
+
+    expect(() => guard.check('123999', { terminalId: 'term-9', ip: '10.0.0.9' })).toThrow('Too many failed OTP attempts');
+    expect(() => guard.check('999999', { terminalId: 'term-9', ip: '10.0.0.9' })).not.toThrow();
+  });
+
+  it('should double the lockout each time and keep it across restarts', async () => {
+    for (let i = 0; i < 3; i++) {
+      await fail(`11111${i}`);
+    }
+    // Let the first lockout end
+    guard.sources['terminal:term-1'].lockedUntil = new Date(Date.now() - 1000).toISOString();
+    await guard.saveState();
+
+    const restarted = createGuard();
+    guard = restarted;
+    await fail('222221');
+    await fail('222222');
+    const [lockout] = await fail('222223');
+
+    expect(lockout.durationMs).toBe(guard.lockoutBase * 2);
+    expect(() => createGuard().check('333333', terminal)).toThrow(OtpLockoutError);
+  });
+
+  it('should forget failures outside the sliding window', async () => {
+    await fail('111111');
+    await fail('222222');
+    guard.sources['terminal:term-1'].failures = guard.sources['terminal:term-1'].failures.map(at => at - guard.window);
+
+    expect(await fail('333333')).toEqual([]);
+  });
+});
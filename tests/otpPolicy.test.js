@@ -0,0 +1,112 @@
+const crypto = require('node:crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { OtpPolicy, OtpPolicyError } = require('../src/services/otpPolicy');
+
+describe('OtpPolicy', () => {
+  let dir;
+  const resident = { id: 'res_1', status: 'active' };
+
+  const createPolicy = (policy, otpSecret = 'test-otp-secret') => new OtpPolicy({ logFile: path.join(dir, 'usage.log'), policy, otpSecret });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'otp-policy-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('should allow a single entry by default', async () => {
+    const policy = createPolicy();
+
+    await expect(policy.consume('123456', resident, 'session_1')).resolves.toEqual({ policy: 'single', entries: 1, remaining: 0 });
+    await expect(policy.consume('123456', resident, 'session_2')).rejects.toMatchObject({ code: 'OTP_CONSUMED' });
+    // The same PIN issued to another resident is a different OTP
+    await expect(policy.consume('123456', { ...resident, id: 'res_2' }, 'session_3')).resolves.toMatchObject({ entries: 1 });
+  });
+
+  it('should track invite OTPs per invite', async () => {
+    const policy = createPolicy();
+
+    await policy.consume('123456', { ...resident, inviteId: 'inv_1' }, 'session_1');
+
+    await expect(policy.consume('123456', { ...resident, inviteId: 'inv_1' }, 'session_2')).rejects.toMatchObject({ code: 'OTP_CONSUMED' });
+    await expect(policy.consume('123456', { ...resident, inviteId: 'inv_2' }, 'session_3')).resolves.toMatchObject({ entries: 1 });
+  });
+
+  it('should remember uses across restarts without storing the OTP', async () => {
+    await createPolicy().consume('123456', resident, 'session_1');
+
+    await expect(createPolicy().consume('123456', resident, 'session_2')).rejects.toThrow('OTP has already been used');
+    expect(await fs.readFile(path.join(dir, 'usage.log'), 'utf8')).not.toContain('123456');
+  });
+
+  it('should key usage hashes with the OTP hash secret', () => {
+    const key = createPolicy().keyFor('123456', resident);
+
+    expect(key).not.toBe(crypto.createHash('sha256').update('res_1:123456').digest('hex'));
+    expect(createPolicy('single', 'other-secret').keyFor('123456', resident)).not.toBe(key);
+  });
+
+  it('should allow up to the maximum number of entries', async () => {
+    const policy = createPolicy('max');
+    policy.maxEntries = 2;
+
+    await policy.consume('123456', resident, 'session_1');
+    await expect(policy.consume('123456', resident, 'session_2')).resolves.toMatchObject({ entries: 2, remaining: 0 });
+    await expect(policy.consume('123456', resident, 'session_3')).rejects.toMatchObject({ code: 'OTP_CONSUMED', details: { maxEntries: 2 } });
+  });
+
+  it('should allow reuse until the window after the first entry closes', async () => {
+    const policy = createPolicy('window');
+    const id = policy.keyFor('123456', resident);
+
+    await expect(policy.consume('123456', resident, 'session_1')).resolves.toMatchObject({ remaining: null });
+    await expect(policy.consume('123456', resident, 'session_2')).resolves.toMatchObject({ entries: 2 });
+
+    const firstUse = new Date(Date.now() - policy.useWindow - 1000).toISOString();
+    await policy.store.put({ id, residentId: resident.id, entries: [{ sessionId: 'session_1', at: firstUse }] });
+
+    await expect(policy.consume('123456', resident, 'session_3')).rejects.toMatchObject({ code: 'OTP_CONSUMED' });
+  });
+
+  it('should reject expired, not yet valid and inactive OTPs', async () => {
+    const policy = createPolicy();
+    const hour = 60 * 60 * 1000;
+
+    await expect(policy.consume('1', { ...resident, validUntil: new Date(Date.now() - hour).toISOString() }, 's'))
+      .rejects.toMatchObject({ code: 'OTP_EXPIRED' });
+    await expect(policy.consume('2', { ...resident, validFrom: new Date(Date.now() + hour).toISOString() }, 's'))
+      .rejects.toMatchObject({ code: 'OTP_NOT_YET_VALID' });
+    await expect(policy.consume('3', { ...resident, status: 'suspended' }, 's'))
+      .rejects.toThrow(OtpPolicyError);
+    await expect(policy.consume('4', { ...resident, validUntil: new Date(Date.now() + hour).toISOString() }, 's'))
+      .resolves.toMatchObject({ entries: 1 });
+  });
+
+  it('should give a use back when its session is cancelled', async () => {
+    const policy = createPolicy();
+    await policy.consume('123456', resident, 'session_1');
+
+    expect(await policy.release('123456', resident, 'session_other')).toBe(false);
+    expect(await policy.release('123456', resident, 'session_1')).toBe(true);
+    await expect(policy.consume('123456', resident, 'session_2')).resolves.toMatchObject({ entries: 1 });
+  });
+
+  it('should not let concurrent starts use a single-entry OTP twice', async () => {
+    const policy = createPolicy();
+
+    const results = await Promise.allSettled([
+      policy.consume('123456', resident, 'session_1'),
+      policy.consume('123456', resident, 'session_2')
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  it('should reject an unknown policy', () => {
+    expect(() => createPolicy('unlimited')).toThrow('Invalid OTP use policy "unlimited"');
+  });
+});
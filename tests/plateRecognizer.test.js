@@ -0,0 +1,42 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { TesseractPlateRecognizer, createPlateRecognizer } = require('../src/services/plateRecognizer');
+
+describe('TesseractPlateRecognizer', () => {
+  let langPath;
+
+  beforeEach(async () => {
+    langPath = await fs.mkdtemp(path.join(os.tmpdir(), 'seren-tessdata-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(langPath);
+  });
+
+  it('should refuse to start without local language data', async () => {
+    expect(() => new TesseractPlateRecognizer({ langPath: '' })).toThrow('PLATE_OCR_LANG_PATH must name a directory');
+    expect(() => new TesseractPlateRecognizer({ langPath })).toThrow('No eng.traineddata or eng.traineddata.gz');
+  });
+
+  it('should read plain or gzipped language data from the directory', async () => {
+    await fs.writeFile(path.join(langPath, 'eng.traineddata'), 'data');
+    expect(new TesseractPlateRecognizer({ langPath }).gzip).toBe(false);
+
+    await fs.writeFile(path.join(langPath, 'eng.traineddata.gz'), 'data');
+    expect(new TesseractPlateRecognizer({ langPath }).gzip).toBe(true);
+  });
+
+  it('should not need language data when recognition is disabled', () => {
+    const originalType = process.env.PLATE_RECOGNIZER;
+    process.env.PLATE_RECOGNIZER = 'none';
+    try {
+      expect(createPlateRecognizer()).toBeNull();
+    } finally {
+      process.env.PLATE_RECOGNIZER = originalType;
+      if (originalType === undefined) {
+        delete process.env.PLATE_RECOGNIZER;
+      }
+    }
+  });
+});
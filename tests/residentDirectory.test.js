@@ -0,0 +1,169 @@
+const crypto = require('node:crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ResidentDirectory = require('../src/services/residentDirectory');
+const LocalResidentClient = require('../src/api/localResidentClient');
+
+describe('ResidentDirectory', () => {
+  let dir;
+  let directory;
+
+  const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'residents-'));
+    directory = new ResidentDirectory({
+      residentsFile: path.join(dir, 'residents.log'),
+      invitesFile: path.join(dir, 'invites.log'),
+      otpSecret: 'test-otp-secret'
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('should create, update and list residents by unit', async () => {
+    const jane = await directory.createResident({ name: ' Jane Smith ', unitNumber: 'B10' });
+    await directory.createResident({ name: 'John Doe', unitNumber: 'B9', phone: '+27821234567' });
+
+    const updated = await directory.updateResident(jane.id, { status: 'inactive' });
+
+    expect(jane).toMatchObject({ name: 'Jane Smith', status: 'active', phone: null });
+    expect(updated.status).toBe('inactive');
+    expect((await directory.listResidents()).map(resident => resident.unitNumber)).toEqual(['B9', 'B10']);
+    expect(await directory.listResidents({ status: 'inactive' })).toEqual([updated]);
+    await expect(directory.updateResident(jane.id, { id: 'res_x' })).rejects.toThrow('Cannot change resident fields: id');
+    await expect(directory.createResident({ name: 'No Unit' })).rejects.toThrow('Resident name and unitNumber are required');
+  });
+
+  it('should import residents from CSV and report invalid rows', async () => {
+    const existing = await directory.createResident({ name: 'John Doe', unitNumber: 'A101' });
+    const csv = [
+      'Name,Unit_Number,Phone,Email,Status',
+      '"Smith, Jane",A102,+27820000001,jane@example.com,active',
+      'john doe,A101,+27820000002,,',
+      '',
+      'Bob,,+27820000003,,',
+      '"Quoted ""Nick"" Name",A103,,,away'
+    ].join('\r\n');
+
+    const result = await directory.importCsv(csv);
+
+    expect(result).toEqual({
+      created: 1,
+      updated: 1,
+      failed: [
+        { line: 5, error: 'Resident name and unitNumber are required' },
+        { line: 6, error: 'Invalid resident status. Must be one of: active, inactive' }
+      ]
+    });
+    expect(await directory.getResident(existing.id)).toMatchObject({ name: 'john doe', phone: '+27820000002' });
+    expect((await directory.listResidents({ unitNumber: 'A102' }))[0]).toMatchObject({ name: 'Smith, Jane', email: 'jane@example.com' });
+    await expect(directory.importCsv('phone,email\n1,2')).rejects.toThrow('CSV needs name and unit_number columns');
+  });
+
+  it('should issue invite OTPs and store only their hash', async () => {
+    const resident = await directory.createResident({ name: 'John Doe', unitNumber: 'A101' });
+
+    const { invite, otp } = await directory.createInvite({ residentId: resident.id, visitorName: 'Sam', mode: 'pedestrian' }, 'op_1');
+
+    expect(otp).toMatch(/^\d{6}$/);
+    expect(invite).toMatchObject({ residentId: resident.id, mode: 'pedestrian', status: 'active', createdBy: 'op_1' });
+    expect(invite.otpHash).toBeUndefined();
+    expect(new Date(invite.validUntil) - new Date(invite.validFrom)).toBe(24 * 60 * 60 * 1000);
+    expect(await fs.readFile(path.join(dir, 'invites.log'), 'utf8')).not.toContain(`"${otp}"`);
+    expect(await directory.findByOtp(otp)).toEqual({ invite, resident });
+    expect(await directory.findByOtp('000000x')).toBeNull();
+  });
+
+  it('should key invite OTP hashes', async () => {
+    const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+    const resident = await directory.createResident({ name: 'John Doe', unitNumber: 'A101' });
+    const { otp } = await directory.createInvite({ residentId: resident.id });
+
+    const log = await fs.readFile(path.join(dir, 'invites.log'), 'utf8');
+    expect(log).not.toContain(sha256(otp));
+    expect(log).toContain(directory.hashOtp(otp));
+  });
+
+  it('should not reissue the OTP of a revoked invite until it would have expired', async () => {
+    const resident = await directory.createResident({ name: 'John Doe', unitNumber: 'A101' });
+    const revoked = await directory.createInvite({ residentId: resident.id });
+    await directory.revokeInvite(revoked.invite.id);
+    await directory.invites.put({
+      ...revoked.invite,
+      id: 'inv_expired',
+      otpHash: directory.hashOtp('424242'),
+      validFrom: hoursFromNow(-48),
+      validUntil: hoursFromNow(-24)
+    });
+    const randomInt = jest.spyOn(crypto, 'randomInt')
+      .mockReturnValueOnce(Number(revoked.otp))
+      .mockReturnValueOnce(424242);
+
+    try {
+      expect((await directory.createInvite({ residentId: resident.id })).otp).toBe('424242');
+      expect(randomInt).toHaveBeenCalledTimes(2);
+    } finally {
+      randomInt.mockRestore();
+    }
+  });
+
+  it('should validate invites', async () => {
+    const resident = await directory.createResident({ name: 'John Doe', unitNumber: 'A101' });
+    const inactive = await directory.createResident({ name: 'Moved Out', unitNumber: 'A102', status: 'inactive' });
+
+    await expect(directory.createInvite({ residentId: 'res_unknown' })).rejects.toThrow('Resident not found: res_unknown');
+    await expect(directory.createInvite({ residentId: inactive.id })).rejects.toThrow('Only active residents can invite visitors');
+    await expect(directory.createInvite({ residentId: resident.id, mode: 'helicopter' })).rejects.toThrow('Invalid mode');
+    await expect(directory.createInvite({ residentId: resident.id, validUntil: hoursFromNow(-1) })).rejects.toThrow('validUntil must be in the future');
+    await expect(directory.createInvite({ residentId: resident.id, validUntil: hoursFromNow(31 * 24) })).rejects.toThrow('at most 720 hours');
+  });
+
+  it('should revoke a deleted resident\'s invites', async () => {
+    const resident = await directory.createResident({ name: 'John Doe', unitNumber: 'A101' });
+    const { otp } = await directory.createInvite({ residentId: resident.id });
+    await directory.createInvite({ residentId: resident.id });
+
+    expect(await directory.deleteResident(resident.id)).toEqual({ residentId: resident.id, revokedInvites: 2 });
+    expect(await directory.listInvites({ residentId: resident.id, status: 'revoked' })).toHaveLength(2);
+    expect(await directory.findByOtp(otp)).toBeNull();
+  });
+
+  describe('LocalResidentClient', () => {
+    let client;
+
+    beforeEach(() => {
+      client = new LocalResidentClient(directory);
+    });
+
+    it('should look up invites like EstateMate', async () => {
+      const resident = await directory.createResident({ name: 'John Doe', unitNumber: 'A101' });
+      const { invite, otp } = await directory.createInvite({ residentId: resident.id, mode: 'vehicle' });
+
+      const info = await client.searchByOTP(otp);
+
+      expect(info).toMatchObject({
+        id: resident.id,
+        unitNumber: 'A101',
+        visitorType: 'vehicle',
+        allowedMode: 'vehicle',
+        validFrom: invite.validFrom,
+        validUntil: invite.validUntil,
+        status: 'active'
+      });
+      await directory.revokeInvite(invite.id);
+      expect((await client.searchByOTP(otp)).status).toBe('revoked');
+      await expect(client.searchByOTP('999999x')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should record each visitor entry once per key', async () => {
+      const first = await client.recordVisitorEntry({ session_id: 's1' }, 'visit_s1');
+
+      expect(await client.recordVisitorEntry({ session_id: 's1' }, 'visit_s1')).toEqual(first);
+      expect(first.entryId).toMatch(/^local_entry_/);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CaptureRegistry = require('../src/services/captureRegistry');
+const RetentionService = require('../src/services/retentionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('RetentionService', () => {
+  let reportDir;
+  let images;
+  let mockCaptureService;
+  let retentionService;
+
+  beforeEach(async () => {
+    reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seren-retention-'));
+    const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+    images = [
+      { id: 'person-old', captureType: 'person', timestamp: daysAgo(45), fileSize: 100 },
+      { id: 'person-new', captureType: 'person', timestamp: daysAgo(5), fileSize: 100 },
+      { id: 'vehicle-mid', captureType: 'vehicle', timestamp: daysAgo(45), fileSize: 200 },
+      { id: 'vehicle-old', captureType: 'vehicle', timestamp: daysAgo(120), fileSize: 200 }
+    ];
+
+    mockCaptureService = {
+      imageStorage: {
+        listImages: jest.fn(async ({ captureType, before }) => images.filter(
+          image => image.captureType === captureType && new Date(image.timestamp) < new Date(before)
+        ))
+      },
+      deleteImage: jest.fn().mockResolvedValue(true)
+    };
+
+    retentionService = new RetentionService(mockCaptureService, {
+      rules: { person: 30, vehicle: 90 },
+      reportDir
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(reportDir);
+  });
+
+  it('should parse retention rules', () => {
+    expect(retentionService.parseRules('person:30, vehicle:90,face:0')).toEqual({ person: 30, vehicle: 90, face: 0 });
+    expect(() => retentionService.parseRules('person:soon')).toThrow('Invalid retention rule');
+  });
+
+  it('should refuse to start when a capture type has no rule', () => {
+    const registry = { listCaptureTypes: () => ['person', 'vehicle', 'parcel', 'exit'] };
+
+    expect(() => new RetentionService(mockCaptureService, { rules: { person: 30, vehicle: 90 }, registry, reportDir }))
+      .toThrow('RETENTION_RULES has no rule for capture type(s): parcel, exit');
+    expect(() => new RetentionService(mockCaptureService, { rules: { person: 30, vehicle: 90, parcel: 30, exit: 0 }, registry, reportDir }))
+      .not.toThrow();
+  });
+
+  it('should cover every capture type in the default registry by default', () => {
+    const previous = process.env.RETENTION_RULES;
+    delete process.env.RETENTION_RULES;
+
+    try {
+      expect(() => new RetentionService(mockCaptureService, { registry: CaptureRegistry.getDefault(), reportDir })).not.toThrow();
+    } finally {
+      if (previous !== undefined) {
+        process.env.RETENTION_RULES = previous;
+      }
+    }
+  });
+
+  it('should purge only expired images per capture type', async () => {
+    const summary = await retentionService.runPurge();
+
+    expect(mockCaptureService.deleteImage.mock.calls.map(call => call[0])).toEqual(['person-old', 'vehicle-old']);
+    expect(mockCaptureService.deleteImage).toHaveBeenCalledWith('person-old', { operatorId: 'system:retention' }, 'retention:person:30d');
+    expect(summary.totals).toEqual({ expired: 2, purged: 2, failed: 0, bytes: 300 });
+  });
+
+  it('should only report in dry-run mode', async () => {
+    const summary = await retentionService.runPurge({ dryRun: true });
+
+    expect(mockCaptureService.deleteImage).not.toHaveBeenCalled();
+    expect(summary.images.map(image => image.action)).toEqual(['would_purge', 'would_purge']);
+  });
+
+  it('should never purge capture types kept forever', async () => {
+    retentionService.rules = { person: 0, vehicle: 90 };
+
+    await retentionService.runPurge();
+
+    expect(mockCaptureService.imageStorage.listImages).toHaveBeenCalledTimes(1);
+    expect(mockCaptureService.deleteImage.mock.calls.map(call => call[0])).toEqual(['vehicle-old']);
+  });
+
+  it('should record failures and write a run summary', async () => {
+    mockCaptureService.deleteImage.mockRejectedValueOnce(new Error('Failed to delete image'));
+
+    const summary = await retentionService.runPurge();
+    const runs = await retentionService.listRuns();
+
+    expect(summary.totals.failed).toBe(1);
+    expect(summary.errors).toEqual([{ imageId: 'person-old', error: 'Failed to delete image' }]);
+    expect(runs).toHaveLength(1);
+    expect(runs[0].runId).toBe(summary.runId);
+    expect(runs[0].images).toBeUndefined();
+  });
+});
@@ -0,0 +1,28 @@
+const { transition, initialState, SessionStateError } = require('../src/services/sessionStateMachine');
+
+describe('Session state machine', () => {
+  it('should record each transition with a timestamp and operator', () => {
+    const session = { id: 's1', ...initialState({ operatorId: 'op_1' }) };
+
+    transition(session, 'mode_selected', { operatorId: 'op_1' });
+    transition(session, 'capturing', { operatorId: 'op_1' });
+    transition(session, 'cancelled', { operatorId: 'op_2' }, 'Wrong OTP');
+
+    expect(session.status).toBe('cancelled');
+    expect(session.history.map(entry => [entry.from, entry.to, entry.by])).toEqual([
+      [null, 'created', 'op_1'],
+      ['created', 'mode_selected', 'op_1'],
+      ['mode_selected', 'capturing', 'op_1'],
+      ['capturing', 'cancelled', 'op_2']
+    ]);
+    expect(session.history[3]).toMatchObject({ reason: 'Wrong OTP', at: session.statusChangedAt });
+  });
+
+  it('should reject transitions the lifecycle does not allow', () => {
+    const session = initialState();
+
+    expect(() => transition(session, 'completed')).toThrow(SessionStateError);
+    transition(session, 'expired');
+    expect(() => transition(session, 'cancelled')).toThrow('Cannot move session from expired to cancelled');
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const KeyRing = require('../src/services/keyRing');
+const { LocalKeyWrapper } = require('../src/services/keystore');
+const { MemorySessionStore, FileSessionStore, createSessionStore } = require('../src/services/sessionStore');
+
+const buildSession = (id) => ({
+  id,
+  otp: '123456',
+  residentInfo: { id: 'res_001', name: 'John Doe', unitNumber: 'A101' },
+  status: 'active',
+  createdAt: new Date().toISOString(),
+  captures: {
+    person: [{ imageId: 'img-1', role: 'id_front', filename: 'img-1.jpg', timestamp: new Date().toISOString(), fileSize: 1024 }],
+    vehicle: []
+  },
+  mode: 'vehicle'
+});
+
+describe('FileSessionStore', () => {
+  const keyWrapper = new LocalKeyWrapper(new KeyRing({ keys: { test: crypto.randomBytes(32).toString('base64') } }));
+  let storageDir;
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seren-sessions-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(storageDir);
+  });
+
+  it('should persist sessions across store instances', async () => {
+    const session = buildSession('session_1_abc');
+    await new FileSessionStore({ storageDir, keyWrapper }).save(session);
+
+    const reopened = new FileSessionStore({ storageDir, keyWrapper });
+    expect(await reopened.get('session_1_abc')).toEqual(session);
+    expect(await reopened.count()).toBe(1);
+  });
+
+  it('should encrypt session files', async () => {
+    const store = new FileSessionStore({ storageDir, keyWrapper });
+    await store.save(buildSession('session_6_abc'));
+
+    const contents = await fs.readFile(path.join(storageDir, 'session_6_abc.json'), 'utf8');
+    expect(contents).not.toContain('123456');
+    expect(contents).not.toContain('John Doe');
+
+    const otherKeys = new LocalKeyWrapper(new KeyRing({ keys: { test: crypto.randomBytes(32).toString('base64') } }));
+    await expect(new FileSessionStore({ storageDir, keyWrapper: otherKeys }).get('session_6_abc')).rejects.toThrow('Failed to read session');
+  });
+
+  it('should return null for unknown or unsafe session IDs', async () => {
+    const store = new FileSessionStore({ storageDir, keyWrapper });
+
+    expect(await store.get('session_missing')).toBeNull();
+    expect(await store.get('../../etc/passwd')).toBeNull();
+  });
+
+  it('should delete sessions', async () => {
+    const store = new FileSessionStore({ storageDir, keyWrapper });
+    await store.save(buildSession('session_2_abc'));
+
+    expect(await store.delete('session_2_abc')).toBe(true);
+    expect(await store.delete('session_2_abc')).toBe(false);
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('should reject a write based on a version another store instance already replaced', async () => {
+    const first = new FileSessionStore({ storageDir, keyWrapper });
+    const second = new FileSessionStore({ storageDir, keyWrapper });
+    await first.save(buildSession('session_4_abc'));
+
+    const mine = await first.get('session_4_abc');
+    const theirs = await second.get('session_4_abc');
+    theirs.mode = 'pedestrian';
+    await second.save(theirs);
+
+    mine.mode = 'vehicle';
+    await expect(first.save(mine)).rejects.toMatchObject({ code: 'SESSION_CONFLICT' });
+    expect(await first.get('session_4_abc')).toMatchObject({ mode: 'pedestrian', version: 2 });
+    expect(await fs.pathExists(path.join(storageDir, 'session_4_abc.json.lock'))).toBe(false);
+  });
+});
+
+describe('MemorySessionStore', () => {
+  it('should not leak changes made to a returned session until it is saved', async () => {
+    const store = new MemorySessionStore();
+    await store.save(buildSession('session_3_abc'));
+
+    const session = await store.get('session_3_abc');
+    session.mode = 'pedestrian';
+
+    expect((await store.get('session_3_abc')).mode).toBe('vehicle');
+  });
+
+  it('should bump the version on save and reject stale or deleted sessions', async () => {
+    const store = new MemorySessionStore();
+    const session = buildSession('session_5_abc');
+    await store.save(session);
+    expect(session.version).toBe(1);
+
+    const stale = await store.get('session_5_abc');
+    await store.save(await store.get('session_5_abc'));
+    await expect(store.save(stale)).rejects.toMatchObject({ code: 'SESSION_CONFLICT' });
+
+    const current = await store.get('session_5_abc');
+    expect(current.version).toBe(2);
+    await store.delete('session_5_abc');
+    await expect(store.save(current)).rejects.toMatchObject({ code: 'SESSION_CONFLICT' });
+  });
+});
+
+describe('createSessionStore', () => {
+  const originalType = process.env.SESSION_STORE;
+
+  afterEach(() => {
+    process.env.SESSION_STORE = originalType;
+    if (originalType === undefined) {
+      delete process.env.SESSION_STORE;
+    }
+  });
+
+  it('should create a memory store when configured', () => {
+    process.env.SESSION_STORE = 'memory';
+    expect(createSessionStore()).toBeInstanceOf(MemorySessionStore);
+  });
+
+  it('should reject unknown store types', () => {
+    process.env.SESSION_STORE = 'redis';
+    expect(() => createSessionStore()).toThrow('Unknown SESSION_STORE type');
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { TerminalRegistry, TerminalError } = require('../src/services/terminalRegistry');
+
+describe('TerminalRegistry', () => {
+  let dir;
+  let registry;
+
+  const createRegistry = () => new TerminalRegistry({ terminalsFile: path.join(dir, 'terminals.json') });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'terminals-'));
+    registry = createRegistry();
+  });
+
+  afterEach(async () => {
+    // Last-seen writes run in the background
+    await registry.writeQueue;
+    await fs.remove(dir);
+  });
+
+  it('should register a terminal and identify it by its key', async () => {
+    const { terminal, key } = await registry.register({ name: 'Tablet 1', gateId: 'main-vehicle', gateType: 'vehicle', lane: 'in-1' }, 'op_admin');
+
+    expect(terminal).toMatchObject({ name: 'Tablet 1', gateId: 'main-vehicle', lane: 'in-1', disabled: false, registeredBy: 'op_admin' });
+    expect(terminal.keyHash).toBeUndefined();
+    expect(key.startsWith(`${terminal.id}.`)).toBe(true);
+    expect(registry.authenticate(key, '10.0.0.5')).toMatchObject({ id: terminal.id, lastSeenIp: '10.0.0.5' });
+  });
+
+  it('should reject unknown terminals and wrong keys', async () => {
+    const { terminal } = await registry.register({ name: 'Tablet 1', gateId: 'main-vehicle' });
+
+    expect(() => registry.authenticate(`${terminal.id}.wrong`)).toThrow('Unknown terminal or invalid terminal key');
+    expect(() => registry.authenticate('term_unknown.secret')).toThrow(TerminalError);
+    expect(() => registry.authenticate('garbage')).toThrow(TerminalError);
+  });
+
+  it('should refuse a disabled terminal', async () => {
+    const { terminal, key } = await registry.register({ name: 'Tablet 1', gateId: 'main-vehicle' });
+
+    await registry.update(terminal.id, { disabled: true });
+
+    expect(() => registry.authenticate(key)).toThrow(expect.objectContaining({ code: 'TERMINAL_DISABLED' }));
+  });
+
+  it('should move a terminal to another gate and keep it across restarts', async () => {
+    const { terminal, key } = await registry.register({ name: 'Tablet 1', gateId: 'main-vehicle' });
+
+    await registry.update(terminal.id, { gateId: 'contractor', lane: 'out-1' });
+    const reloaded = createRegistry();
+
+    expect(reloaded.authenticate(key)).toMatchObject({ gateId: 'contractor', lane: 'out-1' });
+    expect(reloaded.list({ gateId: 'contractor' })).toHaveLength(1);
+    expect(reloaded.list({ gateId: 'main-vehicle' })).toHaveLength(0);
+    await reloaded.writeQueue;
+  });
+
+  it('should validate terminal details', async () => {
+    await expect(registry.register({ name: 'Tablet 1' })).rejects.toThrow('Terminal name and gateId are required');
+
+    const { terminal } = await registry.register({ name: 'Tablet 1', gateId: 'main-vehicle' });
+    await expect(registry.update(terminal.id, { keyHash: 'x' })).rejects.toThrow('Cannot change terminal fields: keyHash');
+    await expect(registry.update(terminal.id, { disabled: 'yes' })).rejects.toThrow('Terminal disabled must be true or false');
+    await expect(registry.update('term_unknown', { lane: 'in-1' })).rejects.toThrow('Terminal not found');
+  });
+});
@@ -0,0 +1,201 @@
+const axios = require('axios');
+const express = require('express');
+const multer = require('multer');
+const CaptureRegistry = require('../src/services/captureRegistry');
+const { buildCaptureApiSpec } = require('../src/routes/captureApiSpec');
+const { createValidator, assertRoutesDocumented } = require('../src/middleware/validate');
+const { validateSchema } = require('../src/utils/schemaValidator');
+
+const registry = new CaptureRegistry({
+  captureTypes: {
+    person: { label: 'Visitor ID', roles: ['id_front', 'face'] },
+    vehicle: { label: 'Vehicle', roles: ['plate'] }
+  },
+  modes: {
+    pedestrian: { label: 'Pedestrian', captures: { person: ['id_front'] } },
+    vehicle: { label: 'Vehicle', captures: { person: ['id_front'], vehicle: ['plate'] } }
+  }
+});
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['otp'],
+    additionalProperties: false,
+    properties: {
+      otp: { type: 'string', minLength: 1 },
+      limit: { type: 'integer', minimum: 1 },
+      tags: { type: 'array', items: { $ref: '#/definitions/tag' } }
+    },
+    definitions: { tag: { type: 'string', enum: ['a', 'b'] } }
+  };
+
+  it('should report every problem with its field', () => {
+    expect(validateSchema(schema, { otp: '', limit: 0.5, tags: ['a', 'c'], extra: true })).toEqual([
+      { field: 'otp', message: 'must not be empty' },
+      { field: 'limit', message: 'must be integer' },
+      { field: 'tags[1]', message: 'must be one of: a, b' },
+      { field: 'extra', message: 'is not allowed' }
+    ]);
+    expect(validateSchema(schema, {})).toEqual([{ field: 'otp', message: 'is required' }]);
+    expect(validateSchema(schema, 'otp')).toEqual([{ field: '', message: 'must be object' }]);
+    expect(validateSchema(schema, { otp: '123456', tags: ['b'] })).toEqual([]);
+  });
+
+  it('should check dates, alternatives and uploaded files', () => {
+    const time = { type: 'string', anyOf: [{ format: 'date-time' }, { format: 'date' }] };
+    const image = { type: 'string', format: 'binary', contentMediaType: 'image/*' };
+
+    expect(validateSchema(time, '2026-01-31')).toEqual([]);
+    expect(validateSchema(time, '2026-01-31T08:00:00Z')).toEqual([]);
+    expect(validateSchema(time, 'yesterday')).toEqual([
+      { field: '', message: 'must be an ISO 8601 date-time or must be an ISO 8601 date' }
+    ]);
+    expect(validateSchema(image, { buffer: Buffer.from('x'), mimetype: 'image/jpeg' })).toEqual([]);
+    expect(validateSchema(image, { buffer: Buffer.from('x'), mimetype: 'application/pdf' })).toEqual([
+      { field: '', message: 'must be a image/* file' }
+    ]);
+    expect(validateSchema(image, 'not a file')).toEqual([{ field: '', message: 'must be an uploaded file' }]);
+  });
+});
+
+describe('OpenAPI request validation', () => {
+  const spec = buildCaptureApiSpec(registry);
+  const validate = createValidator(spec, { validateResponses: false });
+  const upload = multer({ storage: multer.memoryStorage() });
+  let server;
+  let baseUrl;
+
+  const echo = (req, res) => res.json({ success: true, data: { body: req.body, query: req.query } });
+
+  beforeAll(done => {
+    const router = express.Router();
+    router.post('/session/start', validate('startSession'), echo);
+    router.post('/session/:sessionId/mode', validate('setCaptureMode'), echo);
+    router.post('/session/:sessionId/capture/person', upload.single('image'), validate('capturePerson'), echo);
+    router.post('/session/:sessionId/cancel', validate('cancelSession'), echo);
+    router.post('/exit/lookup', validate('lookupExit'), echo);
+    router.get('/visits', validate('queryVisits'), echo);
+    router.post('/residents/import', express.text({ type: ['text/csv', 'text/plain'] }), validate('importResidents'), echo);
+
+    const app = express();
+    app.use(express.json());
+    app.use(router);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const request = config => axios({ baseURL: baseUrl, validateStatus: () => true, ...config });
+
+  it('should reject invalid bodies with a 422 listing each problem', async () => {
+    const response = await request({ method: 'post', url: '/session/start', data: { otp: '' } });
+
+    expect(response.status).toBe(422);
+    expect(response.data).toEqual({
+      success: false,
+      error: 'Request validation failed',
+      code: 'VALIDATION_FAILED',
+      details: [{ in: 'body', field: 'otp', message: 'must not be empty' }]
+    });
+
+    const mode = await request({ method: 'post', url: '/session/session_1/mode', data: { mode: 'helicopter' } });
+    expect(mode.data.details).toEqual([{ in: 'body', field: 'mode', message: 'must be one of: pedestrian, vehicle' }]);
+
+    const lookup = await request({ method: 'post', url: '/exit/lookup', data: { otp: '123456', plate: 'CA123' } });
+    expect(lookup.data.details).toEqual([{ in: 'body', field: '', message: 'must have at most 1 of: otp, plate, reference' }]);
+  });
+
+  it('should pass valid requests through untouched', async () => {
+    const response = await request({ method: 'post', url: '/session/start', data: { otp: '123456' } });
+
+    expect(response.status).toBe(200);
+    expect(response.data.data.body).toEqual({ otp: '123456' });
+    expect((await request({ method: 'post', url: '/session/session_1/cancel' })).status).toBe(200);
+  });
+
+  it('should check query parameters after converting them', async () => {
+    expect((await request({ url: '/visits', params: { limit: '20', from: '2026-01-01', order: 'asc' } })).status).toBe(200);
+
+    const response = await request({ url: '/visits', params: { limit: '0', sort: 'name', to: 'soon' } });
+    expect(response.status).toBe(422);
+    expect(response.data.details).toEqual([
+      { in: 'query', field: 'to', message: 'must be an ISO 8601 date-time or must be an ISO 8601 date' },
+      { in: 'query', field: 'sort', message: 'must be one of: createdAt, completedAt' },
+      { in: 'query', field: 'limit', message: 'must be at least 1' }
+    ]);
+  });
+
+  it('should check multipart uploads and their media type', async () => {
+    const form = (file, role) => {
+      const data = new FormData();
+      if (file) {
+        data.append('image', new Blob([Buffer.from('image bytes')], { type: file.type }), file.name);
+      }
+      if (role) {
+        data.append('role', role);
+      }
+      return data;
+    };
+    const capture = data => request({ method: 'post', url: '/session/session_1/capture/person', data });
+
+    expect((await capture(form({ type: 'image/jpeg', name: 'id.jpg' }, 'face'))).status).toBe(200);
+    expect((await capture(form(null, 'face'))).data.details).toEqual([{ in: 'body', field: 'image', message: 'is required' }]);
+    expect((await capture(form({ type: 'application/pdf', name: 'id.pdf' }, 'plate'))).data.details).toEqual([
+      { in: 'body', field: 'role', message: 'must be one of: id_front, face' },
+      { in: 'body', field: 'image', message: 'must be a image/* file' }
+    ]);
+  });
+
+  it('should accept the media types an operation documents', async () => {
+    const csv = 'name,unit_number\nJohn Doe,A101';
+
+    expect((await request({ method: 'post', url: '/residents/import', data: csv, headers: { 'Content-Type': 'text/csv' } })).status).toBe(200);
+    expect((await request({ method: 'post', url: '/residents/import', data: { csv } })).status).toBe(200);
+
+    const response = await request({ method: 'post', url: '/session/start', data: 'otp=123456', headers: { 'Content-Type': 'text/plain' } });
+    expect(response.status).toBe(422);
+    expect(response.data.details).toEqual([{ in: 'body', field: '', message: 'must be sent as application/json' }]);
+  });
+
+  it('should warn about responses that do not match the spec', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const validateResponses = createValidator(spec, { validateResponses: true });
+    const res = { statusCode: 200, json: jest.fn() };
+
+    validateResponses('getVisit')({ params: { visitId: 'session_1' }, query: {}, is: () => null }, res, () => {});
+    res.json({ success: true, data: { id: 'session_1', status: 'teleported' } });
+
+    expect(warn).toHaveBeenCalledWith(
+      '[OpenAPI] getVisit 200 response does not match the spec:',
+      [{ field: 'data.status', message: expect.stringMatching(/^must be one of: created/) }]
+    );
+    warn.mockRestore();
+  });
+
+  it('should refuse unknown operations and undocumented routes', () => {
+    expect(() => validate('launchRocket')).toThrow('Unknown OpenAPI operation: launchRocket');
+
+    const router = express.Router();
+    router.post('/session/start', (req, res) => res.end());
+    router.get('/teapot', (req, res) => res.end());
+
+    expect(() => assertRoutesDocumented(spec, router)).toThrow(
+      'Routes do not match the OpenAPI spec:\nPOST /session/start is not validated as startSession\nGET /teapot is not documented'
+    );
+  });
+
+  it('should document a capture route per capture type', () => {
+    expect(spec.paths['/session/{sessionId}/capture/vehicle'].post.operationId).toBe('captureVehicle');
+    expect(spec.paths['/session/{sessionId}/mode'].post.requestBody.content['application/json'].schema.properties.mode.enum)
+      .toEqual(['pedestrian', 'vehicle']);
+    expect(spec.paths['/health'].get.security).toEqual([]);
+    expect(spec.paths['/session/start'].post.responses[422].content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/ValidationError' });
+  });
+});
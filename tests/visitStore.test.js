@@ -0,0 +1,94 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const VisitStore = require('../src/services/visitStore');
+
+describe('VisitStore', () => {
+  let storageDir;
+  let visitStore;
+
+  const buildSession = (id, unitNumber, createdAt, captures) => ({
+    id,
+    status: 'completed',
+    mode: captures.vehicle.length > 0 ? 'vehicle' : 'pedestrian',
+    residentInfo: { id: `res_${unitNumber}`, name: 'Resident', unitNumber },
+    operatorId: 'op_1',
+    createdAt,
+    completedAt: createdAt,
+    captures
+  });
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seren-visits-'));
+    visitStore = new VisitStore({ logFile: path.join(storageDir, 'visits.log'), otpSecret: 'test-otp-secret' });
+
+    await visitStore.save(visitStore.buildVisit(
+      buildSession('s1', 'A1', '2026-01-01T08:00:00.000Z', { person: [{ imageId: 'i1', role: 'id_front' }], vehicle: [] })
+    ));
+    await visitStore.save(visitStore.buildVisit(
+      buildSession('s2', 'B2', '2026-01-02T08:00:00.000Z', {
+        person: [
+          { imageId: 'i0', role: 'id_front', supersededAt: '2026-01-02T08:00:01.000Z', supersededBy: 'i2' },
+          { imageId: 'i2', role: 'id_front' }
+        ],
+        vehicle: [{ imageId: 'i3', role: 'licence_disc', plate: { text: 'CA 123-456', normalized: 'CA123456', confidence: 0.9 } }]
+      })
+    ));
+    await visitStore.save(visitStore.buildVisit(
+      buildSession('s3', 'A1', '2026-01-03T08:00:00.000Z', { person: [{ imageId: 'i4', role: 'id_front' }], vehicle: [] })
+    ));
+  });
+
+  afterEach(async () => {
+    await fs.remove(storageDir);
+  });
+
+  it('should build visits with the captured types and current images', async () => {
+    const visit = await visitStore.get('s2');
+
+    expect(visit.captureTypes).toEqual(['person', 'vehicle']);
+    expect(visit.imageIds).toEqual(['i2', 'i3']);
+    expect(visit.supersededImageIds).toEqual(['i0']);
+  });
+
+  it('should filter by unit, capture type and date range', async () => {
+    expect((await visitStore.query({ unitNumber: 'A1' })).visits.map(v => v.id)).toEqual(['s3', 's1']);
+    expect((await visitStore.query({ captureType: 'vehicle' })).visits.map(v => v.id)).toEqual(['s2']);
+    expect((await visitStore.query({
+      from: '2026-01-02T00:00:00.000Z',
+      to: '2026-01-03T08:00:00.000Z'
+    })).visits.map(v => v.id)).toEqual(['s2']);
+  });
+
+  it('should find visits by plate regardless of spacing and case', async () => {
+    expect((await visitStore.query({ plate: 'ca 123 456' })).visits.map(v => v.id)).toEqual(['s2']);
+    expect((await visitStore.query({ plate: 'CA 999-999' })).visits).toEqual([]);
+  });
+
+  it('should index the licence number read from a disc as a plate', async () => {
+    const document = { documentType: 'licence_disc', fields: { licenceNumber: 'KWB056B', registerNumber: 'DMT567W' } };
+    await visitStore.save(visitStore.buildVisit(
+      buildSession('s4', 'C3', '2026-01-04T08:00:00.000Z', { person: [], vehicle: [{ imageId: 'i5', role: 'licence_disc', document }] })
+    ));
+
+    expect((await visitStore.get('s4')).plates).toEqual(['KWB056B']);
+    expect((await visitStore.query({ plate: 'KWB 056 B' })).visits.map(v => v.id)).toEqual(['s4']);
+    expect((await visitStore.query({ plate: 'DMT567W' })).visits).toEqual([]);
+  });
+
+  it('should page through results with a cursor', async () => {
+    const first = await visitStore.query({ order: 'asc', limit: 2 });
+    const second = await visitStore.query({ order: 'asc', limit: 2, cursor: first.nextCursor });
+
+    expect(first.visits.map(v => v.id)).toEqual(['s1', 's2']);
+    expect(first.hasMore).toBe(true);
+    expect(second.visits.map(v => v.id)).toEqual(['s3']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it('should reject invalid query parameters', async () => {
+    await expect(visitStore.query({ sort: 'name' })).rejects.toThrow('Invalid sort field');
+    await expect(visitStore.query({ from: 'yesterday' })).rejects.toThrow('Invalid from date');
+    await expect(visitStore.query({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+  });
+});